@@ -1,16 +1,16 @@
 const { createClient } = require('@supabase/supabase-js');
 
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
-  throw new Error('Missing Supabase environment variables');
-}
-
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Both clients are null when Supabase is not configured, which is only valid
+// with STORAGE_ADAPTER=memory (see src/repositories)
+const isConfigured = Boolean(supabaseUrl && supabaseKey);
+
+const supabase = isConfigured ? createClient(supabaseUrl, supabaseKey) : null;
 
-const supabaseAdmin = supabaseServiceKey 
+const supabaseAdmin = isConfigured && supabaseServiceKey
   ? createClient(supabaseUrl, supabaseServiceKey, {
       auth: {
         autoRefreshToken: false,
@@ -22,4 +22,4 @@ const supabaseAdmin = supabaseServiceKey
 module.exports = {
   supabase,
   supabaseAdmin
-}; 
\ No newline at end of file
+};
@@ -1,47 +1,99 @@
 const cron = require('node-cron');
-const { supabase } = require('../config/supabase');
+const {
+  tasks: taskRepository,
+  categories: categoryRepository,
+  profiles: profileRepository,
+  webhooks: webhookRepository,
+  digests: digestRepository
+} = require('../repositories');
+const { materializeNextOccurrence } = require('../services/recurringTasks');
+const { collectTaskFiles, removeStoredFiles } = require('../services/attachments');
+const { attemptDelivery } = require('../services/webhooks');
+const { createNotifications } = require('../services/notifications');
+const { getMailer } = require('../services/mailer');
+const { renderDailyDigest } = require('../templates/dailyDigest');
+const { DAY_MS, localParts, startOfLocalDay } = require('../utils/timezone');
+const { purgeCutoff } = require('../utils/trash');
 const logger = require('../utils/logger');
 
-const generateDailyDigest = async () => {
+const MAX_DIGEST_ATTEMPTS = 3;
+
+// Claims today's digest for a user. The unique (user_id, digest_date) row is
+// what prevents double-sends across restarts; failed sends are re-claimed on
+// later runs until MAX_DIGEST_ATTEMPTS.
+const claimDigest = async (userId, digestDate) => {
+  const { data: claimed, error } = await digestRepository.claim(userId, digestDate);
+
+  if (!error) {
+    return claimed;
+  }
+
+  if (error.code !== '23505') {
+    throw error;
+  }
+
+  const { data: existing } = await digestRepository.findRetryable(userId, digestDate, MAX_DIGEST_ATTEMPTS);
+
+  if (!existing) {
+    return null;
+  }
+
+  const { data: reclaimed } = await digestRepository.reclaim(existing.id, existing.attempts + 1);
+
+  return reclaimed;
+};
+
+const generateDailyDigest = async (now = new Date()) => {
   try {
     logger.info('Starting daily digest generation...');
 
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-
-    const { data: users, error: usersError } = await supabase
-      .from('profiles')
-      .select('id, email, full_name');
+    const { data: users, error: usersError } = await profileRepository.listDigestRecipients(
+      'id, email, full_name, digest_send_hour, timezone'
+    );
 
     if (usersError) {
       throw usersError;
     }
 
+    const mailer = getMailer();
+    let sentCount = 0;
+
     for (const user of users) {
       try {
-        const { data: completedTasks, error: completedError } = await supabase
-          .from('tasks')
-          .select('id, title')
-          .eq('status', 'completed')
-          .gte('completed_at', yesterday.toISOString())
-          .lt('completed_at', today.toISOString())
-          .or(`created_by.eq.${user.id},assigned_to.eq.${user.id}`);
-
-        const { data: overdueTasks, error: overdueError } = await supabase
-          .from('tasks')
-          .select('id, title, due_date, priority')
-          .lt('due_date', today.toISOString())
-          .neq('status', 'completed')
-          .or(`created_by.eq.${user.id},assigned_to.eq.${user.id}`);
-
-        const { data: dueTodayTasks, error: dueTodayError } = await supabase
-          .from('tasks')
-          .select('id, title, due_date, priority')
-          .gte('due_date', today.toISOString().split('T')[0])
-          .lt('due_date', new Date(today.getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0])
-          .neq('status', 'completed')
-          .or(`created_by.eq.${user.id},assigned_to.eq.${user.id}`);
+        const timeZone = user.timezone || 'UTC';
+        const local = localParts(now, timeZone);
+
+        // Runs hourly; each user gets the digest on the first run at or after
+        // their preferred local hour
+        if (local.hour < user.digest_send_hour) {
+          continue;
+        }
+
+        const delivery = await claimDigest(user.id, local.date);
+
+        if (!delivery) {
+          continue;
+        }
+
+        const today = startOfLocalDay(now, timeZone);
+        const yesterday = new Date(today.getTime() - DAY_MS);
+        const tomorrow = new Date(today.getTime() + DAY_MS);
+
+        const { data: completedTasks, error: completedError } = await taskRepository.listCompletedByUser(
+          user.id,
+          yesterday,
+          today
+        );
+
+        const { data: overdueTasks, error: overdueError } = await taskRepository.listOpenDueByUser(
+          user.id,
+          { to: now }
+        );
+
+        const { data: dueTodayTasks, error: dueTodayError } = await taskRepository.listOpenDueByUser(
+          user.id,
+          { from: now, to: tomorrow }
+        );
 
         if (completedError || overdueError || dueTodayError) {
           logger.error(`Error fetching digest data for user ${user.id}:`, {
@@ -49,6 +101,7 @@ const generateDailyDigest = async () => {
             overdueError,
             dueTodayError
           });
+          await digestRepository.update(delivery.id, { status: 'failed', error: 'Failed to fetch digest data' });
           continue;
         }
 
@@ -56,7 +109,7 @@ const generateDailyDigest = async () => {
           user_id: user.id,
           user_name: user.full_name,
           user_email: user.email,
-          date: today.toISOString().split('T')[0],
+          date: local.date,
           completed_yesterday: completedTasks?.length || 0,
           overdue_tasks: overdueTasks?.length || 0,
           due_today: dueTodayTasks?.length || 0,
@@ -65,18 +118,50 @@ const generateDailyDigest = async () => {
           due_today_details: dueTodayTasks || []
         };
 
-        logger.info(`Daily digest for ${user.email}:`, {
+        const counts = {
           completed_yesterday: digest.completed_yesterday,
           overdue_tasks: digest.overdue_tasks,
           due_today: digest.due_today
-        });
+        };
 
+        // Nothing to report is not worth an email
+        if (!counts.completed_yesterday && !counts.overdue_tasks && !counts.due_today) {
+          await digestRepository.update(delivery.id, { status: 'skipped', ...counts });
+          continue;
+        }
+
+        try {
+          const { messageId } = await mailer.send({
+            to: user.email,
+            ...renderDailyDigest(digest, { timeZone })
+          });
+
+          // The local transports only log or save the message, so the day
+          // is recorded as logged rather than sent
+          await digestRepository.update(delivery.id, {
+            status: mailer.delivers ? 'sent' : 'logged',
+            sent_at: mailer.delivers ? new Date().toISOString() : null,
+            message_id: messageId,
+            error: null,
+            ...counts
+          });
+
+          if (mailer.delivers) {
+            sentCount++;
+            logger.info(`Daily digest sent to ${user.email}:`, counts);
+          } else {
+            logger.info(`Daily digest for ${user.email} logged by the ${mailer.transport} mail transport:`, counts);
+          }
+        } catch (sendError) {
+          logger.error(`Error sending digest to user ${user.id}:`, sendError);
+          await digestRepository.update(delivery.id, { status: 'failed', error: sendError.message });
+        }
       } catch (userError) {
         logger.error(`Error generating digest for user ${user.id}:`, userError);
       }
     }
 
-    logger.info('Daily digest generation completed');
+    logger.info(`Daily digest generation completed, ${sentCount} sent`);
   } catch (error) {
     logger.error('Daily digest generation failed:', error);
   }
@@ -88,20 +173,7 @@ const checkOverdueTasks = async () => {
 
     const now = new Date();
     
-    const { data: overdueTasks, error } = await supabase
-      .from('tasks')
-      .select(`
-        id,
-        title,
-        due_date,
-        priority,
-        created_by,
-        assigned_to,
-        creator:profiles!tasks_created_by_fkey(full_name, email),
-        assigned_user:profiles!tasks_assigned_to_fkey(full_name, email)
-      `)
-      .lt('due_date', now.toISOString())
-      .neq('status', 'completed');
+    const { data: overdueTasks, error } = await taskRepository.listAllOverdue(now);
 
     if (error) {
       throw error;
@@ -118,6 +190,19 @@ const checkOverdueTasks = async () => {
       }, {});
 
       logger.info('Overdue tasks by priority:', priorityBreakdown);
+
+      // One notification per task and due date for the owner and assignee;
+      // later runs hit the dedupe key until the due date moves
+      await createNotifications(overdueTasks.flatMap(task => (
+        [...new Set([task.created_by, task.assigned_to].filter(Boolean))].map(userId => ({
+          userId,
+          type: 'task_overdue',
+          taskId: task.id,
+          message: `"${task.title}" is overdue`,
+          data: { due_date: task.due_date, priority: task.priority },
+          dedupeKey: `task_overdue:${task.id}:${task.due_date}`
+        }))
+      )));
     } else {
       logger.info('No overdue tasks found');
     }
@@ -134,11 +219,7 @@ const cleanupCompletedTasks = async () => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const { data: oldTasks, error: fetchError } = await supabase
-      .from('tasks')
-      .select('id')
-      .eq('status', 'completed')
-      .lt('completed_at', thirtyDaysAgo.toISOString());
+    const { data: oldTasks, error: fetchError } = await taskRepository.listCompletedBefore(thirtyDaysAgo);
 
     if (fetchError) {
       throw fetchError;
@@ -160,10 +241,7 @@ const updateTaskStatistics = async () => {
   try {
     logger.info('Updating task statistics...');
 
-    const { data: stats, error } = await supabase
-      .from('tasks')
-      .select('status, priority, created_by')
-      .neq('status', 'deleted');
+    const { data: stats, error } = await taskRepository.listStatistics();
 
     if (error) {
       throw error;
@@ -191,11 +269,133 @@ const updateTaskStatistics = async () => {
   }
 };
 
+// Deletes for good the tasks and categories that have been in the trash
+// longer than TRASH_RETENTION_DAYS, with the tasks' attachment files
+const purgeTrash = async (now = new Date()) => {
+  try {
+    logger.info('Purging expired trash...');
+
+    const cutoff = purgeCutoff(now);
+
+    const { data: expiredTasks, error: tasksError } = await taskRepository.listTrashedBefore(cutoff);
+
+    if (tasksError) {
+      throw tasksError;
+    }
+
+    // Subtasks go first: deleting a parent would take their attachment
+    // records with it before their files were collected
+    expiredTasks.sort((a, b) => Number(!a.parent_task_id) - Number(!b.parent_task_id));
+
+    let purgedTasks = 0;
+
+    for (const task of expiredTasks) {
+      try {
+        const files = await collectTaskFiles([task.id]);
+        const { data: removed, error } = await taskRepository.remove(task.id);
+
+        if (error) {
+          throw error;
+        }
+
+        await removeStoredFiles(files);
+
+        if (removed) {
+          purgedTasks++;
+        }
+      } catch (taskError) {
+        logger.error(`Error purging task ${task.id}:`, taskError);
+      }
+    }
+
+    const { data: expiredCategories, error: categoriesError } = await categoryRepository.listTrashedBefore(cutoff);
+
+    if (categoriesError) {
+      throw categoriesError;
+    }
+
+    let purgedCategories = 0;
+
+    for (const category of expiredCategories) {
+      const { data: removed, error } = await categoryRepository.remove(category.id);
+
+      if (error) {
+        logger.error(`Error purging category ${category.id}:`, error);
+      } else {
+        purgedCategories += removed.length;
+      }
+    }
+
+    logger.info(`Purged ${purgedTasks} tasks and ${purgedCategories} categories from the trash`);
+  } catch (error) {
+    logger.error('Trash purge failed:', error);
+  }
+};
+
+const generateRecurringTasks = async () => {
+  try {
+    logger.info('Generating recurring task occurrences...');
+
+    const { data: dueOccurrences, error } = await taskRepository.listRecurringDue(new Date());
+
+    if (error) {
+      throw error;
+    }
+
+    let createdCount = 0;
+
+    for (const task of dueOccurrences) {
+      try {
+        const occurrence = await materializeNextOccurrence(task);
+        if (occurrence) {
+          createdCount++;
+        }
+      } catch (taskError) {
+        logger.error(`Error creating next occurrence for task ${task.id}:`, taskError);
+      }
+    }
+
+    logger.info(`Created ${createdCount} recurring task occurrences`);
+  } catch (error) {
+    logger.error('Recurring task generation failed:', error);
+  }
+};
+
+const retryWebhookDeliveries = async () => {
+  try {
+    const { data: deliveries, error } = await webhookRepository.listDueDeliveries(new Date().toISOString(), 100);
+
+    if (error) {
+      throw error;
+    }
+
+    let succeededCount = 0;
+
+    for (const { webhook, ...delivery } of deliveries) {
+      const result = await attemptDelivery(delivery, webhook);
+      if (result.status === 'succeeded') {
+        succeededCount++;
+      }
+    }
+
+    if (deliveries.length > 0) {
+      logger.info(`Retried ${deliveries.length} webhook deliveries, ${succeededCount} succeeded`);
+    }
+  } catch (error) {
+    logger.error('Webhook delivery retry failed:', error);
+  }
+};
+
 const startScheduledJobs = () => {
   logger.info('Starting scheduled jobs...');
 
-  cron.schedule('0 8 * * *', () => {
-    logger.info('Running daily digest job at 8:00 AM');
+  // Refuses a missing or unknown MAIL_TRANSPORT now rather than at the
+  // first digest
+  getMailer();
+
+  // Hourly so every user gets the digest at their own local send hour
+  cron.schedule('0 * * * *', () => {
+    logger.info('Running daily digest job');
     generateDailyDigest();
   }, {
     timezone: 'UTC'
@@ -222,6 +422,27 @@ const startScheduledJobs = () => {
     timezone: 'UTC'
   });
 
+  cron.schedule('30 3 * * *', () => {
+    logger.info('Running daily trash purge at 3:30 AM');
+    purgeTrash();
+  }, {
+    timezone: 'UTC'
+  });
+
+  cron.schedule('*/15 * * * *', () => {
+    logger.info('Running recurring task generation every 15 minutes');
+    generateRecurringTasks();
+  }, {
+    timezone: 'UTC'
+  });
+
+  // Runs quietly every minute; only logs when there was something to retry
+  cron.schedule('* * * * *', () => {
+    retryWebhookDeliveries();
+  }, {
+    timezone: 'UTC'
+  });
+
   logger.info('All scheduled jobs started successfully');
 };
 
@@ -237,5 +458,8 @@ module.exports = {
   generateDailyDigest,
   checkOverdueTasks,
   cleanupCompletedTasks,
-  updateTaskStatistics
+  updateTaskStatistics,
+  purgeTrash,
+  generateRecurringTasks,
+  retryWebhookDeliveries
 }; 
\ No newline at end of file
@@ -1,5 +1,21 @@
-const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/supabase');
+const { auth, profiles } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Roles and account status live on our `profiles` table rather than the
+// auth provider's user. The row is loaded once and cached on the request.
+const loadProfile = async (req) => {
+  if (req.profile === undefined) {
+    const { data: profile, error } = await profiles.find(req.user.id, 'id, role, is_active');
+
+    if (error) {
+      throw error;
+    }
+
+    req.profile = profile;
+  }
+
+  return req.profile;
+};
 
 const authenticate = async (req, res, next) => {
   try {
@@ -14,7 +30,7 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    const { data: { user }, error } = await auth.getUser(token);
     
     if (error || !user) {
       return res.status(401).json({
@@ -24,6 +40,29 @@ const authenticate = async (req, res, next) => {
     }
 
     req.user = user;
+    req.accessToken = token;
+
+    // A failed lookup is our fault, not the token's
+    let profile;
+    try {
+      profile = await loadProfile(req);
+    } catch (error) {
+      logger.error('Profile fetch error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to load profile'
+      });
+    }
+
+    if (profile && profile.is_active === false) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    // Users without a profile row yet fall back to the default role
+    req.user.role = profile?.role || 'user';
     next();
   } catch (error) {
     return res.status(401).json({
@@ -56,4 +95,4 @@ const authorize = (...roles) => {
 module.exports = {
   authenticate,
   authorize
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,64 @@
+const multer = require('multer');
+const { maxAttachmentBytes, isAllowedMimeType } = require('../utils/attachments');
+
+const UNSUPPORTED_TYPE = 'UNSUPPORTED_TYPE';
+
+/**
+ * Parses a multipart/form-data upload of one file in the `field` form field
+ * into `req.file`, held in memory. Files over ATTACHMENT_MAX_BYTES are
+ * refused with a 413 and types outside ATTACHMENT_ALLOWED_TYPES with a 415,
+ * before anything is stored.
+ */
+const uploadFile = (field = 'file') => (req, res, next) => {
+  const maxBytes = maxAttachmentBytes();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    // File names are sent as UTF-8 by browsers and curl alike
+    defParamCharset: 'utf8',
+    fileFilter: (req, file, callback) => {
+      if (!isAllowedMimeType(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.code = UNSUPPORTED_TYPE;
+        return callback(error);
+      }
+
+      callback(null, true);
+    }
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: `File is larger than the ${maxBytes} byte limit`,
+        max_bytes: maxBytes
+      });
+    }
+
+    if (error.code === UNSUPPORTED_TYPE) {
+      return res.status(415).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadFile
+};
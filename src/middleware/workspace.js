@@ -0,0 +1,104 @@
+const Joi = require('joi');
+const { workspaces: workspaceRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+const WORKSPACE_ROLES = ['owner', 'admin', 'member', 'viewer'];
+const WRITE_ROLES = ['owner', 'admin', 'member'];
+const ADMIN_ROLES = ['owner', 'admin'];
+
+const workspaceIdSchema = Joi.string().uuid();
+
+const getMembership = async (workspaceId, userId) => {
+  const { data: membership, error } = await workspaceRepository.findMembership(workspaceId, userId);
+
+  if (error) {
+    throw error;
+  }
+
+  return membership;
+};
+
+/**
+ * Resolves the workspace context from the `:workspaceId` path parameter or
+ * the `X-Workspace-Id` header and checks the caller's membership role.
+ * Requests without a workspace context stay in personal scope
+ * (`req.workspace` is null). Must run after `authenticate`.
+ */
+const workspaceAccess = (...roles) => {
+  return async (req, res, next) => {
+    const workspaceId = req.params.workspaceId || req.headers['x-workspace-id'];
+
+    if (!workspaceId) {
+      req.workspace = null;
+      return next();
+    }
+
+    if (workspaceIdSchema.validate(workspaceId).error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid workspace ID'
+      });
+    }
+
+    let membership;
+    try {
+      membership = await getMembership(workspaceId, req.user.id);
+    } catch (error) {
+      logger.error('Workspace membership fetch error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to resolve workspace'
+      });
+    }
+
+    // Non-members get a 404 so workspace ids cannot be probed
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found'
+      });
+    }
+
+    if (roles.length && !roles.includes(membership.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient workspace permissions'
+      });
+    }
+
+    req.workspace = {
+      id: workspaceId,
+      name: membership.workspace?.name,
+      role: membership.role
+    };
+    next();
+  };
+};
+
+// The scope repositories read and write in: the request's workspace, or the
+// caller's own personal (workspace-less) tasks and categories.
+const accessScope = (req) => ({
+  userId: req.user.id,
+  workspaceId: req.workspace?.id || null
+});
+
+// Deleting and reassigning are reserved for the task creator, plus workspace admins.
+const canManageTask = (req, task) => (
+  task.created_by === req.user.id ||
+  Boolean(req.workspace && ADMIN_ROLES.includes(req.workspace.role))
+);
+
+const isWorkspaceMember = async (workspaceId, userId) => {
+  const membership = await getMembership(workspaceId, userId);
+  return Boolean(membership);
+};
+
+module.exports = {
+  WORKSPACE_ROLES,
+  WRITE_ROLES,
+  ADMIN_ROLES,
+  workspaceAccess,
+  accessScope,
+  canManageTask,
+  isWorkspaceMember
+};
@@ -1,8 +1,44 @@
 require('dotenv').config();
 
-const { supabaseAdmin } = require('../config/supabase');
+const { Client } = require('pg');
+const { runMigrations } = require('./runner');
 const logger = require('../utils/logger');
 
+// search_tasks before workspaces; created by 008 and restored when 009 is rolled back
+const SEARCH_TASKS_PERSONAL_SQL = `CREATE OR REPLACE FUNCTION search_tasks(p_user_id UUID, p_query TEXT, p_limit INTEGER DEFAULT 500)
+RETURNS TABLE (
+  task_id UUID,
+  rank REAL,
+  title_snippet TEXT,
+  description_snippet TEXT,
+  comment_snippet TEXT
+) AS $$
+  WITH search AS (SELECT to_tsquery('english', p_query) AS q)
+  SELECT
+    t.id,
+    ts_rank(t.search_vector, search.q),
+    CASE WHEN to_tsvector('english', t.title) @@ search.q
+      THEN ts_headline('english', t.title, search.q, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=TRUE')
+    END,
+    CASE WHEN to_tsvector('english', coalesce(t.description, '')) @@ search.q
+      THEN ts_headline('english', t.description, search.q, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5')
+    END,
+    (
+      SELECT ts_headline('english', c.content, search.q, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=1, MaxWords=20, MinWords=5')
+      FROM task_comments c
+      WHERE c.task_id = t.id AND to_tsvector('english', c.content) @@ search.q
+      ORDER BY ts_rank(to_tsvector('english', c.content), search.q) DESC
+      LIMIT 1
+    )
+  FROM tasks t, search
+  WHERE t.search_vector @@ search.q
+    AND (t.created_by = p_user_id OR t.assigned_to = p_user_id)
+  ORDER BY 2 DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;`;
+
+// Each migration's `sql` is checksummed once applied and must not be edited
+// afterwards; `down` reverses it and may be changed freely.
 const migrations = [
   {
     name: '001_create_profiles_table',
@@ -44,6 +80,10 @@ CREATE POLICY "Users can view own profile" ON profiles
 DROP POLICY IF EXISTS "Users can update own profile" ON profiles;
 CREATE POLICY "Users can update own profile" ON profiles
   FOR UPDATE USING (auth.uid() = id);
+    `,
+    down: `
+DROP TABLE IF EXISTS profiles;
+DROP FUNCTION IF EXISTS update_updated_at_column();
     `
   },
   {
@@ -77,6 +117,9 @@ ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
 DROP POLICY IF EXISTS "Users can manage own categories" ON categories;
 CREATE POLICY "Users can manage own categories" ON categories
   FOR ALL USING (auth.uid() = user_id);
+    `,
+    down: `
+DROP TABLE IF EXISTS categories;
     `
   },
   {
@@ -146,6 +189,10 @@ CREATE POLICY "Users can view tasks assigned to them" ON tasks
 DROP POLICY IF EXISTS "Users can update tasks assigned to them" ON tasks;
 CREATE POLICY "Users can update tasks assigned to them" ON tasks
   FOR UPDATE USING (auth.uid() = assigned_to);
+    `,
+    down: `
+DROP TABLE IF EXISTS tasks;
+DROP FUNCTION IF EXISTS set_completed_at();
     `
   },
   {
@@ -184,50 +231,1311 @@ CREATE POLICY "Users can manage comments on accessible tasks" ON task_comments
       AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid())
     )
   );
+    `,
+    down: `
+DROP TABLE IF EXISTS task_comments;
+    `
+  },
+  {
+    name: '005_add_subtasks_to_tasks',
+    sql: `
+-- Add parent/child relationship and ordering to tasks
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS position INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS require_subtasks_completed BOOLEAN DEFAULT FALSE NOT NULL;
+
+-- A task cannot be its own parent
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_parent_not_self;
+ALTER TABLE tasks ADD CONSTRAINT tasks_parent_not_self CHECK (parent_task_id IS NULL OR parent_task_id != id);
+
+-- Create index
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_task_id ON tasks(parent_task_id, position);
+    `,
+    down: `
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_parent_not_self;
+ALTER TABLE tasks DROP COLUMN IF EXISTS require_subtasks_completed;
+ALTER TABLE tasks DROP COLUMN IF EXISTS position;
+ALTER TABLE tasks DROP COLUMN IF EXISTS parent_task_id;
+    `
+  },
+  {
+    name: '006_add_recurrence_to_tasks',
+    sql: `
+-- Recurring tasks: every occurrence is a task row sharing a series_id
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_start TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS series_id UUID;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS occurrence_index INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS next_occurrence_created BOOLEAN DEFAULT FALSE NOT NULL;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id, occurrence_index);
+CREATE INDEX IF NOT EXISTS idx_tasks_pending_recurrence ON tasks(due_date)
+  WHERE recurrence_rule IS NOT NULL AND next_occurrence_created = FALSE;
+    `,
+    down: `
+ALTER TABLE tasks DROP COLUMN IF EXISTS next_occurrence_created;
+ALTER TABLE tasks DROP COLUMN IF EXISTS occurrence_index;
+ALTER TABLE tasks DROP COLUMN IF EXISTS series_id;
+ALTER TABLE tasks DROP COLUMN IF EXISTS recurrence_start;
+ALTER TABLE tasks DROP COLUMN IF EXISTS recurrence_rule;
+    `
+  },
+  {
+    name: '007_create_task_dependencies_table',
+    sql: `
+-- Create task_dependencies table (task_id is blocked by depends_on_task_id)
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+  depends_on_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+  created_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(task_id, depends_on_task_id),
+  CHECK (task_id != depends_on_task_id)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_task_id ON task_dependencies(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies(depends_on_task_id);
+
+-- Enable RLS
+ALTER TABLE task_dependencies ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policy
+DROP POLICY IF EXISTS "Users can manage dependencies on accessible tasks" ON task_dependencies;
+CREATE POLICY "Users can manage dependencies on accessible tasks" ON task_dependencies
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_dependencies.task_id
+      AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid())
+    )
+  );
+    `,
+    down: `
+DROP TABLE IF EXISTS task_dependencies;
+    `
+  },
+  {
+    name: '008_add_task_full_text_search',
+    sql: `
+-- Searchable document per task: title (A), description (B), comments (C)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION task_search_document(p_task_id UUID, p_title TEXT, p_description TEXT)
+RETURNS TSVECTOR AS $$
+  SELECT
+    setweight(to_tsvector('english', coalesce(p_title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(p_description, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(
+      (SELECT string_agg(content, ' ') FROM task_comments WHERE task_id = p_task_id), ''
+    )), 'C');
+$$ LANGUAGE sql STABLE;
+
+-- Keep search_vector current when the task itself changes
+CREATE OR REPLACE FUNCTION set_task_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector = task_search_document(NEW.id, NEW.title, NEW.description);
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_task_search_vector ON tasks;
+CREATE TRIGGER set_task_search_vector
+  BEFORE INSERT OR UPDATE OF title, description ON tasks
+  FOR EACH ROW EXECUTE FUNCTION set_task_search_vector();
+
+-- ...and when one of its comments changes
+CREATE OR REPLACE FUNCTION refresh_task_search_vector_from_comment()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_task_id UUID := COALESCE(NEW.task_id, OLD.task_id);
+BEGIN
+  UPDATE tasks
+    SET search_vector = task_search_document(id, title, description)
+    WHERE id = target_task_id;
+  RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS refresh_task_search_vector ON task_comments;
+CREATE TRIGGER refresh_task_search_vector
+  AFTER INSERT OR UPDATE OF content OR DELETE ON task_comments
+  FOR EACH ROW EXECUTE FUNCTION refresh_task_search_vector_from_comment();
+
+-- Backfill existing tasks
+UPDATE tasks SET search_vector = task_search_document(id, title, description);
+
+-- Create index
+CREATE INDEX IF NOT EXISTS idx_tasks_search_vector ON tasks USING GIN(search_vector);
+
+-- Ranked search with highlighted snippets, limited to tasks the user can see
+${SEARCH_TASKS_PERSONAL_SQL}
+    `,
+    down: `
+DROP FUNCTION IF EXISTS search_tasks(UUID, TEXT, INTEGER);
+DROP TRIGGER IF EXISTS refresh_task_search_vector ON task_comments;
+DROP TRIGGER IF EXISTS set_task_search_vector ON tasks;
+DROP FUNCTION IF EXISTS refresh_task_search_vector_from_comment();
+DROP FUNCTION IF EXISTS set_task_search_vector();
+DROP FUNCTION IF EXISTS task_search_document(UUID, TEXT, TEXT);
+ALTER TABLE tasks DROP COLUMN IF EXISTS search_vector;
+    `
+  },
+  {
+    name: '009_create_workspaces',
+    sql: `
+-- Create workspaces table
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT,
+  owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Drop and create trigger for workspaces
+DROP TRIGGER IF EXISTS update_workspaces_updated_at ON workspaces;
+CREATE TRIGGER update_workspaces_updated_at
+  BEFORE UPDATE ON workspaces
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create workspace_members table
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  role TEXT DEFAULT 'member' NOT NULL CHECK (role IN ('owner', 'admin', 'member', 'viewer')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+
+-- Scope tasks and categories to an optional workspace (NULL = personal)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_workspace_id ON tasks(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_categories_workspace_id ON categories(workspace_id);
+
+-- Category names are unique per user for personal categories and per workspace for shared ones
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_name_user_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_personal_name ON categories(user_id, name) WHERE workspace_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_workspace_name ON categories(workspace_id, name) WHERE workspace_id IS NOT NULL;
+
+-- Membership lookup for policies; SECURITY DEFINER avoids recursive RLS on workspace_members
+CREATE OR REPLACE FUNCTION workspace_role(p_workspace_id UUID, p_user_id UUID)
+RETURNS TEXT AS $$
+  SELECT role FROM workspace_members WHERE workspace_id = p_workspace_id AND user_id = p_user_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Enable RLS
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies for workspaces
+DROP POLICY IF EXISTS "Members can view workspaces" ON workspaces;
+CREATE POLICY "Members can view workspaces" ON workspaces
+  FOR SELECT USING (workspace_role(id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Users can create workspaces they own" ON workspaces;
+CREATE POLICY "Users can create workspaces they own" ON workspaces
+  FOR INSERT WITH CHECK (auth.uid() = owner_id);
+
+DROP POLICY IF EXISTS "Admins can update workspaces" ON workspaces;
+CREATE POLICY "Admins can update workspaces" ON workspaces
+  FOR UPDATE USING (workspace_role(id, auth.uid()) IN ('owner', 'admin'));
+
+DROP POLICY IF EXISTS "Owners can delete workspaces" ON workspaces;
+CREATE POLICY "Owners can delete workspaces" ON workspaces
+  FOR DELETE USING (workspace_role(id, auth.uid()) = 'owner');
+
+-- Drop and create RLS policies for workspace_members
+DROP POLICY IF EXISTS "Members can view fellow members" ON workspace_members;
+CREATE POLICY "Members can view fellow members" ON workspace_members
+  FOR SELECT USING (workspace_role(workspace_id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins can manage members" ON workspace_members;
+CREATE POLICY "Admins can manage members" ON workspace_members
+  FOR ALL USING (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin'));
+
+DROP POLICY IF EXISTS "Creators can join their workspace as owner" ON workspace_members;
+CREATE POLICY "Creators can join their workspace as owner" ON workspace_members
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND role = 'owner'
+    AND EXISTS (SELECT 1 FROM workspaces WHERE workspaces.id = workspace_id AND workspaces.owner_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Members can leave workspaces" ON workspace_members;
+CREATE POLICY "Members can leave workspaces" ON workspace_members
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Replace category policies: personal categories stay owner-only, shared ones follow roles
+DROP POLICY IF EXISTS "Users can manage own categories" ON categories;
+CREATE POLICY "Users can manage own categories" ON categories
+  FOR ALL USING (workspace_id IS NULL AND auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Members can view workspace categories" ON categories;
+CREATE POLICY "Members can view workspace categories" ON categories
+  FOR SELECT USING (workspace_role(workspace_id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Contributors can create workspace categories" ON categories;
+CREATE POLICY "Contributors can create workspace categories" ON categories
+  FOR INSERT WITH CHECK (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin', 'member'));
+
+DROP POLICY IF EXISTS "Contributors can update workspace categories" ON categories;
+CREATE POLICY "Contributors can update workspace categories" ON categories
+  FOR UPDATE USING (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin', 'member'));
+
+DROP POLICY IF EXISTS "Admins can delete workspace categories" ON categories;
+CREATE POLICY "Admins can delete workspace categories" ON categories
+  FOR DELETE USING (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin'));
+
+-- Replace task policies
+DROP POLICY IF EXISTS "Users can manage tasks they created" ON tasks;
+CREATE POLICY "Users can manage tasks they created" ON tasks
+  FOR ALL USING (workspace_id IS NULL AND auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Users can view tasks assigned to them" ON tasks;
+CREATE POLICY "Users can view tasks assigned to them" ON tasks
+  FOR SELECT USING (workspace_id IS NULL AND auth.uid() = assigned_to);
+
+DROP POLICY IF EXISTS "Users can update tasks assigned to them" ON tasks;
+CREATE POLICY "Users can update tasks assigned to them" ON tasks
+  FOR UPDATE USING (workspace_id IS NULL AND auth.uid() = assigned_to);
+
+DROP POLICY IF EXISTS "Members can view workspace tasks" ON tasks;
+CREATE POLICY "Members can view workspace tasks" ON tasks
+  FOR SELECT USING (workspace_role(workspace_id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Contributors can create workspace tasks" ON tasks;
+CREATE POLICY "Contributors can create workspace tasks" ON tasks
+  FOR INSERT WITH CHECK (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin', 'member'));
+
+DROP POLICY IF EXISTS "Contributors can update workspace tasks" ON tasks;
+CREATE POLICY "Contributors can update workspace tasks" ON tasks
+  FOR UPDATE USING (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin', 'member'));
+
+DROP POLICY IF EXISTS "Creators and admins can delete workspace tasks" ON tasks;
+CREATE POLICY "Creators and admins can delete workspace tasks" ON tasks
+  FOR DELETE USING (
+    workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin')
+    OR (auth.uid() = created_by AND workspace_role(workspace_id, auth.uid()) = 'member')
+  );
+
+-- Comments and dependencies follow task visibility
+DROP POLICY IF EXISTS "Users can manage comments on accessible tasks" ON task_comments;
+CREATE POLICY "Users can manage comments on accessible tasks" ON task_comments
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_comments.task_id
+      AND (
+        (tasks.workspace_id IS NULL AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid()))
+        OR workspace_role(tasks.workspace_id, auth.uid()) IS NOT NULL
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can manage dependencies on accessible tasks" ON task_dependencies;
+CREATE POLICY "Users can manage dependencies on accessible tasks" ON task_dependencies
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_dependencies.task_id
+      AND (
+        (tasks.workspace_id IS NULL AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid()))
+        OR workspace_role(tasks.workspace_id, auth.uid()) IS NOT NULL
+      )
+    )
+  );
+
+-- Search within the personal scope or a single workspace
+DROP FUNCTION IF EXISTS search_tasks(UUID, TEXT, INTEGER);
+CREATE OR REPLACE FUNCTION search_tasks(
+  p_user_id UUID,
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 500,
+  p_workspace_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  task_id UUID,
+  rank REAL,
+  title_snippet TEXT,
+  description_snippet TEXT,
+  comment_snippet TEXT
+) AS $$
+  WITH search AS (SELECT to_tsquery('english', p_query) AS q)
+  SELECT
+    t.id,
+    ts_rank(t.search_vector, search.q),
+    CASE WHEN to_tsvector('english', t.title) @@ search.q
+      THEN ts_headline('english', t.title, search.q, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=TRUE')
+    END,
+    CASE WHEN to_tsvector('english', coalesce(t.description, '')) @@ search.q
+      THEN ts_headline('english', t.description, search.q, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5')
+    END,
+    (
+      SELECT ts_headline('english', c.content, search.q, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=1, MaxWords=20, MinWords=5')
+      FROM task_comments c
+      WHERE c.task_id = t.id AND to_tsvector('english', c.content) @@ search.q
+      ORDER BY ts_rank(to_tsvector('english', c.content), search.q) DESC
+      LIMIT 1
+    )
+  FROM tasks t, search
+  WHERE t.search_vector @@ search.q
+    AND CASE
+      WHEN p_workspace_id IS NULL
+        THEN t.workspace_id IS NULL AND (t.created_by = p_user_id OR t.assigned_to = p_user_id)
+      ELSE t.workspace_id = p_workspace_id
+    END
+  ORDER BY 2 DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+    `,
+    down: `
+-- Restore the pre-workspace policies from 002, 003, 004 and 007
+DROP POLICY IF EXISTS "Members can view workspace categories" ON categories;
+DROP POLICY IF EXISTS "Contributors can create workspace categories" ON categories;
+DROP POLICY IF EXISTS "Contributors can update workspace categories" ON categories;
+DROP POLICY IF EXISTS "Admins can delete workspace categories" ON categories;
+DROP POLICY IF EXISTS "Users can manage own categories" ON categories;
+CREATE POLICY "Users can manage own categories" ON categories
+  FOR ALL USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Members can view workspace tasks" ON tasks;
+DROP POLICY IF EXISTS "Contributors can create workspace tasks" ON tasks;
+DROP POLICY IF EXISTS "Contributors can update workspace tasks" ON tasks;
+DROP POLICY IF EXISTS "Creators and admins can delete workspace tasks" ON tasks;
+
+DROP POLICY IF EXISTS "Users can manage tasks they created" ON tasks;
+CREATE POLICY "Users can manage tasks they created" ON tasks
+  FOR ALL USING (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Users can view tasks assigned to them" ON tasks;
+CREATE POLICY "Users can view tasks assigned to them" ON tasks
+  FOR SELECT USING (auth.uid() = assigned_to);
+
+DROP POLICY IF EXISTS "Users can update tasks assigned to them" ON tasks;
+CREATE POLICY "Users can update tasks assigned to them" ON tasks
+  FOR UPDATE USING (auth.uid() = assigned_to);
+
+DROP POLICY IF EXISTS "Users can manage comments on accessible tasks" ON task_comments;
+CREATE POLICY "Users can manage comments on accessible tasks" ON task_comments
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_comments.task_id
+      AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid())
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can manage dependencies on accessible tasks" ON task_dependencies;
+CREATE POLICY "Users can manage dependencies on accessible tasks" ON task_dependencies
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_dependencies.task_id
+      AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid())
+    )
+  );
+
+-- Restore the personal-only search from 008
+DROP FUNCTION IF EXISTS search_tasks(UUID, TEXT, INTEGER, UUID);
+${SEARCH_TASKS_PERSONAL_SQL}
+
+DROP INDEX IF EXISTS idx_categories_personal_name;
+DROP INDEX IF EXISTS idx_categories_workspace_name;
+ALTER TABLE categories DROP COLUMN IF EXISTS workspace_id;
+ALTER TABLE tasks DROP COLUMN IF EXISTS workspace_id;
+ALTER TABLE categories ADD CONSTRAINT categories_name_user_id_key UNIQUE (name, user_id);
+
+DROP TABLE IF EXISTS workspace_members;
+DROP TABLE IF EXISTS workspaces;
+DROP FUNCTION IF EXISTS workspace_role(UUID, UUID);
+    `
+  },
+  {
+    name: '010_add_profile_account_status',
+    sql: `
+-- Account status for admin deactivation
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE NOT NULL;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_profiles_role ON profiles(role);
+
+-- Role lookup for policies; SECURITY DEFINER avoids recursive RLS on profiles
+CREATE OR REPLACE FUNCTION is_admin(p_user_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM profiles WHERE id = p_user_id AND role = 'admin' AND is_active);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Admins can view all profiles" ON profiles;
+CREATE POLICY "Admins can view all profiles" ON profiles
+  FOR SELECT USING (is_admin(auth.uid()));
+
+DROP POLICY IF EXISTS "Admins can update all profiles" ON profiles;
+CREATE POLICY "Admins can update all profiles" ON profiles
+  FOR UPDATE USING (is_admin(auth.uid()));
+
+DROP POLICY IF EXISTS "Admins can view all tasks" ON tasks;
+CREATE POLICY "Admins can view all tasks" ON tasks
+  FOR SELECT USING (is_admin(auth.uid()));
+    `,
+    down: `
+DROP POLICY IF EXISTS "Admins can view all tasks" ON tasks;
+DROP POLICY IF EXISTS "Admins can update all profiles" ON profiles;
+DROP POLICY IF EXISTS "Admins can view all profiles" ON profiles;
+DROP FUNCTION IF EXISTS is_admin(UUID);
+DROP INDEX IF EXISTS idx_profiles_role;
+ALTER TABLE profiles DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE profiles DROP COLUMN IF EXISTS is_active;
+    `
+  },
+  {
+    name: '011_create_activity_log_table',
+    sql: `
+-- Append-only audit trail; entity ids are not foreign keys so history outlives deletes
+CREATE TABLE IF NOT EXISTS activity_log (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('task', 'category', 'comment', 'dependency')),
+  entity_id UUID NOT NULL,
+  task_id UUID,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'assign', 'status', 'delete')),
+  changes JSONB DEFAULT '{}'::jsonb NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_activity_log_task_id ON activity_log(task_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_actor_id ON activity_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_workspace_id ON activity_log(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_entity ON activity_log(entity_type, entity_id);
+
+-- Enable RLS
+ALTER TABLE activity_log ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies (no UPDATE or DELETE policies: the log is append-only)
+DROP POLICY IF EXISTS "Users can view relevant activity" ON activity_log;
+CREATE POLICY "Users can view relevant activity" ON activity_log
+  FOR SELECT USING (
+    auth.uid() = actor_id OR
+    (workspace_id IS NOT NULL AND workspace_role(workspace_id, auth.uid()) IS NOT NULL) OR
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = activity_log.task_id
+      AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid())
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can record their own activity" ON activity_log;
+CREATE POLICY "Users can record their own activity" ON activity_log
+  FOR INSERT WITH CHECK (actor_id IS NULL OR auth.uid() = actor_id);
+    `,
+    down: `
+DROP TABLE IF EXISTS activity_log;
+    `
+  },
+  {
+    name: '012_create_webhooks_tables',
+    sql: `
+-- Outgoing webhook subscriptions, personal (workspace_id NULL) or per workspace
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  description TEXT,
+  is_active BOOLEAN DEFAULT TRUE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE NOT NULL,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_workspace_id ON webhooks(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_events ON webhooks USING GIN(events);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Drop and create trigger for webhooks
+DROP TRIGGER IF EXISTS update_webhooks_updated_at ON webhooks;
+CREATE TRIGGER update_webhooks_updated_at
+  BEFORE UPDATE ON webhooks
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Users can manage their webhooks" ON webhooks;
+CREATE POLICY "Users can manage their webhooks" ON webhooks
+  FOR ALL USING (
+    (workspace_id IS NULL AND auth.uid() = user_id) OR
+    workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin')
+  );
+
+DROP POLICY IF EXISTS "Users can view deliveries of their webhooks" ON webhook_deliveries;
+CREATE POLICY "Users can view deliveries of their webhooks" ON webhook_deliveries
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM webhooks
+      WHERE webhooks.id = webhook_deliveries.webhook_id
+      AND (
+        (webhooks.workspace_id IS NULL AND webhooks.user_id = auth.uid()) OR
+        workspace_role(webhooks.workspace_id, auth.uid()) IN ('owner', 'admin')
+      )
+    )
+  );
+    `,
+    down: `
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
+    `
+  },
+  {
+    name: '013_add_digest_preferences_and_deliveries',
+    sql: `
+-- Daily digest preferences
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS digest_enabled BOOLEAN DEFAULT TRUE NOT NULL;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS digest_send_hour SMALLINT DEFAULT 8 NOT NULL CHECK (digest_send_hour BETWEEN 0 AND 23);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'UTC' NOT NULL;
+
+-- One row per user and local day; the unique key prevents double-sends
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  digest_date DATE NOT NULL,
+  status TEXT DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'sent', 'skipped', 'failed')),
+  attempts INTEGER DEFAULT 1 NOT NULL,
+  completed_yesterday INTEGER,
+  overdue_tasks INTEGER,
+  due_today INTEGER,
+  message_id TEXT,
+  error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, digest_date)
+);
+
+-- Enable RLS
+ALTER TABLE digest_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Users can view their digest deliveries" ON digest_deliveries;
+CREATE POLICY "Users can view their digest deliveries" ON digest_deliveries
+  FOR SELECT USING (auth.uid() = user_id);
+    `,
+    down: `
+DROP TABLE IF EXISTS digest_deliveries;
+ALTER TABLE profiles DROP COLUMN IF EXISTS timezone;
+ALTER TABLE profiles DROP COLUMN IF EXISTS digest_send_hour;
+ALTER TABLE profiles DROP COLUMN IF EXISTS digest_enabled;
+    `
+  },
+  {
+    name: '014_create_notifications_table',
+    sql: `
+-- In-app notifications; dedupe_key lets repeated generators (the overdue job) insert at most once
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('task_assigned', 'task_completed', 'comment_mention', 'task_overdue')),
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  message TEXT NOT NULL,
+  data JSONB DEFAULT '{}'::jsonb NOT NULL,
+  dedupe_key TEXT,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, dedupe_key)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_task_id ON notifications(task_id);
+
+-- Enable RLS
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Users can view their notifications" ON notifications;
+CREATE POLICY "Users can view their notifications" ON notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can mark their notifications read" ON notifications;
+CREATE POLICY "Users can mark their notifications read" ON notifications
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Notifications are written on behalf of the actor, or by scheduled jobs
+DROP POLICY IF EXISTS "Users can notify others of their actions" ON notifications;
+CREATE POLICY "Users can notify others of their actions" ON notifications
+  FOR INSERT WITH CHECK (actor_id IS NULL OR auth.uid() = actor_id);
+    `,
+    down: `
+DROP TABLE IF EXISTS notifications;
+    `
+  },
+  {
+    name: '015_create_task_imports_table',
+    sql: `
+-- Idempotency records for POST /api/tasks/import; a repeated key replays the stored result
+CREATE TABLE IF NOT EXISTS task_imports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT DEFAULT 'processing' NOT NULL CHECK (status IN ('processing', 'completed', 'failed')),
+  result JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE(user_id, idempotency_key)
+);
+
+-- Enable RLS
+ALTER TABLE task_imports ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Users can manage their imports" ON task_imports;
+CREATE POLICY "Users can manage their imports" ON task_imports
+  FOR ALL USING (auth.uid() = user_id);
+    `,
+    down: `
+DROP TABLE IF EXISTS task_imports;
+    `
+  },
+  {
+    name: '016_add_profile_calendar_token',
+    sql: `
+-- Secret token for the per-user iCalendar feed; NULL until first requested
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS calendar_token TEXT UNIQUE;
+    `,
+    down: `
+ALTER TABLE profiles DROP COLUMN IF EXISTS calendar_token;
+    `
+  },
+  {
+    name: '017_create_saved_views_table',
+    sql: `
+-- Saved task list filters; shared views are visible to every member of their workspace
+CREATE TABLE IF NOT EXISTS saved_views (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  filters JSONB DEFAULT '{}'::jsonb NOT NULL,
+  is_shared BOOLEAN DEFAULT FALSE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (NOT is_shared OR workspace_id IS NOT NULL)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_saved_views_user_id ON saved_views(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_views_shared ON saved_views(workspace_id) WHERE is_shared;
+
+-- Drop and create trigger for saved_views
+DROP TRIGGER IF EXISTS update_saved_views_updated_at ON saved_views;
+CREATE TRIGGER update_saved_views_updated_at
+  BEFORE UPDATE ON saved_views
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Users can view their own and shared views" ON saved_views;
+CREATE POLICY "Users can view their own and shared views" ON saved_views
+  FOR SELECT USING (
+    auth.uid() = user_id OR
+    (is_shared AND workspace_role(workspace_id, auth.uid()) IS NOT NULL)
+  );
+
+DROP POLICY IF EXISTS "Users can manage their own views" ON saved_views;
+CREATE POLICY "Users can manage their own views" ON saved_views
+  FOR ALL USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Workspace admins can delete shared views" ON saved_views;
+CREATE POLICY "Workspace admins can delete shared views" ON saved_views
+  FOR DELETE USING (is_shared AND workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin'));
+    `,
+    down: `
+DROP TABLE IF EXISTS saved_views;
+    `
+  },
+  {
+    name: '018_create_tags_tables',
+    sql: `
+-- Free-form task labels, personal (workspace_id NULL) or per workspace like categories
+CREATE TABLE IF NOT EXISTS tags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  color TEXT DEFAULT '#6b7280',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS task_tags (
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+  tag_id UUID REFERENCES tags(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (task_id, tag_id)
+);
+
+-- Tag names are unique, ignoring case, per user for personal tags and per workspace for shared ones
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_personal_name ON tags(user_id, LOWER(name)) WHERE workspace_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_workspace_name ON tags(workspace_id, LOWER(name)) WHERE workspace_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id);
+
+-- Drop and create trigger for tags
+DROP TRIGGER IF EXISTS update_tags_updated_at ON tags;
+CREATE TRIGGER update_tags_updated_at
+  BEFORE UPDATE ON tags
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_tags ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Users can manage own tags" ON tags;
+CREATE POLICY "Users can manage own tags" ON tags
+  FOR ALL USING (workspace_id IS NULL AND auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Members can view workspace tags" ON tags;
+CREATE POLICY "Members can view workspace tags" ON tags
+  FOR SELECT USING (workspace_role(workspace_id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Contributors can create workspace tags" ON tags;
+CREATE POLICY "Contributors can create workspace tags" ON tags
+  FOR INSERT WITH CHECK (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin', 'member'));
+
+DROP POLICY IF EXISTS "Contributors can update workspace tags" ON tags;
+CREATE POLICY "Contributors can update workspace tags" ON tags
+  FOR UPDATE USING (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin', 'member'));
+
+DROP POLICY IF EXISTS "Admins can delete workspace tags" ON tags;
+CREATE POLICY "Admins can delete workspace tags" ON tags
+  FOR DELETE USING (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin'));
+
+DROP POLICY IF EXISTS "Users can tag accessible tasks" ON task_tags;
+CREATE POLICY "Users can tag accessible tasks" ON task_tags
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_tags.task_id
+      AND (
+        (tasks.workspace_id IS NULL AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid()))
+        OR workspace_role(tasks.workspace_id, auth.uid()) IS NOT NULL
+      )
+    )
+  );
+
+-- Move every task from one tag to another and drop the source, in one transaction
+CREATE OR REPLACE FUNCTION merge_tags(p_source_id UUID, p_target_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  moved INTEGER;
+BEGIN
+  INSERT INTO task_tags (task_id, tag_id)
+  SELECT task_id, p_target_id FROM task_tags WHERE tag_id = p_source_id
+  ON CONFLICT DO NOTHING;
+
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  DELETE FROM tags WHERE id = p_source_id;
+
+  RETURN moved;
+END;
+$$ LANGUAGE plpgsql;
+    `,
+    down: `
+DROP FUNCTION IF EXISTS merge_tags(UUID, UUID);
+DROP TABLE IF EXISTS task_tags;
+DROP TABLE IF EXISTS tags;
+    `
+  },
+  {
+    name: '019_create_workflows_table',
+    sql: `
+-- Custom task workflows. statuses is the ordered list of
+-- { key, name, category }; the category (todo, in_progress, completed) is what
+-- tasks.status stores, so completed_at, analytics and dependencies follow it.
+-- transitions maps a status key to the keys it may move to (NULL = any).
+CREATE TABLE IF NOT EXISTS workflows (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  statuses JSONB NOT NULL,
+  transitions JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A category's workflow wins over its workspace's; neither means the built-in todo/in_progress/completed
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS workflow_id UUID REFERENCES workflows(id) ON DELETE SET NULL;
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS workflow_id UUID REFERENCES workflows(id) ON DELETE SET NULL;
+
+-- The task's key within its workflow; NULL under the built-in workflow
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS workflow_status TEXT;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_workflows_user_id ON workflows(user_id);
+CREATE INDEX IF NOT EXISTS idx_workflows_workspace_id ON workflows(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_workflow_status ON tasks(workflow_status) WHERE workflow_status IS NOT NULL;
+
+-- Drop and create trigger for workflows
+DROP TRIGGER IF EXISTS update_workflows_updated_at ON workflows;
+CREATE TRIGGER update_workflows_updated_at
+  BEFORE UPDATE ON workflows
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE workflows ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies
+DROP POLICY IF EXISTS "Users can manage own workflows" ON workflows;
+CREATE POLICY "Users can manage own workflows" ON workflows
+  FOR ALL USING (workspace_id IS NULL AND auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Members can view workspace workflows" ON workflows;
+CREATE POLICY "Members can view workspace workflows" ON workflows
+  FOR SELECT USING (workspace_role(workspace_id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins can manage workspace workflows" ON workflows;
+CREATE POLICY "Admins can manage workspace workflows" ON workflows
+  FOR ALL USING (workspace_role(workspace_id, auth.uid()) IN ('owner', 'admin'));
+    `,
+    down: `
+ALTER TABLE tasks DROP COLUMN IF EXISTS workflow_status;
+ALTER TABLE workspaces DROP COLUMN IF EXISTS workflow_id;
+ALTER TABLE categories DROP COLUMN IF EXISTS workflow_id;
+DROP TABLE IF EXISTS workflows;
+    `
+  },
+  {
+    name: '020_create_time_entries_table',
+    sql: `
+-- Planned effort in minutes
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimate_minutes INTEGER CHECK (estimate_minutes > 0);
+
+-- Time logged on tasks, from a timer or entered by hand. A running timer has
+-- no ended_at or duration yet.
+CREATE TABLE IF NOT EXISTS time_entries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  duration_minutes INTEGER CHECK (duration_minutes >= 0),
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((ended_at IS NULL) = (duration_minutes IS NULL))
+);
+
+-- Create indexes; a user has at most one running timer
+CREATE INDEX IF NOT EXISTS idx_time_entries_task_id ON time_entries(task_id);
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_started ON time_entries(user_id, started_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+
+-- Drop and create trigger for time_entries
+DROP TRIGGER IF EXISTS update_time_entries_updated_at ON time_entries;
+CREATE TRIGGER update_time_entries_updated_at
+  BEFORE UPDATE ON time_entries
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE time_entries ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies: entries follow task visibility, and only
+-- their author writes them
+DROP POLICY IF EXISTS "Users can view time on accessible tasks" ON time_entries;
+CREATE POLICY "Users can view time on accessible tasks" ON time_entries
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = time_entries.task_id
+      AND (
+        (tasks.workspace_id IS NULL AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid()))
+        OR workspace_role(tasks.workspace_id, auth.uid()) IS NOT NULL
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can manage own time entries" ON time_entries;
+CREATE POLICY "Users can manage own time entries" ON time_entries
+  FOR ALL USING (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = time_entries.task_id
+      AND (
+        (tasks.workspace_id IS NULL AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid()))
+        OR workspace_role(tasks.workspace_id, auth.uid()) IN ('owner', 'admin', 'member')
+      )
+    )
+  );
+    `,
+    down: `
+DROP TABLE IF EXISTS time_entries;
+ALTER TABLE tasks DROP COLUMN IF EXISTS estimate_minutes;
+    `
+  },
+  {
+    name: '021_create_task_attachments_table',
+    sql: `
+-- Files attached to tasks. The contents live with the storage driver that
+-- wrote them (storage_driver), under storage_key.
+CREATE TABLE IF NOT EXISTS task_attachments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  file_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes BIGINT NOT NULL CHECK (size_bytes >= 0),
+  storage_driver TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(storage_driver, storage_key)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id);
+
+-- Enable RLS
+ALTER TABLE task_attachments ENABLE ROW LEVEL SECURITY;
+
+-- Drop and create RLS policies: attachments follow task visibility, and
+-- uploaders manage their own
+DROP POLICY IF EXISTS "Users can view attachments on accessible tasks" ON task_attachments;
+CREATE POLICY "Users can view attachments on accessible tasks" ON task_attachments
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_attachments.task_id
+      AND (
+        (tasks.workspace_id IS NULL AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid()))
+        OR workspace_role(tasks.workspace_id, auth.uid()) IS NOT NULL
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can manage own attachments" ON task_attachments;
+CREATE POLICY "Users can manage own attachments" ON task_attachments
+  FOR ALL USING (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM tasks
+      WHERE tasks.id = task_attachments.task_id
+      AND (
+        (tasks.workspace_id IS NULL AND (tasks.created_by = auth.uid() OR tasks.assigned_to = auth.uid()))
+        OR workspace_role(tasks.workspace_id, auth.uid()) IN ('owner', 'admin', 'member')
+      )
+    )
+  );
+    `,
+    down: `
+DROP TABLE IF EXISTS task_attachments;
+    `
+  },
+  {
+    name: '022_add_soft_delete',
+    sql: `
+-- Deleted tasks and categories stay in the trash until they are restored or
+-- the purge job removes them
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_categories_deleted_at ON categories(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- A category in the trash no longer holds on to its name
+DROP INDEX IF EXISTS idx_categories_personal_name;
+DROP INDEX IF EXISTS idx_categories_workspace_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_personal_name ON categories(user_id, name) WHERE workspace_id IS NULL AND deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_workspace_name ON categories(workspace_id, name) WHERE workspace_id IS NOT NULL AND deleted_at IS NULL;
+
+-- Restores are logged alongside deletes
+ALTER TABLE activity_log DROP CONSTRAINT IF EXISTS activity_log_action_check;
+ALTER TABLE activity_log ADD CONSTRAINT activity_log_action_check
+  CHECK (action IN ('create', 'update', 'assign', 'status', 'delete', 'restore'));
+    `,
+    down: `
+-- Without the columns trashed rows would reappear, so rolling back empties
+-- the trash
+DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+DELETE FROM categories WHERE deleted_at IS NOT NULL;
+DELETE FROM activity_log WHERE action = 'restore';
+
+ALTER TABLE activity_log DROP CONSTRAINT IF EXISTS activity_log_action_check;
+ALTER TABLE activity_log ADD CONSTRAINT activity_log_action_check
+  CHECK (action IN ('create', 'update', 'assign', 'status', 'delete'));
+
+DROP INDEX IF EXISTS idx_categories_personal_name;
+DROP INDEX IF EXISTS idx_categories_workspace_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_personal_name ON categories(user_id, name) WHERE workspace_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_workspace_name ON categories(workspace_id, name) WHERE workspace_id IS NOT NULL;
+
+ALTER TABLE categories DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE categories DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE tasks DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE tasks DROP COLUMN IF EXISTS deleted_at;
+    `
+  },
+  {
+    name: '023_add_time_entry_activity',
+    sql: `
+-- Logged time and timers are part of the audit trail
+ALTER TABLE activity_log DROP CONSTRAINT IF EXISTS activity_log_entity_type_check;
+ALTER TABLE activity_log ADD CONSTRAINT activity_log_entity_type_check
+  CHECK (entity_type IN ('task', 'category', 'comment', 'dependency', 'time_entry'));
+    `,
+    down: `
+DELETE FROM activity_log WHERE entity_type = 'time_entry';
+
+ALTER TABLE activity_log DROP CONSTRAINT IF EXISTS activity_log_entity_type_check;
+ALTER TABLE activity_log ADD CONSTRAINT activity_log_entity_type_check
+  CHECK (entity_type IN ('task', 'category', 'comment', 'dependency'));
+    `
+  },
+  {
+    name: '024_add_attachment_activity',
+    sql: `
+-- Uploads and removals are part of the audit trail
+ALTER TABLE activity_log DROP CONSTRAINT IF EXISTS activity_log_entity_type_check;
+ALTER TABLE activity_log ADD CONSTRAINT activity_log_entity_type_check
+  CHECK (entity_type IN ('task', 'category', 'comment', 'dependency', 'time_entry', 'attachment'));
+    `,
+    down: `
+DELETE FROM activity_log WHERE entity_type = 'attachment';
+
+ALTER TABLE activity_log DROP CONSTRAINT IF EXISTS activity_log_entity_type_check;
+ALTER TABLE activity_log ADD CONSTRAINT activity_log_entity_type_check
+  CHECK (entity_type IN ('task', 'category', 'comment', 'dependency', 'time_entry'));
+    `
+  },
+  {
+    name: '025_protect_profile_account_fields',
+    sql: `
+-- "Users can update own profile" covers every column, so without this users
+-- could make themselves admins or reactivate their own account. Requests
+-- without a user (the service role, migrations) are left alone.
+CREATE OR REPLACE FUNCTION protect_profile_account_fields()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL
+    AND NOT is_admin(auth.uid())
+    AND (NEW.role, NEW.is_active, NEW.deactivated_at)
+      IS DISTINCT FROM (OLD.role, OLD.is_active, OLD.deactivated_at)
+  THEN
+    RAISE EXCEPTION 'Only admins can change role, is_active or deactivated_at'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_account_fields ON profiles;
+CREATE TRIGGER protect_profile_account_fields
+  BEFORE UPDATE ON profiles
+  FOR EACH ROW EXECUTE FUNCTION protect_profile_account_fields();
+    `,
+    down: `
+DROP TRIGGER IF EXISTS protect_profile_account_fields ON profiles;
+DROP FUNCTION IF EXISTS protect_profile_account_fields();
+    `
+  },
+  {
+    name: '026_add_task_is_blocked',
+    sql: `
+-- Computed column for the task list's blocked filter: whether the task
+-- waits on an open blocker out of the trash. It runs with the caller's row
+-- level security, as the listing does.
+CREATE OR REPLACE FUNCTION is_blocked(task tasks)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM task_dependencies
+    JOIN tasks blocker ON blocker.id = task_dependencies.depends_on_task_id
+    WHERE task_dependencies.task_id = task.id
+      AND blocker.status <> 'completed'
+      AND blocker.deleted_at IS NULL
+  );
+$$ LANGUAGE sql STABLE;
+    `,
+    down: `
+DROP FUNCTION IF EXISTS is_blocked(tasks);
+    `
+  },
+  {
+    name: '027_add_logged_digest_status',
+    sql: `
+-- Digests the console and file mail transports only logged or saved, so
+-- they are not counted as sent
+ALTER TABLE digest_deliveries DROP CONSTRAINT IF EXISTS digest_deliveries_status_check;
+ALTER TABLE digest_deliveries ADD CONSTRAINT digest_deliveries_status_check
+  CHECK (status IN ('pending', 'sent', 'logged', 'skipped', 'failed'));
+    `,
+    down: `
+UPDATE digest_deliveries SET status = 'skipped' WHERE status = 'logged';
+
+ALTER TABLE digest_deliveries DROP CONSTRAINT IF EXISTS digest_deliveries_status_check;
+ALTER TABLE digest_deliveries ADD CONSTRAINT digest_deliveries_status_check
+  CHECK (status IN ('pending', 'sent', 'skipped', 'failed'));
+    `
+  },
+  {
+    name: '028_create_search_task_rows',
+    sql: `
+-- The tasks search_tasks() matches, as rows of tasks, so the task list can
+-- filter, sort and page its search results in one request. The snippet
+-- columns go unused, so the planner skips computing them.
+CREATE OR REPLACE FUNCTION search_task_rows(
+  p_user_id UUID,
+  p_query TEXT,
+  p_workspace_id UUID DEFAULT NULL
+)
+RETURNS SETOF tasks AS $$
+  SELECT t.*
+  FROM search_tasks(p_user_id, p_query, p_workspace_id => p_workspace_id) AS match
+  JOIN tasks t ON t.id = match.task_id;
+$$ LANGUAGE sql STABLE;
+    `,
+    down: `
+DROP FUNCTION IF EXISTS search_task_rows(UUID, TEXT, UUID);
     `
   }
 ];
 
-async function runMigrations() {
-  if (!supabaseAdmin) {
-    throw new Error('Supabase admin client not available. Please set SUPABASE_SERVICE_ROLE_KEY.');
+const COMMANDS = ['up', 'down', 'status', 'baseline'];
+
+const USAGE = `Usage: npm run migrate -- [up|down|status|baseline] [--dry-run] [--to <version>] [--steps <n>]
+
+  up        Apply pending migrations (through --to)
+  down      Roll back the last migration, the last --steps, or everything after --to
+  status    List migrations and whether they are applied
+  baseline  Record migrations as applied without running them (through --to)
+
+Connects to DATABASE_URL.`;
+
+const parseArgs = (args) => {
+  const options = { command: 'up', dryRun: false };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to') {
+      options.to = args[++i];
+    } else if (arg === '--steps') {
+      options.steps = Number(args[++i]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
   }
 
-  logger.info('Starting database migrations...');
-  logger.info('');
-  logger.info('='.repeat(80));
-  logger.info('MANUAL MIGRATION REQUIRED');
-  logger.info('='.repeat(80));
-  logger.info('');
-  logger.info('Please copy and paste the following SQL into your Supabase SQL Editor:');
-  logger.info('(Go to your Supabase Dashboard > SQL Editor > New Query)');
-  logger.info('');
-
-  let allSQL = '';
-  
-  for (const migration of migrations) {
-    logger.info(`-- ${migration.name}`);
-    logger.info(migration.sql);
-    logger.info('');
-    allSQL += `-- ${migration.name}\n${migration.sql}\n\n`;
+  if (positional.length > 1 || (positional[0] && !COMMANDS.includes(positional[0]))) {
+    throw new Error(`Unknown command ${positional.join(' ')}`);
   }
 
-  logger.info('='.repeat(80));
-  logger.info('');
-  logger.info('Complete SQL script (copy this entire block):');
-  logger.info('');
-  logger.info(allSQL);
-  logger.info('='.repeat(80));
-  logger.info('');
-  logger.info('After running the SQL in Supabase, your database will be ready!');
-  logger.info('Then you can start the server with: npm run dev');
+  if (options.to !== undefined && !/^\d{3}$/.test(options.to)) {
+    throw new Error('--to takes a three-digit migration version such as 017');
+  }
+
+  if (options.steps !== undefined && !(Number.isInteger(options.steps) && options.steps > 0)) {
+    throw new Error('--steps takes a positive integer');
+  }
+
+  return { ...options, command: positional[0] || options.command };
+};
+
+const printStatus = (status) => {
+  status.forEach((entry) => {
+    const appliedAt = entry.applied_at ? new Date(entry.applied_at).toISOString() : '';
+    logger.info(`${entry.state.padEnd(8)} ${entry.name.padEnd(48)} ${appliedAt}`);
+  });
+
+  const pending = status.filter(entry => entry.state === 'pending').length;
+  logger.info(`${status.length - pending} applied, ${pending} pending`);
+};
+
+async function main(args) {
+  let options;
+
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    logger.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    logger.error(`DATABASE_URL is not set. Use the Postgres connection string from your Supabase project settings, or a local database.\n\n${USAGE}`);
+    return 1;
+  }
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    const result = await runMigrations(client, migrations, options);
+
+    if (options.command === 'status') {
+      printStatus(result);
+    } else if (result.length > 0) {
+      const verb = { up: 'applied', down: 'rolled back', baseline: 'recorded' }[options.command];
+      logger.info(`${result.length} migration${result.length === 1 ? '' : 's'} ${options.dryRun ? `would be ${verb}` : verb}`);
+    }
+
+    return 0;
+  } finally {
+    await client.end();
+  }
 }
 
 if (require.main === module) {
-  runMigrations()
-    .then(() => {
-      logger.info('Migration instructions displayed');
-      process.exit(0);
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exit(code);
     })
     .catch((error) => {
       logger.error('Migration process failed:', error);
@@ -235,4 +1543,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { runMigrations }; 
\ No newline at end of file
+module.exports = { migrations, parseArgs };
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Held for the whole run so two deploys cannot migrate at the same time
+const ADVISORY_LOCK_ID = 4820117;
+
+const SCHEMA_MIGRATIONS_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+`;
+
+// Plain Postgres has no Supabase auth schema. The migrations only need
+// auth.users to reference and auth.uid() for policies, which reads the same
+// setting Supabase uses: SET request.jwt.claim.sub = '<user id>'.
+const LOCAL_AUTH_SQL = `
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  email TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION auth.uid()
+RETURNS UUID AS $$
+  SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID;
+$$ LANGUAGE sql STABLE;
+`;
+
+// Any edit to an applied migration's SQL, whitespace included, changes this
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+const versionOf = (migration) => migration.name.split('_')[0];
+
+const tableExists = async (client, table) => {
+  const { rows } = await client.query('SELECT to_regclass($1) AS oid', [table]);
+  return rows[0].oid !== null;
+};
+
+const loadApplied = async (client) => {
+  if (!await tableExists(client, 'public.schema_migrations')) {
+    return [];
+  }
+
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+/**
+ * One entry per migration known to the code or recorded in the database.
+ * `state` is `applied`, `pending`, `changed` (applied, but its SQL has been
+ * edited since) or `unknown` (applied, but no longer defined in the code).
+ */
+const getStatus = (migrations, applied) => {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const known = new Set(migrations.map(versionOf));
+
+  const entries = migrations.map((migration) => {
+    const version = versionOf(migration);
+    const row = appliedByVersion.get(version);
+
+    if (!row) {
+      return { version, name: migration.name, state: 'pending', applied_at: null };
+    }
+
+    return {
+      version,
+      name: migration.name,
+      state: row.checksum === checksum(migration.sql) ? 'applied' : 'changed',
+      applied_at: row.applied_at
+    };
+  });
+
+  const unknown = applied
+    .filter(row => !known.has(row.version))
+    .map(row => ({ version: row.version, name: row.name, state: 'unknown', applied_at: row.applied_at }));
+
+  return [...entries, ...unknown].sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const assertKnownVersion = (migrations, version) => {
+  if (version !== undefined && !migrations.some(migration => versionOf(migration) === version)) {
+    throw new Error(`Unknown migration version "${version}"`);
+  }
+};
+
+// Pending migrations in order, up to and including `to`
+const planUp = (migrations, status, { to } = {}) => {
+  assertKnownVersion(migrations, to);
+
+  const pending = new Set(status.filter(entry => entry.state === 'pending').map(entry => entry.version));
+
+  return migrations.filter(migration => (
+    pending.has(versionOf(migration)) && (to === undefined || versionOf(migration) <= to)
+  ));
+};
+
+// Applied migrations newest first: the last `steps`, or every one after `to`
+const planDown = (migrations, status, { to, steps = 1 } = {}) => {
+  assertKnownVersion(migrations, to);
+
+  const applied = status
+    .filter(entry => entry.state !== 'pending')
+    .reverse();
+
+  const selected = to === undefined
+    ? applied.slice(0, steps)
+    : applied.filter(entry => entry.version > to);
+
+  return selected.map((entry) => {
+    const migration = migrations.find(candidate => versionOf(candidate) === entry.version);
+
+    if (!migration) {
+      throw new Error(`Cannot roll back ${entry.name}: it is not defined in the code`);
+    }
+
+    if (!migration.down) {
+      throw new Error(`Cannot roll back ${migration.name}: it has no down migration`);
+    }
+
+    return migration;
+  });
+};
+
+const inTransaction = async (client, work) => {
+  await client.query('BEGIN');
+
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const applyMigration = (client, migration, direction) => inTransaction(client, async () => {
+  if (direction === 'up') {
+    await client.query(migration.sql);
+    await client.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [versionOf(migration), migration.name, checksum(migration.sql)]
+    );
+  } else {
+    await client.query(migration.down);
+    await client.query('DELETE FROM schema_migrations WHERE version = $1', [versionOf(migration)]);
+  }
+});
+
+const recordBaseline = (client, migration) => client.query(
+  'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3) ON CONFLICT (version) DO NOTHING',
+  [versionOf(migration), migration.name, checksum(migration.sql)]
+);
+
+/**
+ * Run `command` (`up`, `down`, `status` or `baseline`) with a connected
+ * `pg` client. `up` applies pending migrations (through `to`), `down` rolls
+ * back the last `steps` (default 1) or everything after `to`, and `baseline`
+ * records migrations as applied without running them, for databases set up
+ * by hand. Each migration runs in its own transaction together with its
+ * `schema_migrations` row. With `dryRun` nothing is written; the SQL that
+ * would run is logged instead. Refuses to run while any applied migration's
+ * checksum differs from the code. Resolves to the migrations it ran (or the
+ * status entries for `status`).
+ */
+const runMigrations = async (client, migrations, { command = 'up', dryRun = false, to, steps, log = logger } = {}) => {
+  await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_ID]);
+
+  try {
+    const status = getStatus(migrations, await loadApplied(client));
+
+    if (command === 'status') {
+      return status;
+    }
+
+    const changed = status.filter(entry => entry.state === 'changed');
+
+    if (changed.length > 0) {
+      throw new Error(
+        `Applied migrations were modified: ${changed.map(entry => entry.name).join(', ')}. ` +
+        'Restore their original SQL and add a new migration for further changes.'
+      );
+    }
+
+    const plan = command === 'down'
+      ? planDown(migrations, status, { to, steps })
+      : planUp(migrations, status, { to });
+
+    if (plan.length === 0) {
+      log.info(command === 'down' ? 'Nothing to roll back' : 'Database is up to date');
+      return [];
+    }
+
+    if (command === 'up' && !await tableExists(client, 'auth.users')) {
+      log.info('No auth.users table found; creating the local auth schema used outside Supabase');
+
+      if (dryRun) {
+        log.info(LOCAL_AUTH_SQL);
+      } else {
+        await client.query(LOCAL_AUTH_SQL);
+      }
+    }
+
+    if (!dryRun) {
+      await client.query(SCHEMA_MIGRATIONS_SQL);
+    }
+
+    for (const migration of plan) {
+      const verb = { up: 'Applying', down: 'Rolling back', baseline: 'Recording' }[command];
+      log.info(`${dryRun ? '[dry run] ' : ''}${verb} ${migration.name}`);
+
+      if (dryRun) {
+        if (command !== 'baseline') {
+          log.info(command === 'down' ? migration.down : migration.sql);
+        }
+        continue;
+      }
+
+      try {
+        if (command === 'baseline') {
+          await recordBaseline(client, migration);
+        } else {
+          await applyMigration(client, migration, command);
+        }
+      } catch (error) {
+        error.message = `${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+    }
+
+    return plan;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_ID]);
+  }
+};
+
+module.exports = {
+  checksum,
+  versionOf,
+  getStatus,
+  planUp,
+  planDown,
+  runMigrations
+};
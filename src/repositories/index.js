@@ -0,0 +1,30 @@
+/**
+ * Storage for tasks, categories, profiles, comments, task dependencies, time
+ * entries, attachment records, tags, saved views, notifications, the
+ * activity log, import records, workspaces and their members, workflows,
+ * webhooks and their deliveries and daily digest deliveries, and the
+ * sign-in provider behind them. STORAGE_ADAPTER picks the implementation:
+ *
+ * - `supabase` (default): Supabase Auth and the Postgres tables through
+ *   PostgREST; needs SUPABASE_URL and SUPABASE_ANON_KEY.
+ * - `memory`: everything in this process, so the API and its tests run
+ *   without Supabase. Data is lost on restart.
+ *
+ * Both resolve every call to `{ data, error }` (and `count` where asked),
+ * as the Supabase client does.
+ */
+const ADAPTERS = {
+  supabase: () => require('./supabase'),
+  memory: () => require('./memory').createMemoryRepositories()
+};
+
+const adapter = process.env.STORAGE_ADAPTER || 'supabase';
+
+if (!ADAPTERS[adapter]) {
+  throw new Error(`Unknown STORAGE_ADAPTER "${adapter}"; expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+}
+
+module.exports = {
+  adapter,
+  ...ADAPTERS[adapter]()
+};
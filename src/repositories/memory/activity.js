@@ -0,0 +1,55 @@
+const {
+  ok,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const createActivityRepository = (store) => {
+  const rows = () => [...store.activity.values()];
+
+  // The selected shape of ../supabase/activity.js
+  const withActor = (entry) => {
+    const actor = entry.actor_id && store.profiles.get(entry.actor_id);
+
+    return {
+      ...pick(entry),
+      actor: actor ? pick(actor, 'full_name, email') : null
+    };
+  };
+
+  return {
+    createMany: async (entries) => {
+      entries.forEach(entry => {
+        const row = { id: newId(), ...toRow(entry), created_at: now() };
+        store.activity.set(row.id, row);
+      });
+
+      return ok(null);
+    },
+
+    list: async ({ taskId, workspaceId, actorId }, { entity_type, action, actor_id, since, until }, { from, to }) => {
+      // Entries logged in the same millisecond stay newest first
+      const matches = rows()
+        .reverse()
+        .filter(entry => (
+          (!taskId || entry.task_id === taskId) &&
+          (!workspaceId || entry.workspace_id === workspaceId) &&
+          (!actorId || entry.actor_id === actorId) &&
+          (!entity_type || entry.entity_type === entity_type) &&
+          (!action || entry.action === action) &&
+          (!actor_id || entry.actor_id === actor_id) &&
+          (!since || entry.created_at >= since.toISOString()) &&
+          (!until || entry.created_at <= until.toISOString())
+        ))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+      return ok(matches.slice(from, to + 1).map(withActor), { count: matches.length });
+    }
+  };
+};
+
+module.exports = {
+  createActivityRepository
+};
@@ -0,0 +1,48 @@
+const {
+  ok,
+  single,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const ATTACHMENT_COLUMNS = 'id, task_id, user_id, file_name, mime_type, size_bytes, created_at';
+
+const createAttachmentRepository = (store) => {
+  const rows = () => [...store.attachments.values()];
+
+  const ofTasks = (taskIds) => rows()
+    .filter(attachment => taskIds.includes(attachment.task_id))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  return {
+    listByTasks: async (taskIds) => ok(ofTasks(taskIds).map(attachment => pick(attachment, ATTACHMENT_COLUMNS))),
+
+    listFilesByTasks: async (taskIds) => ok(
+      ofTasks(taskIds).map(attachment => pick(attachment, 'id, storage_driver, storage_key'))
+    ),
+
+    find: async (taskId, id) => single(
+      rows()
+        .filter(attachment => attachment.id === id && attachment.task_id === taskId)
+        .map(attachment => pick(attachment))
+    ),
+
+    create: async (attachment) => {
+      const row = { id: newId(), ...toRow(attachment), created_at: now() };
+
+      store.attachments.set(row.id, row);
+      return ok(pick(row, ATTACHMENT_COLUMNS));
+    },
+
+    remove: async (id) => {
+      store.attachments.delete(id);
+      return ok(null);
+    }
+  };
+};
+
+module.exports = {
+  createAttachmentRepository
+};
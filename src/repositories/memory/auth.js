@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { ok, newId, now } = require('./store');
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+
+const authError = (message, status) => ({
+  data: { user: null, session: null },
+  error: { message, status }
+});
+
+// The user as Supabase Auth returns it, without the password hash
+const publicUser = ({ id, email, user_metadata, created_at }) => ({
+  id,
+  email,
+  user_metadata,
+  created_at
+});
+
+/**
+ * Password sign-in standing in for Supabase Auth, with the same
+ * `{ data: { user, session }, error }` results. Access tokens are JWTs signed
+ * with JWT_SECRET (or a per-process secret without it) and tied to a session
+ * that signing out ends; refresh tokens are single-use.
+ */
+const createAuthRepository = (store, { secret = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex') } = {}) => {
+  const findByEmail = (email) => [...store.users.values()].find(user => user.email === email.toLowerCase());
+
+  const startSession = (user, sessionId = newId()) => {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    store.sessions.set(sessionId, { user_id: user.id, refresh_token: refreshToken });
+
+    return {
+      user: publicUser(user),
+      session: {
+        access_token: jwt.sign({ sub: user.id, email: user.email, session_id: sessionId }, secret, {
+          expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        }),
+        refresh_token: refreshToken,
+        token_type: 'bearer',
+        expires_in: ACCESS_TOKEN_TTL_SECONDS
+      }
+    };
+  };
+
+  // The token's claims while it is valid and its session is open, else null
+  const verify = (accessToken) => {
+    try {
+      const claims = jwt.verify(accessToken, secret);
+      return store.sessions.has(claims.session_id) ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    signUp: async ({ email, password, fullName }) => {
+      if (findByEmail(email)) {
+        return authError('User already registered', 422);
+      }
+
+      const user = {
+        id: newId(),
+        email: email.toLowerCase(),
+        password_hash: await bcrypt.hash(password, 10),
+        user_metadata: { full_name: fullName },
+        created_at: now()
+      };
+
+      store.users.set(user.id, user);
+      return ok(startSession(user));
+    },
+
+    signIn: async ({ email, password }) => {
+      const user = findByEmail(email);
+
+      if (!user || !await bcrypt.compare(password, user.password_hash)) {
+        return authError('Invalid login credentials', 400);
+      }
+
+      return ok(startSession(user));
+    },
+
+    signOut: async (accessToken) => {
+      const claims = verify(accessToken);
+
+      if (claims) {
+        store.sessions.delete(claims.session_id);
+      }
+
+      return { error: null };
+    },
+
+    refresh: async (refreshToken) => {
+      const [sessionId, session] = [...store.sessions].find(([, candidate]) => candidate.refresh_token === refreshToken) || [];
+      const user = session && store.users.get(session.user_id);
+
+      if (!user) {
+        return authError('Invalid Refresh Token', 400);
+      }
+
+      return ok(startSession(user, sessionId));
+    },
+
+    getUser: async (accessToken) => {
+      const claims = verify(accessToken);
+      const user = claims && store.users.get(claims.sub);
+
+      if (!user) {
+        return authError('Invalid or expired token', 401);
+      }
+
+      return ok({ user: publicUser(user) });
+    }
+  };
+};
+
+module.exports = {
+  createAuthRepository
+};
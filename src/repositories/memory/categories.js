@@ -0,0 +1,167 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId,
+  inCategoryScope
+} = require('./store');
+
+const CATEGORY_DEFAULTS = {
+  description: null,
+  color: '#6366f1',
+  workflow_id: null,
+  workspace_id: null,
+  deleted_at: null,
+  deleted_by: null
+};
+
+const createCategoryRepository = (store) => {
+  const rows = () => [...store.categories.values()];
+
+  // Lookups and listings skip categories in the trash unless they say otherwise
+  const live = () => rows().filter(category => !category.deleted_at);
+
+  // Names are unique per workspace, or per user outside workspaces, among
+  // the categories out of the trash
+  const nameTaken = (category) => live().some(other => (
+    other.id !== category.id &&
+    other.name === category.name &&
+    (category.workspace_id
+      ? other.workspace_id === category.workspace_id
+      : !other.workspace_id && other.user_id === category.user_id)
+  ));
+
+  const duplicateName = (category) => uniqueViolation(
+    category.workspace_id ? 'idx_categories_workspace_name' : 'idx_categories_personal_name'
+  );
+
+  const scoped = (id, scope, categories = live()) => categories.filter(category => (
+    category.id === id && inCategoryScope(category, scope)
+  ));
+
+  const save = (category, changes) => {
+    const row = { ...category, ...toRow(changes), updated_at: now() };
+
+    store.categories.set(row.id, row);
+    return row;
+  };
+
+  return {
+    list: async (scope) => ok(
+      live()
+        .filter(category => inCategoryScope(category, scope))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(category => pick(category))
+    ),
+
+    find: async (id, scope) => single(scoped(id, scope).map(category => pick(category))),
+
+    findWorkflowId: async (id) => maybeSingle(
+      rows().filter(category => category.id === id).map(category => pick(category, 'workflow_id'))
+    ),
+
+    listWithTaskStatuses: async (scope) => ok(
+      live()
+        .filter(category => inCategoryScope(category, scope))
+        .map(category => ({
+          ...pick(category, 'id, name, color'),
+          tasks: [...store.tasks.values()]
+            .filter(task => task.category_id === category.id && !task.deleted_at)
+            .map(task => pick(task, 'id, status'))
+        }))
+    ),
+
+    count: async () => ok(null, { count: live().length }),
+
+    create: async (category) => {
+      const timestamp = now();
+      const row = { id: newId(), ...CATEGORY_DEFAULTS, ...toRow(category), created_at: timestamp, updated_at: timestamp };
+
+      if (nameTaken(row)) {
+        return duplicateName(row);
+      }
+
+      store.categories.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    update: async (id, changes, scope) => {
+      const [category] = scoped(id, scope);
+
+      if (!category) {
+        return single([]);
+      }
+
+      const row = { ...category, ...toRow(changes), updated_at: now() };
+
+      if (nameTaken(row)) {
+        return duplicateName(row);
+      }
+
+      store.categories.set(id, row);
+      return ok(pick(row));
+    },
+
+    trash: async (id, scope, deletedBy) => {
+      const deletedAt = now();
+
+      return ok(scoped(id, scope).map(category => pick(save(category, { deleted_at: deletedAt, deleted_by: deletedBy }))));
+    },
+
+    listTrashed: async (scope) => ok(
+      rows()
+        .filter(category => category.deleted_at && inCategoryScope(category, scope))
+        .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at))
+        .map(category => pick(category))
+    ),
+
+    findTrashed: async (id, scope) => single(
+      scoped(id, scope, rows().filter(category => category.deleted_at)).map(category => pick(category))
+    ),
+
+    restore: async (id, scope) => {
+      const [category] = scoped(id, scope, rows().filter(row => row.deleted_at));
+
+      if (!category) {
+        return single([]);
+      }
+
+      if (nameTaken(category)) {
+        return duplicateName(category);
+      }
+
+      return ok(pick(save(category, { deleted_at: null, deleted_by: null })));
+    },
+
+    listTrashedBefore: async (cutoff) => ok(
+      rows()
+        .filter(category => category.deleted_at && category.deleted_at < cutoff.toISOString())
+        .map(category => pick(category, 'id'))
+    ),
+
+    // Tasks in a deleted category become uncategorized
+    remove: async (id) => {
+      const category = store.categories.get(id);
+
+      if (!category) {
+        return ok([]);
+      }
+
+      store.categories.delete(id);
+
+      [...store.tasks.values()]
+        .filter(task => task.category_id === id)
+        .forEach(task => store.tasks.set(task.id, { ...task, category_id: null }));
+
+      return ok([pick(category)]);
+    }
+  };
+};
+
+module.exports = {
+  createCategoryRepository
+};
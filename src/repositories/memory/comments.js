@@ -0,0 +1,58 @@
+const {
+  ok,
+  single,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const createCommentRepository = (store) => {
+  const rows = () => [...store.comments.values()];
+
+  return {
+    list: async (taskId, { from, to, ascending }) => {
+      const comments = rows()
+        .filter(comment => comment.task_id === taskId)
+        .sort((a, b) => (ascending ? 1 : -1) * a.created_at.localeCompare(b.created_at));
+
+      return ok(comments.slice(from, to + 1).map(comment => pick(comment)), { count: comments.length });
+    },
+
+    find: async (taskId, id) => single(
+      rows()
+        .filter(comment => comment.id === id && comment.task_id === taskId)
+        .map(comment => pick(comment, 'id, user_id, content'))
+    ),
+
+    create: async (comment) => {
+      const timestamp = now();
+      const row = { id: newId(), ...toRow(comment), created_at: timestamp, updated_at: timestamp };
+
+      store.comments.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    update: async (id, userId, changes) => {
+      const comment = store.comments.get(id);
+
+      if (!comment || comment.user_id !== userId) {
+        return single([]);
+      }
+
+      const row = { ...comment, ...toRow(changes), updated_at: now() };
+
+      store.comments.set(id, row);
+      return ok(pick(row));
+    },
+
+    remove: async (id) => {
+      store.comments.delete(id);
+      return ok(null);
+    }
+  };
+};
+
+module.exports = {
+  createCommentRepository
+};
@@ -0,0 +1,70 @@
+const {
+  ok,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const createDependencyRepository = (store) => {
+  const rows = () => [...store.dependencies.values()];
+
+  // Tasks in the trash neither block nor are blocked
+  const liveTask = (taskId) => {
+    const task = store.tasks.get(taskId);
+
+    return task && !task.deleted_at ? task : null;
+  };
+
+  const withTask = (dependency, taskId) => ({
+    created_at: dependency.created_at,
+    task: pick(liveTask(taskId), 'id, title, status')
+  });
+
+  return {
+    listBlockers: async (taskId) => ok(
+      rows()
+        .filter(dependency => dependency.task_id === taskId && liveTask(dependency.depends_on_task_id))
+        .map(dependency => withTask(dependency, dependency.depends_on_task_id))
+    ),
+
+    listBlocking: async (taskId) => ok(
+      rows()
+        .filter(dependency => dependency.depends_on_task_id === taskId && liveTask(dependency.task_id))
+        .map(dependency => withTask(dependency, dependency.task_id))
+    ),
+
+    listBlockerIds: async (taskIds) => ok(
+      rows()
+        .filter(dependency => taskIds.includes(dependency.task_id))
+        .map(({ depends_on_task_id }) => ({ depends_on_task_id }))
+    ),
+
+    create: async (dependency) => {
+      const exists = rows().some(existing => (
+        existing.task_id === dependency.task_id && existing.depends_on_task_id === dependency.depends_on_task_id
+      ));
+
+      if (exists) {
+        return uniqueViolation('task_dependencies_task_id_depends_on_task_id_key');
+      }
+
+      const row = { id: newId(), ...toRow(dependency), created_at: now() };
+
+      store.dependencies.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    remove: async (taskId, dependsOnId) => {
+      const removed = rows().filter(dependency => dependency.task_id === taskId && dependency.depends_on_task_id === dependsOnId);
+
+      removed.forEach(dependency => store.dependencies.delete(dependency.id));
+      return ok(removed.map(dependency => pick(dependency)));
+    }
+  };
+};
+
+module.exports = {
+  createDependencyRepository
+};
@@ -0,0 +1,83 @@
+const {
+  ok,
+  maybeSingle,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const DIGEST_DEFAULTS = {
+  completed_yesterday: null,
+  overdue_tasks: null,
+  due_today: null,
+  message_id: null,
+  error: null,
+  sent_at: null
+};
+
+const createDigestRepository = (store) => {
+  const rows = () => [...store.digestDeliveries.values()];
+
+  const save = (digest, changes) => {
+    const row = { ...digest, ...changes };
+
+    store.digestDeliveries.set(row.id, row);
+    return row;
+  };
+
+  return {
+    claim: async (userId, digestDate) => {
+      if (rows().some(digest => digest.user_id === userId && digest.digest_date === digestDate)) {
+        return uniqueViolation('digest_deliveries_user_id_digest_date_key');
+      }
+
+      const row = {
+        id: newId(),
+        ...DIGEST_DEFAULTS,
+        user_id: userId,
+        digest_date: digestDate,
+        status: 'pending',
+        attempts: 1,
+        created_at: now()
+      };
+
+      store.digestDeliveries.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    findRetryable: async (userId, digestDate, maxAttempts) => maybeSingle(
+      rows()
+        .filter(digest => (
+          digest.user_id === userId &&
+          digest.digest_date === digestDate &&
+          digest.status === 'failed' &&
+          digest.attempts < maxAttempts
+        ))
+        .map(digest => pick(digest, 'id, attempts'))
+    ),
+
+    reclaim: async (id, attempts) => {
+      const digest = store.digestDeliveries.get(id);
+
+      return maybeSingle(
+        digest && digest.status === 'failed' ? [pick(save(digest, { status: 'pending', attempts }))] : []
+      );
+    },
+
+    update: async (id, changes) => {
+      const digest = store.digestDeliveries.get(id);
+
+      if (digest) {
+        save(digest, toRow(changes));
+      }
+
+      return ok(null);
+    }
+  };
+};
+
+module.exports = {
+  createDigestRepository
+};
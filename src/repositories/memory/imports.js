@@ -0,0 +1,54 @@
+const {
+  ok,
+  single,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const createImportRepository = (store) => {
+  const rows = () => [...store.imports.values()];
+
+  const byKey = (userId, idempotencyKey) => rows().filter(record => (
+    record.user_id === userId && record.idempotency_key === idempotencyKey
+  ));
+
+  const save = (record, changes) => {
+    const row = { ...record, ...toRow(changes) };
+
+    store.imports.set(row.id, row);
+    return row;
+  };
+
+  return {
+    create: async (record) => {
+      const row = { id: newId(), workspace_id: null, status: 'processing', result: null, completed_at: null, ...toRow(record), created_at: now() };
+
+      if (byKey(row.user_id, row.idempotency_key).length > 0) {
+        return uniqueViolation('task_imports_user_id_idempotency_key_key');
+      }
+
+      store.imports.set(row.id, row);
+      return ok(null);
+    },
+
+    find: async (userId, idempotencyKey) => single(byKey(userId, idempotencyKey).map(record => pick(record))),
+
+    reclaim: async (id) => ok(
+      rows()
+        .filter(record => record.id === id && record.status === 'failed')
+        .map(record => pick(save(record, { status: 'processing' }), 'id'))
+    ),
+
+    update: async (userId, idempotencyKey, changes) => {
+      byKey(userId, idempotencyKey).forEach(record => save(record, changes));
+      return ok(null);
+    }
+  };
+};
+
+module.exports = {
+  createImportRepository
+};
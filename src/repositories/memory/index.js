@@ -0,0 +1,44 @@
+const { createStore } = require('./store');
+const { createAuthRepository } = require('./auth');
+const { createTaskRepository } = require('./tasks');
+const { createCategoryRepository } = require('./categories');
+const { createProfileRepository } = require('./profiles');
+const { createCommentRepository } = require('./comments');
+const { createDependencyRepository } = require('./dependencies');
+const { createTimeEntryRepository } = require('./timeEntries');
+const { createAttachmentRepository } = require('./attachments');
+const { createTagRepository } = require('./tags');
+const { createViewRepository } = require('./views');
+const { createNotificationRepository } = require('./notifications');
+const { createActivityRepository } = require('./activity');
+const { createImportRepository } = require('./imports');
+const { createWorkspaceRepository } = require('./workspaces');
+const { createWorkflowRepository } = require('./workflows');
+const { createWebhookRepository } = require('./webhooks');
+const { createDigestRepository } = require('./digests');
+
+// A fresh, empty set of repositories sharing one store. Nothing outlives
+// the process.
+const createMemoryRepositories = (store = createStore(), options = {}) => ({
+  auth: createAuthRepository(store, options),
+  tasks: createTaskRepository(store),
+  categories: createCategoryRepository(store),
+  profiles: createProfileRepository(store),
+  comments: createCommentRepository(store),
+  dependencies: createDependencyRepository(store),
+  timeEntries: createTimeEntryRepository(store),
+  attachments: createAttachmentRepository(store),
+  tags: createTagRepository(store),
+  views: createViewRepository(store),
+  notifications: createNotificationRepository(store),
+  activity: createActivityRepository(store),
+  imports: createImportRepository(store),
+  workspaces: createWorkspaceRepository(store),
+  workflows: createWorkflowRepository(store),
+  webhooks: createWebhookRepository(store),
+  digests: createDigestRepository(store)
+});
+
+module.exports = {
+  createMemoryRepositories
+};
@@ -0,0 +1,85 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const createNotificationRepository = (store) => {
+  const rows = () => [...store.notifications.values()];
+
+  const ownedBy = (userId) => rows().filter(notification => notification.user_id === userId);
+
+  // The selected shape of ../supabase/notifications.js
+  const withTaskAndActor = (notification) => {
+    const task = notification.task_id && store.tasks.get(notification.task_id);
+    const actor = notification.actor_id && store.profiles.get(notification.actor_id);
+
+    return {
+      ...pick(notification),
+      task: task ? pick(task, 'title, status') : null,
+      actor: actor ? pick(actor, 'full_name, email') : null
+    };
+  };
+
+  const save = (notification, changes) => {
+    const row = { ...notification, ...toRow(changes) };
+
+    store.notifications.set(row.id, row);
+    return row;
+  };
+
+  return {
+    list: async (userId, { unread, type }, { from, to }) => {
+      const matches = ownedBy(userId)
+        .filter(notification => (
+          (unread === undefined || !notification.read_at === unread) &&
+          (!type || notification.type === type)
+        ))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+      return ok(matches.slice(from, to + 1).map(withTaskAndActor), { count: matches.length });
+    },
+
+    countUnread: async (userId) => ok(null, {
+      count: ownedBy(userId).filter(notification => !notification.read_at).length
+    }),
+
+    find: async (id, userId) => maybeSingle(
+      ownedBy(userId)
+        .filter(notification => notification.id === id)
+        .map(notification => pick(notification, 'id, read_at'))
+    ),
+
+    markRead: async (id, userId, readAt) => single(
+      ownedBy(userId)
+        .filter(notification => notification.id === id)
+        .map(notification => pick(save(notification, { read_at: readAt })))
+    ),
+
+    markAllRead: async (userId) => ok(
+      ownedBy(userId)
+        .filter(notification => !notification.read_at)
+        .map(notification => pick(save(notification, { read_at: now() }), 'id'))
+    ),
+
+    createMany: async (notifications) => {
+      notifications.forEach(notification => {
+        const row = { id: newId(), data: {}, dedupe_key: null, read_at: null, ...toRow(notification), created_at: now() };
+
+        if (!row.dedupe_key || !ownedBy(row.user_id).some(other => other.dedupe_key === row.dedupe_key)) {
+          store.notifications.set(row.id, row);
+        }
+      });
+
+      return ok(null);
+    }
+  };
+};
+
+module.exports = {
+  createNotificationRepository
+};
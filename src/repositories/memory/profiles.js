@@ -0,0 +1,109 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  uniqueViolation,
+  toRow,
+  pick,
+  now
+} = require('./store');
+
+const PROFILE_DEFAULTS = {
+  avatar_url: null,
+  role: 'user',
+  is_active: true,
+  deactivated_at: null,
+  digest_enabled: true,
+  digest_send_hour: 8,
+  timezone: 'UTC',
+  calendar_token: null
+};
+
+// Postgres ordering, as in ./tasks.js: nulls last ascending, first descending
+const compareBy = (sortBy, ascending) => (a, b) => {
+  const [x, y] = [a[sortBy] ?? null, b[sortBy] ?? null];
+  const byValue = x === y ? 0 : x === null ? 1 : y === null ? -1 : (x > y ? 1 : -1);
+
+  return (ascending ? 1 : -1) * byValue;
+};
+
+const matchesFilters = (profile, { search, role, is_active, createdSince }) => (
+  (!search || [profile.email, profile.full_name].some(value => (
+    value && value.toLowerCase().includes(search.toLowerCase())
+  ))) &&
+  (!role || profile.role === role) &&
+  (is_active === undefined || profile.is_active === is_active) &&
+  (!createdSince || profile.created_at >= createdSince.toISOString())
+);
+
+const createProfileRepository = (store) => {
+  const rows = () => [...store.profiles.values()];
+
+  return {
+    find: async (id, columns = '*') => {
+      const profile = store.profiles.get(id);
+      return maybeSingle(profile ? [pick(profile, columns)] : []);
+    },
+
+    findByEmail: async (email, columns = '*') => maybeSingle(
+      rows().filter(profile => profile.email === email).map(profile => pick(profile, columns))
+    ),
+
+    findByCalendarToken: async (token, columns = '*') => maybeSingle(
+      rows().filter(profile => profile.calendar_token === token).map(profile => pick(profile, columns))
+    ),
+
+    listByEmails: async (emails, columns = '*') => ok(
+      rows().filter(profile => emails.includes(profile.email)).map(profile => pick(profile, columns))
+    ),
+
+    listDigestRecipients: async (columns = '*') => ok(
+      rows().filter(profile => profile.digest_enabled && profile.is_active).map(profile => pick(profile, columns))
+    ),
+
+    list: async (filters, { sortBy, ascending, from, to }, columns = '*') => {
+      const matches = rows()
+        .filter(profile => matchesFilters(profile, filters))
+        .sort(compareBy(sortBy, ascending));
+
+      return ok(matches.slice(from, to + 1).map(profile => pick(profile, columns)), { count: matches.length });
+    },
+
+    count: async (filters = {}) => ok(null, {
+      count: rows().filter(profile => matchesFilters(profile, filters)).length
+    }),
+
+    create: async (profile) => {
+      const timestamp = now();
+      const row = { ...PROFILE_DEFAULTS, ...toRow(profile), created_at: timestamp, updated_at: timestamp };
+
+      if (store.profiles.has(row.id)) {
+        return uniqueViolation('profiles_pkey');
+      }
+
+      if (rows().some(other => other.email === row.email)) {
+        return uniqueViolation('profiles_email_key');
+      }
+
+      store.profiles.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    update: async (id, changes, columns = '*') => {
+      const profile = store.profiles.get(id);
+
+      if (!profile) {
+        return single([]);
+      }
+
+      const row = { ...profile, ...toRow(changes), updated_at: now() };
+
+      store.profiles.set(id, row);
+      return ok(pick(row, columns));
+    }
+  };
+};
+
+module.exports = {
+  createProfileRepository
+};
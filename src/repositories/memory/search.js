@@ -0,0 +1,95 @@
+const { tokenize } = require('../../utils/search');
+
+// In-memory stand-in for the search_tasks() database function. Words are
+// compared as written, without the stemming and stop words of Postgres'
+// English configuration, and the rank only counts hits, with title hits
+// worth more, as the search vector weights them.
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// search_tasks()'s default p_limit
+const MATCH_LIMIT = 500;
+
+// The to_tsquery() expressions buildTsQuery makes: terms joined by `&`,
+// each a word, a `word:*` prefix or a `(one <-> two)` phrase
+const parseTsQuery = (tsQuery) => tsQuery.split(' & ').map(term => (
+  term.replace(/^\(|\)$/g, '').split(' <-> ').map(word => (
+    word.endsWith(':*') ? { word: word.slice(0, -2), prefix: true } : { word, prefix: false }
+  ))
+));
+
+const wordMatches = ({ word, prefix }, token) => (
+  token !== undefined && (prefix ? token.startsWith(word) : token === word)
+);
+
+// Indexes of the words in `text` that the terms hit, or null unless every
+// term hits
+const findHits = (terms, text) => {
+  const tokens = tokenize(text || '');
+  const hits = new Set();
+
+  for (const phrase of terms) {
+    const starts = tokens
+      .map((_, index) => index)
+      .filter(index => phrase.every((part, offset) => wordMatches(part, tokens[index + offset])));
+
+    if (starts.length === 0) {
+      return null;
+    }
+
+    starts.forEach(index => phrase.forEach((_, offset) => hits.add(index + offset)));
+  }
+
+  return hits;
+};
+
+// `text` with the hit words wrapped in <mark>, as ts_headline() marks them
+const highlight = (text, hits) => {
+  let index = -1;
+
+  return text.replace(WORD_PATTERN, word => {
+    index += 1;
+    return hits.has(index) ? `<mark>${word}</mark>` : word;
+  });
+};
+
+/**
+ * Rows shaped like search_tasks() results (`task_id`, `rank` and the title,
+ * description and comment snippets) for the tasks matching `tsQuery`,
+ * best match first and capped like the function. Like the search vector, a
+ * task matches when every term is found in its title, description or
+ * comments.
+ */
+const searchTasks = (tasks, comments, tsQuery) => {
+  const terms = parseTsQuery(tsQuery);
+  const hitsIn = (text) => findHits(terms, text) || new Set();
+
+  return tasks
+    .map(task => {
+      const taskComments = comments.filter(comment => comment.task_id === task.id);
+      const document = [task.title, task.description, ...taskComments.map(comment => comment.content)].join(' ');
+
+      if (!findHits(terms, document)) {
+        return null;
+      }
+
+      const titleHits = findHits(terms, task.title);
+      const descriptionHits = findHits(terms, task.description);
+      const comment = taskComments.find(({ content }) => findHits(terms, content));
+
+      return {
+        task_id: task.id,
+        rank: (2 * hitsIn(task.title).size + hitsIn(task.description).size + hitsIn(document).size) / 10,
+        title_snippet: titleHits ? highlight(task.title, titleHits) : null,
+        description_snippet: descriptionHits ? highlight(task.description, descriptionHits) : null,
+        comment_snippet: comment ? highlight(comment.content, findHits(terms, comment.content)) : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, MATCH_LIMIT);
+};
+
+module.exports = {
+  searchTasks
+};
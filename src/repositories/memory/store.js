@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// Results are shaped like the Supabase client's so routes handle both
+// adapters the same way, including the PostgREST and Postgres error codes
+// they check for
+const ok = (data, extra = {}) => ({ data, error: null, ...extra });
+
+const fail = (code, message) => ({ data: null, error: { code, message } });
+
+const NOT_FOUND = ['PGRST116', 'JSON object requested, multiple (or no) rows returned'];
+
+const single = (rows) => (rows.length === 1 ? ok(rows[0]) : fail(...NOT_FOUND));
+
+const maybeSingle = (rows) => ok(rows[0] || null);
+
+const uniqueViolation = (constraint) => fail('23505', `duplicate key value violates unique constraint "${constraint}"`);
+
+// Rows are kept as the database would return them, with dates as ISO
+// strings and unset fields left out, and are never shared with callers
+const toRow = (value) => JSON.parse(JSON.stringify(value));
+
+// `columns` is '*' or a comma-separated list, as in a select
+const pick = (row, columns = '*') => {
+  if (columns === '*') {
+    return toRow(row);
+  }
+
+  return toRow(Object.fromEntries(
+    columns.split(',').map(column => column.trim()).map(column => [column, row[column] ?? null])
+  ));
+};
+
+const now = () => new Date().toISOString();
+
+const newId = () => crypto.randomUUID();
+
+// In-memory equivalents of the scope filters in ../supabase/filters.js
+const inTaskScope = (task, { userId, workspaceId }) => (
+  workspaceId
+    ? task.workspace_id === workspaceId
+    : !task.workspace_id && (task.created_by === userId || task.assigned_to === userId)
+);
+
+const inCategoryScope = (category, { userId, workspaceId }) => (
+  workspaceId
+    ? category.workspace_id === workspaceId
+    : !category.workspace_id && category.user_id === userId
+);
+
+// Deletes `map`'s rows that match, returning them
+const removeWhere = (map, predicate) => [...map.entries()]
+  .filter(([, row]) => predicate(row))
+  .map(([key, row]) => {
+    map.delete(key);
+    return row;
+  });
+
+// Deleting a task cascades to its subtasks, comments, dependencies, time
+// entries, attachment records, tags and notifications, as the foreign keys do
+const destroyTask = (store, task) => {
+  store.tasks.delete(task.id);
+
+  removeWhere(store.taskTags, link => link.task_id === task.id);
+  removeWhere(store.notifications, notification => notification.task_id === task.id);
+  removeWhere(store.comments, comment => comment.task_id === task.id);
+  removeWhere(store.dependencies, dependency => (
+    dependency.task_id === task.id || dependency.depends_on_task_id === task.id
+  ));
+  removeWhere(store.timeEntries, entry => entry.task_id === task.id);
+  removeWhere(store.attachments, attachment => attachment.task_id === task.id);
+
+  [...store.tasks.values()]
+    .filter(subtask => subtask.parent_task_id === task.id)
+    .forEach(subtask => destroyTask(store, subtask));
+};
+
+// One map of rows per table, keyed by id. Task tags and workspace members
+// are keyed by their composite primary keys, `${task_id}:${tag_id}` and
+// `${workspace_id}:${user_id}`.
+const createStore = () => ({
+  users: new Map(),
+  sessions: new Map(),
+  profiles: new Map(),
+  workspaces: new Map(),
+  workspaceMembers: new Map(),
+  workflows: new Map(),
+  categories: new Map(),
+  tasks: new Map(),
+  dependencies: new Map(),
+  comments: new Map(),
+  timeEntries: new Map(),
+  attachments: new Map(),
+  tags: new Map(),
+  taskTags: new Map(),
+  views: new Map(),
+  notifications: new Map(),
+  activity: new Map(),
+  imports: new Map(),
+  webhooks: new Map(),
+  webhookDeliveries: new Map(),
+  digestDeliveries: new Map()
+});
+
+module.exports = {
+  ok,
+  fail,
+  single,
+  maybeSingle,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId,
+  inTaskScope,
+  inCategoryScope,
+  removeWhere,
+  destroyTask,
+  createStore
+};
@@ -0,0 +1,160 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId,
+  inCategoryScope
+} = require('./store');
+
+const TAG_COLUMNS = 'id, name, color, user_id, workspace_id, created_at, updated_at';
+
+const createTagRepository = (store) => {
+  const rows = () => [...store.tags.values()];
+
+  const links = () => [...store.taskTags.values()];
+
+  const scoped = (id, scope) => rows().filter(tag => tag.id === id && inCategoryScope(tag, scope));
+
+  // The selected shape of ../supabase/tags.js
+  const withCount = (tag) => ({
+    ...pick(tag, TAG_COLUMNS),
+    tasks: [{
+      count: links().filter(link => link.tag_id === tag.id && !store.tasks.get(link.task_id)?.deleted_at).length
+    }]
+  });
+
+  // Names are unique, ignoring case, per workspace, or per user outside
+  // workspaces
+  const nameTaken = (tag) => rows().some(other => (
+    other.id !== tag.id &&
+    other.name.toLowerCase() === tag.name.toLowerCase() &&
+    (tag.workspace_id
+      ? other.workspace_id === tag.workspace_id
+      : !other.workspace_id && other.user_id === tag.user_id)
+  ));
+
+  const duplicateName = (tag) => uniqueViolation(
+    tag.workspace_id ? 'idx_tags_workspace_name' : 'idx_tags_personal_name'
+  );
+
+  const link = (taskId, tagId) => {
+    const key = `${taskId}:${tagId}`;
+
+    if (store.taskTags.has(key)) {
+      return false;
+    }
+
+    store.taskTags.set(key, { task_id: taskId, tag_id: tagId, created_at: now() });
+    return true;
+  };
+
+  // Deleting a tag removes it from its tasks, as the foreign key does
+  const destroy = (tag) => {
+    store.tags.delete(tag.id);
+
+    links()
+      .filter(taskTag => taskTag.tag_id === tag.id)
+      .forEach(taskTag => store.taskTags.delete(`${taskTag.task_id}:${taskTag.tag_id}`));
+  };
+
+  return {
+    list: async (scope) => ok(
+      rows()
+        .filter(tag => inCategoryScope(tag, scope))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(withCount)
+    ),
+
+    find: async (id, scope) => maybeSingle(scoped(id, scope).map(withCount)),
+
+    findMany: async (ids, scope) => ok(
+      rows()
+        .filter(tag => ids.includes(tag.id) && inCategoryScope(tag, scope))
+        .map(tag => pick(tag, 'id'))
+    ),
+
+    create: async (tag) => {
+      const timestamp = now();
+      const row = { id: newId(), color: '#6b7280', workspace_id: null, ...toRow(tag), created_at: timestamp, updated_at: timestamp };
+
+      if (nameTaken(row)) {
+        return duplicateName(row);
+      }
+
+      store.tags.set(row.id, row);
+      return ok(withCount(row));
+    },
+
+    update: async (id, changes, scope) => {
+      const [tag] = scoped(id, scope);
+
+      if (!tag) {
+        return single([]);
+      }
+
+      const row = { ...tag, ...toRow(changes), updated_at: now() };
+
+      if (nameTaken(row)) {
+        return duplicateName(row);
+      }
+
+      store.tags.set(id, row);
+      return ok(withCount(row));
+    },
+
+    remove: async (id, scope) => {
+      const removed = scoped(id, scope);
+
+      removed.forEach(destroy);
+      return ok(removed.map(tag => pick(tag, 'id')));
+    },
+
+    merge: async (sourceId, targetId) => {
+      const moved = links()
+        .filter(taskTag => taskTag.tag_id === sourceId)
+        .filter(taskTag => link(taskTag.task_id, targetId))
+        .length;
+
+      const source = store.tags.get(sourceId);
+
+      if (source) {
+        destroy(source);
+      }
+
+      return ok(moved);
+    },
+
+    listByTask: async (taskId) => ok(
+      links()
+        .filter(taskTag => taskTag.task_id === taskId && store.tags.has(taskTag.tag_id))
+        .map(taskTag => ({ tag: pick(store.tags.get(taskTag.tag_id), 'id, name, color') }))
+    ),
+
+    listLinks: async (tagIds) => ok(
+      links()
+        .filter(taskTag => tagIds.includes(taskTag.tag_id))
+        .map(taskTag => pick(taskTag, 'task_id, tag_id'))
+    ),
+
+    attach: async (taskId, tagIds) => {
+      tagIds.forEach(tagId => link(taskId, tagId));
+      return ok(null);
+    },
+
+    detach: async (taskId, tagId) => {
+      const key = `${taskId}:${tagId}`;
+      const removed = store.taskTags.get(key);
+
+      store.taskTags.delete(key);
+      return ok(removed ? [pick(removed)] : []);
+    }
+  };
+};
+
+module.exports = {
+  createTagRepository
+};
@@ -0,0 +1,475 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  toRow,
+  pick,
+  now,
+  newId,
+  inTaskScope,
+  destroyTask
+} = require('./store');
+const { searchTasks } = require('./search');
+
+const ACCESS_COLUMNS = 'id, status, workflow_status, category_id, created_by, assigned_to, workspace_id';
+
+const SUBTASK_COLUMNS = 'id, title, status, priority, due_date, assigned_to, position, completed_at';
+
+// Column defaults from the migrations
+const TASK_DEFAULTS = {
+  description: null,
+  status: 'todo',
+  workflow_status: null,
+  priority: 'medium',
+  due_date: null,
+  completed_at: null,
+  category_id: null,
+  assigned_to: null,
+  parent_task_id: null,
+  position: 0,
+  require_subtasks_completed: false,
+  recurrence_rule: null,
+  recurrence_start: null,
+  series_id: null,
+  occurrence_index: 0,
+  next_occurrence_created: false,
+  estimate_minutes: null,
+  workspace_id: null,
+  deleted_at: null,
+  deleted_by: null
+};
+
+const toIso = (date) => new Date(date).toISOString();
+
+// Postgres ordering: nulls sort last ascending and first descending, and
+// ties are broken by id in the same direction, as the Supabase adapter does
+const compareBy = (sortBy, ascending) => (a, b) => {
+  const [x, y] = [a[sortBy] ?? null, b[sortBy] ?? null];
+  const byValue = x === y ? 0 : x === null ? 1 : y === null ? -1 : (x > y ? 1 : -1);
+  const byId = a.id === b.id ? 0 : (a.id > b.id ? 1 : -1);
+
+  return (ascending ? 1 : -1) * (byValue || byId);
+};
+
+const matchesFilters = (task, filters, { taggedIds }, isBlocked) => {
+  const {
+    status,
+    workflow_status,
+    priority,
+    category_id,
+    assigned_to,
+    parent_task_id,
+    blocked,
+    due_before,
+    due_after
+  } = filters;
+
+  return (!status || task.status === status) &&
+    (!workflow_status || task.workflow_status === workflow_status) &&
+    (!priority || task.priority === priority) &&
+    (!category_id || task.category_id === category_id) &&
+    (!assigned_to || task.assigned_to === assigned_to) &&
+    (!parent_task_id || task.parent_task_id === parent_task_id) &&
+    (blocked === undefined || isBlocked(task) === blocked) &&
+    (!taggedIds || taggedIds.includes(task.id)) &&
+    (!due_before || (task.due_date !== null && task.due_date <= toIso(due_before))) &&
+    (!due_after || (task.due_date !== null && task.due_date >= toIso(due_after)));
+};
+
+const createTaskRepository = (store) => {
+  const rows = () => [...store.tasks.values()];
+
+  // Lookups and listings skip tasks in the trash unless they say otherwise
+  const live = () => rows().filter(task => !task.deleted_at);
+
+  const withCategory = (task) => {
+    const category = task.category_id && store.categories.get(task.category_id);
+
+    return {
+      ...toRow(task),
+      category: category ? { name: category.name, color: category.color } : null
+    };
+  };
+
+  const tagLinks = (task) => [...store.taskTags.values()].filter(link => link.task_id === task.id);
+
+  // The listed shape of ../supabase/tasks.js
+  const listed = (task) => ({
+    ...withCategory(task),
+    task_tags: tagLinks(task).map(link => ({ tag: pick(store.tags.get(link.tag_id), 'id, name, color') })),
+    comments: [{ count: [...store.comments.values()].filter(comment => comment.task_id === task.id).length }]
+  });
+
+  const isOverdue = (task, at) => task.due_date !== null && task.due_date < at.toISOString() && task.status !== 'completed';
+
+  // In-memory equivalent of the is_blocked computed column: the task waits
+  // on a blocker that is open and out of the trash
+  const isBlocked = (task) => [...store.dependencies.values()].some(dependency => {
+    const blocker = dependency.task_id === task.id && store.tasks.get(dependency.depends_on_task_id);
+    return Boolean(blocker) && !blocker.deleted_at && blocker.status !== 'completed';
+  });
+
+  const isUsers = (task, userId) => task.created_by === userId || task.assigned_to === userId;
+
+  const profileOf = (userId) => {
+    const profile = userId && store.profiles.get(userId);
+    return profile ? pick(profile, 'full_name, email') : null;
+  };
+
+  const inScope = (scope) => live().filter(task => inTaskScope(task, scope));
+
+  // The matches for `tsQuery` in `scope`, as search_tasks() returns them
+  const search = (scope, tsQuery) => searchTasks(
+    rows().filter(task => inTaskScope(task, scope)),
+    [...store.comments.values()],
+    tsQuery
+  );
+
+  const insert = (task) => {
+    const timestamp = now();
+    const row = { id: newId(), ...TASK_DEFAULTS, ...toRow(task), created_at: timestamp, updated_at: timestamp };
+
+    store.tasks.set(row.id, row);
+    return row;
+  };
+
+  // Applies an update the way the tasks table's triggers do
+  const apply = (task, changes) => {
+    const row = { ...task, ...toRow(changes), updated_at: now() };
+
+    if (row.status === 'completed' && task.status !== 'completed') {
+      row.completed_at = now();
+    } else if (row.status !== 'completed') {
+      row.completed_at = null;
+    }
+
+    store.tasks.set(row.id, row);
+    return row;
+  };
+
+  const destroy = (task) => destroyTask(store, task);
+
+  const scoped = (id, scope) => live().filter(task => task.id === id && inTaskScope(task, scope));
+
+  const subtasksOf = (parentId, tasks = live()) => tasks
+    .filter(task => task.parent_task_id === parentId)
+    .sort(compareBy('position', true));
+
+  // A task and the subtasks trashed along with it
+  const trashedWith = (task) => rows().filter(other => (
+    (other.id === task.id || other.parent_task_id === task.id) && other.deleted_at === task.deleted_at
+  ));
+
+  return {
+    findAccessible: async (id, scope) => single(scoped(id, scope).map(task => pick(task, ACCESS_COLUMNS))),
+
+    find: async (id, scope) => single(scoped(id, scope).map(task => pick(task))),
+
+    findDetailed: async (id, scope) => single(scoped(id, scope).map(listed)),
+
+    findMany: async (ids, scope) => ok(
+      live().filter(task => ids.includes(task.id) && inTaskScope(task, scope)).map(task => pick(task))
+    ),
+
+    findById: async (id, columns = '*') => maybeSingle(
+      rows().filter(task => task.id === id).map(task => pick(task, columns))
+    ),
+
+    search: async (scope, tsQuery) => ok(search(scope, tsQuery)),
+
+    count: async ({ scope, createdBy, assignedTo, status, createdSince, overdueAt } = {}) => ok(null, {
+      count: live().filter(task => (
+        (!scope || inTaskScope(task, scope)) &&
+        (!createdBy || task.created_by === createdBy) &&
+        (!assignedTo || task.assigned_to === assignedTo) &&
+        (!status || task.status === status) &&
+        (!createdSince || task.created_at >= createdSince.toISOString()) &&
+        (!overdueAt || isOverdue(task, overdueAt))
+      )).length
+    }),
+
+    listCompletedSince: async (scope, since) => ok(
+      inScope(scope)
+        .filter(task => task.status === 'completed' && task.completed_at >= since.toISOString())
+        .sort(compareBy('completed_at', true))
+        .map(task => pick(task, 'completed_at'))
+    ),
+
+    listCreatedSince: async (scope, since) => ok(
+      inScope(scope)
+        .filter(task => task.created_at >= since.toISOString())
+        .map(task => pick(task, 'created_at, completed_at, status, priority'))
+    ),
+
+    listOverdue: async (scope, at) => ok(
+      inScope(scope)
+        .filter(task => isOverdue(task, at))
+        .sort(compareBy('due_date', true))
+        .map(task => {
+          const { category } = withCategory(task);
+          return { ...pick(task, 'id, title, due_date, priority, status'), category };
+        })
+    ),
+
+    listUncategorized: async (scope) => ok(
+      inScope(scope)
+        .filter(task => !task.category_id)
+        .map(task => pick(task, 'id, status'))
+    ),
+
+    listTagged: async (scope) => ok(
+      inScope(scope).map(task => ({
+        ...pick(task, 'id, status'),
+        task_tags: tagLinks(task).map(link => pick(link, 'tag_id'))
+      }))
+    ),
+
+    listWithTimeEntries: async (scope, since) => ok(
+      inScope(scope)
+        .map(task => {
+          const entries = [...store.timeEntries.values()].filter(entry => entry.task_id === task.id);
+
+          return {
+            ...pick(task, 'id, title, category_id, estimate_minutes'),
+            category: withCategory(task).category,
+            time_entries: entries
+              .filter(entry => new Date(entry.started_at) >= since)
+              .map(entry => {
+                const user = store.profiles.get(entry.user_id);
+                return { ...pick(entry, 'user_id, started_at, ended_at, duration_minutes'), user: user ? pick(user, 'full_name') : null };
+              }),
+            all_time_entries: entries.map(entry => pick(entry, 'ended_at, duration_minutes'))
+          };
+        })
+        .filter(task => task.time_entries.length > 0)
+    ),
+
+    listDue: async (scope, { status, category_id }) => ok(
+      inScope(scope)
+        .filter(task => (
+          task.due_date !== null &&
+          (!status || task.status === status) &&
+          (!category_id || task.category_id === category_id)
+        ))
+        .sort(compareBy('due_date', true))
+        .map(task => {
+          const category = task.category_id && store.categories.get(task.category_id);
+
+          return {
+            ...pick(task, 'id, title, description, status, priority, due_date, completed_at, created_at, updated_at'),
+            category: category ? { name: category.name } : null
+          };
+        })
+    ),
+
+    listByUser: async (userId, { status, priority }, { from, to }) => {
+      const matches = live()
+        .filter(task => (
+          (task.created_by === userId || task.assigned_to === userId) &&
+          (!status || task.status === status) &&
+          (!priority || task.priority === priority)
+        ))
+        .sort(compareBy('created_at', false));
+
+      return ok(
+        matches.slice(from, to + 1).map(task => {
+          const workspace = task.workspace_id && store.workspaces.get(task.workspace_id);
+          return { ...withCategory(task), workspace: workspace ? { name: workspace.name } : null };
+        }),
+        { count: matches.length }
+      );
+    },
+
+    list: async (scope, filters, { filterIds, sortBy, ascending, after, limit, from, to, count = false }) => {
+      const searched = filterIds.searchQuery && new Set(search(scope, filterIds.searchQuery).map(match => match.task_id));
+
+      let matches = live().filter(task => (
+        inTaskScope(task, scope) &&
+        matchesFilters(task, filters, filterIds, isBlocked) &&
+        (!searched || searched.has(task.id))
+      ));
+      const total = matches.length;
+
+      if (sortBy) {
+        matches.sort(compareBy(sortBy, ascending));
+      }
+
+      if (after) {
+        const position = { [after.sortBy]: after.value, id: after.id };
+        matches = matches.filter(task => compareBy(after.sortBy, after.sortOrder === 'asc')(task, position) > 0).slice(0, limit);
+      } else if (from !== undefined) {
+        matches = matches.slice(from, to + 1);
+      }
+
+      return ok(matches.map(listed), { count: count ? total : null });
+    },
+
+    listByCategory: async (categoryId, scope) => ok(
+      live()
+        .filter(task => task.category_id === categoryId && inTaskScope(task, scope))
+        .sort(compareBy('created_at', false))
+        .map(withCategory)
+    ),
+
+    create: async (task) => ok(withCategory(insert(task))),
+
+    createMany: async (tasks) => ok(tasks.map(task => pick(insert(task)))),
+
+    update: async (id, changes, { scope, parentTaskId } = {}) => single(
+      rows()
+        .filter(task => task.id === id && (!scope || inTaskScope(task, scope)) && (!parentTaskId || task.parent_task_id === parentTaskId))
+        .map(task => withCategory(apply(task, changes)))
+    ),
+
+    updateMany: async (ids, changes) => ok(
+      rows()
+        .filter(task => ids.includes(task.id))
+        .map(task => pick(apply(task, changes)))
+    ),
+
+    remove: async (id) => {
+      const task = store.tasks.get(id);
+
+      if (task) {
+        destroy(task);
+      }
+
+      return maybeSingle(task ? [pick(task)] : []);
+    },
+
+    trash: async (id, deletedBy) => {
+      const deletedAt = now();
+
+      return ok(
+        live()
+          .filter(task => task.id === id || task.parent_task_id === id)
+          .map(task => pick(apply(task, { deleted_at: deletedAt, deleted_by: deletedBy })))
+      );
+    },
+
+    listTrashed: async (scope) => ok(
+      rows()
+        .filter(task => task.deleted_at && inTaskScope(task, scope))
+        .sort(compareBy('deleted_at', false))
+        .map(withCategory)
+    ),
+
+    findTrashed: async (id, scope) => single(
+      rows()
+        .filter(task => task.id === id && task.deleted_at && inTaskScope(task, scope))
+        .map(task => pick(task))
+    ),
+
+    restore: async (task) => ok(
+      trashedWith(task).map(restored => pick(apply(restored, { deleted_at: null, deleted_by: null })))
+    ),
+
+    listTrashedBefore: async (cutoff) => ok(
+      rows()
+        .filter(task => task.deleted_at && task.deleted_at < cutoff.toISOString())
+        .map(task => pick(task, 'id, parent_task_id'))
+    ),
+
+    listCompletedByUser: async (userId, from, to) => ok(
+      live()
+        .filter(task => (
+          isUsers(task, userId) &&
+          task.status === 'completed' &&
+          task.completed_at >= from.toISOString() &&
+          task.completed_at < to.toISOString()
+        ))
+        .map(task => pick(task, 'id, title'))
+    ),
+
+    listOpenDueByUser: async (userId, { from, to }) => ok(
+      live()
+        .filter(task => (
+          isUsers(task, userId) &&
+          task.status !== 'completed' &&
+          task.due_date !== null &&
+          task.due_date < to.toISOString() &&
+          (!from || task.due_date >= from.toISOString())
+        ))
+        .map(task => pick(task, 'id, title, due_date, priority'))
+    ),
+
+    listAllOverdue: async (at) => ok(
+      live()
+        .filter(task => isOverdue(task, at))
+        .map(task => ({
+          ...pick(task, 'id, title, due_date, priority, created_by, assigned_to'),
+          creator: profileOf(task.created_by),
+          assigned_user: profileOf(task.assigned_to)
+        }))
+    ),
+
+    listCompletedBefore: async (before) => ok(
+      live()
+        .filter(task => task.status === 'completed' && task.completed_at < before.toISOString())
+        .map(task => pick(task, 'id'))
+    ),
+
+    listStatistics: async () => ok(live().map(task => pick(task, 'status, priority, created_by'))),
+
+    listRecurringDue: async (at) => ok(
+      live()
+        .filter(task => (
+          task.recurrence_rule &&
+          !task.next_occurrence_created &&
+          (task.status === 'completed' || (task.due_date !== null && task.due_date < at.toISOString()))
+        ))
+        .map(task => pick(task))
+    ),
+
+    listLaterOccurrences: async (task) => ok(
+      live()
+        .filter(occurrence => (
+          occurrence.series_id === task.series_id &&
+          occurrence.occurrence_index > task.occurrence_index &&
+          occurrence.status !== 'completed'
+        ))
+        .map(occurrence => pick(occurrence))
+    ),
+
+    claimNextOccurrence: async (id) => {
+      const task = store.tasks.get(id);
+
+      if (!task || task.next_occurrence_created) {
+        return ok(null);
+      }
+
+      apply(task, { next_occurrence_created: true });
+      return ok({ id });
+    },
+
+    releaseNextOccurrence: async (id) => {
+      const task = store.tasks.get(id);
+
+      if (task) {
+        apply(task, { next_occurrence_created: false });
+      }
+
+      return ok(null);
+    },
+
+    listSubtasks: async (parentId) => ok(subtasksOf(parentId).map(task => pick(task, SUBTASK_COLUMNS))),
+
+    findSubtask: async (parentId, id) => single(
+      subtasksOf(parentId)
+        .filter(task => task.id === id)
+        .map(task => pick(task, 'id, status, workflow_status, category_id, workspace_id'))
+    ),
+
+    findLastSubtask: async (parentId) => maybeSingle(
+      subtasksOf(parentId, rows()).reverse().map(task => pick(task, 'position'))
+    ),
+
+    countOpenSubtasks: async (parentId) => ok(null, {
+      count: subtasksOf(parentId).filter(task => task.status !== 'completed').length
+    })
+  };
+};
+
+module.exports = {
+  createTaskRepository
+};
@@ -0,0 +1,73 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const createTimeEntryRepository = (store) => {
+  const rows = () => [...store.timeEntries.values()];
+
+  const runningFor = (userId) => rows().filter(entry => entry.user_id === userId && !entry.ended_at);
+
+  return {
+    list: async (taskId) => ok(
+      rows()
+        .filter(entry => entry.task_id === taskId)
+        .sort((a, b) => b.started_at.localeCompare(a.started_at))
+        .map(entry => pick(entry))
+    ),
+
+    find: async (taskId, id) => single(
+      rows()
+        .filter(entry => entry.id === id && entry.task_id === taskId)
+        .map(entry => pick(entry))
+    ),
+
+    findRunning: async (userId) => maybeSingle(runningFor(userId).map(entry => pick(entry))),
+
+    listRunningByTasks: async (taskIds) => ok(
+      rows()
+        .filter(entry => taskIds.includes(entry.task_id) && !entry.ended_at)
+        .map(entry => pick(entry))
+    ),
+
+    create: async (entry) => {
+      const timestamp = now();
+      const row = { id: newId(), ended_at: null, duration_minutes: null, note: null, ...toRow(entry), created_at: timestamp, updated_at: timestamp };
+
+      if (!row.ended_at && runningFor(row.user_id).length > 0) {
+        return uniqueViolation('idx_time_entries_running');
+      }
+
+      store.timeEntries.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    update: async (id, changes) => {
+      const entry = store.timeEntries.get(id);
+
+      if (!entry) {
+        return single([]);
+      }
+
+      const row = { ...entry, ...toRow(changes), updated_at: now() };
+
+      store.timeEntries.set(id, row);
+      return ok(pick(row));
+    },
+
+    remove: async (id) => {
+      store.timeEntries.delete(id);
+      return ok(null);
+    }
+  };
+};
+
+module.exports = {
+  createTimeEntryRepository
+};
@@ -0,0 +1,76 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  toRow,
+  pick,
+  now,
+  newId
+} = require('./store');
+
+const VIEW_COLUMNS = 'id, user_id, workspace_id, name, description, filters, is_shared, created_at, updated_at';
+
+// In-memory equivalent of the scope in ../supabase/views.js
+const inViewScope = (view, { userId, workspaceId }) => (
+  workspaceId
+    ? view.workspace_id === workspaceId && (view.user_id === userId || view.is_shared)
+    : !view.workspace_id && view.user_id === userId
+);
+
+const createViewRepository = (store) => {
+  const rows = () => [...store.views.values()];
+
+  return {
+    list: async (scope) => ok(
+      rows()
+        .filter(view => inViewScope(view, scope))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(view => pick(view, VIEW_COLUMNS))
+    ),
+
+    find: async (id, scope) => maybeSingle(
+      rows()
+        .filter(view => view.id === id && inViewScope(view, scope))
+        .map(view => pick(view, VIEW_COLUMNS))
+    ),
+
+    create: async (view) => {
+      const timestamp = now();
+      const row = {
+        id: newId(),
+        workspace_id: null,
+        description: null,
+        filters: {},
+        is_shared: false,
+        ...toRow(view),
+        created_at: timestamp,
+        updated_at: timestamp
+      };
+
+      store.views.set(row.id, row);
+      return ok(pick(row, VIEW_COLUMNS));
+    },
+
+    update: async (id, changes) => {
+      const view = store.views.get(id);
+
+      if (!view) {
+        return single([]);
+      }
+
+      const row = { ...view, ...toRow(changes), updated_at: now() };
+
+      store.views.set(id, row);
+      return ok(pick(row, VIEW_COLUMNS));
+    },
+
+    remove: async (id) => {
+      store.views.delete(id);
+      return ok(null);
+    }
+  };
+};
+
+module.exports = {
+  createViewRepository
+};
@@ -0,0 +1,159 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  toRow,
+  pick,
+  now,
+  newId,
+  removeWhere
+} = require('./store');
+
+const WEBHOOK_COLUMNS = 'id, user_id, workspace_id, url, events, description, is_active, created_at, updated_at';
+
+const WITH_SECRET = `${WEBHOOK_COLUMNS}, secret`;
+
+// In-memory equivalent of the scope in ../supabase/webhooks.js
+const inWebhookScope = (webhook, { userId, workspaceId }) => (
+  workspaceId
+    ? webhook.workspace_id === workspaceId
+    : !webhook.workspace_id && webhook.user_id === userId
+);
+
+const DELIVERY_DEFAULTS = {
+  status: 'pending',
+  attempts: 0,
+  next_attempt_at: null,
+  last_attempt_at: null,
+  delivered_at: null,
+  response_status: null,
+  response_body: null,
+  error: null
+};
+
+const createWebhookRepository = (store) => {
+  const rows = () => [...store.webhooks.values()];
+  const deliveries = () => [...store.webhookDeliveries.values()];
+
+  const scoped = (id, scope) => rows().filter(webhook => webhook.id === id && inWebhookScope(webhook, scope));
+
+  const save = (webhook, changes) => {
+    const row = { ...webhook, ...toRow(changes), updated_at: now() };
+
+    store.webhooks.set(row.id, row);
+    return row;
+  };
+
+  return {
+    list: async (scope) => ok(
+      rows()
+        .filter(webhook => inWebhookScope(webhook, scope))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(webhook => pick(webhook, WEBHOOK_COLUMNS))
+    ),
+
+    find: async (id, scope, { withSecret = false } = {}) => maybeSingle(
+      scoped(id, scope).map(webhook => pick(webhook, withSecret ? WITH_SECRET : WEBHOOK_COLUMNS))
+    ),
+
+    create: async (webhook) => {
+      const timestamp = now();
+      const row = {
+        id: newId(),
+        workspace_id: null,
+        description: null,
+        is_active: true,
+        ...toRow(webhook),
+        created_at: timestamp,
+        updated_at: timestamp
+      };
+
+      store.webhooks.set(row.id, row);
+      return ok(pick(row, WITH_SECRET));
+    },
+
+    update: async (id, changes, scope) => single(
+      scoped(id, scope).map(webhook => pick(save(webhook, changes), WEBHOOK_COLUMNS))
+    ),
+
+    rotateSecret: async (id, secret, scope) => single(
+      scoped(id, scope).map(webhook => pick(save(webhook, { secret }), WITH_SECRET))
+    ),
+
+    remove: async (id, scope) => {
+      const deleted = scoped(id, scope);
+
+      deleted.forEach(webhook => {
+        store.webhooks.delete(webhook.id);
+        removeWhere(store.webhookDeliveries, delivery => delivery.webhook_id === webhook.id);
+      });
+
+      return ok(deleted.map(webhook => pick(webhook, 'id')));
+    },
+
+    listSubscribers: async (event, workspaceId) => ok(
+      rows()
+        .filter(webhook => (
+          webhook.is_active &&
+          webhook.events.includes(event) &&
+          (workspaceId ? webhook.workspace_id === workspaceId : !webhook.workspace_id)
+        ))
+        .map(webhook => pick(webhook, 'id, user_id, workspace_id, url, secret'))
+    ),
+
+    listDeliveries: async (webhookId, { status, event } = {}, { from, to }) => {
+      const matching = deliveries()
+        .filter(delivery => (
+          delivery.webhook_id === webhookId &&
+          (!status || delivery.status === status) &&
+          (!event || delivery.event === event)
+        ))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+      return ok(matching.slice(from, to + 1).map(delivery => pick(delivery)), { count: matching.length });
+    },
+
+    findDelivery: async (webhookId, deliveryId) => maybeSingle(
+      deliveries()
+        .filter(delivery => delivery.id === deliveryId && delivery.webhook_id === webhookId)
+        .map(delivery => pick(delivery))
+    ),
+
+    createDelivery: async (delivery) => {
+      const row = { id: newId(), ...DELIVERY_DEFAULTS, ...toRow(delivery), created_at: now() };
+
+      store.webhookDeliveries.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    updateDelivery: async (id, changes) => {
+      const delivery = store.webhookDeliveries.get(id);
+
+      if (delivery) {
+        store.webhookDeliveries.set(id, { ...delivery, ...toRow(changes) });
+      }
+
+      return ok(null);
+    },
+
+    listDueDeliveries: async (at, limit) => ok(
+      deliveries()
+        .filter(delivery => (
+          delivery.status === 'pending' &&
+          store.webhooks.get(delivery.webhook_id)?.is_active &&
+          delivery.next_attempt_at !== null &&
+          delivery.next_attempt_at <= at
+        ))
+        .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at))
+        .slice(0, limit)
+        .map(delivery => ({
+          ...pick(delivery),
+          webhook: pick(store.webhooks.get(delivery.webhook_id), 'url, secret, is_active')
+        }))
+    )
+  };
+};
+
+module.exports = {
+  createWebhookRepository
+};
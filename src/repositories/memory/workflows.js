@@ -0,0 +1,82 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  toRow,
+  pick,
+  now,
+  newId,
+  inCategoryScope
+} = require('./store');
+
+const WORKFLOW_COLUMNS = 'id, name, statuses, transitions, user_id, workspace_id, created_at, updated_at';
+
+const createWorkflowRepository = (store) => {
+  const rows = () => [...store.workflows.values()];
+
+  const scoped = (id, scope) => rows().filter(workflow => workflow.id === id && inCategoryScope(workflow, scope));
+
+  return {
+    list: async (scope) => ok(
+      rows()
+        .filter(workflow => inCategoryScope(workflow, scope))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(workflow => pick(workflow, WORKFLOW_COLUMNS))
+    ),
+
+    find: async (id, scope, columns = WORKFLOW_COLUMNS) => maybeSingle(
+      scoped(id, scope).map(workflow => pick(workflow, columns))
+    ),
+
+    findById: async (id, columns = WORKFLOW_COLUMNS) => maybeSingle(
+      rows().filter(workflow => workflow.id === id).map(workflow => pick(workflow, columns))
+    ),
+
+    create: async (workflow) => {
+      const timestamp = now();
+      const row = {
+        id: newId(),
+        workspace_id: null,
+        transitions: null,
+        ...toRow(workflow),
+        created_at: timestamp,
+        updated_at: timestamp
+      };
+
+      store.workflows.set(row.id, row);
+      return ok(pick(row, WORKFLOW_COLUMNS));
+    },
+
+    update: async (id, changes) => {
+      const workflow = store.workflows.get(id);
+
+      if (!workflow) {
+        return single([]);
+      }
+
+      const row = { ...workflow, ...toRow(changes), updated_at: now() };
+
+      store.workflows.set(id, row);
+      return ok(pick(row, WORKFLOW_COLUMNS));
+    },
+
+    // Unsets it wherever it was used, as the foreign keys do
+    remove: async (id, scope) => {
+      const deleted = scoped(id, scope);
+
+      deleted.forEach(workflow => {
+        store.workflows.delete(workflow.id);
+
+        [...store.categories.values(), ...store.workspaces.values()]
+          .filter(row => row.workflow_id === workflow.id)
+          .forEach(row => { row.workflow_id = null; });
+      });
+
+      return ok(deleted.map(workflow => pick(workflow, 'id')));
+    }
+  };
+};
+
+module.exports = {
+  createWorkflowRepository
+};
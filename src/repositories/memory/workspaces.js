@@ -0,0 +1,177 @@
+const {
+  ok,
+  single,
+  maybeSingle,
+  uniqueViolation,
+  toRow,
+  pick,
+  now,
+  newId,
+  removeWhere,
+  destroyTask
+} = require('./store');
+
+const memberKey = (workspaceId, userId) => `${workspaceId}:${userId}`;
+
+const createWorkspaceRepository = (store) => {
+  const members = () => [...store.workspaceMembers.values()];
+
+  const ownedBy = (workspaceId) => (row) => row.workspace_id === workspaceId;
+
+  // Everything in the workspace goes with it, and workflows it owned are
+  // unset wherever they were used, as the foreign keys do
+  const destroy = (workspace) => {
+    const inWorkspace = ownedBy(workspace.id);
+
+    store.workspaces.delete(workspace.id);
+
+    [...store.tasks.values()].filter(inWorkspace).forEach(task => destroyTask(store, task));
+
+    const tagIds = removeWhere(store.tags, inWorkspace).map(tag => tag.id);
+    removeWhere(store.taskTags, link => tagIds.includes(link.tag_id));
+
+    const webhookIds = removeWhere(store.webhooks, inWorkspace).map(webhook => webhook.id);
+    removeWhere(store.webhookDeliveries, delivery => webhookIds.includes(delivery.webhook_id));
+
+    const workflowIds = removeWhere(store.workflows, inWorkspace).map(workflow => workflow.id);
+    [...store.categories.values(), ...store.workspaces.values()]
+      .filter(row => workflowIds.includes(row.workflow_id))
+      .forEach(row => { row.workflow_id = null; });
+
+    [store.workspaceMembers, store.categories, store.activity, store.imports, store.views]
+      .forEach(map => removeWhere(map, inWorkspace));
+  };
+
+  const withProfile = (member) => {
+    const profile = store.profiles.get(member.user_id);
+    return { ...pick(member, 'user_id, role, created_at'), profile: profile ? pick(profile, 'full_name, email') : null };
+  };
+
+  return {
+    listForUser: async (userId) => ok(
+      members()
+        .filter(member => member.user_id === userId && store.workspaces.has(member.workspace_id))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(member => ({ role: member.role, workspace: pick(store.workspaces.get(member.workspace_id)) }))
+    ),
+
+    find: async (id) => single(store.workspaces.has(id) ? [pick(store.workspaces.get(id))] : []),
+
+    findWorkflowId: async (id) => maybeSingle(
+      store.workspaces.has(id) ? [pick(store.workspaces.get(id), 'workflow_id')] : []
+    ),
+
+    create: async (workspace) => {
+      const timestamp = now();
+      const row = {
+        id: newId(),
+        description: null,
+        workflow_id: null,
+        ...toRow(workspace),
+        created_at: timestamp,
+        updated_at: timestamp
+      };
+
+      store.workspaces.set(row.id, row);
+      return ok(pick(row));
+    },
+
+    update: async (id, changes) => {
+      const workspace = store.workspaces.get(id);
+
+      if (!workspace) {
+        return single([]);
+      }
+
+      const row = { ...workspace, ...toRow(changes), updated_at: now() };
+
+      store.workspaces.set(id, row);
+      return ok(pick(row));
+    },
+
+    remove: async (id) => {
+      const workspace = store.workspaces.get(id);
+
+      if (workspace) {
+        destroy(workspace);
+      }
+
+      return ok(null);
+    },
+
+    findMembership: async (workspaceId, userId) => maybeSingle(
+      members()
+        .filter(member => member.workspace_id === workspaceId && member.user_id === userId)
+        .map(member => {
+          const workspace = store.workspaces.get(member.workspace_id);
+          return { role: member.role, workspace: workspace ? pick(workspace, 'id, name') : null };
+        })
+    ),
+
+    findMember: async (workspaceId, userId) => {
+      const member = store.workspaceMembers.get(memberKey(workspaceId, userId));
+      return maybeSingle(member ? [pick(member, 'user_id, role')] : []);
+    },
+
+    listMembers: async (workspaceId) => ok(
+      members()
+        .filter(member => member.workspace_id === workspaceId)
+        .map(member => pick(member, 'user_id'))
+    ),
+
+    listMemberProfiles: async (workspaceId) => ok(
+      members()
+        .filter(member => member.workspace_id === workspaceId)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(withProfile)
+    ),
+
+    countOwners: async (workspaceId) => ok(null, {
+      count: members().filter(member => member.workspace_id === workspaceId && member.role === 'owner').length
+    }),
+
+    addMember: async (member) => {
+      const key = memberKey(member.workspace_id, member.user_id);
+
+      if (store.workspaceMembers.has(key)) {
+        return uniqueViolation('workspace_members_pkey');
+      }
+
+      const row = { role: 'member', ...toRow(member), created_at: now() };
+
+      store.workspaceMembers.set(key, row);
+      return ok(pick(row));
+    },
+
+    updateMember: async (workspaceId, userId, changes) => {
+      const key = memberKey(workspaceId, userId);
+      const member = store.workspaceMembers.get(key);
+
+      if (!member) {
+        return single([]);
+      }
+
+      const row = { ...member, ...toRow(changes) };
+
+      store.workspaceMembers.set(key, row);
+      return ok(pick(row));
+    },
+
+    removeMember: async (workspaceId, userId) => {
+      store.workspaceMembers.delete(memberKey(workspaceId, userId));
+      return ok(null);
+    },
+
+    listMemberships: async (userId) => ok(
+      members()
+        .filter(member => member.user_id === userId)
+        .map(member => pick(member, 'workspace_id'))
+    ),
+
+    count: async () => ok(null, { count: store.workspaces.size })
+  };
+};
+
+module.exports = {
+  createWorkspaceRepository
+};
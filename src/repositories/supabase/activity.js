@@ -0,0 +1,35 @@
+const { supabase } = require('../../config/supabase');
+
+const createMany = (entries) => supabase
+  .from('activity_log')
+  .insert(entries);
+
+/**
+ * Newest-first page (`from`..`to`) of one feed with each entry's actor, and
+ * the exact number of matches. The feed is one task's (`{ taskId }`), a
+ * workspace's (`{ workspaceId }`) or one actor's (`{ actorId }`).
+ */
+const list = ({ taskId, workspaceId, actorId }, { entity_type, action, actor_id, since, until }, { from, to }) => {
+  let query = supabase
+    .from('activity_log')
+    .select('*, actor:profiles(full_name, email)', { count: 'exact' });
+
+  if (taskId) query = query.eq('task_id', taskId);
+  if (workspaceId) query = query.eq('workspace_id', workspaceId);
+  if (actorId) query = query.eq('actor_id', actorId);
+
+  if (entity_type) query = query.eq('entity_type', entity_type);
+  if (action) query = query.eq('action', action);
+  if (actor_id) query = query.eq('actor_id', actor_id);
+  if (since) query = query.gte('created_at', since.toISOString());
+  if (until) query = query.lte('created_at', until.toISOString());
+
+  return query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+};
+
+module.exports = {
+  createMany,
+  list
+};
@@ -0,0 +1,44 @@
+const { supabase } = require('../../config/supabase');
+
+// What the API shows of an attachment; the storage location stays internal
+const ATTACHMENT_COLUMNS = 'id, task_id, user_id, file_name, mime_type, size_bytes, created_at';
+
+// The attachments of the given tasks, oldest first
+const listByTasks = (taskIds) => supabase
+  .from('task_attachments')
+  .select(ATTACHMENT_COLUMNS)
+  .in('task_id', taskIds)
+  .order('created_at', { ascending: true });
+
+// The stored files of the given tasks, for removing them with the tasks
+const listFilesByTasks = (taskIds) => supabase
+  .from('task_attachments')
+  .select('id, storage_driver, storage_key')
+  .in('task_id', taskIds);
+
+// Includes the storage location
+const find = (taskId, id) => supabase
+  .from('task_attachments')
+  .select('*')
+  .eq('id', id)
+  .eq('task_id', taskId)
+  .single();
+
+const create = (attachment) => supabase
+  .from('task_attachments')
+  .insert(attachment)
+  .select(ATTACHMENT_COLUMNS)
+  .single();
+
+const remove = (id) => supabase
+  .from('task_attachments')
+  .delete()
+  .eq('id', id);
+
+module.exports = {
+  listByTasks,
+  listFilesByTasks,
+  find,
+  create,
+  remove
+};
@@ -0,0 +1,35 @@
+const { supabase } = require('../../config/supabase');
+
+// Supabase Auth. Every call resolves to Supabase's `{ data, error }`, where
+// `data` holds `user` and, once signed in, `session`.
+
+const signUp = ({ email, password, fullName }) => supabase.auth.signUp({
+  email,
+  password,
+  options: {
+    data: {
+      full_name: fullName
+    }
+  }
+});
+
+const signIn = ({ email, password }) => supabase.auth.signInWithPassword({
+  email,
+  password
+});
+
+const signOut = () => supabase.auth.signOut();
+
+const refresh = (refreshToken) => supabase.auth.refreshSession({
+  refresh_token: refreshToken
+});
+
+const getUser = (accessToken) => supabase.auth.getUser(accessToken);
+
+module.exports = {
+  signUp,
+  signIn,
+  signOut,
+  refresh,
+  getUser
+};
@@ -0,0 +1,125 @@
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { categoryScopeFilter } = require('./filters');
+
+// Lookups and listings skip categories in the trash unless they say otherwise
+const list = (scope) => supabase
+  .from('categories')
+  .select('*')
+  .or(categoryScopeFilter(scope))
+  .is('deleted_at', null)
+  .order('created_at', { ascending: false });
+
+const find = (id, scope) => supabase
+  .from('categories')
+  .select('*')
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .is('deleted_at', null)
+  .single();
+
+// Unscoped: the workflow lookup runs for categories already checked or stored
+const findWorkflowId = (id) => supabase
+  .from('categories')
+  .select('workflow_id')
+  .eq('id', id)
+  .maybeSingle();
+
+// With the status of each of their tasks out of the trash, for analytics
+const listWithTaskStatuses = (scope) => supabase
+  .from('categories')
+  .select(`
+    id,
+    name,
+    color,
+    tasks:tasks(id, status)
+  `)
+  .or(categoryScopeFilter(scope))
+  .is('deleted_at', null)
+  .is('tasks.deleted_at', null);
+
+// Resolves to `{ count }` of every user's categories out of the trash. For
+// admins, so it uses the service client when configured.
+const count = () => (supabaseAdmin || supabase)
+  .from('categories')
+  .select('id', { count: 'exact', head: true })
+  .is('deleted_at', null);
+
+const create = (category) => supabase
+  .from('categories')
+  .insert(category)
+  .select()
+  .single();
+
+const update = (id, changes, scope) => supabase
+  .from('categories')
+  .update(changes)
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .is('deleted_at', null)
+  .select()
+  .single();
+
+// Resolves to the trashed categories (none or one). Their tasks keep them
+// until they are purged.
+const trash = (id, scope, deletedBy) => supabase
+  .from('categories')
+  .update({ deleted_at: new Date().toISOString(), deleted_by: deletedBy })
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .is('deleted_at', null)
+  .select();
+
+// Categories in the trash in `scope`, most recently deleted first
+const listTrashed = (scope) => supabase
+  .from('categories')
+  .select('*')
+  .or(categoryScopeFilter(scope))
+  .not('deleted_at', 'is', null)
+  .order('deleted_at', { ascending: false });
+
+const findTrashed = (id, scope) => supabase
+  .from('categories')
+  .select('*')
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .not('deleted_at', 'is', null)
+  .single();
+
+// Fails with 23505 when a category of the same name was created meanwhile
+const restore = (id, scope) => supabase
+  .from('categories')
+  .update({ deleted_at: null, deleted_by: null })
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .not('deleted_at', 'is', null)
+  .select()
+  .single();
+
+// Ids of categories trashed before `cutoff`, for purging
+const listTrashedBefore = (cutoff) => supabase
+  .from('categories')
+  .select('id')
+  .lt('deleted_at', cutoff.toISOString());
+
+// Deletes for good; tasks in the category become uncategorized
+const remove = (id) => supabase
+  .from('categories')
+  .delete()
+  .eq('id', id)
+  .select();
+
+module.exports = {
+  list,
+  find,
+  findWorkflowId,
+  listWithTaskStatuses,
+  count,
+  create,
+  update,
+  trash,
+  listTrashed,
+  findTrashed,
+  restore,
+  listTrashedBefore,
+  remove
+};
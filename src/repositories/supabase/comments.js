@@ -0,0 +1,44 @@
+const { supabase } = require('../../config/supabase');
+
+// One page (offsets `from`..`to`) of a task's comments with the total count
+const list = (taskId, { from, to, ascending }) => supabase
+  .from('task_comments')
+  .select('*', { count: 'exact' })
+  .eq('task_id', taskId)
+  .order('created_at', { ascending })
+  .range(from, to);
+
+const find = (taskId, id) => supabase
+  .from('task_comments')
+  .select('id, user_id, content')
+  .eq('id', id)
+  .eq('task_id', taskId)
+  .single();
+
+const create = (comment) => supabase
+  .from('task_comments')
+  .insert(comment)
+  .select()
+  .single();
+
+// Only the author's own comment is ever updated
+const update = (id, userId, changes) => supabase
+  .from('task_comments')
+  .update(changes)
+  .eq('id', id)
+  .eq('user_id', userId)
+  .select()
+  .single();
+
+const remove = (id) => supabase
+  .from('task_comments')
+  .delete()
+  .eq('id', id);
+
+module.exports = {
+  list,
+  find,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,47 @@
+const { supabase } = require('../../config/supabase');
+
+const BLOCKER = 'tasks!task_dependencies_depends_on_task_id_fkey';
+const BLOCKED = 'tasks!task_dependencies_task_id_fkey';
+
+// The tasks blocking `taskId`, each as `{ created_at, task }`; tasks in the
+// trash neither block nor are blocked
+const listBlockers = (taskId) => supabase
+  .from('task_dependencies')
+  .select(`created_at, task:${BLOCKER}!inner(id, title, status)`)
+  .eq('task_id', taskId)
+  .is('task.deleted_at', null);
+
+// The tasks `taskId` blocks, each as `{ created_at, task }`
+const listBlocking = (taskId) => supabase
+  .from('task_dependencies')
+  .select(`created_at, task:${BLOCKED}!inner(id, title, status)`)
+  .eq('depends_on_task_id', taskId)
+  .is('task.deleted_at', null);
+
+// The blocker ids (`depends_on_task_id`) of the given tasks
+const listBlockerIds = (taskIds) => supabase
+  .from('task_dependencies')
+  .select('depends_on_task_id')
+  .in('task_id', taskIds);
+
+const create = (dependency) => supabase
+  .from('task_dependencies')
+  .insert(dependency)
+  .select()
+  .single();
+
+// Resolves to the removed rows
+const remove = (taskId, dependsOnId) => supabase
+  .from('task_dependencies')
+  .delete()
+  .eq('task_id', taskId)
+  .eq('depends_on_task_id', dependsOnId)
+  .select();
+
+module.exports = {
+  listBlockers,
+  listBlocking,
+  listBlockerIds,
+  create,
+  remove
+};
@@ -0,0 +1,42 @@
+const { supabase } = require('../../config/supabase');
+
+// One digest_deliveries row per user and local day
+
+// Fails with 23505 when the day's digest was already claimed
+const claim = (userId, digestDate) => supabase
+  .from('digest_deliveries')
+  .insert({ user_id: userId, digest_date: digestDate, status: 'pending', attempts: 1 })
+  .select()
+  .single();
+
+// Resolves to the day's failed digest if it may be retried, or null
+const findRetryable = (userId, digestDate, maxAttempts) => supabase
+  .from('digest_deliveries')
+  .select('id, attempts')
+  .eq('user_id', userId)
+  .eq('digest_date', digestDate)
+  .eq('status', 'failed')
+  .lt('attempts', maxAttempts)
+  .maybeSingle();
+
+// Claims a failed digest again; resolves to null when another run got to
+// it first
+const reclaim = (id, attempts) => supabase
+  .from('digest_deliveries')
+  .update({ status: 'pending', attempts })
+  .eq('id', id)
+  .eq('status', 'failed')
+  .select()
+  .maybeSingle();
+
+const update = (id, changes) => supabase
+  .from('digest_deliveries')
+  .update(changes)
+  .eq('id', id);
+
+module.exports = {
+  claim,
+  findRetryable,
+  reclaim,
+  update
+};
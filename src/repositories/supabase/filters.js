@@ -0,0 +1,18 @@
+// PostgREST `.or()` filters for a `{ userId, workspaceId }` scope: every row
+// of the workspace, or the user's own personal (workspace-less) rows.
+const taskScopeFilter = ({ userId, workspaceId }) => (
+  workspaceId
+    ? `workspace_id.eq.${workspaceId}`
+    : `and(workspace_id.is.null,created_by.eq.${userId}),and(workspace_id.is.null,assigned_to.eq.${userId})`
+);
+
+const categoryScopeFilter = ({ userId, workspaceId }) => (
+  workspaceId
+    ? `workspace_id.eq.${workspaceId}`
+    : `and(workspace_id.is.null,user_id.eq.${userId})`
+);
+
+module.exports = {
+  taskScopeFilter,
+  categoryScopeFilter
+};
@@ -0,0 +1,36 @@
+const { supabase } = require('../../config/supabase');
+
+// Idempotency records for task imports. A key the user already used violates
+// task_imports_user_id_idempotency_key_key.
+const create = (record) => supabase
+  .from('task_imports')
+  .insert(record);
+
+const find = (userId, idempotencyKey) => supabase
+  .from('task_imports')
+  .select('*')
+  .eq('user_id', userId)
+  .eq('idempotency_key', idempotencyKey)
+  .single();
+
+// Takes a failed import back to processing. Resolves to `[{ id }]` for the
+// one caller that wins the claim and to an empty list for the others.
+const reclaim = (id) => supabase
+  .from('task_imports')
+  .update({ status: 'processing' })
+  .eq('id', id)
+  .eq('status', 'failed')
+  .select('id');
+
+const update = (userId, idempotencyKey, changes) => supabase
+  .from('task_imports')
+  .update(changes)
+  .eq('user_id', userId)
+  .eq('idempotency_key', idempotencyKey);
+
+module.exports = {
+  create,
+  find,
+  reclaim,
+  update
+};
@@ -0,0 +1,25 @@
+const { supabase } = require('../../config/supabase');
+
+if (!supabase) {
+  throw new Error('Missing Supabase environment variables');
+}
+
+module.exports = {
+  auth: require('./auth'),
+  tasks: require('./tasks'),
+  categories: require('./categories'),
+  profiles: require('./profiles'),
+  comments: require('./comments'),
+  dependencies: require('./dependencies'),
+  timeEntries: require('./timeEntries'),
+  attachments: require('./attachments'),
+  tags: require('./tags'),
+  views: require('./views'),
+  notifications: require('./notifications'),
+  activity: require('./activity'),
+  imports: require('./imports'),
+  workspaces: require('./workspaces'),
+  workflows: require('./workflows'),
+  webhooks: require('./webhooks'),
+  digests: require('./digests')
+};
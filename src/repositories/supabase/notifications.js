@@ -0,0 +1,71 @@
+const { supabase } = require('../../config/supabase');
+
+const NOTIFICATION_SELECT = `
+  *,
+  task:tasks(title, status),
+  actor:profiles!notifications_actor_id_fkey(full_name, email)
+`;
+
+/**
+ * Newest-first page (`from`..`to`) of a user's notifications with the task
+ * and actor, and the exact number of matches. `unread` picks unread (true)
+ * or read (false) ones, and `type` one type.
+ */
+const list = (userId, { unread, type }, { from, to }) => {
+  let query = supabase
+    .from('notifications')
+    .select(NOTIFICATION_SELECT, { count: 'exact' })
+    .eq('user_id', userId);
+
+  if (unread === true) query = query.is('read_at', null);
+  if (unread === false) query = query.not('read_at', 'is', null);
+  if (type) query = query.eq('type', type);
+
+  return query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+};
+
+const countUnread = (userId) => supabase
+  .from('notifications')
+  .select('id', { count: 'exact', head: true })
+  .eq('user_id', userId)
+  .is('read_at', null);
+
+// Resolves to the notification, or null
+const find = (id, userId) => supabase
+  .from('notifications')
+  .select('id, read_at')
+  .eq('id', id)
+  .eq('user_id', userId)
+  .maybeSingle();
+
+const markRead = (id, userId, readAt) => supabase
+  .from('notifications')
+  .update({ read_at: readAt })
+  .eq('id', id)
+  .eq('user_id', userId)
+  .select()
+  .single();
+
+// Resolves to the ids of the notifications it marked
+const markAllRead = (userId) => supabase
+  .from('notifications')
+  .update({ read_at: new Date().toISOString() })
+  .eq('user_id', userId)
+  .is('read_at', null)
+  .select('id');
+
+// Rows whose `dedupe_key` the recipient already has are skipped
+const createMany = (notifications) => supabase
+  .from('notifications')
+  .upsert(notifications, { onConflict: 'user_id,dedupe_key', ignoreDuplicates: true });
+
+module.exports = {
+  list,
+  countUnread,
+  find,
+  markRead,
+  markAllRead,
+  createMany
+};
@@ -0,0 +1,98 @@
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+
+// Profiles are only ever read and written for an authenticated user id, so
+// the service client is used when configured, as the auth middleware did
+const client = () => supabaseAdmin || supabase;
+
+// Resolves to the profile, or null when the user has none yet
+const find = (id, columns = '*') => client()
+  .from('profiles')
+  .select(columns)
+  .eq('id', id)
+  .maybeSingle();
+
+const findByEmail = (email, columns = '*') => client()
+  .from('profiles')
+  .select(columns)
+  .eq('email', email)
+  .maybeSingle();
+
+const findByCalendarToken = (token, columns = '*') => client()
+  .from('profiles')
+  .select(columns)
+  .eq('calendar_token', token)
+  .maybeSingle();
+
+const listByEmails = (emails, columns = '*') => client()
+  .from('profiles')
+  .select(columns)
+  .in('email', emails);
+
+// Active users who want the daily digest
+const listDigestRecipients = (columns = '*') => client()
+  .from('profiles')
+  .select(columns)
+  .eq('digest_enabled', true)
+  .eq('is_active', true);
+
+// Characters that would break out of a PostgREST `.or()` filter string
+const escapeFilterValue = (value) => value.replace(/[,()*%\\]/g, ' ');
+
+/**
+ * One page (`from`..`to`) of every user's profile, sorted by `sortBy`, with
+ * the exact number of matches. `search` matches email and name.
+ */
+const list = ({ search, role, is_active }, { sortBy, ascending, from, to }, columns = '*') => {
+  let query = client()
+    .from('profiles')
+    .select(columns, { count: 'exact' });
+
+  if (search) {
+    const term = escapeFilterValue(search);
+    query = query.or(`email.ilike.%${term}%,full_name.ilike.%${term}%`);
+  }
+  if (role) query = query.eq('role', role);
+  if (is_active !== undefined) query = query.eq('is_active', is_active);
+
+  return query
+    .order(sortBy, { ascending })
+    .range(from, to);
+};
+
+// Resolves to `{ count }` of the profiles matching every filter given
+const count = ({ role, is_active, createdSince } = {}) => {
+  let query = client()
+    .from('profiles')
+    .select('id', { count: 'exact', head: true });
+
+  if (role) query = query.eq('role', role);
+  if (is_active !== undefined) query = query.eq('is_active', is_active);
+  if (createdSince) query = query.gte('created_at', createdSince.toISOString());
+
+  return query;
+};
+
+const create = (profile) => client()
+  .from('profiles')
+  .insert(profile)
+  .select()
+  .single();
+
+const update = (id, changes, columns = '*') => client()
+  .from('profiles')
+  .update(changes)
+  .eq('id', id)
+  .select(columns)
+  .single();
+
+module.exports = {
+  find,
+  findByEmail,
+  findByCalendarToken,
+  listByEmails,
+  listDigestRecipients,
+  list,
+  count,
+  create,
+  update
+};
@@ -0,0 +1,105 @@
+const { supabase } = require('../../config/supabase');
+const { categoryScopeFilter } = require('./filters');
+
+// With the number of tasks carrying the tag, as `tasks: [{ count }]`. Every
+// query selecting it counts only the tasks outside the trash.
+const TAG_SELECT = 'id, name, color, user_id, workspace_id, created_at, updated_at, tasks(count)';
+
+// Tags are owned the same way as categories
+const list = (scope) => supabase
+  .from('tags')
+  .select(TAG_SELECT)
+  .is('tasks.deleted_at', null)
+  .or(categoryScopeFilter(scope))
+  .order('name', { ascending: true });
+
+// Resolves to the tag, or null
+const find = (id, scope) => supabase
+  .from('tags')
+  .select(TAG_SELECT)
+  .is('tasks.deleted_at', null)
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .maybeSingle();
+
+// The ids among `ids` of tags in `scope`
+const findMany = (ids, scope) => supabase
+  .from('tags')
+  .select('id')
+  .in('id', ids)
+  .or(categoryScopeFilter(scope));
+
+// A name already used in the same scope violates idx_tags_personal_name or
+// idx_tags_workspace_name
+const create = (tag) => supabase
+  .from('tags')
+  .insert(tag)
+  .select(TAG_SELECT)
+  .is('tasks.deleted_at', null)
+  .single();
+
+const update = (id, changes, scope) => supabase
+  .from('tags')
+  .update(changes)
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .select(TAG_SELECT)
+  .is('tasks.deleted_at', null)
+  .single();
+
+// Resolves to the deleted rows' ids
+const remove = (id, scope) => supabase
+  .from('tags')
+  .delete()
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .select('id');
+
+// Moves the source tag's tasks to the target and deletes the source.
+// Resolves to the number of tasks retagged.
+const merge = (sourceId, targetId) => supabase.rpc('merge_tags', {
+  p_source_id: sourceId,
+  p_target_id: targetId
+});
+
+// A task's tags, as `[{ tag }]`
+const listByTask = (taskId) => supabase
+  .from('task_tags')
+  .select('tag:tags(id, name, color)')
+  .eq('task_id', taskId);
+
+// Every task/tag pair for the given tags
+const listLinks = (tagIds) => supabase
+  .from('task_tags')
+  .select('task_id, tag_id')
+  .in('tag_id', tagIds);
+
+// Tags the task already carries are left alone
+const attach = (taskId, tagIds) => supabase
+  .from('task_tags')
+  .upsert(tagIds.map(tagId => ({ task_id: taskId, tag_id: tagId })), {
+    onConflict: 'task_id,tag_id',
+    ignoreDuplicates: true
+  });
+
+// Resolves to the removed links
+const detach = (taskId, tagId) => supabase
+  .from('task_tags')
+  .delete()
+  .eq('task_id', taskId)
+  .eq('tag_id', tagId)
+  .select();
+
+module.exports = {
+  list,
+  find,
+  findMany,
+  create,
+  update,
+  remove,
+  merge,
+  listByTask,
+  listLinks,
+  attach,
+  detach
+};
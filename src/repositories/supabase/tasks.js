@@ -0,0 +1,531 @@
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { keysetFilter } = require('../../utils/cursor');
+const { taskScopeFilter } = require('./filters');
+
+// Enough of a task for access checks, workflow lookups and activity diffs
+const ACCESS_COLUMNS = 'id, status, workflow_status, category_id, created_by, assigned_to, workspace_id';
+
+const SUBTASK_COLUMNS = 'id, title, status, priority, due_date, assigned_to, position, completed_at';
+
+const TASK_LIST_SELECT = `
+  *,
+  category:categories(name, color),
+  task_tags(tag:tags(id, name, color)),
+  comments:task_comments(count)
+`;
+
+const TASK_WITH_CATEGORY = `
+  *,
+  category:categories(name, color)
+`;
+
+// Applies the `taskSchemas.query` filters shared by listing and export;
+// `taggedIds` come from loadFilterIds. `blocked` filters on the is_blocked
+// computed column, so the database decides which tasks have open blockers.
+const applyTaskFilters = (query, filters, { taggedIds }) => {
+  const {
+    status,
+    workflow_status,
+    priority,
+    category_id,
+    assigned_to,
+    parent_task_id,
+    blocked,
+    due_before,
+    due_after
+  } = filters;
+
+  if (status) query = query.eq('status', status);
+  if (workflow_status) query = query.eq('workflow_status', workflow_status);
+  if (priority) query = query.eq('priority', priority);
+  if (category_id) query = query.eq('category_id', category_id);
+  if (assigned_to) query = query.eq('assigned_to', assigned_to);
+  if (parent_task_id) query = query.eq('parent_task_id', parent_task_id);
+
+  if (blocked !== undefined) query = query.eq('is_blocked', blocked);
+
+  if (taggedIds) query = query.in('id', taggedIds);
+
+  if (due_before) query = query.lte('due_date', due_before);
+  if (due_after) query = query.gte('due_date', due_after);
+
+  return query;
+};
+
+// Lookups and listings skip tasks in the trash unless they say otherwise
+const findAccessible = (id, scope) => supabase
+  .from('tasks')
+  .select(ACCESS_COLUMNS)
+  .eq('id', id)
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null)
+  .single();
+
+const find = (id, scope) => supabase
+  .from('tasks')
+  .select('*')
+  .eq('id', id)
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null)
+  .single();
+
+// With the category, tags and comment count, as listed
+const findDetailed = (id, scope) => supabase
+  .from('tasks')
+  .select(TASK_LIST_SELECT)
+  .eq('id', id)
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null)
+  .single();
+
+const findMany = (ids, scope) => supabase
+  .from('tasks')
+  .select('*')
+  .in('id', ids)
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null);
+
+// The tasks to list: search_task_rows() narrows them to the full-text
+// matches for `searchQuery` in the database, as search() ranks them
+const listSource = ({ userId, workspaceId }, searchQuery, count) => {
+  const options = count ? { count: 'exact' } : undefined;
+
+  return searchQuery
+    ? supabase
+      .rpc('search_task_rows', { p_user_id: userId, p_query: searchQuery, p_workspace_id: workspaceId }, options)
+      .select(TASK_LIST_SELECT)
+    : supabase
+      .from('tasks')
+      .select(TASK_LIST_SELECT, options);
+};
+
+/**
+ * Tasks in `scope` matching the `taskSchemas.query` filters, as listed, and
+ * the to_tsquery() expression `filterIds.searchQuery` when given. Sorted by
+ * `sortBy` and then id when given; a page is either the rows after the
+ * keyset position `after` (up to `limit`) or the offsets `from`..`to`.
+ * `count` adds the exact number of matches.
+ */
+const list = (scope, filters, { filterIds, sortBy, ascending, after, limit, from, to, count = false }) => {
+  let query = applyTaskFilters(
+    listSource(scope, filterIds.searchQuery, count)
+      .or(taskScopeFilter(scope))
+      .is('deleted_at', null),
+    filters,
+    filterIds
+  );
+
+  if (sortBy) {
+    query = query
+      .order(sortBy, { ascending })
+      .order('id', { ascending });
+  }
+
+  if (after) {
+    query = query.or(keysetFilter(after)).limit(limit);
+  } else if (from !== undefined) {
+    query = query.range(from, to);
+  }
+
+  return query;
+};
+
+const listByCategory = (categoryId, scope) => supabase
+  .from('tasks')
+  .select(TASK_WITH_CATEGORY)
+  .eq('category_id', categoryId)
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null)
+  .order('created_at', { ascending: false });
+
+const create = (task) => supabase
+  .from('tasks')
+  .insert(task)
+  .select(TASK_WITH_CATEGORY)
+  .single();
+
+const createMany = (tasks) => supabase
+  .from('tasks')
+  .insert(tasks)
+  .select();
+
+// Narrowed to `scope` and to the subtasks of `parentTaskId` when given
+const update = (id, changes, { scope, parentTaskId } = {}) => {
+  let query = supabase
+    .from('tasks')
+    .update(changes)
+    .eq('id', id);
+
+  if (scope) query = query.or(taskScopeFilter(scope));
+  if (parentTaskId) query = query.eq('parent_task_id', parentTaskId);
+
+  return query
+    .select(TASK_WITH_CATEGORY)
+    .single();
+};
+
+const updateMany = (ids, changes) => supabase
+  .from('tasks')
+  .update(changes)
+  .in('id', ids)
+  .select();
+
+// Resolves to the deleted task, or null when there was none
+const remove = (id) => supabase
+  .from('tasks')
+  .delete()
+  .eq('id', id)
+  .select()
+  .maybeSingle();
+
+// Moves a task and its subtasks still out of the trash into it, stamped
+// alike so restoring the task brings back the same subtasks. Resolves to the
+// trashed rows.
+const trash = (id, deletedBy) => supabase
+  .from('tasks')
+  .update({ deleted_at: new Date().toISOString(), deleted_by: deletedBy })
+  .or(`id.eq.${id},parent_task_id.eq.${id}`)
+  .is('deleted_at', null)
+  .select();
+
+// Tasks in the trash in `scope`, most recently deleted first
+const listTrashed = (scope) => supabase
+  .from('tasks')
+  .select(TASK_WITH_CATEGORY)
+  .or(taskScopeFilter(scope))
+  .not('deleted_at', 'is', null)
+  .order('deleted_at', { ascending: false });
+
+const findTrashed = (id, scope) => supabase
+  .from('tasks')
+  .select('*')
+  .eq('id', id)
+  .or(taskScopeFilter(scope))
+  .not('deleted_at', 'is', null)
+  .single();
+
+// Takes `task` and the subtasks trashed along with it out of the trash;
+// resolves to the restored rows
+const restore = (task) => supabase
+  .from('tasks')
+  .update({ deleted_at: null, deleted_by: null })
+  .or(`id.eq.${task.id},parent_task_id.eq.${task.id}`)
+  .eq('deleted_at', task.deleted_at)
+  .select();
+
+// Tasks trashed before `cutoff`, for purging
+const listTrashedBefore = (cutoff) => supabase
+  .from('tasks')
+  .select('id, parent_task_id')
+  .lt('deleted_at', cutoff.toISOString());
+
+// The scheduled jobs below work across every user and workspace
+
+// A user's tasks, personal or in a workspace, completed in [from, to)
+const listCompletedByUser = (userId, from, to) => supabase
+  .from('tasks')
+  .select('id, title')
+  .eq('status', 'completed')
+  .gte('completed_at', from.toISOString())
+  .lt('completed_at', to.toISOString())
+  .or(`created_by.eq.${userId},assigned_to.eq.${userId}`)
+  .is('deleted_at', null);
+
+// A user's open tasks due in [from, to); no `from` includes everything
+// overdue
+const listOpenDueByUser = (userId, { from, to }) => {
+  let query = supabase
+    .from('tasks')
+    .select('id, title, due_date, priority')
+    .lt('due_date', to.toISOString())
+    .neq('status', 'completed')
+    .or(`created_by.eq.${userId},assigned_to.eq.${userId}`)
+    .is('deleted_at', null);
+
+  if (from) query = query.gte('due_date', from.toISOString());
+
+  return query;
+};
+
+// Every open task due before `at`, with its creator and assignee
+const listAllOverdue = (at) => supabase
+  .from('tasks')
+  .select(`
+    id,
+    title,
+    due_date,
+    priority,
+    created_by,
+    assigned_to,
+    creator:profiles!tasks_created_by_fkey(full_name, email),
+    assigned_user:profiles!tasks_assigned_to_fkey(full_name, email)
+  `)
+  .lt('due_date', at.toISOString())
+  .neq('status', 'completed')
+  .is('deleted_at', null);
+
+const listCompletedBefore = (before) => supabase
+  .from('tasks')
+  .select('id')
+  .eq('status', 'completed')
+  .lt('completed_at', before.toISOString())
+  .is('deleted_at', null);
+
+const listStatistics = () => supabase
+  .from('tasks')
+  .select('status, priority, created_by')
+  .is('deleted_at', null);
+
+// Recurring tasks whose next occurrence is due: completed, or past their
+// due date at `at`, and not yet followed by one
+const listRecurringDue = (at) => supabase
+  .from('tasks')
+  .select('*')
+  .not('recurrence_rule', 'is', null)
+  .eq('next_occurrence_created', false)
+  .is('deleted_at', null)
+  .or(`status.eq.completed,due_date.lt.${at.toISOString()}`);
+
+// Unscoped, for work done outside a request (notifications)
+const findById = (id, columns = '*') => supabase
+  .from('tasks')
+  .select(columns)
+  .eq('id', id)
+  .maybeSingle();
+
+// Full-text matches for a to_tsquery() expression, best first, as
+// `{ task_id, rank, title_snippet, description_snippet, comment_snippet }`
+const search = ({ userId, workspaceId }, tsQuery) => supabase.rpc('search_tasks', {
+  p_user_id: userId,
+  p_query: tsQuery,
+  p_workspace_id: workspaceId
+});
+
+// Reads across every user's tasks, for admins, use the service client when
+// configured
+const adminClient = () => supabaseAdmin || supabase;
+
+/**
+ * Resolves to `{ count }` of the tasks out of the trash matching every filter
+ * given: `scope`, `createdBy`, `assignedTo`, `status`, `createdSince`, and
+ * `overdueAt` for open tasks due before that time. Without `scope` it counts
+ * across every user.
+ */
+const count = ({ scope, createdBy, assignedTo, status, createdSince, overdueAt } = {}) => {
+  let query = (scope ? supabase : adminClient())
+    .from('tasks')
+    .select('id', { count: 'exact', head: true })
+    .is('deleted_at', null);
+
+  if (scope) query = query.or(taskScopeFilter(scope));
+  if (createdBy) query = query.eq('created_by', createdBy);
+  if (assignedTo) query = query.eq('assigned_to', assignedTo);
+  if (status) query = query.eq('status', status);
+  if (createdSince) query = query.gte('created_at', createdSince.toISOString());
+  if (overdueAt) query = query.lt('due_date', overdueAt.toISOString()).neq('status', 'completed');
+
+  return query;
+};
+
+// Analytics reads, over the tasks in `scope`
+const listCompletedSince = (scope, since) => supabase
+  .from('tasks')
+  .select('completed_at')
+  .eq('status', 'completed')
+  .gte('completed_at', since.toISOString())
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null)
+  .order('completed_at', { ascending: true });
+
+const listCreatedSince = (scope, since) => supabase
+  .from('tasks')
+  .select('created_at, completed_at, status, priority')
+  .gte('created_at', since.toISOString())
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null);
+
+// Open tasks due before `at`, soonest first
+const listOverdue = (scope, at) => supabase
+  .from('tasks')
+  .select(`
+    id,
+    title,
+    due_date,
+    priority,
+    status,
+    category:categories(name, color)
+  `)
+  .lt('due_date', at.toISOString())
+  .neq('status', 'completed')
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null)
+  .order('due_date', { ascending: true });
+
+const listUncategorized = (scope) => supabase
+  .from('tasks')
+  .select('id, status')
+  .is('category_id', null)
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null);
+
+// With their tags, as `task_tags: [{ tag_id }]`
+const listTagged = (scope) => supabase
+  .from('tasks')
+  .select('id, status, task_tags(tag_id)')
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null);
+
+// Only tasks with time logged on them since `since`, with those entries and
+// who logged them, plus the duration of every entry for estimate comparisons
+const listWithTimeEntries = (scope, since) => supabase
+  .from('tasks')
+  .select(`
+    id,
+    title,
+    category_id,
+    estimate_minutes,
+    category:categories(name, color),
+    time_entries!inner(user_id, started_at, ended_at, duration_minutes, user:profiles(full_name)),
+    all_time_entries:time_entries(ended_at, duration_minutes)
+  `)
+  .or(taskScopeFilter(scope))
+  .is('deleted_at', null)
+  .gte('time_entries.started_at', since.toISOString());
+
+// Tasks with a due date, soonest first, for the calendar feed
+const listDue = (scope, { status, category_id }) => {
+  let query = supabase
+    .from('tasks')
+    .select('id, title, description, status, priority, due_date, completed_at, created_at, updated_at, category:categories(name)')
+    .or(taskScopeFilter(scope))
+    .is('deleted_at', null)
+    .not('due_date', 'is', null);
+
+  if (status) query = query.eq('status', status);
+  if (category_id) query = query.eq('category_id', category_id);
+
+  return query.order('due_date', { ascending: true });
+};
+
+/**
+ * Newest-first page (`from`..`to`) of the tasks a user created or is
+ * assigned, in any workspace, with the exact number of matches. For admins.
+ */
+const listByUser = (userId, { status, priority }, { from, to }) => {
+  let query = adminClient()
+    .from('tasks')
+    .select(`
+      *,
+      category:categories(name, color),
+      workspace:workspaces(name)
+    `, { count: 'exact' })
+    .or(`created_by.eq.${userId},assigned_to.eq.${userId}`)
+    .is('deleted_at', null);
+
+  if (status) query = query.eq('status', status);
+  if (priority) query = query.eq('priority', priority);
+
+  return query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+};
+
+// Open occurrences after `task` in its recurring series
+const listLaterOccurrences = (task) => supabase
+  .from('tasks')
+  .select('*')
+  .eq('series_id', task.series_id)
+  .gt('occurrence_index', task.occurrence_index)
+  .neq('status', 'completed')
+  .is('deleted_at', null);
+
+/**
+ * Sets `next_occurrence_created` only while it is still false. Resolves to
+ * `{ id }` for the one caller that wins the claim and null for the others.
+ */
+const claimNextOccurrence = (id) => supabase
+  .from('tasks')
+  .update({ next_occurrence_created: true })
+  .eq('id', id)
+  .eq('next_occurrence_created', false)
+  .select('id')
+  .maybeSingle();
+
+const releaseNextOccurrence = (id) => supabase
+  .from('tasks')
+  .update({ next_occurrence_created: false })
+  .eq('id', id);
+
+const listSubtasks = (parentId) => supabase
+  .from('tasks')
+  .select(SUBTASK_COLUMNS)
+  .eq('parent_task_id', parentId)
+  .is('deleted_at', null)
+  .order('position', { ascending: true });
+
+const findSubtask = (parentId, id) => supabase
+  .from('tasks')
+  .select('id, status, workflow_status, category_id, workspace_id')
+  .eq('id', id)
+  .eq('parent_task_id', parentId)
+  .is('deleted_at', null)
+  .single();
+
+// Includes subtasks in the trash, so restored ones keep a place of their own
+const findLastSubtask = (parentId) => supabase
+  .from('tasks')
+  .select('position')
+  .eq('parent_task_id', parentId)
+  .order('position', { ascending: false })
+  .limit(1)
+  .maybeSingle();
+
+const countOpenSubtasks = (parentId) => supabase
+  .from('tasks')
+  .select('id', { count: 'exact', head: true })
+  .eq('parent_task_id', parentId)
+  .neq('status', 'completed')
+  .is('deleted_at', null);
+
+module.exports = {
+  findAccessible,
+  find,
+  findDetailed,
+  findMany,
+  findById,
+  search,
+  count,
+  listCompletedSince,
+  listCreatedSince,
+  listOverdue,
+  listUncategorized,
+  listTagged,
+  listWithTimeEntries,
+  listDue,
+  listByUser,
+  list,
+  listByCategory,
+  create,
+  createMany,
+  update,
+  updateMany,
+  remove,
+  trash,
+  listTrashed,
+  findTrashed,
+  restore,
+  listTrashedBefore,
+  listCompletedByUser,
+  listOpenDueByUser,
+  listAllOverdue,
+  listCompletedBefore,
+  listStatistics,
+  listRecurringDue,
+  listLaterOccurrences,
+  claimNextOccurrence,
+  releaseNextOccurrence,
+  listSubtasks,
+  findSubtask,
+  findLastSubtask,
+  countOpenSubtasks
+};
@@ -0,0 +1,59 @@
+const { supabase } = require('../../config/supabase');
+
+// A task's entries, latest first
+const list = (taskId) => supabase
+  .from('time_entries')
+  .select('*')
+  .eq('task_id', taskId)
+  .order('started_at', { ascending: false });
+
+const find = (taskId, id) => supabase
+  .from('time_entries')
+  .select('*')
+  .eq('id', id)
+  .eq('task_id', taskId)
+  .single();
+
+// The user's running timer, or null
+const findRunning = (userId) => supabase
+  .from('time_entries')
+  .select('*')
+  .eq('user_id', userId)
+  .is('ended_at', null)
+  .maybeSingle();
+
+// Timers running on any of the given tasks
+const listRunningByTasks = (taskIds) => supabase
+  .from('time_entries')
+  .select('*')
+  .in('task_id', taskIds)
+  .is('ended_at', null);
+
+// A second running timer for the same user violates idx_time_entries_running
+const create = (entry) => supabase
+  .from('time_entries')
+  .insert(entry)
+  .select()
+  .single();
+
+const update = (id, changes) => supabase
+  .from('time_entries')
+  .update(changes)
+  .eq('id', id)
+  .select()
+  .single();
+
+const remove = (id) => supabase
+  .from('time_entries')
+  .delete()
+  .eq('id', id);
+
+module.exports = {
+  list,
+  find,
+  findRunning,
+  listRunningByTasks,
+  create,
+  update,
+  remove
+};
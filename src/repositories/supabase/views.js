@@ -0,0 +1,53 @@
+const { supabase } = require('../../config/supabase');
+
+const VIEW_COLUMNS = 'id, user_id, workspace_id, name, description, filters, is_shared, created_at, updated_at';
+
+// Personal views belong to their creator. In a workspace, members see their
+// own views plus the ones other members shared.
+const viewScope = (query, { userId, workspaceId }) => (
+  workspaceId
+    ? query.eq('workspace_id', workspaceId).or(`user_id.eq.${userId},is_shared.eq.true`)
+    : query.is('workspace_id', null).eq('user_id', userId)
+);
+
+const list = (scope) => viewScope(
+  supabase
+    .from('saved_views')
+    .select(VIEW_COLUMNS),
+  scope
+).order('name', { ascending: true });
+
+// Resolves to the view, or null
+const find = (id, scope) => viewScope(
+  supabase
+    .from('saved_views')
+    .select(VIEW_COLUMNS)
+    .eq('id', id),
+  scope
+).maybeSingle();
+
+const create = (view) => supabase
+  .from('saved_views')
+  .insert(view)
+  .select(VIEW_COLUMNS)
+  .single();
+
+const update = (id, changes) => supabase
+  .from('saved_views')
+  .update(changes)
+  .eq('id', id)
+  .select(VIEW_COLUMNS)
+  .single();
+
+const remove = (id) => supabase
+  .from('saved_views')
+  .delete()
+  .eq('id', id);
+
+module.exports = {
+  list,
+  find,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,143 @@
+const { supabase } = require('../../config/supabase');
+
+// The signing secret is only read for delivery and returned on creation
+// and rotation
+const WEBHOOK_COLUMNS = 'id, user_id, workspace_id, url, events, description, is_active, created_at, updated_at';
+
+const WITH_SECRET = `${WEBHOOK_COLUMNS}, secret`;
+
+// Personal webhooks belong to their creator; workspace webhooks are shared
+// by the workspace's owners and admins.
+const webhookScope = (query, { userId, workspaceId }) => (
+  workspaceId
+    ? query.eq('workspace_id', workspaceId)
+    : query.is('workspace_id', null).eq('user_id', userId)
+);
+
+const list = (scope) => webhookScope(
+  supabase
+    .from('webhooks')
+    .select(WEBHOOK_COLUMNS),
+  scope
+).order('created_at', { ascending: false });
+
+// Resolves to the webhook, or null
+const find = (id, scope, { withSecret = false } = {}) => webhookScope(
+  supabase
+    .from('webhooks')
+    .select(withSecret ? WITH_SECRET : WEBHOOK_COLUMNS)
+    .eq('id', id),
+  scope
+).maybeSingle();
+
+const create = (webhook) => supabase
+  .from('webhooks')
+  .insert(webhook)
+  .select(WITH_SECRET)
+  .single();
+
+// Fails with PGRST116 when the webhook is not in scope
+const update = (id, changes, scope) => webhookScope(
+  supabase
+    .from('webhooks')
+    .update(changes)
+    .eq('id', id),
+  scope
+)
+  .select(WEBHOOK_COLUMNS)
+  .single();
+
+// As update, returning the new secret
+const rotateSecret = (id, secret, scope) => webhookScope(
+  supabase
+    .from('webhooks')
+    .update({ secret })
+    .eq('id', id),
+  scope
+)
+  .select(WITH_SECRET)
+  .single();
+
+// Deliveries go with it (ON DELETE CASCADE). Resolves to the deleted rows'
+// ids.
+const remove = (id, scope) => webhookScope(
+  supabase
+    .from('webhooks')
+    .delete()
+    .eq('id', id),
+  scope
+).select('id');
+
+// Active webhooks subscribed to `event` among the workspace's, or among the
+// personal ones when workspaceId is null
+const listSubscribers = (event, workspaceId) => {
+  const query = supabase
+    .from('webhooks')
+    .select('id, user_id, workspace_id, url, secret')
+    .eq('is_active', true)
+    .contains('events', [event]);
+
+  return workspaceId
+    ? query.eq('workspace_id', workspaceId)
+    : query.is('workspace_id', null);
+};
+
+// A page of a webhook's deliveries, newest first, with the total count
+const listDeliveries = (webhookId, { status, event } = {}, { from, to }) => {
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' })
+    .eq('webhook_id', webhookId);
+
+  if (status) query = query.eq('status', status);
+  if (event) query = query.eq('event', event);
+
+  return query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+};
+
+// Resolves to the delivery, or null
+const findDelivery = (webhookId, deliveryId) => supabase
+  .from('webhook_deliveries')
+  .select('*')
+  .eq('id', deliveryId)
+  .eq('webhook_id', webhookId)
+  .maybeSingle();
+
+const createDelivery = (delivery) => supabase
+  .from('webhook_deliveries')
+  .insert(delivery)
+  .select()
+  .single();
+
+const updateDelivery = (id, changes) => supabase
+  .from('webhook_deliveries')
+  .update(changes)
+  .eq('id', id);
+
+// Pending deliveries of active webhooks whose next attempt is due by `at`,
+// soonest first, each with its `webhook: { url, secret, is_active }`
+const listDueDeliveries = (at, limit) => supabase
+  .from('webhook_deliveries')
+  .select('*, webhook:webhooks!inner(url, secret, is_active)')
+  .eq('status', 'pending')
+  .eq('webhook.is_active', true)
+  .lte('next_attempt_at', at)
+  .order('next_attempt_at', { ascending: true })
+  .limit(limit);
+
+module.exports = {
+  list,
+  find,
+  create,
+  update,
+  rotateSecret,
+  remove,
+  listSubscribers,
+  listDeliveries,
+  findDelivery,
+  createDelivery,
+  updateDelivery,
+  listDueDeliveries
+};
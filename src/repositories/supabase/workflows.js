@@ -0,0 +1,58 @@
+const { supabase } = require('../../config/supabase');
+const { categoryScopeFilter } = require('./filters');
+
+const WORKFLOW_COLUMNS = 'id, name, statuses, transitions, user_id, workspace_id, created_at, updated_at';
+
+// Workflows are owned the same way as categories
+const list = (scope) => supabase
+  .from('workflows')
+  .select(WORKFLOW_COLUMNS)
+  .or(categoryScopeFilter(scope))
+  .order('name', { ascending: true });
+
+// Resolves to the workflow, or null
+const find = (id, scope, columns = WORKFLOW_COLUMNS) => supabase
+  .from('workflows')
+  .select(columns)
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .maybeSingle();
+
+// Any workflow, whoever owns it, for the tasks already attached to it;
+// resolves to the workflow or null
+const findById = (id, columns = WORKFLOW_COLUMNS) => supabase
+  .from('workflows')
+  .select(columns)
+  .eq('id', id)
+  .maybeSingle();
+
+const create = (workflow) => supabase
+  .from('workflows')
+  .insert(workflow)
+  .select(WORKFLOW_COLUMNS)
+  .single();
+
+const update = (id, changes) => supabase
+  .from('workflows')
+  .update(changes)
+  .eq('id', id)
+  .select(WORKFLOW_COLUMNS)
+  .single();
+
+// Categories and workspaces using it fall back to the built-in workflow
+// (ON DELETE SET NULL). Resolves to the deleted rows' ids.
+const remove = (id, scope) => supabase
+  .from('workflows')
+  .delete()
+  .eq('id', id)
+  .or(categoryScopeFilter(scope))
+  .select('id');
+
+module.exports = {
+  list,
+  find,
+  findById,
+  create,
+  update,
+  remove
+};
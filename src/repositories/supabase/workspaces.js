@@ -0,0 +1,128 @@
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+
+// The caller's workspaces, newest membership first, as
+// `[{ role, workspace }]`
+const listForUser = (userId) => supabase
+  .from('workspace_members')
+  .select('role, workspace:workspaces(*)')
+  .eq('user_id', userId)
+  .order('created_at', { ascending: false });
+
+const find = (id) => supabase
+  .from('workspaces')
+  .select('*')
+  .eq('id', id)
+  .single();
+
+// Resolves to `{ workflow_id }`, or null
+const findWorkflowId = (id) => supabase
+  .from('workspaces')
+  .select('workflow_id')
+  .eq('id', id)
+  .maybeSingle();
+
+const create = (workspace) => supabase
+  .from('workspaces')
+  .insert(workspace)
+  .select()
+  .single();
+
+const update = (id, changes) => supabase
+  .from('workspaces')
+  .update(changes)
+  .eq('id', id)
+  .select()
+  .single();
+
+// Members, tasks, categories and everything else in the workspace go with
+// it (ON DELETE CASCADE)
+const remove = (id) => supabase
+  .from('workspaces')
+  .delete()
+  .eq('id', id);
+
+// Resolves to `{ role, workspace: { id, name } }`, or null for non-members
+const findMembership = (workspaceId, userId) => supabase
+  .from('workspace_members')
+  .select('role, workspace:workspaces(id, name)')
+  .eq('workspace_id', workspaceId)
+  .eq('user_id', userId)
+  .maybeSingle();
+
+// Resolves to `{ user_id, role }`, or null for non-members
+const findMember = (workspaceId, userId) => supabase
+  .from('workspace_members')
+  .select('user_id, role')
+  .eq('workspace_id', workspaceId)
+  .eq('user_id', userId)
+  .maybeSingle();
+
+// A workspace's members, as `[{ user_id }]`
+const listMembers = (workspaceId) => supabase
+  .from('workspace_members')
+  .select('user_id')
+  .eq('workspace_id', workspaceId);
+
+// A workspace's members with their names, oldest first
+const listMemberProfiles = (workspaceId) => supabase
+  .from('workspace_members')
+  .select('user_id, role, created_at, profile:profiles(full_name, email)')
+  .eq('workspace_id', workspaceId)
+  .order('created_at', { ascending: true });
+
+const countOwners = (workspaceId) => supabase
+  .from('workspace_members')
+  .select('user_id', { count: 'exact', head: true })
+  .eq('workspace_id', workspaceId)
+  .eq('role', 'owner');
+
+// Fails with 23505 when the user already is a member
+const addMember = (member) => supabase
+  .from('workspace_members')
+  .insert(member)
+  .select()
+  .single();
+
+const updateMember = (workspaceId, userId, changes) => supabase
+  .from('workspace_members')
+  .update(changes)
+  .eq('workspace_id', workspaceId)
+  .eq('user_id', userId)
+  .select()
+  .single();
+
+const removeMember = (workspaceId, userId) => supabase
+  .from('workspace_members')
+  .delete()
+  .eq('workspace_id', workspaceId)
+  .eq('user_id', userId);
+
+// A user's workspaces, as `[{ workspace_id }]`
+const listMemberships = (userId) => supabase
+  .from('workspace_members')
+  .select('workspace_id')
+  .eq('user_id', userId);
+
+// Every workspace, for admins, so it uses the service client when configured
+const count = () => (supabaseAdmin || supabase)
+  .from('workspaces')
+  .select('id', { count: 'exact', head: true });
+
+module.exports = {
+  listForUser,
+  find,
+  findWorkflowId,
+  create,
+  update,
+  remove,
+  findMembership,
+  findMember,
+  listMembers,
+  listMemberProfiles,
+  countOwners,
+  addMember,
+  updateMember,
+  removeMember,
+  listMemberships,
+  count
+};
@@ -0,0 +1,145 @@
+const express = require('express');
+const { activitySchemas, validateQuery } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const { workspaceAccess } = require('../middleware/workspace');
+const { fetchActivity } = require('../services/activity');
+const logger = require('../utils/logger');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ActivityEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         entity_type:
+ *           type: string
+ *           enum: [task, category, comment, dependency]
+ *         entity_id:
+ *           type: string
+ *           format: uuid
+ *         task_id:
+ *           type: string
+ *           format: uuid
+ *         workspace_id:
+ *           type: string
+ *           format: uuid
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           description: Null for changes made by scheduled jobs
+ *         action:
+ *           type: string
+ *           enum: [create, update, assign, status, delete, restore]
+ *         changes:
+ *           type: object
+ *           description: "Changed fields as { field: { from, to } }"
+ *         actor:
+ *           type: object
+ *           properties:
+ *             full_name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/activity:
+ *   get:
+ *     summary: Get the activity feed
+ *     description: Without a workspace context this is everything the authenticated user did; with one it is all activity in the workspace.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *           enum: [task, category, comment, dependency]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, assign, status, delete, restore]
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Activity retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ActivityEntry'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, workspaceAccess(), validateQuery(activitySchemas.query), async (req, res) => {
+  const { page, limit } = req.query;
+
+  const { data: activity, error, count } = await fetchActivity(
+    req.workspace ? { workspaceId: req.workspace.id } : { actorId: req.user.id },
+    req.query
+  );
+
+  if (error) {
+    logger.error('Activity feed fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch activity'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: activity,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+module.exports = router;
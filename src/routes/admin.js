@@ -0,0 +1,577 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  profiles: profileRepository,
+  tasks: taskRepository,
+  categories: categoryRepository,
+  workspaces: workspaceRepository
+} = require('../repositories');
+const { adminSchemas, validate, validateQuery } = require('../validation/schemas');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Effectively permanent; Supabase auth has no "disabled" flag, only bans.
+const DEACTIVATED_BAN_DURATION = '876000h';
+
+// Everything but `calendar_token`, which works as a password for the user's
+// calendar feed
+const PROFILE_COLUMNS = 'id, email, full_name, avatar_url, role, is_active, deactivated_at, digest_enabled, digest_send_hour, timezone, created_at, updated_at';
+
+const findProfile = async (userId) => {
+  const { data: profile } = await profileRepository.find(userId, PROFILE_COLUMNS);
+
+  return profile;
+};
+
+// Resolves a repository `count` call to the number. Tasks and categories in
+// the trash are not counted.
+const countRows = async (counting) => {
+  const { count, error } = await counting;
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+};
+
+const setAccountStatus = async (req, res, isActive) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot change the status of your own account'
+    });
+  }
+
+  const profile = await findProfile(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const { data: updated, error } = await profileRepository.update(req.params.id, {
+    is_active: isActive,
+    deactivated_at: isActive ? null : new Date().toISOString()
+  }, PROFILE_COLUMNS);
+
+  if (error) {
+    logger.error('Account status update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update account status'
+    });
+  }
+
+  // Also ban the auth user so sign-in and token refresh stop working
+  if (supabaseAdmin) {
+    const { error: banError } = await supabaseAdmin.auth.admin.updateUserById(req.params.id, {
+      ban_duration: isActive ? 'none' : DEACTIVATED_BAN_DURATION
+    });
+
+    if (banError) {
+      logger.error('Auth ban update error:', banError);
+    }
+  }
+
+  res.json({
+    success: true,
+    data: updated
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *         full_name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *         is_active:
+ *           type: boolean
+ *         deactivated_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List and search users (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches email or full name
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [created_at, email, full_name]
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/users', authenticate, authorize('admin'), validateQuery(adminSchemas.userQuery), async (req, res) => {
+  const { search, role, is_active, page, limit, sort_by, sort_order } = req.query;
+
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  const { data: users, error, count } = await profileRepository.list(
+    { search, role, is_active },
+    { sortBy: sort_by, ascending: sort_order === 'asc', from, to },
+    PROFILE_COLUMNS
+  );
+
+  if (error) {
+    logger.error('Admin users fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: users,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user with task counts (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/users/:id', authenticate, authorize('admin'), async (req, res) => {
+  const profile = await findProfile(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  try {
+    const [created, assigned, completed] = await Promise.all([
+      countRows(taskRepository.count({ createdBy: profile.id })),
+      countRows(taskRepository.count({ assignedTo: profile.id })),
+      countRows(taskRepository.count({ assignedTo: profile.id, status: 'completed' }))
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...profile,
+        task_counts: {
+          created,
+          assigned,
+          completed_assigned: completed
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin user fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or attempt to change own role
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.patch('/users/:id/role', authenticate, authorize('admin'), validate(adminSchemas.updateRole), async (req, res) => {
+  // Prevents the last admin from locking everyone out
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot change your own role'
+    });
+  }
+
+  const profile = await findProfile(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const { data: updated, error } = await profileRepository.update(req.params.id, { role: req.body.role }, PROFILE_COLUMNS);
+
+  if (error) {
+    logger.error('Role update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  }
+
+  logger.info(`User ${req.user.id} changed role of ${req.params.id} to ${req.body.role}`);
+
+  res.json({
+    success: true,
+    data: updated
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user account (admin only)
+ *     description: Deactivated users are rejected by every authenticated endpoint and cannot sign in.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Account deactivated
+ *       400:
+ *         description: Attempt to deactivate own account
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/users/:id/deactivate', authenticate, authorize('admin'), async (req, res) => {
+  await setAccountStatus(req, res, false);
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated user account (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Account reactivated
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/users/:id/reactivate', authenticate, authorize('admin'), async (req, res) => {
+  await setAccountStatus(req, res, true);
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/tasks:
+ *   get:
+ *     summary: Get every task a user created or is assigned to, across workspaces (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [todo, in_progress, completed]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/users/:id/tasks', authenticate, authorize('admin'), validateQuery(adminSchemas.userTaskQuery), async (req, res) => {
+  const { status, priority, page, limit } = req.query;
+
+  const profile = await findProfile(req.params.id);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  const { data: tasks, error, count } = await taskRepository.listByUser(profile.id, { status, priority }, { from, to });
+
+  if (error) {
+    logger.error('Admin user tasks fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tasks'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: tasks,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Get system-wide statistics (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/stats', authenticate, authorize('admin'), async (req, res) => {
+  const now = new Date();
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  try {
+    const [
+      totalUsers,
+      activeUsers,
+      adminUsers,
+      newUsers,
+      totalTasks,
+      todoTasks,
+      inProgressTasks,
+      completedTasks,
+      overdueTasks,
+      tasksCreatedRecently,
+      totalCategories,
+      totalWorkspaces
+    ] = await Promise.all([
+      countRows(profileRepository.count()),
+      countRows(profileRepository.count({ is_active: true })),
+      countRows(profileRepository.count({ role: 'admin' })),
+      countRows(profileRepository.count({ createdSince: thirtyDaysAgo })),
+      countRows(taskRepository.count()),
+      countRows(taskRepository.count({ status: 'todo' })),
+      countRows(taskRepository.count({ status: 'in_progress' })),
+      countRows(taskRepository.count({ status: 'completed' })),
+      countRows(taskRepository.count({ overdueAt: now })),
+      countRows(taskRepository.count({ createdSince: thirtyDaysAgo })),
+      countRows(categoryRepository.count()),
+      countRows(workspaceRepository.count())
+    ]);
+
+    const completionRate = totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
+
+    res.json({
+      success: true,
+      data: {
+        users: {
+          total: totalUsers,
+          active: activeUsers,
+          deactivated: totalUsers - activeUsers,
+          admins: adminUsers,
+          new_last_30_days: newUsers
+        },
+        tasks: {
+          total: totalTasks,
+          overdue: overdueTasks,
+          created_last_30_days: tasksCreatedRecently,
+          completion_rate: Math.round(completionRate * 100) / 100,
+          status_distribution: {
+            todo: todoTasks,
+            in_progress: inProgressTasks,
+            completed: completedTasks
+          }
+        },
+        categories: {
+          total: totalCategories
+        },
+        workspaces: {
+          total: totalWorkspaces
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch statistics'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,54 +1,39 @@
 const express = require('express');
-const { supabase } = require('../config/supabase');
+const {
+  tasks: taskRepository,
+  categories: categoryRepository,
+  tags: tagRepository
+} = require('../repositories');
 const { authenticate } = require('../middleware/auth');
+const { workspaceAccess, accessScope } = require('../middleware/workspace');
+const { analyticsSchemas, validateQuery } = require('../validation/schemas');
+const { buildTimeReport, periodStart } = require('../utils/timeTracking');
 const logger = require('../utils/logger');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
-router.get('/overview', authenticate, async (req, res) => {
+router.get('/overview', authenticate, workspaceAccess(), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const { data: totalTasks, error: totalError } = await supabase
-      .from('tasks')
-      .select('id', { count: 'exact' })
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`);
-
-    const { data: completedTasks, error: completedError } = await supabase
-      .from('tasks')
-      .select('id', { count: 'exact' })
-      .eq('status', 'completed')
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`);
-
-    const { data: inProgressTasks, error: inProgressError } = await supabase
-      .from('tasks')
-      .select('id', { count: 'exact' })
-      .eq('status', 'in_progress')
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`);
-
-    const { data: todoTasks, error: todoError } = await supabase
-      .from('tasks')
-      .select('id', { count: 'exact' })
-      .eq('status', 'todo')
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`);
-
-    const { data: overdueTasks, error: overdueError } = await supabase
-      .from('tasks')
-      .select('id', { count: 'exact' })
-      .lt('due_date', new Date().toISOString())
-      .neq('status', 'completed')
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`);
+    const scope = accessScope(req);
+
+    const [
+      { count: totalCount, error: totalError },
+      { count: completedCount, error: completedError },
+      { count: inProgressCount, error: inProgressError },
+      { count: todoCount, error: todoError },
+      { count: overdueCount, error: overdueError }
+    ] = await Promise.all([
+      taskRepository.count({ scope }),
+      taskRepository.count({ scope, status: 'completed' }),
+      taskRepository.count({ scope, status: 'in_progress' }),
+      taskRepository.count({ scope, status: 'todo' }),
+      taskRepository.count({ scope, overdueAt: new Date() })
+    ]);
 
     if (totalError || completedError || inProgressError || todoError || overdueError) {
       throw new Error('Failed to fetch analytics data');
     }
 
-    const totalCount = totalTasks?.length || 0;
-    const completedCount = completedTasks?.length || 0;
-    const inProgressCount = inProgressTasks?.length || 0;
-    const todoCount = todoTasks?.length || 0;
-    const overdueCount = overdueTasks?.length || 0;
-
     const completionRate = totalCount > 0 ? (completedCount / totalCount) * 100 : 0;
 
     res.json({
@@ -76,22 +61,15 @@ router.get('/overview', authenticate, async (req, res) => {
   }
 });
 
-router.get('/completion-rates', authenticate, async (req, res) => {
+router.get('/completion-rates', authenticate, workspaceAccess(), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { period = '30' } = req.query;
     
     const daysAgo = parseInt(period);
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - daysAgo);
 
-    const { data: completedTasks, error } = await supabase
-      .from('tasks')
-      .select('completed_at')
-      .eq('status', 'completed')
-      .gte('completed_at', startDate.toISOString())
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`)
-      .order('completed_at', { ascending: true });
+    const { data: completedTasks, error } = await taskRepository.listCompletedSince(accessScope(req), startDate);
 
     if (error) {
       throw error;
@@ -137,24 +115,9 @@ router.get('/completion-rates', authenticate, async (req, res) => {
   }
 });
 
-router.get('/overdue-tasks', authenticate, async (req, res) => {
+router.get('/overdue-tasks', authenticate, workspaceAccess(), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const { data: overdueTasks, error } = await supabase
-      .from('tasks')
-      .select(`
-        id,
-        title,
-        due_date,
-        priority,
-        status,
-        category:categories(name, color)
-      `)
-      .lt('due_date', new Date().toISOString())
-      .neq('status', 'completed')
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`)
-      .order('due_date', { ascending: true });
+    const { data: overdueTasks, error } = await taskRepository.listOverdue(accessScope(req), new Date());
 
     if (error) {
       throw error;
@@ -192,20 +155,15 @@ router.get('/overdue-tasks', authenticate, async (req, res) => {
   }
 });
 
-router.get('/productivity', authenticate, async (req, res) => {
+router.get('/productivity', authenticate, workspaceAccess(), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { period = '7' } = req.query;
     
     const daysAgo = parseInt(period);
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - daysAgo);
 
-    const { data: tasks, error } = await supabase
-      .from('tasks')
-      .select('created_at, completed_at, status, priority')
-      .gte('created_at', startDate.toISOString())
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`);
+    const { data: tasks, error } = await taskRepository.listCreatedSince(accessScope(req), startDate);
 
     if (error) {
       throw error;
@@ -255,19 +213,33 @@ router.get('/productivity', authenticate, async (req, res) => {
   }
 });
 
-router.get('/categories', authenticate, async (req, res) => {
+// Logged time by category, user and day, and estimates against actuals
+router.get('/time', authenticate, workspaceAccess(), validateQuery(analyticsSchemas.time), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const { data: categoryStats, error } = await supabase
-      .from('categories')
-      .select(`
-        id,
-        name,
-        color,
-        tasks:tasks(id, status)
-      `)
-      .eq('user_id', userId);
+    const { period } = req.query;
+
+    const { data: tasks, error } = await taskRepository.listWithTimeEntries(accessScope(req), periodStart(period));
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: buildTimeReport(tasks, { days: period })
+    });
+  } catch (error) {
+    logger.error('Time analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time analytics'
+    });
+  }
+});
+
+router.get('/categories', authenticate, workspaceAccess(), async (req, res) => {
+  try {
+    const { data: categoryStats, error } = await categoryRepository.listWithTaskStatuses(accessScope(req));
 
     if (error) {
       throw error;
@@ -291,11 +263,7 @@ router.get('/categories', authenticate, async (req, res) => {
       };
     });
 
-    const { data: uncategorizedTasks, error: uncategorizedError } = await supabase
-      .from('tasks')
-      .select('id, status')
-      .is('category_id', null)
-      .or(`created_by.eq.${userId},assigned_to.eq.${userId}`);
+    const { data: uncategorizedTasks, error: uncategorizedError } = await taskRepository.listUncategorized(accessScope(req));
 
     if (uncategorizedError) {
       throw uncategorizedError;
@@ -330,4 +298,59 @@ router.get('/categories', authenticate, async (req, res) => {
   }
 });
 
+// A task with several tags counts once towards each of them
+router.get('/tags', authenticate, workspaceAccess(), async (req, res) => {
+  try {
+    const [{ data: tags, error }, { data: tasks, error: tasksError }] = await Promise.all([
+      tagRepository.list(accessScope(req)),
+      taskRepository.listTagged(accessScope(req))
+    ]);
+
+    if (error || tasksError) {
+      throw error || tasksError;
+    }
+
+    const summarize = (tagTasks) => {
+      const completedTasks = tagTasks.filter(task => task.status === 'completed').length;
+
+      return {
+        total_tasks: tagTasks.length,
+        completed_tasks: completedTasks,
+        in_progress_tasks: tagTasks.filter(task => task.status === 'in_progress').length,
+        todo_tasks: tagTasks.filter(task => task.status === 'todo').length,
+        completion_rate: tagTasks.length > 0 ? (completedTasks / tagTasks.length) * 100 : 0
+      };
+    };
+
+    const tagAnalytics = tags.map(tag => ({
+      id: tag.id,
+      name: tag.name,
+      color: tag.color,
+      ...summarize(tasks.filter(task => task.task_tags.some(link => link.tag_id === tag.id)))
+    }));
+
+    const untaggedTasks = tasks.filter(task => task.task_tags.length === 0);
+
+    if (untaggedTasks.length > 0) {
+      tagAnalytics.push({
+        id: null,
+        name: 'Untagged',
+        color: '#6b7280',
+        ...summarize(untaggedTasks)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tagAnalytics.sort((a, b) => b.total_tasks - a.total_tasks)
+    });
+  } catch (error) {
+    logger.error('Tag analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tag analytics'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 const express = require('express');
-const { supabase, supabaseAdmin } = require('../config/supabase');
+const { auth, profiles } = require('../repositories');
 const { authSchemas, validate } = require('../validation/schemas');
 const { authenticate } = require('../middleware/auth');
 const logger = require('../utils/logger');
@@ -83,15 +83,7 @@ const router = express.Router();
 router.post('/register', validate(authSchemas.register), async (req, res) => {
   const { email, password, full_name } = req.body;
 
-  const { data, error } = await supabase.auth.signUp({
-    email,
-    password,
-    options: {
-      data: {
-        full_name
-      }
-    }
-  });
+  const { data, error } = await auth.signUp({ email, password, fullName: full_name });
 
   if (error) {
     logger.error('Registration error:', error);
@@ -104,13 +96,11 @@ router.post('/register', validate(authSchemas.register), async (req, res) => {
   // Create profile in our custom table
   if (data.user) {
     try {
-      const { error: profileError } = await supabaseAdmin
-        .from('profiles')
-        .insert({
-          id: data.user.id,
-          email: data.user.email,
-          full_name: data.user.user_metadata.full_name || full_name
-        });
+      const { error: profileError } = await profiles.create({
+        id: data.user.id,
+        email: data.user.email,
+        full_name: data.user.user_metadata.full_name || full_name
+      });
 
       if (profileError) {
         logger.error('Profile creation error:', profileError);
@@ -183,10 +173,7 @@ router.post('/register', validate(authSchemas.register), async (req, res) => {
 router.post('/login', validate(authSchemas.login), async (req, res) => {
   const { email, password } = req.body;
 
-  const { data, error } = await supabase.auth.signInWithPassword({
-    email,
-    password
-  });
+  const { data, error } = await auth.signIn({ email, password });
 
   if (error) {
     logger.error('Login error:', error);
@@ -225,7 +212,7 @@ router.post('/login', validate(authSchemas.login), async (req, res) => {
  *         description: Unauthorized
  */
 router.post('/logout', authenticate, async (req, res) => {
-  const { error } = await supabase.auth.signOut();
+  const { error } = await auth.signOut(req.accessToken);
 
   if (error) {
     logger.error('Logout error:', error);
@@ -265,24 +252,16 @@ router.post('/logout', authenticate, async (req, res) => {
  *         description: Unauthorized
  */
 router.get('/profile', authenticate, async (req, res) => {
-  let { data: profile, error } = await supabase
-    .from('profiles')
-    .select('*')
-    .eq('id', req.user.id)
-    .single();
+  let { data: profile, error } = await profiles.find(req.user.id);
 
-  if (error && error.code === 'PGRST116') {
+  if (!error && !profile) {
     // Profile doesn't exist, create it
     try {
-      const { data: newProfile, error: createError } = await supabaseAdmin
-        .from('profiles')
-        .insert({
-          id: req.user.id,
-          email: req.user.email,
-          full_name: req.user.user_metadata.full_name || 'User'
-        })
-        .select()
-        .single();
+      const { data: newProfile, error: createError } = await profiles.create({
+        id: req.user.id,
+        email: req.user.email,
+        full_name: req.user.user_metadata.full_name || 'User'
+      });
 
       if (createError) {
         logger.error('Profile creation error:', createError);
@@ -314,6 +293,93 @@ router.get('/profile', authenticate, async (req, res) => {
   });
 });
 
+const PREFERENCE_COLUMNS = 'digest_enabled, digest_send_hour, timezone';
+
+/**
+ * @swagger
+ * /api/auth/preferences:
+ *   get:
+ *     summary: Get daily digest email preferences
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/preferences', authenticate, async (req, res) => {
+  const { data: preferences, error } = await profiles.find(req.user.id, PREFERENCE_COLUMNS);
+
+  if (error) {
+    logger.error('Preferences fetch error:', error);
+  }
+
+  if (!preferences) {
+    return res.status(404).json({
+      success: false,
+      error: 'Profile not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: preferences
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/preferences:
+ *   patch:
+ *     summary: Update daily digest email preferences
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               digest_enabled:
+ *                 type: boolean
+ *                 description: Set to false to opt out of the daily digest
+ *               digest_send_hour:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 23
+ *                 description: Local hour at which the digest is sent
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Berlin
+ *     responses:
+ *       200:
+ *         description: Preferences updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/preferences', authenticate, validate(authSchemas.preferences), async (req, res) => {
+  const { data: preferences, error } = await profiles.update(req.user.id, req.body, PREFERENCE_COLUMNS);
+
+  if (error) {
+    logger.error('Preferences update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update preferences'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: preferences
+  });
+});
+
 /**
  * @swagger
  * /api/auth/refresh:
@@ -351,9 +417,7 @@ router.post('/refresh', async (req, res) => {
     });
   }
 
-  const { data, error } = await supabase.auth.refreshSession({
-    refresh_token
-  });
+  const { data, error } = await auth.refresh(refresh_token);
 
   if (error) {
     logger.error('Token refresh error:', error);
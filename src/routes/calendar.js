@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const express = require('express');
+const { profiles: profileRepository, tasks: taskRepository } = require('../repositories');
+const { calendarSchemas, validateQuery } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const { isWorkspaceMember } = require('../middleware/workspace');
+const { buildCalendar } = require('../utils/ical');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+const feedUrl = (req, token) => {
+  const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}/api/calendar/${token}.ics`;
+};
+
+const setCalendarToken = async (userId, token) => {
+  const { data: profile, error } = await profileRepository.update(userId, { calendar_token: token }, 'calendar_token');
+
+  if (error) {
+    throw error;
+  }
+
+  return profile.calendar_token;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Secret token; anyone with it can read the feed
+ *         feed_url:
+ *           type: string
+ *           format: uri
+ *           description: Subscribe to this URL in a calendar app. Add `?component=todo`, `status`, `category_id` or `workspace_id` to narrow it.
+ */
+
+/**
+ * @swagger
+ * /api/calendar:
+ *   get:
+ *     summary: Get the authenticated user's calendar feed URL
+ *     description: The token is created on first request.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed URL retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, async (req, res) => {
+  const { data: profile, error } = await profileRepository.find(req.user.id, 'calendar_token');
+
+  if (error) {
+    logger.error('Calendar token fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar feed'
+    });
+  }
+
+  let token = profile?.calendar_token;
+
+  if (!token) {
+    try {
+      token = await setCalendarToken(req.user.id, generateToken());
+    } catch (tokenError) {
+      logger.error('Calendar token creation error:', tokenError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create calendar feed'
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      feed_url: feedUrl(req, token)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/calendar/rotate-token:
+ *   post:
+ *     summary: Replace the calendar feed token
+ *     description: The old feed URL stops working immediately; resubscribe with the new one.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/rotate-token', authenticate, async (req, res) => {
+  let token;
+
+  try {
+    token = await setCalendarToken(req.user.id, generateToken());
+  } catch (error) {
+    logger.error('Calendar token rotation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rotate calendar token'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      feed_url: feedUrl(req, token)
+    },
+    message: 'Calendar token rotated successfully'
+  });
+});
+
+/**
+ * @swagger
+ * /api/calendar/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of tasks with a due date
+ *     description: Authenticated by the secret token in the URL, so calendar apps can subscribe. Lists the token owner's personal tasks (created by or assigned to them), or a workspace's tasks with `workspace_id`.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: component
+ *         schema:
+ *           type: string
+ *           enum: [event, todo]
+ *           default: event
+ *         description: Publish tasks as VEVENTs (shown in most calendar apps) or VTODOs (task apps)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [todo, in_progress, completed]
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: workspace_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown token, or not a member of the workspace
+ */
+router.get('/:token.ics', validateQuery(calendarSchemas.feed), async (req, res) => {
+  const { token } = req.params;
+  const { component, status, category_id, workspace_id } = req.query;
+
+  // Read by token, before any user is known
+  const { data: profile } = await profileRepository.findByCalendarToken(token, 'id, full_name, is_active');
+
+  if (!profile || profile.is_active === false) {
+    return res.status(404).json({
+      success: false,
+      error: 'Calendar feed not found'
+    });
+  }
+
+  if (workspace_id && !await isWorkspaceMember(workspace_id, profile.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Calendar feed not found'
+    });
+  }
+
+  // The same visibility rule as the task routes, for the token's owner
+  const scope = { userId: profile.id, workspaceId: workspace_id || null };
+
+  const { data: tasks, error } = await taskRepository.listDue(scope, { status, category_id });
+
+  if (error) {
+    logger.error('Calendar feed error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="tasks.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(buildCalendar(tasks, {
+    name: profile.full_name ? `${profile.full_name}'s tasks` : 'Tasks',
+    component
+  }));
+});
+
+module.exports = router;
@@ -1,10 +1,18 @@
 const express = require('express');
-const { supabase } = require('../config/supabase');
+const { tasks: taskRepository, categories: categoryRepository } = require('../repositories');
 const { categorySchemas, validate } = require('../validation/schemas');
 const { authenticate } = require('../middleware/auth');
+const {
+  WRITE_ROLES,
+  ADMIN_ROLES,
+  workspaceAccess,
+  accessScope
+} = require('../middleware/workspace');
+const { recordActivity } = require('../services/activity');
+const { findAccessibleWorkflow } = require('../services/workflows');
 const logger = require('../utils/logger');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
 /**
  * @swagger
@@ -26,6 +34,11 @@ const router = express.Router();
  *         user_id:
  *           type: string
  *           format: uuid
+ *         workflow_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Overrides the workspace's workflow for tasks in this category
  *         created_at:
  *           type: string
  *           format: date-time
@@ -42,6 +55,8 @@ const router = express.Router();
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *     responses:
  *       200:
  *         description: Categories retrieved successfully
@@ -59,12 +74,8 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  */
-router.get('/', authenticate, async (req, res) => {
-  const { data: categories, error } = await supabase
-    .from('categories')
-    .select('*')
-    .eq('user_id', req.user.id)
-    .order('created_at', { ascending: false });
+router.get('/', authenticate, workspaceAccess(), async (req, res) => {
+  const { data: categories, error } = await categoryRepository.list(accessScope(req));
 
   if (error) {
     logger.error('Categories fetch error:', error);
@@ -89,6 +100,7 @@ router.get('/', authenticate, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -112,15 +124,10 @@ router.get('/', authenticate, async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, workspaceAccess(), async (req, res) => {
   const { id } = req.params;
 
-  const { data: category, error } = await supabase
-    .from('categories')
-    .select('*')
-    .eq('id', id)
-    .eq('user_id', req.user.id)
-    .single();
+  const { data: category, error } = await categoryRepository.find(id, accessScope(req));
 
   if (error) {
     logger.error('Category fetch error:', error);
@@ -144,6 +151,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -163,6 +172,10 @@ router.get('/:id', authenticate, async (req, res) => {
  *               color:
  *                 type: string
  *                 pattern: '^#[0-9A-F]{6}$'
+ *               workflow_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -180,19 +193,24 @@ router.get('/:id', authenticate, async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.post('/', authenticate, validate(categorySchemas.create), async (req, res) => {
-  const { name, description, color } = req.body;
-
-  const { data: category, error } = await supabase
-    .from('categories')
-    .insert({
-      name,
-      description,
-      color,
-      user_id: req.user.id
-    })
-    .select()
-    .single();
+router.post('/', authenticate, workspaceAccess(...WRITE_ROLES), validate(categorySchemas.create), async (req, res) => {
+  const { name, description, color, workflow_id } = req.body;
+
+  if (workflow_id && !await findAccessibleWorkflow(workflow_id, req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid workflow ID'
+    });
+  }
+
+  const { data: category, error } = await categoryRepository.create({
+    name,
+    description,
+    color,
+    workflow_id,
+    user_id: req.user.id,
+    workspace_id: req.workspace?.id || null
+  });
 
   if (error) {
     logger.error('Category creation error:', error);
@@ -210,6 +228,8 @@ router.post('/', authenticate, validate(categorySchemas.create), async (req, res
     });
   }
 
+  await recordActivity({ actorId: req.user.id, entityType: 'category', action: 'create', after: category });
+
   res.status(201).json({
     success: true,
     data: category
@@ -225,6 +245,7 @@ router.post('/', authenticate, validate(categorySchemas.create), async (req, res
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -248,6 +269,10 @@ router.post('/', authenticate, validate(categorySchemas.create), async (req, res
  *               color:
  *                 type: string
  *                 pattern: '^#[0-9A-F]{6}$'
+ *               workflow_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
  *     responses:
  *       200:
  *         description: Category updated successfully
@@ -267,17 +292,27 @@ router.post('/', authenticate, validate(categorySchemas.create), async (req, res
  *       401:
  *         description: Unauthorized
  */
-router.put('/:id', authenticate, validate(categorySchemas.update), async (req, res) => {
+router.put('/:id', authenticate, workspaceAccess(...WRITE_ROLES), validate(categorySchemas.update), async (req, res) => {
   const { id } = req.params;
   const updateData = req.body;
 
-  const { data: category, error } = await supabase
-    .from('categories')
-    .update(updateData)
-    .eq('id', id)
-    .eq('user_id', req.user.id)
-    .select()
-    .single();
+  const { data: existingCategory } = await categoryRepository.find(id, accessScope(req));
+
+  if (!existingCategory) {
+    return res.status(404).json({
+      success: false,
+      error: 'Category not found'
+    });
+  }
+
+  if (updateData.workflow_id && !await findAccessibleWorkflow(updateData.workflow_id, req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid workflow ID'
+    });
+  }
+
+  const { data: category, error } = await categoryRepository.update(id, updateData, accessScope(req));
 
   if (error) {
     logger.error('Category update error:', error);
@@ -302,6 +337,8 @@ router.put('/:id', authenticate, validate(categorySchemas.update), async (req, r
     });
   }
 
+  await recordActivity({ actorId: req.user.id, entityType: 'category', action: 'update', before: existingCategory, after: category });
+
   res.json({
     success: true,
     data: category
@@ -312,11 +349,13 @@ router.put('/:id', authenticate, validate(categorySchemas.update), async (req, r
  * @swagger
  * /api/categories/{id}:
  *   delete:
- *     summary: Delete a category
+ *     summary: Move a category to the trash
+ *     description: Its tasks keep the category until it is purged after TRASH_RETENTION_DAYS.
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -325,20 +364,16 @@ router.put('/:id', authenticate, validate(categorySchemas.update), async (req, r
  *           format: uuid
  *     responses:
  *       200:
- *         description: Category deleted successfully
+ *         description: Category moved to trash
  *       404:
  *         description: Category not found
  *       401:
  *         description: Unauthorized
  */
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
   const { id } = req.params;
 
-  const { error } = await supabase
-    .from('categories')
-    .delete()
-    .eq('id', id)
-    .eq('user_id', req.user.id);
+  const { data: trashed, error } = await categoryRepository.trash(id, accessScope(req), req.user.id);
 
   if (error) {
     logger.error('Category deletion error:', error);
@@ -348,9 +383,93 @@ router.delete('/:id', authenticate, async (req, res) => {
     });
   }
 
+  if (trashed.length > 0) {
+    await recordActivity({ actorId: req.user.id, entityType: 'category', action: 'delete', before: trashed[0] });
+  }
+
+  res.json({
+    success: true,
+    message: 'Category moved to trash'
+  });
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}/restore:
+ *   post:
+ *     summary: Restore a category from the trash
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Category restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       404:
+ *         description: Category not found in trash
+ *       409:
+ *         description: Another category has taken its name
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/restore', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const { id } = req.params;
+
+  const { data: trashedCategory } = await categoryRepository.findTrashed(id, accessScope(req));
+
+  if (!trashedCategory) {
+    return res.status(404).json({
+      success: false,
+      error: 'Category not found in trash'
+    });
+  }
+
+  const { data: category, error } = await categoryRepository.restore(id, accessScope(req));
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found in trash'
+      });
+    }
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Category name already exists'
+      });
+    }
+
+    logger.error('Category restore error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to restore category'
+    });
+  }
+
+  await recordActivity({ actorId: req.user.id, entityType: 'category', action: 'restore', before: trashedCategory, after: category });
+
   res.json({
     success: true,
-    message: 'Category deleted successfully'
+    data: category,
+    message: 'Category restored successfully'
   });
 });
 
@@ -363,6 +482,7 @@ router.delete('/:id', authenticate, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *       - in: path
  *         name: id
  *         required: true
@@ -388,15 +508,10 @@ router.delete('/:id', authenticate, async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/:id/tasks', authenticate, async (req, res) => {
+router.get('/:id/tasks', authenticate, workspaceAccess(), async (req, res) => {
   const { id } = req.params;
 
-  const { data: category } = await supabase
-    .from('categories')
-    .select('id')
-    .eq('id', id)
-    .eq('user_id', req.user.id)
-    .single();
+  const { data: category } = await categoryRepository.find(id, accessScope(req));
 
   if (!category) {
     return res.status(404).json({
@@ -405,15 +520,7 @@ router.get('/:id/tasks', authenticate, async (req, res) => {
     });
   }
 
-  const { data: tasks, error } = await supabase
-    .from('tasks')
-    .select(`
-      *,
-      category:categories(name, color)
-    `)
-    .eq('category_id', id)
-    .or(`created_by.eq.${req.user.id},assigned_to.eq.${req.user.id}`)
-    .order('created_at', { ascending: false });
+  const { data: tasks, error } = await taskRepository.listByCategory(id, accessScope(req));
 
   if (error) {
     logger.error('Category tasks fetch error:', error);
@@ -0,0 +1,254 @@
+const express = require('express');
+const { notifications: notificationRepository } = require('../repositories');
+const { notificationSchemas, validateQuery } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           enum: [task_assigned, task_completed, comment_mention, task_overdue]
+ *         task_id:
+ *           type: string
+ *           format: uuid
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           description: Who caused the notification; null for scheduled jobs
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: Type-specific details, such as the comment for a mention
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         task:
+ *           type: object
+ *           properties:
+ *             title:
+ *               type: string
+ *             status:
+ *               type: string
+ *         actor:
+ *           type: object
+ *           properties:
+ *             full_name:
+ *               type: string
+ *             email:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the authenticated user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: true for only unread notifications, false for only read ones
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [task_assigned, task_completed, comment_mention, task_overdue]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unread_count:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, validateQuery(notificationSchemas.query), async (req, res) => {
+  const { unread, type, page, limit } = req.query;
+
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  const { data: notifications, error, count } = await notificationRepository.list(
+    req.user.id,
+    { unread, type },
+    { from, to }
+  );
+
+  if (error) {
+    logger.error('Notifications fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  }
+
+  const { count: unreadCount, error: countError } = await notificationRepository.countUnread(req.user.id);
+
+  if (countError) {
+    logger.error('Unread notification count error:', countError);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: notifications,
+    unread_count: unreadCount,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all of the authenticated user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/read-all', authenticate, async (req, res) => {
+  const { data: notifications, error } = await notificationRepository.markAllRead(req.user.id);
+
+  if (error) {
+    logger.error('Mark all notifications read error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { updated: notifications.length },
+    message: 'All notifications marked as read'
+  });
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Notification'
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/read', authenticate, async (req, res) => {
+  const { id } = req.params;
+
+  const { data: existing } = await notificationRepository.find(id, req.user.id);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Notification not found'
+    });
+  }
+
+  // Keep the original read time when it is marked read again
+  const { data: notification, error } = await notificationRepository.markRead(
+    id,
+    req.user.id,
+    existing.read_at || new Date().toISOString()
+  );
+
+  if (error) {
+    logger.error('Mark notification read error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: notification
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { loadWorkspaceIds, openStream } = require('../services/eventStream');
+const { formatEvent } = require('../utils/eventStream');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Browsers' EventSource cannot send headers, so the token may also come
+// from the query string
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+
+  next();
+};
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Stream task and category changes as Server-Sent Events
+ *     description: |
+ *       Pushes `task.created`, `task.updated`, `task.status_changed`, `task.deleted`,
+ *       `task.restored`, `category.created`, `category.updated`, `category.deleted` and
+ *       `category.restored` for the caller's personal tasks and categories and every
+ *       workspace they belong to. Each event's
+ *       `data` is `{ task | category, changes, actor_id, workspace_id }`.
+ *
+ *       Reconnect with the `Last-Event-ID` header (EventSource does this automatically)
+ *       to receive missed events. When they are no longer available a `reset` event is
+ *       sent and the client should refetch.
+ *     tags: [Stream]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: last_event_id
+ *         schema:
+ *           type: string
+ *         description: Alternative to the Last-Event-ID header
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Alternative to the Authorization header for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', tokenFromQuery, authenticate, async (req, res) => {
+  let workspaceIds;
+
+  try {
+    workspaceIds = await loadWorkspaceIds(req.user.id);
+  } catch (error) {
+    logger.error('Stream workspace lookup error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to open stream'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = {
+    userId: req.user.id,
+    workspaceIds,
+    send: (event) => res.write(formatEvent(event)),
+    close: () => res.end()
+  };
+
+  const close = openStream(client, req.get('Last-Event-ID') || req.query.last_event_id);
+
+  // Keeps proxies from timing out the connection and picks up workspace
+  // membership changes
+  const heartbeat = setInterval(async () => {
+    res.write(': heartbeat\n\n');
+
+    try {
+      client.workspaceIds = await loadWorkspaceIds(req.user.id);
+    } catch (error) {
+      logger.error('Stream workspace refresh error:', error);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    close();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,403 @@
+const express = require('express');
+const { tags: tagRepository } = require('../repositories');
+const { tagSchemas, validate } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const {
+  WRITE_ROLES,
+  ADMIN_ROLES,
+  workspaceAccess,
+  accessScope
+} = require('../middleware/workspace');
+const logger = require('../utils/logger');
+
+const router = express.Router({ mergeParams: true });
+
+const formatTag = ({ tasks, ...tag }) => ({
+  ...tag,
+  task_count: tasks?.[0]?.count || 0
+});
+
+const findTag = async (tagId, req) => {
+  const { data: tag } = await tagRepository.find(tagId, accessScope(req));
+
+  return tag;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         color:
+ *           type: string
+ *           pattern: '^#[0-9A-F]{6}$'
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         workspace_id:
+ *           type: string
+ *           format: uuid
+ *         task_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Get all tags with their task counts
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, workspaceAccess(), async (req, res) => {
+  const { data: tags, error } = await tagRepository.list(accessScope(req));
+
+  if (error) {
+    logger.error('Tags fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tags'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: tags.map(formatTag)
+  });
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   get:
+ *     summary: Get a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tag retrieved successfully
+ *       404:
+ *         description: Tag not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticate, workspaceAccess(), async (req, res) => {
+  const tag = await findTag(req.params.id, req);
+
+  if (!tag) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tag not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: formatTag(tag)
+  });
+});
+
+/**
+ * @swagger
+ * /api/tags:
+ *   post:
+ *     summary: Create a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 50
+ *               color:
+ *                 type: string
+ *                 pattern: '^#[0-9A-F]{6}$'
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *       400:
+ *         description: Validation error or duplicate tag name
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticate, workspaceAccess(...WRITE_ROLES), validate(tagSchemas.create), async (req, res) => {
+  const { data: tag, error } = await tagRepository.create({
+    ...req.body,
+    user_id: req.user.id,
+    workspace_id: req.workspace?.id || null
+  });
+
+  if (error) {
+    logger.error('Tag creation error:', error);
+
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        error: 'Tag name already exists'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create tag'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: formatTag(tag)
+  });
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   put:
+ *     summary: Rename or recolor a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 50
+ *               color:
+ *                 type: string
+ *                 pattern: '^#[0-9A-F]{6}$'
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       400:
+ *         description: Validation error or duplicate tag name
+ *       404:
+ *         description: Tag not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', authenticate, workspaceAccess(...WRITE_ROLES), validate(tagSchemas.update), async (req, res) => {
+  const { data: tag, error } = await tagRepository.update(req.params.id, req.body, accessScope(req));
+
+  if (error) {
+    logger.error('Tag update error:', error);
+
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        error: 'Tag name already exists'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update tag'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: formatTag(tag)
+  });
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}/merge:
+ *   post:
+ *     summary: Merge a tag into another
+ *     description: Every task tagged with this tag gets the target tag instead, then this tag is deleted.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The tag to merge away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - target_id
+ *             properties:
+ *               target_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Tags merged; returns the target tag
+ *       400:
+ *         description: Validation error, or a tag merged into itself
+ *       404:
+ *         description: Tag not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/merge', authenticate, workspaceAccess(...ADMIN_ROLES), validate(tagSchemas.merge), async (req, res) => {
+  const { id } = req.params;
+  const { target_id: targetId } = req.body;
+
+  if (id === targetId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cannot merge a tag into itself'
+    });
+  }
+
+  const [source, target] = await Promise.all([findTag(id, req), findTag(targetId, req)]);
+
+  if (!source || !target) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tag not found'
+    });
+  }
+
+  const { data: moved, error } = await tagRepository.merge(id, targetId);
+
+  if (error) {
+    logger.error('Tag merge error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to merge tags'
+    });
+  }
+
+  const merged = await findTag(targetId, req);
+
+  res.json({
+    success: true,
+    data: formatTag(merged),
+    message: `Merged "${source.name}" into "${target.name}"; ${moved} task${moved === 1 ? '' : 's'} retagged`
+  });
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   delete:
+ *     summary: Delete a tag and remove it from every task
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const { data: deleted, error } = await tagRepository.remove(req.params.id, accessScope(req));
+
+  if (error) {
+    logger.error('Tag deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete tag'
+    });
+  }
+
+  if (deleted.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tag not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Tag deleted successfully'
+  });
+});
+
+module.exports = router;
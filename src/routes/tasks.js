@@ -1,299 +1,2471 @@
+const crypto = require('crypto');
 const express = require('express');
-const { supabase } = require('../config/supabase');
-const { taskSchemas, validate, validateQuery } = require('../validation/schemas');
+const {
+  tasks: taskRepository,
+  categories: categoryRepository,
+  comments: commentRepository,
+  dependencies: dependencyRepository,
+  timeEntries: timeEntryRepository,
+  attachments: attachmentRepository,
+  tags: tagRepository,
+  imports: importRepository,
+  workspaces: workspaceRepository
+} = require('../repositories');
+const {
+  taskSchemas,
+  categorySchemas,
+  tagSchemas,
+  subtaskSchemas,
+  dependencySchemas,
+  commentSchemas,
+  timeEntrySchemas,
+  activitySchemas,
+  validate,
+  validateQuery
+} = require('../validation/schemas');
 const { authenticate } = require('../middleware/auth');
+const { uploadFile } = require('../middleware/upload');
+const {
+  WRITE_ROLES,
+  workspaceAccess,
+  accessScope,
+  canManageTask,
+  isWorkspaceMember
+} = require('../middleware/workspace');
+const { materializeNextOccurrence } = require('../services/recurringTasks');
+const { recordActivity, fetchActivity } = require('../services/activity');
+const { saveAttachment, readAttachment, deleteAttachment } = require('../services/attachments');
+const { resolveWorkflow, createWorkflowResolver } = require('../services/workflows');
+const {
+  formatTask,
+  loadFilterIds,
+  loadSearchMatches,
+  sortByRelevance,
+  listTasks
+} = require('../services/taskList');
+const { parseRule, formatRule } = require('../utils/recurrence');
+const { findStatus, initialStatus, currentStatusKey, planStatusChange } = require('../utils/workflow');
+const { toCsvRow } = require('../utils/csv');
+const { MAX_IMPORT_ROWS, toRecords, mapRecord } = require('../utils/taskImport');
+const { elapsedMinutes, summarizeTaskTime } = require('../utils/timeTracking');
+const { sanitizeFileName, contentDisposition } = require('../utils/attachments');
 const logger = require('../utils/logger');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
-router.get('/', authenticate, validateQuery(taskSchemas.query), async (req, res) => {
-  const {
+const findAccessibleTask = async (taskId, req) => {
+  const { data: task } = await taskRepository.findAccessible(taskId, accessScope(req));
+
+  return task;
+};
+
+const findAccessibleCategory = async (categoryId, req) => {
+  const { data: category } = await categoryRepository.find(categoryId, accessScope(req));
+
+  return category;
+};
+
+// Workspace tasks may only be assigned to members of that workspace
+const isValidAssignee = async (req, userId) => (
+  !req.workspace || !userId || isWorkspaceMember(req.workspace.id, userId)
+);
+
+const getSubtaskProgress = async (taskId) => {
+  const { data: subtasks, error } = await taskRepository.listSubtasks(taskId);
+
+  if (error) {
+    throw error;
+  }
+
+  const completed = subtasks.filter(subtask => subtask.status === 'completed').length;
+
+  return {
+    subtasks,
+    progress: {
+      completed,
+      total: subtasks.length,
+      percentage: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : 0
+    }
+  };
+};
+
+const findSubtask = async (parentId, subtaskId) => {
+  const { data: subtask } = await taskRepository.findSubtask(parentId, subtaskId);
+
+  return subtask;
+};
+
+// Returns how many open subtasks stand in the way of completing the task.
+// Zero when the task does not opt into `require_subtasks_completed`.
+const countBlockingSubtasks = async (taskId, req, requireOverride) => {
+  const { data: task } = await taskRepository.find(taskId, accessScope(req));
+
+  const required = requireOverride ?? task?.require_subtasks_completed;
+
+  if (!task || !required) {
+    return 0;
+  }
+
+  const { count, error } = await taskRepository.countOpenSubtasks(taskId);
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+};
+
+// Moves a task and its subtasks to the trash. Timers running on them are
+// stopped, since a task in the trash can no longer be reached to stop one.
+const trashTask = async (taskId, req) => {
+  const { data: trashed, error } = await taskRepository.trash(taskId, req.user.id);
+
+  if (error || trashed.length === 0) {
+    return { trashed, error };
+  }
+
+  const { data: running, error: runningError } = await timeEntryRepository.listRunningByTasks(trashed.map(task => task.id));
+
+  if (runningError) {
+    logger.error('Running timers fetch error:', runningError);
+  }
+
+  const endedAt = new Date().toISOString();
+
+  for (const entry of running || []) {
+    const { error: stopError } = await timeEntryRepository.update(entry.id, {
+      ended_at: endedAt,
+      duration_minutes: elapsedMinutes(entry.started_at, endedAt)
+    });
+
+    if (stopError) {
+      logger.error('Timer stop error:', stopError);
+    }
+  }
+
+  return { trashed, error: null };
+};
+
+const BLOCKED_STATUSES = ['in_progress', 'completed'];
+
+/**
+ * Turns a requested `status` (a key of the task's workflow) into the `status`
+ * category and `workflow_status` columns on `updateData`, enforcing the
+ * workflow's transitions. Moving a task to another category maps it onto that
+ * category's workflow. Returns the refusal from planStatusChange, or null.
+ */
+const applyWorkflowStatus = async (updateData, task, resolve = resolveWorkflow) => {
+  if (updateData.status === undefined && updateData.category_id === undefined) {
+    return null;
+  }
+
+  const workflow = await resolve({
+    categoryId: updateData.category_id === undefined ? task.category_id : updateData.category_id,
+    workspaceId: task.workspace_id
+  });
+
+  const requested = updateData.status;
+  const change = planStatusChange(workflow, task, requested ?? currentStatusKey(workflow, task));
+
+  if (change.error) {
+    return change;
+  }
+
+  Object.assign(updateData, change.fields);
+
+  // A category move alone should not look like a status change to the
+  // completion and blocker checks
+  if (requested === undefined && updateData.status === task.status) {
+    delete updateData.status;
+  }
+
+  return null;
+};
+
+const workflowError = (res, { status, error, allowed_statuses }) => res.status(status).json({
+  success: false,
+  error,
+  allowed_statuses
+});
+
+const getOpenBlockers = async (taskId) => {
+  const { data: dependencies, error } = await dependencyRepository.listBlockers(taskId);
+
+  if (error) {
+    throw error;
+  }
+
+  return dependencies
+    .map(dependency => dependency.task)
+    .filter(blocker => blocker && blocker.status !== 'completed');
+};
+
+// Walks the blockers of `dependsOnId` breadth-first; if `taskId` is reachable,
+// adding "taskId is blocked by dependsOnId" would close a cycle.
+const createsDependencyCycle = async (taskId, dependsOnId) => {
+  const visited = new Set([dependsOnId]);
+  let frontier = [dependsOnId];
+
+  while (frontier.length > 0) {
+    const { data: edges, error } = await dependencyRepository.listBlockerIds(frontier);
+
+    if (error) {
+      throw error;
+    }
+
+    frontier = [];
+    for (const { depends_on_task_id: next } of edges) {
+      if (next === taskId) {
+        return true;
+      }
+      if (!visited.has(next)) {
+        visited.add(next);
+        frontier.push(next);
+      }
+    }
+  }
+
+  return false;
+};
+
+// Fields an "all future occurrences" edit copies onto later open occurrences
+const SERIES_EDITABLE_FIELDS = ['title', 'description', 'priority', 'category_id', 'assigned_to', 'require_subtasks_completed', 'estimate_minutes'];
+
+const startSeries = (rule, dueDate, seriesId) => ({
+  recurrence_rule: rule,
+  recurrence_start: dueDate,
+  series_id: seriesId || crypto.randomUUID(),
+  occurrence_index: 0
+});
+
+// Moving the due date for all future occurrences restarts the series at this
+// occurrence; COUNT is reduced by the occurrences already behind us.
+const reanchorSeries = (task, dueDate) => {
+  const rule = parseRule(task.recurrence_rule);
+
+  if (rule.count) {
+    rule.count = Math.max(rule.count - task.occurrence_index, 1);
+  }
+
+  return {
+    recurrence_rule: formatRule(rule),
+    recurrence_start: dueDate,
+    occurrence_index: 0
+  };
+};
+
+// Copies a "this and future occurrences" edit onto the open occurrences later
+// in the series. Failures are logged; the edited occurrence itself is saved.
+const updateFutureOccurrences = async (task, seriesUpdate, actorId) => {
+  const { data: occurrences, error: fetchError } = await taskRepository.listLaterOccurrences(task);
+
+  if (fetchError) {
+    logger.error('Recurring series fetch error:', fetchError);
+    return;
+  }
+
+  if (occurrences.length === 0) {
+    return;
+  }
+
+  const { data: updated, error } = await taskRepository.updateMany(occurrences.map(occurrence => occurrence.id), seriesUpdate);
+
+  if (error) {
+    logger.error('Recurring series update error:', error);
+    return;
+  }
+
+  const previous = new Map(occurrences.map(occurrence => [occurrence.id, occurrence]));
+
+  await recordActivity(...updated.map(occurrence => ({
+    actorId,
+    entityType: 'task',
+    action: 'update',
+    before: previous.get(occurrence.id),
+    after: occurrence
+  })));
+};
+
+// Completion must never fail because of the follow-up occurrence; the
+// recurring tasks job retries anything left behind.
+const createNextOccurrence = async (task, actorId) => {
+  try {
+    return await materializeNextOccurrence(task, actorId);
+  } catch (error) {
+    logger.error('Recurring task occurrence error:', error);
+    return null;
+  }
+};
+
+const findTaskComment = async (taskId, commentId) => {
+  const { data: comment } = await commentRepository.find(taskId, commentId);
+
+  return comment;
+};
+
+// Loads the task into `req.task`. Runs ahead of uploadFile so a request for
+// a task the user cannot reach is refused before its body is read.
+const requireAccessibleTask = async (req, res, next) => {
+  req.task = await findAccessibleTask(req.params.id, req);
+
+  if (!req.task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  next();
+};
+
+const findTaskAttachment = async (taskId, attachmentId) => {
+  const { data: attachment } = await attachmentRepository.find(taskId, attachmentId);
+
+  return attachment;
+};
+
+const findTimeEntry = async (taskId, entryId) => {
+  const { data: entry } = await timeEntryRepository.find(taskId, entryId);
+
+  return entry;
+};
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000).toISOString();
+
+router.get('/', authenticate, workspaceAccess(), validateQuery(taskSchemas.query), loadSearchMatches, listTasks);
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Flat CSV columns; JSON and NDJSON export the full task instead
+const EXPORT_COLUMNS = [
+  ['id', task => task.id],
+  ['title', task => task.title],
+  ['description', task => task.description],
+  ['status', task => task.status],
+  ['workflow_status', task => task.workflow_status],
+  ['priority', task => task.priority],
+  ['due_date', task => task.due_date],
+  ['category', task => task.category?.name],
+  ['category_color', task => task.category?.color],
+  ['tags', task => task.tags?.map(tag => tag.name).join(', ')],
+  ['assigned_to', task => task.assigned_to],
+  ['created_by', task => task.created_by],
+  ['parent_task_id', task => task.parent_task_id],
+  ['comment_count', task => task.comment_count],
+  ['completed_at', task => task.completed_at],
+  ['created_at', task => task.created_at],
+  ['updated_at', task => task.updated_at]
+];
+
+const exportFormatters = {
+  csv: {
+    header: () => toCsvRow(EXPORT_COLUMNS.map(([name]) => name)),
+    row: (task) => toCsvRow(EXPORT_COLUMNS.map(([, value]) => value(task))),
+    footer: () => ''
+  },
+  json: {
+    header: () => '[',
+    row: (task, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(task)}`,
+    footer: (count) => (count === 0 ? ']\n' : '\n]\n')
+  },
+  ndjson: {
+    header: () => '',
+    row: (task) => `${JSON.stringify(task)}\n`,
+    footer: () => ''
+  }
+};
+
+router.get('/export', authenticate, workspaceAccess(), validateQuery(taskSchemas.export), loadSearchMatches, async (req, res) => {
+  const { sort_by, sort_order, format } = req.query;
+
+  const { searchResults } = req;
+
+  const scope = accessScope(req);
+  const filterIds = await loadFilterIds(req.query);
+
+  // Search matches are already capped, so a relevance export is a single
+  // batch ranked here. Otherwise the id tiebreaker keeps rows with equal
+  // sort values from moving between batches.
+  const fetchBatch = async (offset) => {
+    if (sort_by === 'relevance') {
+      const { data, error } = await taskRepository.list(scope, req.query, { filterIds });
+      return { data: data && sortByRelevance(data, searchResults, sort_order), error };
+    }
+
+    return taskRepository.list(scope, req.query, {
+      filterIds,
+      sortBy: sort_by,
+      ascending: sort_order === 'asc',
+      from: offset,
+      to: offset + EXPORT_BATCH_SIZE - 1
+    });
+  };
+
+  let { data: batch, error } = await fetchBatch(0);
+
+  if (error) {
+    logger.error('Task export error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to export tasks'
+    });
+  }
+
+  const formatter = exportFormatters[format];
+  const fileName = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.set({
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.write(formatter.header());
+
+  let exported = 0;
+
+  while (batch.length > 0) {
+    for (const task of batch) {
+      res.write(formatter.row(formatTask(task), exported));
+      exported += 1;
+    }
+
+    if (batch.length < EXPORT_BATCH_SIZE || sort_by === 'relevance') {
+      break;
+    }
+
+    ({ data: batch, error } = await fetchBatch(exported));
+
+    // Headers are already sent, so a failure can only cut the download short
+    if (error) {
+      logger.error('Task export error:', error);
+      return res.destroy(error);
+    }
+  }
+
+  res.end(formatter.footer(exported));
+});
+
+router.get('/:id', authenticate, workspaceAccess(), async (req, res) => {
+  const { id } = req.params;
+
+  const { data: task, error } = await taskRepository.findDetailed(id, accessScope(req));
+
+  if (error) {
+    logger.error('Task fetch error:', error);
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { subtasks, progress } = await getSubtaskProgress(id);
+  const { data: attachments, error: attachmentsError } = await attachmentRepository.listByTasks([id]);
+
+  if (attachmentsError) {
+    logger.error('Task attachments fetch error:', attachmentsError);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...formatTask(task),
+      subtasks,
+      subtask_progress: progress,
+      attachments: attachments || []
+    }
+  });
+});
+
+router.post('/', authenticate, workspaceAccess(...WRITE_ROLES), validate(taskSchemas.create), async (req, res) => {
+  const { recurrence, ...fields } = req.body;
+  const taskData = {
+    ...fields,
+    ...(recurrence && startSeries(recurrence, fields.due_date)),
+    workspace_id: req.workspace?.id || null,
+    created_by: req.user.id
+  };
+
+  if (taskData.category_id && !await findAccessibleCategory(taskData.category_id, req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid category ID'
+    });
+  }
+
+  if (!await isValidAssignee(req, taskData.assigned_to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Assignee is not a member of this workspace'
+    });
+  }
+
+  const workflow = await resolveWorkflow({ categoryId: taskData.category_id, workspaceId: taskData.workspace_id });
+  const statusChange = planStatusChange(workflow, null, taskData.status ?? initialStatus(workflow));
+
+  if (statusChange.error) {
+    return workflowError(res, statusChange);
+  }
+
+  Object.assign(taskData, statusChange.fields);
+
+  const { data: task, error } = await taskRepository.create(taskData);
+
+  if (error) {
+    logger.error('Task creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create task'
+    });
+  }
+
+  await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'create', after: task });
+
+  res.status(201).json({
+    success: true,
+    data: task
+  });
+});
+
+// Applies one operation to many tasks. Each id is checked against the same
+// ownership rules as the single-task routes and reported on individually, so
+// one bad id never fails the whole batch.
+router.post('/bulk', authenticate, workspaceAccess(...WRITE_ROLES), validate(taskSchemas.bulk), async (req, res) => {
+  const { ids, operation, changes, override_blockers } = req.body;
+
+  const { data: tasks, error: fetchError } = await taskRepository.findMany(ids, accessScope(req));
+
+  if (fetchError) {
+    logger.error('Bulk task fetch error:', fetchError);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tasks'
+    });
+  }
+
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const validCategory = !changes?.category_id || Boolean(await findAccessibleCategory(changes.category_id, req));
+  const validAssignee = await isValidAssignee(req, changes?.assigned_to);
+  const resolveTaskWorkflow = createWorkflowResolver();
+
+  const results = [];
+
+  for (const id of ids) {
+    const task = tasksById.get(id);
+    const fail = (status, error, extra = {}) => results.push({ id, success: false, status, error, ...extra });
+
+    if (!task) {
+      fail(404, 'Task not found');
+      continue;
+    }
+
+    if (operation === 'delete') {
+      if (!canManageTask(req, task)) {
+        fail(404, 'Task not found or insufficient permissions');
+        continue;
+      }
+
+      const { trashed, error } = await trashTask(id, req);
+
+      if (error) {
+        logger.error('Bulk task deletion error:', error);
+        fail(500, 'Failed to delete task');
+      } else {
+        await recordActivity({
+          actorId: req.user.id,
+          entityType: 'task',
+          action: 'delete',
+          before: trashed.find(row => row.id === id) || task
+        });
+        results.push({ id, success: true });
+      }
+      continue;
+    }
+
+    const { error: validationError, value: updateData } = taskSchemas.update.validate(changes);
+
+    if (validationError) {
+      fail(400, 'Validation error', {
+        details: validationError.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+      continue;
+    }
+
+    if (!validCategory) {
+      fail(400, 'Invalid category ID');
+      continue;
+    }
+
+    if (!validAssignee) {
+      fail(400, 'Assignee is not a member of this workspace');
+      continue;
+    }
+
+    // Reassigning follows the same rule as PATCH /:id/assign
+    if (updateData.assigned_to !== undefined && !canManageTask(req, task)) {
+      fail(403, 'Only the task creator can reassign a task');
+      continue;
+    }
+
+    const refusal = await applyWorkflowStatus(updateData, task, resolveTaskWorkflow);
+
+    if (refusal) {
+      fail(refusal.status, refusal.error, { allowed_statuses: refusal.allowed_statuses });
+      continue;
+    }
+
+    if (updateData.status === 'completed') {
+      const openSubtasks = await countBlockingSubtasks(id, req);
+
+      if (openSubtasks > 0) {
+        fail(409, 'All subtasks must be completed before completing this task', { open_subtasks: openSubtasks });
+        continue;
+      }
+    }
+
+    if (BLOCKED_STATUSES.includes(updateData.status) && !override_blockers) {
+      const blockers = await getOpenBlockers(id);
+
+      if (blockers.length > 0) {
+        fail(409, 'Task is blocked by open dependencies', { blockers });
+        continue;
+      }
+    }
+
+    const { data: updated, error } = await taskRepository.update(id, updateData);
+
+    if (error) {
+      logger.error('Bulk task update error:', error);
+      fail(500, 'Failed to update task');
+      continue;
+    }
+
+    await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'update', before: task, after: updated });
+
+    if (updated.status === 'completed') {
+      await createNextOccurrence(updated, req.user.id);
+    }
+
+    results.push({ id, success: true, data: updated });
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.json({
+    success: true,
+    data: {
+      operation,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }
+  });
+});
+
+const IMPORT_INSERT_BATCH_SIZE = 100;
+
+// The workspace is part of the request: the same key and file imported into
+// another workspace is a different import
+const hashImportRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ workspace_id: req.workspace?.id || null, body: req.body }))
+  .digest('hex');
+
+// Claims an idempotency key for this import. Returns `{ claimed: true }`, or
+// `{ existing }` with the earlier import that used the key. A failed import
+// may be retried with the same key and request.
+const claimImport = async (req, idempotencyKey, requestHash) => {
+  const { error } = await importRepository.create({
+    user_id: req.user.id,
+    workspace_id: req.workspace?.id || null,
+    idempotency_key: idempotencyKey,
+    request_hash: requestHash
+  });
+
+  if (!error) {
+    return { claimed: true };
+  }
+
+  if (error.code !== '23505') {
+    throw error;
+  }
+
+  const { data: existing, error: fetchError } = await importRepository.find(req.user.id, idempotencyKey);
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  if (existing.status === 'failed' && existing.request_hash === requestHash) {
+    const { data: reclaimed, error: reclaimError } = await importRepository.reclaim(existing.id);
+
+    if (reclaimError) {
+      throw reclaimError;
+    }
+
+    if (reclaimed.length > 0) {
+      return { claimed: true };
+    }
+  }
+
+  return { existing };
+};
+
+const finishImport = async (req, idempotencyKey, status, result = null) => {
+  const { error } = await importRepository.update(req.user.id, idempotencyKey, {
     status,
-    priority,
-    category_id,
-    assigned_to,
-    due_before,
-    due_after,
-    page,
-    limit,
-    sort_by,
-    sort_order
-  } = req.query;
-
-  let query = supabase
-    .from('tasks')
-    .select(`
-      *,
-      category:categories(name, color)
-    `, { count: 'exact' })
-    .or(`created_by.eq.${req.user.id},assigned_to.eq.${req.user.id}`);
-
-  if (status) query = query.eq('status', status);
-  if (priority) query = query.eq('priority', priority);
-  if (category_id) query = query.eq('category_id', category_id);
-  if (assigned_to) query = query.eq('assigned_to', assigned_to);
-  if (due_before) query = query.lte('due_date', due_before);
-  if (due_after) query = query.gte('due_date', due_after);
-
-  query = query.order(sort_by, { ascending: sort_order === 'asc' });
+    result,
+    completed_at: new Date().toISOString()
+  });
+
+  if (error) {
+    logger.error('Task import record error:', error);
+  }
+};
+
+const getWorkspaceMemberIds = async (workspaceId) => {
+  const { data: members, error } = await workspaceRepository.listMembers(workspaceId);
+
+  if (error) {
+    throw error;
+  }
+
+  return members.map(member => member.user_id);
+};
+
+// Creates the categories an import refers to but that do not exist yet.
+// Returns the created categories and the names that could not be created.
+const createImportCategories = async (req, names) => {
+  const created = [];
+  const failed = [];
+
+  for (const name of names) {
+    const { data: category, error } = await categoryRepository.create({
+      name,
+      user_id: req.user.id,
+      workspace_id: req.workspace?.id || null
+    });
+
+    if (error) {
+      logger.error('Import category creation error:', error);
+      failed.push(name);
+      continue;
+    }
+
+    await recordActivity({ actorId: req.user.id, entityType: 'category', action: 'create', after: category });
+    created.push(category);
+  }
+
+  return { created, failed };
+};
+
+// Imports tasks from CSV or JSON rows. Every row is validated like
+// POST /api/tasks and reported on individually; with `dry_run` nothing is
+// written. An Idempotency-Key header makes a re-upload replay the first
+// result instead of creating the tasks again.
+router.post('/import', authenticate, workspaceAccess(...WRITE_ROLES), validate(taskSchemas.import), async (req, res) => {
+  const { mapping, create_categories, dry_run } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey !== undefined && taskSchemas.idempotencyKey.validate(idempotencyKey).error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be between 1 and 255 characters'
+    });
+  }
+
+  let records;
+
+  try {
+    records = toRecords(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid CSV: ${error.message}`
+    });
+  }
+
+  if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      success: false,
+      error: `An import must contain between 1 and ${MAX_IMPORT_ROWS} rows`
+    });
+  }
+
+  const { data: categories, error: categoryError } = await categoryRepository.list(accessScope(req));
+
+  if (categoryError) {
+    logger.error('Import category fetch error:', categoryError);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch categories'
+    });
+  }
+
+  const categoriesByName = new Map(categories.map(category => [category.name.toLowerCase(), category]));
+  const memberIds = req.workspace ? await getWorkspaceMemberIds(req.workspace.id) : null;
+  const newCategoryNames = new Map();
+
+  const plan = records.map((record, index) => {
+    const row = index + 1;
+    const fail = (error, extra = {}) => ({ row, success: false, status: 400, error, ...extra });
+    const { fields, categoryName } = mapRecord(record, mapping);
+    const { error: validationError, value: task } = taskSchemas.create.validate(fields);
+
+    if (validationError) {
+      return fail('Validation error', {
+        details: validationError.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+    }
+
+    if (memberIds && task.assigned_to && !memberIds.includes(task.assigned_to)) {
+      return fail('Assignee is not a member of this workspace');
+    }
+
+    const existingCategory = categoryName && categoriesByName.get(categoryName.toLowerCase());
+
+    if (categoryName && !existingCategory) {
+      if (!create_categories) {
+        return fail(`Category "${categoryName}" not found`);
+      }
+
+      if (categorySchemas.create.validate({ name: categoryName }).error) {
+        return fail(`Invalid category name "${categoryName}"`);
+      }
+
+      if (!newCategoryNames.has(categoryName.toLowerCase())) {
+        newCategoryNames.set(categoryName.toLowerCase(), categoryName);
+      }
+    }
+
+    return { row, success: true, task, categoryName: existingCategory?.name || categoryName };
+  });
+
+  // Statuses are keys of each row's workflow; categories the import creates
+  // start out on the workspace's workflow
+  const resolveTaskWorkflow = createWorkflowResolver();
+
+  for (const [index, step] of plan.entries()) {
+    if (!step.success) {
+      continue;
+    }
+
+    const category = step.categoryName && categoriesByName.get(step.categoryName.toLowerCase());
+    const workflow = await resolveTaskWorkflow({ categoryId: category?.id || null, workspaceId: req.workspace?.id || null });
+    const change = planStatusChange(workflow, null, step.task.status ?? initialStatus(workflow));
+
+    if (change.error) {
+      plan[index] = { row: step.row, success: false, status: 400, error: change.error, allowed_statuses: change.allowed_statuses };
+      continue;
+    }
+
+    Object.assign(step.task, change.fields);
+  }
+
+  const summarize = (results, extra) => {
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+      dry_run,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      ...extra,
+      results
+    };
+  };
+
+  if (dry_run) {
+    return res.json({
+      success: true,
+      data: summarize(
+        plan.map(({ task, categoryName, ...result }) => (
+          result.success ? { ...result, data: { ...task, category: categoryName || null } } : result
+        )),
+        { categories_to_create: [...newCategoryNames.values()] }
+      )
+    });
+  }
+
+  const requestHash = hashImportRequest(req);
+
+  if (idempotencyKey) {
+    const { existing } = await claimImport(req, idempotencyKey, requestHash);
+
+    if (existing && existing.request_hash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used for a different import'
+      });
+    }
+
+    if (existing?.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.result.succeeded > 0 ? 201 : 200).json({
+        success: true,
+        data: existing.result
+      });
+    }
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An import with this Idempotency-Key is still in progress'
+      });
+    }
+  }
+
+  try {
+    const { created: createdCategories, failed: failedCategories } = await createImportCategories(
+      req,
+      [...newCategoryNames.values()].filter(name => (
+        plan.some(step => step.success && step.categoryName?.toLowerCase() === name.toLowerCase())
+      ))
+    );
+
+    createdCategories.forEach(category => categoriesByName.set(category.name.toLowerCase(), category));
+
+    const results = plan.map(({ task, categoryName, ...result }) => result);
+    const pending = [];
+
+    plan.forEach((step, index) => {
+      if (!step.success) {
+        return;
+      }
+
+      const category = step.categoryName && categoriesByName.get(step.categoryName.toLowerCase());
+
+      if (step.categoryName && !category) {
+        results[index] = { row: step.row, success: false, status: 500, error: 'Failed to create category' };
+        return;
+      }
+
+      pending.push({
+        index,
+        taskData: {
+          ...step.task,
+          category_id: category?.id,
+          workspace_id: req.workspace?.id || null,
+          created_by: req.user.id
+        }
+      });
+    });
+
+    for (let offset = 0; offset < pending.length; offset += IMPORT_INSERT_BATCH_SIZE) {
+      const batch = pending.slice(offset, offset + IMPORT_INSERT_BATCH_SIZE);
+
+      const { data: tasks, error } = await taskRepository.createMany(batch.map(({ taskData }) => taskData));
+
+      if (error) {
+        logger.error('Task import error:', error);
+        batch.forEach(({ index }) => {
+          results[index] = { row: results[index].row, success: false, status: 500, error: 'Failed to create task' };
+        });
+        continue;
+      }
+
+      await recordActivity(...tasks.map(task => ({ actorId: req.user.id, entityType: 'task', action: 'create', after: task })));
+
+      batch.forEach(({ index }, position) => {
+        results[index] = { row: results[index].row, success: true, id: tasks[position].id };
+      });
+    }
+
+    const result = summarize(results, {
+      categories_created: createdCategories.map(category => category.name),
+      ...(failedCategories.length > 0 && { categories_failed: failedCategories })
+    });
+
+    if (idempotencyKey) {
+      await finishImport(req, idempotencyKey, 'completed', result);
+    }
+
+    res.status(result.succeeded > 0 ? 201 : 200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (idempotencyKey) {
+      await finishImport(req, idempotencyKey, 'failed');
+    }
+
+    throw error;
+  }
+});
+
+router.put('/:id', authenticate, workspaceAccess(...WRITE_ROLES), validateQuery(taskSchemas.updateScope), validate(taskSchemas.update), async (req, res) => {
+  const { id } = req.params;
+  const { scope } = req.query;
+  const { recurrence, ...updateData } = req.body;
+
+  if (updateData.category_id && !await findAccessibleCategory(updateData.category_id, req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid category ID'
+    });
+  }
+
+  if (!await isValidAssignee(req, updateData.assigned_to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Assignee is not a member of this workspace'
+    });
+  }
+
+  const { data: existingTask } = await taskRepository.find(id, accessScope(req));
+
+  if (!existingTask) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const refusal = await applyWorkflowStatus(updateData, existingTask);
+
+  if (refusal) {
+    return workflowError(res, refusal);
+  }
+
+  if (updateData.status === 'completed') {
+    const openSubtasks = await countBlockingSubtasks(id, req, updateData.require_subtasks_completed);
+
+    if (openSubtasks > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'All subtasks must be completed before completing this task',
+        open_subtasks: openSubtasks
+      });
+    }
+  }
+
+  if (BLOCKED_STATUSES.includes(updateData.status)) {
+    const blockers = await getOpenBlockers(id);
+
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Task is blocked by open dependencies; use PATCH /status with override_blockers to force',
+        blockers
+      });
+    }
+  }
+
+  if (recurrence !== undefined) {
+    if (existingTask.series_id && scope !== 'future') {
+      return res.status(400).json({
+        success: false,
+        error: 'Changing the recurrence of a series requires scope=future'
+      });
+    }
+
+    const dueDate = updateData.due_date || existingTask.due_date;
+
+    if (recurrence && !dueDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Recurring tasks require a due date'
+      });
+    }
+
+    Object.assign(
+      updateData,
+      recurrence ? startSeries(recurrence, dueDate, existingTask.series_id) : { recurrence_rule: null }
+    );
+  } else if (scope === 'future' && updateData.due_date && existingTask.recurrence_rule) {
+    Object.assign(updateData, reanchorSeries(existingTask, updateData.due_date));
+  }
+
+  const { data: task, error } = await taskRepository.update(id, updateData, { scope: accessScope(req) });
+
+  if (error) {
+    logger.error('Task update error:', error);
+    
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update task'
+    });
+  }
+
+  const seriesUpdate = SERIES_EDITABLE_FIELDS
+    .filter(field => updateData[field] !== undefined)
+    .reduce((acc, field) => ({ ...acc, [field]: updateData[field] }), {});
+
+  await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'update', before: existingTask, after: task });
+
+  if (scope === 'future' && existingTask.series_id && Object.keys(seriesUpdate).length > 0) {
+    await updateFutureOccurrences(existingTask, seriesUpdate, req.user.id);
+  }
+
+  const nextOccurrence = task.status === 'completed' ? await createNextOccurrence(task, req.user.id) : null;
+
+  res.json({
+    success: true,
+    data: task,
+    ...(nextOccurrence && { next_occurrence: nextOccurrence })
+  });
+});
+
+router.delete('/:id', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id } = req.params;
+
+  // First check if the task exists and the user may delete it
+  const existingTask = await findAccessibleTask(id, req);
+
+  if (!existingTask || !canManageTask(req, existingTask)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found or insufficient permissions'
+    });
+  }
+
+  // Now move the task and its subtasks to the trash
+  const { trashed, error } = await trashTask(id, req);
+
+  if (error) {
+    logger.error('Task deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete task'
+    });
+  }
+
+  const deletedTask = trashed.find(task => task.id === id);
+
+  if (deletedTask) {
+    await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'delete', before: deletedTask });
+  }
+
+  res.json({
+    success: true,
+    message: 'Task moved to trash'
+  });
+});
+
+// Brings a task back from the trash with the subtasks deleted along with it.
+// A subtask deleted on its own comes back only while its parent is out of
+// the trash.
+router.post('/:id/restore', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id } = req.params;
+
+  const { data: task } = await taskRepository.findTrashed(id, accessScope(req));
+
+  if (!task || !canManageTask(req, task)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found in trash or insufficient permissions'
+    });
+  }
+
+  if (task.parent_task_id && !await findAccessibleTask(task.parent_task_id, req)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Restore the parent task first',
+      parent_task_id: task.parent_task_id
+    });
+  }
+
+  const { data: restored, error } = await taskRepository.restore(task);
+
+  if (error) {
+    logger.error('Task restore error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to restore task'
+    });
+  }
+
+  const restoredTask = restored.find(row => row.id === id);
+
+  if (!restoredTask) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found in trash or insufficient permissions'
+    });
+  }
+
+  await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'restore', before: task, after: restoredTask });
+
+  res.json({
+    success: true,
+    data: {
+      ...restoredTask,
+      restored_subtasks: restored.length - 1
+    },
+    message: 'Task restored successfully'
+  });
+});
+
+router.patch('/:id/assign', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id } = req.params;
+  const { assigned_to } = req.body;
+
+  const existingTask = await findAccessibleTask(id, req);
+
+  if (!existingTask || !canManageTask(req, existingTask)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found or insufficient permissions'
+    });
+  }
+
+  if (!await isValidAssignee(req, assigned_to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Assignee is not a member of this workspace'
+    });
+  }
+
+  const { data: task, error } = await taskRepository.update(id, { assigned_to });
+
+  if (error) {
+    logger.error('Task assignment error:', error);
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found or insufficient permissions'
+    });
+  }
+
+  await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'assign', before: existingTask, after: task });
+
+  res.json({
+    success: true,
+    data: task,
+    message: 'Task assigned successfully'
+  });
+});
+
+router.patch('/:id/status', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id } = req.params;
+  const { override_blockers } = req.body;
+
+  if (typeof req.body.status !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status value'
+    });
+  }
+
+  const existingTask = await findAccessibleTask(id, req);
+
+  if (!existingTask) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found or insufficient permissions'
+    });
+  }
+
+  const workflow = await resolveWorkflow({ categoryId: existingTask.category_id, workspaceId: existingTask.workspace_id });
+  const change = planStatusChange(workflow, existingTask, req.body.status);
+
+  if (change.error) {
+    return workflowError(res, change);
+  }
+
+  const { status } = change.fields;
+
+  if (BLOCKED_STATUSES.includes(status) && override_blockers !== true) {
+    const blockers = await getOpenBlockers(id);
+
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Task is blocked by open dependencies',
+        blockers
+      });
+    }
+  }
+
+  if (status === 'completed') {
+    const openSubtasks = await countBlockingSubtasks(id, req);
+
+    if (openSubtasks > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'All subtasks must be completed before completing this task',
+        open_subtasks: openSubtasks
+      });
+    }
+  }
+
+  const { data: task, error } = await taskRepository.update(id, change.fields, { scope: accessScope(req) });
+
+  if (error) {
+    logger.error('Task status update error:', error);
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found or insufficient permissions'
+    });
+  }
+
+  await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'status', before: existingTask, after: task });
+
+  const nextOccurrence = status === 'completed' ? await createNextOccurrence(task, req.user.id) : null;
+
+  res.json({
+    success: true,
+    data: task,
+    ...(nextOccurrence && { next_occurrence: nextOccurrence }),
+    message: 'Task status updated successfully'
+  });
+});
+
+router.get('/:id/subtasks', authenticate, workspaceAccess(), async (req, res) => {
+  const { id } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { subtasks, progress } = await getSubtaskProgress(id);
+
+  res.json({
+    success: true,
+    data: subtasks,
+    progress
+  });
+});
+
+router.post('/:id/subtasks', authenticate, workspaceAccess(...WRITE_ROLES), validate(subtaskSchemas.create), async (req, res) => {
+  const { id } = req.params;
+
+  const { data: parent } = await taskRepository.find(id, accessScope(req));
+
+  if (!parent) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  // Keep the hierarchy one level deep so rollups stay a single query
+  if (parent.parent_task_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'Subtasks cannot have their own subtasks'
+    });
+  }
+
+  const { data: lastSubtask } = await taskRepository.findLastSubtask(id);
+
+  const workflow = await resolveWorkflow({ categoryId: parent.category_id, workspaceId: parent.workspace_id });
+
+  const { data: subtask, error } = await taskRepository.create({
+    ...req.body,
+    ...planStatusChange(workflow, null, initialStatus(workflow)).fields,
+    parent_task_id: id,
+    category_id: parent.category_id,
+    workspace_id: parent.workspace_id,
+    position: lastSubtask ? lastSubtask.position + 1 : 0,
+    created_by: req.user.id
+  });
+
+  if (error) {
+    logger.error('Subtask creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create subtask'
+    });
+  }
+
+  await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'create', after: subtask });
+
+  res.status(201).json({
+    success: true,
+    data: subtask
+  });
+});
+
+router.put('/:id/subtasks/reorder', authenticate, workspaceAccess(...WRITE_ROLES), validate(subtaskSchemas.reorder), async (req, res) => {
+  const { id } = req.params;
+  const { subtask_ids } = req.body;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { subtasks } = await getSubtaskProgress(id);
+  const existingIds = subtasks.map(subtask => subtask.id);
+
+  if (
+    existingIds.length !== subtask_ids.length ||
+    !subtask_ids.every(subtaskId => existingIds.includes(subtaskId))
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: 'subtask_ids must list every subtask of this task exactly once'
+    });
+  }
+
+  for (const [position, subtaskId] of subtask_ids.entries()) {
+    const { error } = await taskRepository.update(subtaskId, { position }, { parentTaskId: id });
+
+    if (error) {
+      logger.error('Subtask reorder error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reorder subtasks'
+      });
+    }
+  }
+
+  const { subtasks: reordered, progress } = await getSubtaskProgress(id);
+  const previousPositions = new Map(subtasks.map(subtask => [subtask.id, subtask.position]));
+
+  await recordActivity(...reordered.map(subtask => ({
+    actorId: req.user.id,
+    entityType: 'task',
+    action: 'update',
+    before: { id: subtask.id, position: previousPositions.get(subtask.id) },
+    after: subtask,
+    workspaceId: task.workspace_id
+  })));
+
+  res.json({
+    success: true,
+    data: reordered,
+    progress,
+    message: 'Subtasks reordered successfully'
+  });
+});
+
+router.patch('/:id/subtasks/:subtaskId/toggle', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id, subtaskId } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  const subtask = task && await findSubtask(id, subtaskId);
+
+  if (!subtask) {
+    return res.status(404).json({
+      success: false,
+      error: 'Subtask not found'
+    });
+  }
+
+  // Toggling lands on the first status of the opposite category, judged by
+  // the workflow status the subtask is in rather than the stored column
+  const workflow = await resolveWorkflow({ categoryId: subtask.category_id, workspaceId: subtask.workspace_id });
+  const current = findStatus(workflow, currentStatusKey(workflow, subtask));
+  const targetCategory = current.category === 'completed' ? 'todo' : 'completed';
+  const target = workflow.statuses.find(status => status.category === targetCategory) || workflow.statuses[0];
+  const change = planStatusChange(workflow, subtask, target.key);
+
+  if (change.error) {
+    return workflowError(res, change);
+  }
+
+  // Same rule as PATCH /:id/status
+  if (BLOCKED_STATUSES.includes(change.fields.status) && req.body.override_blockers !== true) {
+    const blockers = await getOpenBlockers(subtaskId);
+
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Task is blocked by open dependencies',
+        blockers
+      });
+    }
+  }
+
+  const { data: updated, error } = await taskRepository.update(subtaskId, change.fields);
+
+  if (error) {
+    logger.error('Subtask toggle error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to toggle subtask'
+    });
+  }
+
+  await recordActivity({ actorId: req.user.id, entityType: 'task', action: 'status', before: subtask, after: updated });
+
+  const { progress } = await getSubtaskProgress(id);
+
+  res.json({
+    success: true,
+    data: updated,
+    progress
+  });
+});
+
+router.get('/:id/dependencies', authenticate, workspaceAccess(), async (req, res) => {
+  const { id } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { data: blockedBy, error: blockedByError } = await dependencyRepository.listBlockers(id);
+  const { data: blocking, error: blockingError } = await dependencyRepository.listBlocking(id);
+
+  if (blockedByError || blockingError) {
+    logger.error('Task dependencies fetch error:', blockedByError || blockingError);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dependencies'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      blocked_by: blockedBy,
+      blocking,
+      is_blocked: blockedBy.some(dependency => dependency.task && dependency.task.status !== 'completed')
+    }
+  });
+});
+
+router.post('/:id/dependencies', authenticate, workspaceAccess(...WRITE_ROLES), validate(dependencySchemas.create), async (req, res) => {
+  const { id } = req.params;
+  const { depends_on_task_id } = req.body;
+
+  if (depends_on_task_id === id) {
+    return res.status(400).json({
+      success: false,
+      error: 'A task cannot depend on itself'
+    });
+  }
+
+  const task = await findAccessibleTask(id, req);
+  const blocker = task && await findAccessibleTask(depends_on_task_id, req);
+
+  if (!task || !blocker) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  if (await createsDependencyCycle(id, depends_on_task_id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Dependency would create a cycle'
+    });
+  }
+
+  const { data: dependency, error } = await dependencyRepository.create({
+    task_id: id,
+    depends_on_task_id,
+    created_by: req.user.id
+  });
+
+  if (error) {
+    logger.error('Task dependency creation error:', error);
+
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        error: 'Dependency already exists'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create dependency'
+    });
+  }
+
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'dependency',
+    action: 'create',
+    after: dependency,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: dependency
+  });
+});
+
+router.delete('/:id/dependencies/:dependsOnId', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id, dependsOnId } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { data: removed, error } = await dependencyRepository.remove(id, dependsOnId);
+
+  if (error) {
+    logger.error('Task dependency deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete dependency'
+    });
+  }
+
+  if (removed.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dependency not found'
+    });
+  }
+
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'dependency',
+    action: 'delete',
+    before: removed[0],
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.json({
+    success: true,
+    message: 'Dependency removed successfully'
+  });
+});
+
+const getTaskTags = async (taskId) => {
+  const { data: links, error } = await tagRepository.listByTask(taskId);
+
+  if (error) {
+    throw error;
+  }
+
+  return links.map(link => link.tag);
+};
+
+// Tags are not a task column, so (un)tagging is logged as a task update of
+// the sorted tag names
+const recordTagChange = (req, task, beforeTags, afterTags) => recordActivity({
+  actorId: req.user.id,
+  entityType: 'task',
+  action: 'update',
+  before: { ...task, tags: beforeTags.map(tag => tag.name).sort() },
+  after: { ...task, tags: afterTags.map(tag => tag.name).sort() }
+});
+
+router.post('/:id/tags', authenticate, workspaceAccess(...WRITE_ROLES), validate(tagSchemas.attach), async (req, res) => {
+  const { id } = req.params;
+  const { tag_ids: tagIds } = req.body;
+
+  const { data: task } = await taskRepository.find(id, accessScope(req));
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  // Tags must come from the same scope as the task
+  const { data: tags, error: tagsError } = await tagRepository.findMany(tagIds, accessScope(req));
+
+  if (tagsError) {
+    logger.error('Tags fetch error:', tagsError);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to tag task'
+    });
+  }
+
+  if (tags.length !== tagIds.length) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tag not found'
+    });
+  }
+
+  const previousTags = await getTaskTags(id);
+  const { error } = await tagRepository.attach(id, tagIds);
+
+  if (error) {
+    logger.error('Task tagging error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to tag task'
+    });
+  }
+
+  const taskTags = await getTaskTags(id);
+
+  await recordTagChange(req, task, previousTags, taskTags);
+
+  res.json({
+    success: true,
+    data: taskTags
+  });
+});
+
+router.delete('/:id/tags/:tagId', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id, tagId } = req.params;
+
+  const { data: task } = await taskRepository.find(id, accessScope(req));
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const previousTags = await getTaskTags(id);
+  const { data: removed, error } = await tagRepository.detach(id, tagId);
+
+  if (error) {
+    logger.error('Task untagging error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove tag'
+    });
+  }
+
+  if (removed.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tag not found on task'
+    });
+  }
+
+  const taskTags = await getTaskTags(id);
+
+  await recordTagChange(req, task, previousTags, taskTags);
+
+  res.json({
+    success: true,
+    data: taskTags,
+    message: 'Tag removed successfully'
+  });
+});
+
+router.get('/:id/comments', authenticate, workspaceAccess(), validateQuery(commentSchemas.query), async (req, res) => {
+  const { id } = req.params;
+  const { page, limit, sort_order } = req.query;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  const { data: comments, error, count } = await commentRepository.list(id, {
+    from,
+    to,
+    ascending: sort_order === 'asc'
+  });
+
+  if (error) {
+    logger.error('Task comments fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: comments,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+router.post('/:id/comments', authenticate, workspaceAccess(...WRITE_ROLES), validate(commentSchemas.create), async (req, res) => {
+  const { id } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { data: comment, error } = await commentRepository.create({
+    task_id: id,
+    user_id: req.user.id,
+    content: req.body.content
+  });
+
+  if (error) {
+    logger.error('Task comment creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create comment'
+    });
+  }
+
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'comment',
+    action: 'create',
+    after: comment,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: comment
+  });
+});
+
+router.put('/:id/comments/:commentId', authenticate, workspaceAccess(...WRITE_ROLES), validate(commentSchemas.update), async (req, res) => {
+  const { id, commentId } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  const existingComment = task && await findTaskComment(id, commentId);
+
+  if (!existingComment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Comment not found'
+    });
+  }
 
-  const from = (page - 1) * limit;
-  const to = from + limit - 1;
-  
-  query = query.range(from, to);
+  // Only the author may edit a comment, even the task owner cannot rewrite it
+  if (existingComment.user_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only edit your own comments'
+    });
+  }
 
-  const { data: tasks, error, count } = await query;
+  const { data: comment, error } = await commentRepository.update(commentId, req.user.id, { content: req.body.content });
 
   if (error) {
-    logger.error('Tasks fetch error:', error);
+    logger.error('Task comment update error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to fetch tasks'
+      error: 'Failed to update comment'
     });
   }
 
-  const totalPages = Math.ceil(count / limit);
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'comment',
+    action: 'update',
+    before: existingComment,
+    after: comment,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
 
   res.json({
     success: true,
-    data: tasks,
-    pagination: {
-      page,
-      limit,
-      total: count,
-      pages: totalPages
-    }
+    data: comment
   });
 });
 
-router.get('/:id', authenticate, async (req, res) => {
-  const { id } = req.params;
+router.delete('/:id/comments/:commentId', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id, commentId } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  const existingComment = task && await findTaskComment(id, commentId);
+
+  if (!existingComment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Comment not found'
+    });
+  }
+
+  // Authors can remove their own comments; task owners and workspace admins
+  // can moderate the thread
+  if (existingComment.user_id !== req.user.id && !canManageTask(req, task)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions to delete this comment'
+    });
+  }
 
-  const { data: task, error } = await supabase
-    .from('tasks')
-    .select(`
-      *,
-      category:categories(name, color)
-    `)
-    .eq('id', id)
-    .or(`created_by.eq.${req.user.id},assigned_to.eq.${req.user.id}`)
-    .single();
+  const { error } = await commentRepository.remove(commentId);
 
   if (error) {
-    logger.error('Task fetch error:', error);
+    logger.error('Task comment deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment'
+    });
+  }
+
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'comment',
+    action: 'delete',
+    before: existingComment,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
+
+router.get('/:id/attachments', authenticate, workspaceAccess(), async (req, res) => {
+  const { id } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
     return res.status(404).json({
       success: false,
       error: 'Task not found'
     });
   }
 
+  const { data: attachments, error } = await attachmentRepository.listByTasks([id]);
+
+  if (error) {
+    logger.error('Task attachments fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attachments'
+    });
+  }
+
   res.json({
     success: true,
-    data: task
+    data: attachments
   });
 });
 
-router.post('/', authenticate, validate(taskSchemas.create), async (req, res) => {
-  const taskData = {
-    ...req.body,
-    created_by: req.user.id
-  };
+// One file per request, as multipart/form-data in the `file` field
+router.post('/:id/attachments', authenticate, workspaceAccess(...WRITE_ROLES), requireAccessibleTask, uploadFile('file'), async (req, res) => {
+  const { id } = req.params;
+  const { task } = req;
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded; send it as multipart/form-data in the "file" field'
+    });
+  }
 
-  if (taskData.category_id) {
-    const { data: category } = await supabase
-      .from('categories')
-      .select('id')
-      .eq('id', taskData.category_id)
-      .eq('user_id', req.user.id)
-      .single();
+  try {
+    const { attachment, rejected } = await saveAttachment({
+      taskId: id,
+      userId: req.user.id,
+      file: {
+        buffer: req.file.buffer,
+        fileName: sanitizeFileName(req.file.originalname),
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      }
+    });
 
-    if (!category) {
-      return res.status(400).json({
+    if (rejected) {
+      return res.status(422).json({
         success: false,
-        error: 'Invalid category ID'
+        error: 'File rejected by virus scan',
+        reason: rejected
       });
     }
+
+    await recordActivity({
+      actorId: req.user.id,
+      entityType: 'attachment',
+      action: 'create',
+      after: attachment,
+      taskId: id,
+      workspaceId: task.workspace_id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: attachment
+    });
+  } catch (error) {
+    logger.error('Task attachment upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload attachment'
+    });
   }
+});
 
-  const { data: task, error } = await supabase
-    .from('tasks')
-    .insert(taskData)
-    .select(`
-      *,
-      category:categories(name, color)
-    `)
-    .single();
+router.get('/:id/attachments/:attachmentId', authenticate, workspaceAccess(), async (req, res) => {
+  const { id, attachmentId } = req.params;
 
-  if (error) {
-    logger.error('Task creation error:', error);
+  const task = await findAccessibleTask(id, req);
+
+  const attachment = task && await findTaskAttachment(id, attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Attachment not found'
+    });
+  }
+
+  let contents;
+
+  try {
+    contents = await readAttachment(attachment);
+  } catch (error) {
+    logger.error('Task attachment download error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to create task'
+      error: 'Failed to download attachment'
     });
   }
 
-  res.status(201).json({
+  if (!contents) {
+    logger.error(`Attachment ${attachment.id} is missing from ${attachment.storage_driver} storage`);
+    return res.status(404).json({
+      success: false,
+      error: 'Attachment file not found'
+    });
+  }
+
+  // The type is the one the uploader declared, so browsers must neither
+  // sniff another nor render the file inline
+  res.set({
+    'Content-Type': attachment.mime_type,
+    'Content-Length': contents.length,
+    'Content-Disposition': contentDisposition(attachment.file_name),
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(contents);
+});
+
+router.delete('/:id/attachments/:attachmentId', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  const attachment = task && await findTaskAttachment(id, attachmentId);
+
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Attachment not found'
+    });
+  }
+
+  // Uploaders remove their own files; task owners and workspace admins can
+  // remove any
+  if (attachment.user_id !== req.user.id && !canManageTask(req, task)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions to delete this attachment'
+    });
+  }
+
+  try {
+    await deleteAttachment(attachment);
+  } catch (error) {
+    logger.error('Task attachment deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete attachment'
+    });
+  }
+
+  // Where the file was stored is no concern of the audit trail
+  const { storage_driver, storage_key, ...deletedAttachment } = attachment;
+
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'attachment',
+    action: 'delete',
+    before: deletedAttachment,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.json({
     success: true,
-    data: task
+    message: 'Attachment deleted successfully'
   });
 });
 
-router.put('/:id', authenticate, validate(taskSchemas.update), async (req, res) => {
+router.get('/:id/time', authenticate, workspaceAccess(), async (req, res) => {
   const { id } = req.params;
-  const updateData = req.body;
 
-  if (updateData.category_id) {
-    const { data: category } = await supabase
-      .from('categories')
-      .select('id')
-      .eq('id', updateData.category_id)
-      .eq('user_id', req.user.id)
-      .single();
+  const { data: task } = await taskRepository.find(id, accessScope(req));
 
-    if (!category) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid category ID'
-      });
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { data: entries, error } = await timeEntryRepository.list(id);
+
+  if (error) {
+    logger.error('Time entries fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time entries'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      task_id: id,
+      ...summarizeTaskTime(entries, task.estimate_minutes),
+      entries
     }
+  });
+});
+
+// Each user has at most one running timer, across all tasks
+router.post('/:id/time/start', authenticate, workspaceAccess(...WRITE_ROLES), validate(timeEntrySchemas.start), async (req, res) => {
+  const { id } = req.params;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  const { data: running } = await timeEntryRepository.findRunning(req.user.id);
+
+  if (running) {
+    return res.status(409).json({
+      success: false,
+      error: 'A timer is already running',
+      data: running
+    });
   }
 
-  const { data: task, error } = await supabase
-    .from('tasks')
-    .update(updateData)
-    .eq('id', id)
-    .or(`created_by.eq.${req.user.id},assigned_to.eq.${req.user.id}`)
-    .select(`
-      *,
-      category:categories(name, color)
-    `)
-    .single();
+  const { data: entry, error } = await timeEntryRepository.create({
+    task_id: id,
+    user_id: req.user.id,
+    started_at: new Date().toISOString(),
+    note: req.body.note
+  });
 
   if (error) {
-    logger.error('Task update error:', error);
-    
-    if (error.code === 'PGRST116') {
-      return res.status(404).json({
+    logger.error('Timer start error:', error);
+
+    if (error.code === '23505') {
+      return res.status(409).json({
         success: false,
-        error: 'Task not found'
+        error: 'A timer is already running'
       });
     }
 
     return res.status(500).json({
       success: false,
-      error: 'Failed to update task'
+      error: 'Failed to start timer'
     });
   }
 
-  res.json({
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'time_entry',
+    action: 'create',
+    after: entry,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.status(201).json({
     success: true,
-    data: task
+    data: entry
   });
 });
 
-router.delete('/:id', authenticate, async (req, res) => {
+router.post('/:id/time/stop', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
   const { id } = req.params;
 
-  // First check if the task exists and belongs to the user
-  const { data: existingTask, error: fetchError } = await supabase
-    .from('tasks')
-    .select('id')
-    .eq('id', id)
-    .eq('created_by', req.user.id)
-    .single();
+  const task = await findAccessibleTask(id, req);
+  const { data: running } = task ? await timeEntryRepository.findRunning(req.user.id) : { data: null };
 
-  if (fetchError || !existingTask) {
+  if (!running || running.task_id !== id) {
     return res.status(404).json({
       success: false,
-      error: 'Task not found or insufficient permissions'
+      error: 'No timer running on this task'
     });
   }
 
-  // Now delete the task
-  const { error } = await supabase
-    .from('tasks')
-    .delete()
-    .eq('id', id)
-    .eq('created_by', req.user.id);
+  const endedAt = new Date().toISOString();
+
+  const { data: entry, error } = await timeEntryRepository.update(running.id, {
+    ended_at: endedAt,
+    duration_minutes: elapsedMinutes(running.started_at, endedAt)
+  });
 
   if (error) {
-    logger.error('Task deletion error:', error);
+    logger.error('Timer stop error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to delete task'
+      error: 'Failed to stop timer'
     });
   }
 
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'time_entry',
+    action: 'update',
+    before: running,
+    after: entry,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
   res.json({
     success: true,
-    message: 'Task deleted successfully'
+    data: entry
   });
 });
 
-router.patch('/:id/assign', authenticate, async (req, res) => {
+// Logs time after the fact; without `started_at` the entry ends now
+router.post('/:id/time', authenticate, workspaceAccess(...WRITE_ROLES), validate(timeEntrySchemas.create), async (req, res) => {
   const { id } = req.params;
-  const { assigned_to } = req.body;
+  const { duration_minutes, note } = req.body;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
 
-  const { data: task, error } = await supabase
-    .from('tasks')
-    .update({ assigned_to })
-    .eq('id', id)
-    .eq('created_by', req.user.id)
-    .select(`
-      *,
-      category:categories(name, color)
-    `)
-    .single();
+  const startedAt = req.body.started_at
+    ? new Date(req.body.started_at).toISOString()
+    : addMinutes(new Date(), -duration_minutes);
+
+  const { data: entry, error } = await timeEntryRepository.create({
+    task_id: id,
+    user_id: req.user.id,
+    started_at: startedAt,
+    ended_at: addMinutes(startedAt, duration_minutes),
+    duration_minutes,
+    note
+  });
 
   if (error) {
-    logger.error('Task assignment error:', error);
+    logger.error('Time entry creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to log time'
+    });
+  }
+
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'time_entry',
+    action: 'create',
+    after: entry,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+router.put('/:id/time/:entryId', authenticate, workspaceAccess(...WRITE_ROLES), validate(timeEntrySchemas.update), async (req, res) => {
+  const { id, entryId } = req.params;
+  const { duration_minutes, started_at, note } = req.body;
+
+  const task = await findAccessibleTask(id, req);
+
+  const existingEntry = task && await findTimeEntry(id, entryId);
+
+  if (!existingEntry) {
     return res.status(404).json({
       success: false,
-      error: 'Task not found or insufficient permissions'
+      error: 'Time entry not found'
+    });
+  }
+
+  if (existingEntry.user_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only edit your own time entries'
+    });
+  }
+
+  const isRunning = !existingEntry.ended_at;
+
+  if (isRunning && (duration_minutes !== undefined || started_at !== undefined)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Stop the timer before changing its time'
+    });
+  }
+
+  const updateData = { ...(note !== undefined && { note: note || null }) };
+
+  if (!isRunning && (duration_minutes !== undefined || started_at !== undefined)) {
+    const startedAt = started_at ? new Date(started_at).toISOString() : existingEntry.started_at;
+    const minutes = duration_minutes ?? existingEntry.duration_minutes;
+
+    Object.assign(updateData, {
+      started_at: startedAt,
+      ended_at: addMinutes(startedAt, minutes),
+      duration_minutes: minutes
+    });
+  }
+
+  const { data: entry, error } = await timeEntryRepository.update(entryId, updateData);
+
+  if (error) {
+    logger.error('Time entry update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update time entry'
     });
   }
 
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'time_entry',
+    action: 'update',
+    before: existingEntry,
+    after: entry,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
   res.json({
     success: true,
-    data: task,
-    message: 'Task assigned successfully'
+    data: entry
   });
 });
 
-router.patch('/:id/status', authenticate, async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
+router.delete('/:id/time/:entryId', authenticate, workspaceAccess(...WRITE_ROLES), async (req, res) => {
+  const { id, entryId } = req.params;
 
-  if (!['todo', 'in_progress', 'completed'].includes(status)) {
-    return res.status(400).json({
+  const task = await findAccessibleTask(id, req);
+
+  const existingEntry = task && await findTimeEntry(id, entryId);
+
+  if (!existingEntry) {
+    return res.status(404).json({
       success: false,
-      error: 'Invalid status value'
+      error: 'Time entry not found'
+    });
+  }
+
+  // Authors remove their own entries; task owners and workspace admins can
+  // correct anyone's
+  if (existingEntry.user_id !== req.user.id && !canManageTask(req, task)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions to delete this time entry'
     });
   }
 
-  const { data: task, error } = await supabase
-    .from('tasks')
-    .update({ status })
-    .eq('id', id)
-    .or(`created_by.eq.${req.user.id},assigned_to.eq.${req.user.id}`)
-    .select(`
-      *,
-      category:categories(name, color)
-    `)
-    .single();
+  const { error } = await timeEntryRepository.remove(entryId);
 
   if (error) {
-    logger.error('Task status update error:', error);
+    logger.error('Time entry deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete time entry'
+    });
+  }
+
+  await recordActivity({
+    actorId: req.user.id,
+    entityType: 'time_entry',
+    action: 'delete',
+    before: existingEntry,
+    taskId: id,
+    workspaceId: task.workspace_id
+  });
+
+  res.json({
+    success: true,
+    message: 'Time entry deleted successfully'
+  });
+});
+
+router.get('/:id/activity', authenticate, workspaceAccess(), validateQuery(activitySchemas.query), async (req, res) => {
+  const { id } = req.params;
+  const { page, limit } = req.query;
+
+  const task = await findAccessibleTask(id, req);
+
+  if (!task) {
     return res.status(404).json({
       success: false,
-      error: 'Task not found or insufficient permissions'
+      error: 'Task not found'
+    });
+  }
+
+  const { data: activity, error, count } = await fetchActivity({ taskId: id }, req.query);
+
+  if (error) {
+    logger.error('Task activity fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch activity'
     });
   }
 
   res.json({
     success: true,
-    data: task,
-    message: 'Task status updated successfully'
+    data: activity,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
   });
 });
 
@@ -0,0 +1,83 @@
+const express = require('express');
+const { tasks: taskRepository, categories: categoryRepository } = require('../repositories');
+const { authenticate } = require('../middleware/auth');
+const { workspaceAccess, accessScope } = require('../middleware/workspace');
+const { trashRetentionDays, purgeDate } = require('../utils/trash');
+const logger = require('../utils/logger');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List deleted tasks and categories
+ *     description: |
+ *       Deleted tasks and categories stay here for TRASH_RETENTION_DAYS (30 by
+ *       default) before they are purged for good. Each item carries the
+ *       `purge_at` time. Restore one with `POST /api/tasks/{id}/restore` or
+ *       `POST /api/categories/{id}/restore`.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     retention_days:
+ *                       type: integer
+ *                     tasks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Task'
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, workspaceAccess(), async (req, res) => {
+  const scope = accessScope(req);
+
+  const [
+    { data: tasks, error: tasksError },
+    { data: categories, error: categoriesError }
+  ] = await Promise.all([
+    taskRepository.listTrashed(scope),
+    categoryRepository.listTrashed(scope)
+  ]);
+
+  if (tasksError || categoriesError) {
+    logger.error('Trash fetch error:', tasksError || categoriesError);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+
+  const retentionDays = trashRetentionDays();
+  const withPurgeDate = (item) => ({ ...item, purge_at: purgeDate(item.deleted_at, retentionDays).toISOString() });
+
+  res.json({
+    success: true,
+    data: {
+      retention_days: retentionDays,
+      tasks: tasks.map(withPurgeDate),
+      categories: categories.map(withPurgeDate)
+    }
+  });
+});
+
+module.exports = router;
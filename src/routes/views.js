@@ -0,0 +1,456 @@
+const express = require('express');
+const { views: viewRepository, profiles: profileRepository } = require('../repositories');
+const { viewSchemas, taskSchemas, validate, validateQuery } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const { ADMIN_ROLES, workspaceAccess, accessScope } = require('../middleware/workspace');
+const { loadSearchMatches, listTasks } = require('../services/taskList');
+const { isRelativeDate, resolveRelativeDate } = require('../utils/relativeDate');
+const logger = require('../utils/logger');
+
+const router = express.Router({ mergeParams: true });
+
+const findView = async (viewId, req) => {
+  const { data: view } = await viewRepository.find(viewId, accessScope(req));
+
+  return view;
+};
+
+// Shared views can also be removed by workspace owners and admins
+const canDeleteView = (req, view) => (
+  view.user_id === req.user.id ||
+  Boolean(view.is_shared && req.workspace && ADMIN_ROLES.includes(req.workspace.role))
+);
+
+const getTimeZone = async (userId) => {
+  const { data: profile } = await profileRepository.find(userId, 'timezone');
+
+  return profile?.timezone || 'UTC';
+};
+
+// Relative due dates become fixed instants at the time the view runs
+const resolveViewFilters = (filters, options) => Object.fromEntries(
+  Object.entries(filters).map(([field, value]) => [
+    field,
+    ['due_before', 'due_after'].includes(field) && isRelativeDate(value)
+      ? resolveRelativeDate(value, options).toISOString()
+      : value
+  ])
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedView:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         workspace_id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         filters:
+ *           type: object
+ *           description: Any `GET /api/tasks` filter and sort parameter except pagination. `due_before` and `due_after` also accept relative dates such as `now`, `today`, `tomorrow`, `+7d` or `today-1w` (units h, d, w), resolved in the caller's timezone when the view runs.
+ *           example:
+ *             status: todo
+ *             due_after: now
+ *             due_before: +7d
+ *             sort_by: due_date
+ *             sort_order: asc
+ *         is_shared:
+ *           type: boolean
+ *           description: Visible to every member of the view's workspace
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/views:
+ *   get:
+ *     summary: Get saved views
+ *     description: Your personal views, or in a workspace your views there plus those shared by other members.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     responses:
+ *       200:
+ *         description: Views retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedView'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, workspaceAccess(), async (req, res) => {
+  const { data: views, error } = await viewRepository.list(accessScope(req));
+
+  if (error) {
+    logger.error('Views fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch views'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: views
+  });
+});
+
+/**
+ * @swagger
+ * /api/views:
+ *   post:
+ *     summary: Save a view
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *               is_shared:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only workspace views can be shared
+ *     responses:
+ *       201:
+ *         description: View created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticate, workspaceAccess(), validate(viewSchemas.create), async (req, res) => {
+  if (req.body.is_shared && !req.workspace) {
+    return res.status(400).json({
+      success: false,
+      error: 'Only workspace views can be shared'
+    });
+  }
+
+  const { data: view, error } = await viewRepository.create({
+    ...req.body,
+    user_id: req.user.id,
+    workspace_id: req.workspace?.id || null
+  });
+
+  if (error) {
+    logger.error('View creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create view'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: view,
+    message: 'View created successfully'
+  });
+});
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   get:
+ *     summary: Get a saved view
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: View retrieved successfully
+ *       404:
+ *         description: View not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticate, workspaceAccess(), async (req, res) => {
+  const view = await findView(req.params.id, req);
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      error: 'View not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: view
+  });
+});
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   put:
+ *     summary: Update a saved view
+ *     description: Only the view's creator can change it. `filters` replaces the stored filters as a whole.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *               is_shared:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: View updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the view's creator
+ *       404:
+ *         description: View not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', authenticate, workspaceAccess(), validate(viewSchemas.update), async (req, res) => {
+  const view = await findView(req.params.id, req);
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      error: 'View not found'
+    });
+  }
+
+  if (view.user_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the creator can edit this view'
+    });
+  }
+
+  if (req.body.is_shared && !view.workspace_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'Only workspace views can be shared'
+    });
+  }
+
+  const { data: updated, error } = await viewRepository.update(view.id, req.body);
+
+  if (error) {
+    logger.error('View update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update view'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: updated,
+    message: 'View updated successfully'
+  });
+});
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   delete:
+ *     summary: Delete a saved view
+ *     description: The creator can delete a view; workspace owners and admins can also delete shared views.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: View deleted successfully
+ *       403:
+ *         description: Not allowed to delete this view
+ *       404:
+ *         description: View not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', authenticate, workspaceAccess(), async (req, res) => {
+  const view = await findView(req.params.id, req);
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      error: 'View not found'
+    });
+  }
+
+  if (!canDeleteView(req, view)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the creator or a workspace admin can delete this view'
+    });
+  }
+
+  const { error } = await viewRepository.remove(view.id);
+
+  if (error) {
+    logger.error('View deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete view'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'View deleted successfully'
+  });
+});
+
+// Loads the view and replaces `req.query` with its filters plus the
+// requested page, validated as a task list query
+const loadViewQuery = async (req, res, next) => {
+  const view = await findView(req.params.id, req);
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      error: 'View not found'
+    });
+  }
+
+  const filters = resolveViewFilters(view.filters, {
+    now: new Date(),
+    timeZone: await getTimeZone(req.user.id)
+  });
+
+  // Filters saved before a schema change may no longer be accepted
+  const { error, value } = taskSchemas.query.validate({ ...filters, ...req.query });
+
+  if (error) {
+    return res.status(422).json({
+      success: false,
+      error: 'Saved view filters are no longer valid',
+      details: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    });
+  }
+
+  req.view = view;
+  req.query = value;
+  next();
+};
+
+/**
+ * @swagger
+ * /api/views/{id}/tasks:
+ *   get:
+ *     summary: Run a saved view
+ *     description: Lists the tasks matching the view's filters, with the same response and pagination (page or cursor) as `GET /api/tasks`. Relative due dates are resolved at request time in your profile's timezone.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The `next_cursor` of the previous page
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully
+ *       404:
+ *         description: View not found
+ *       422:
+ *         description: The view's saved filters are no longer valid
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/tasks', authenticate, workspaceAccess(), validateQuery(viewSchemas.tasks), loadViewQuery, loadSearchMatches, listTasks);
+
+module.exports = router;
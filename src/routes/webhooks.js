@@ -0,0 +1,544 @@
+const express = require('express');
+const { webhooks: webhookRepository } = require('../repositories');
+const { webhookSchemas, validate, validateQuery } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const { ADMIN_ROLES, workspaceAccess, accessScope } = require('../middleware/workspace');
+const { attemptDelivery } = require('../services/webhooks');
+const { generateSecret, checkWebhookUrl } = require('../utils/webhooks');
+const logger = require('../utils/logger');
+
+const router = express.Router({ mergeParams: true });
+
+// Answers 400 for receivers checkWebhookUrl refuses
+const checkReceiver = async (req, res, next) => {
+  const refused = req.body.url && await checkWebhookUrl(req.body.url);
+
+  if (refused) {
+    return res.status(400).json({
+      success: false,
+      error: refused
+    });
+  }
+
+  next();
+};
+
+const findWebhook = async (webhookId, req, options) => {
+  const { data: webhook } = await webhookRepository.find(webhookId, accessScope(req), options);
+
+  return webhook;
+};
+
+const findDelivery = async (webhookId, deliveryId) => {
+  const { data: delivery } = await webhookRepository.findDelivery(webhookId, deliveryId);
+
+  return delivery;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         url:
+ *           type: string
+ *           format: uri
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [task.created, task.updated, task.assigned, task.status_changed, task.completed, task.deleted, task.restored, category.created, category.updated, category.deleted, category.restored]
+ *         description:
+ *           type: string
+ *         is_active:
+ *           type: boolean
+ *         workspace_id:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *         response_status:
+ *           type: integer
+ *         error:
+ *           type: string
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get webhook subscriptions
+ *     description: Personal webhooks, or the workspace's webhooks (owner/admin) when a workspace context is given.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const { data: webhooks, error } = await webhookRepository.list(accessScope(req));
+
+  if (error) {
+    logger.error('Webhooks fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: webhooks
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create a webhook subscription
+ *     description: The response contains the signing secret; it is not returned again.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *                 description: Generated when omitted
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticate, workspaceAccess(...ADMIN_ROLES), validate(webhookSchemas.create), checkReceiver, async (req, res) => {
+  const { data: webhook, error } = await webhookRepository.create({
+    ...req.body,
+    secret: req.body.secret || generateSecret(),
+    user_id: req.user.id,
+    workspace_id: req.workspace?.id || null
+  });
+
+  if (error) {
+    logger.error('Webhook creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: webhook
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const webhook = await findWebhook(req.params.id, req);
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: webhook
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', authenticate, workspaceAccess(...ADMIN_ROLES), validate(webhookSchemas.update), checkReceiver, async (req, res) => {
+  const { data: webhook, error } = await webhookRepository.update(req.params.id, req.body, accessScope(req));
+
+  if (error) {
+    logger.error('Webhook update error:', error);
+
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: webhook
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const { data: deleted, error } = await webhookRepository.remove(req.params.id, accessScope(req));
+
+  if (error) {
+    logger.error('Webhook deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+
+  if (deleted.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted successfully'
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret of a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Secret rotated; the response contains the new secret
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/rotate-secret', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const { data: webhook, error } = await webhookRepository.rotateSecret(req.params.id, generateSecret(), accessScope(req));
+
+  if (error) {
+    logger.error('Webhook secret rotation error:', error);
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: webhook
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/deliveries', authenticate, workspaceAccess(...ADMIN_ROLES), validateQuery(webhookSchemas.deliveryQuery), async (req, res) => {
+  const { status, event, page, limit } = req.query;
+
+  const webhook = await findWebhook(req.params.id, req);
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  const { data: deliveries, error, count } = await webhookRepository.listDeliveries(
+    webhook.id,
+    { status, event },
+    { from, to }
+  );
+
+  if (error) {
+    logger.error('Webhook deliveries fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deliveries'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: deliveries,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again now
+ *     description: Resets the attempt counter, so a failed delivery gets a fresh round of retries.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Delivery attempted; see `status` for the outcome
+ *       404:
+ *         description: Delivery not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const webhook = await findWebhook(req.params.id, req, { withSecret: true });
+
+  const delivery = webhook && await findDelivery(webhook.id, req.params.deliveryId);
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found'
+    });
+  }
+
+  const result = await attemptDelivery({ ...delivery, status: 'pending', attempts: 0 }, webhook);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const { workflows: workflowRepository } = require('../repositories');
+const { workflowSchemas, validate } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const {
+  ADMIN_ROLES,
+  workspaceAccess,
+  accessScope
+} = require('../middleware/workspace');
+const { DEFAULT_WORKFLOW, validateWorkflow } = require('../utils/workflow');
+const logger = require('../utils/logger');
+
+const router = express.Router({ mergeParams: true });
+
+const findWorkflow = async (workflowId, req) => {
+  const { data: workflow } = await workflowRepository.find(workflowId, accessScope(req));
+
+  return workflow;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Workflow:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         statuses:
+ *           type: array
+ *           description: Ordered statuses; the first one is where new tasks start. A task's `status` is the status `key`, stored as its `category` in `status` and as the key in `workflow_status`.
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 pattern: '^[a-z][a-z0-9_]*$'
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [todo, in_progress, completed]
+ *         transitions:
+ *           type: object
+ *           nullable: true
+ *           description: Maps a status key to the keys a task may move to from it. Statuses that are not listed, or a null map, allow any move.
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *           example:
+ *             backlog: [ready]
+ *             ready: [backlog, in_review]
+ *             in_review: [ready, done]
+ *             done: []
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         workspace_id:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/workflows:
+ *   get:
+ *     summary: Get all workflows
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     responses:
+ *       200:
+ *         description: Workflows retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workflow'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, workspaceAccess(), async (req, res) => {
+  const { data: workflows, error } = await workflowRepository.list(accessScope(req));
+
+  if (error) {
+    logger.error('Workflows fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflows'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: workflows
+  });
+});
+
+/**
+ * @swagger
+ * /api/workflows/default:
+ *   get:
+ *     summary: Get the built-in workflow
+ *     description: Used by categories and workspaces without a workflow of their own.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Built-in workflow
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/default', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: DEFAULT_WORKFLOW
+  });
+});
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   get:
+ *     summary: Get a workflow
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workflow retrieved successfully
+ *       404:
+ *         description: Workflow not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticate, workspaceAccess(), async (req, res) => {
+  const workflow = await findWorkflow(req.params.id, req);
+
+  if (!workflow) {
+    return res.status(404).json({
+      success: false,
+      error: 'Workflow not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: workflow
+  });
+});
+
+/**
+ * @swagger
+ * /api/workflows:
+ *   post:
+ *     summary: Create a workflow
+ *     description: Needs at least one status in the `completed` category. Attach it with `workflow_id` on a category or workspace.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - statuses
+ *             properties:
+ *               name:
+ *                 type: string
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               transitions:
+ *                 type: object
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Workflow created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticate, workspaceAccess(...ADMIN_ROLES), validate(workflowSchemas.create), async (req, res) => {
+  const invalid = validateWorkflow(req.body);
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const { data: workflow, error } = await workflowRepository.create({
+    ...req.body,
+    user_id: req.user.id,
+    workspace_id: req.workspace?.id || null
+  });
+
+  if (error) {
+    logger.error('Workflow creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create workflow'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: workflow
+  });
+});
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   put:
+ *     summary: Update a workflow
+ *     description: Tasks in a status that no longer exists count as the first status of their category.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               transitions:
+ *                 type: object
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Workflow not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', authenticate, workspaceAccess(...ADMIN_ROLES), validate(workflowSchemas.update), async (req, res) => {
+  const existing = await findWorkflow(req.params.id, req);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Workflow not found'
+    });
+  }
+
+  const invalid = validateWorkflow({ ...existing, ...req.body });
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const { data: workflow, error } = await workflowRepository.update(existing.id, req.body);
+
+  if (error) {
+    logger.error('Workflow update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update workflow'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: workflow
+  });
+});
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   delete:
+ *     summary: Delete a workflow
+ *     description: Categories and workspaces using it fall back to the next workflow in line.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workflow deleted successfully
+ *       404:
+ *         description: Workflow not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', authenticate, workspaceAccess(...ADMIN_ROLES), async (req, res) => {
+  const { data: deleted, error } = await workflowRepository.remove(req.params.id, accessScope(req));
+
+  if (error) {
+    logger.error('Workflow deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete workflow'
+    });
+  }
+
+  if (deleted.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Workflow not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Workflow deleted successfully'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,638 @@
+const express = require('express');
+const {
+  profiles: profileRepository,
+  workspaces: workspaceRepository
+} = require('../repositories');
+const { workspaceSchemas, validate } = require('../validation/schemas');
+const { authenticate } = require('../middleware/auth');
+const { ADMIN_ROLES, workspaceAccess } = require('../middleware/workspace');
+const { findAccessibleWorkflow } = require('../services/workflows');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Admins manage members and viewers; only owners can touch owners and admins.
+const canManageMember = (actorRole, targetRole, newRole) => {
+  if (actorRole === 'owner') {
+    return true;
+  }
+
+  return actorRole === 'admin' &&
+    !ADMIN_ROLES.includes(targetRole) &&
+    (!newRole || !ADMIN_ROLES.includes(newRole));
+};
+
+const countOwners = async (workspaceId) => {
+  const { count, error } = await workspaceRepository.countOwners(workspaceId);
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+};
+
+const findMember = async (workspaceId, userId) => {
+  const { data: member } = await workspaceRepository.findMember(workspaceId, userId);
+
+  return member;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Workspace:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         owner_id:
+ *           type: string
+ *           format: uuid
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member, viewer]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     WorkspaceMember:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member, viewer]
+ *         profile:
+ *           type: object
+ *           properties:
+ *             full_name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: Get all workspaces the authenticated user belongs to
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workspaces retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workspace'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, async (req, res) => {
+  const { data: memberships, error } = await workspaceRepository.listForUser(req.user.id);
+
+  if (error) {
+    logger.error('Workspaces fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workspaces'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: memberships.map(({ role, workspace }) => ({ ...workspace, role }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace owned by the authenticated user
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Workspace created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticate, validate(workspaceSchemas.create), async (req, res) => {
+  const { data: workspace, error } = await workspaceRepository.create({
+    ...req.body,
+    owner_id: req.user.id
+  });
+
+  if (error) {
+    logger.error('Workspace creation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create workspace'
+    });
+  }
+
+  const { error: memberError } = await workspaceRepository.addMember({
+    workspace_id: workspace.id,
+    user_id: req.user.id,
+    role: 'owner'
+  });
+
+  if (memberError) {
+    logger.error('Workspace owner membership error:', memberError);
+    await workspaceRepository.remove(workspace.id);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create workspace'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { ...workspace, role: 'owner' }
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   get:
+ *     summary: Get a workspace
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workspace retrieved successfully
+ *       404:
+ *         description: Workspace not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:workspaceId', authenticate, workspaceAccess(), async (req, res) => {
+  const { data: workspace, error } = await workspaceRepository.find(req.workspace.id);
+
+  if (error) {
+    logger.error('Workspace fetch error:', error);
+    return res.status(404).json({
+      success: false,
+      error: 'Workspace not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { ...workspace, role: req.workspace.role }
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   put:
+ *     summary: Update a workspace (owner or admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               workflow_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Default workflow for tasks whose category has none
+ *     responses:
+ *       200:
+ *         description: Workspace updated successfully
+ *       403:
+ *         description: Insufficient workspace permissions
+ *       404:
+ *         description: Workspace not found
+ */
+router.put('/:workspaceId', authenticate, workspaceAccess(...ADMIN_ROLES), validate(workspaceSchemas.update), async (req, res) => {
+  if (req.body.workflow_id && !await findAccessibleWorkflow(req.body.workflow_id, req)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid workflow ID'
+    });
+  }
+
+  const { data: workspace, error } = await workspaceRepository.update(req.workspace.id, req.body);
+
+  if (error) {
+    logger.error('Workspace update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update workspace'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { ...workspace, role: req.workspace.role }
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   delete:
+ *     summary: Delete a workspace with all of its tasks and categories (owner only)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workspace deleted successfully
+ *       403:
+ *         description: Insufficient workspace permissions
+ *       404:
+ *         description: Workspace not found
+ */
+router.delete('/:workspaceId', authenticate, workspaceAccess('owner'), async (req, res) => {
+  const { error } = await workspaceRepository.remove(req.workspace.id);
+
+  if (error) {
+    logger.error('Workspace deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete workspace'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Workspace deleted successfully'
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members:
+ *   get:
+ *     summary: Get the members of a workspace
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceMember'
+ *       404:
+ *         description: Workspace not found
+ */
+router.get('/:workspaceId/members', authenticate, workspaceAccess(), async (req, res) => {
+  const { data: members, error } = await workspaceRepository.listMemberProfiles(req.workspace.id);
+
+  if (error) {
+    logger.error('Workspace members fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch members'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: members
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members:
+ *   post:
+ *     summary: Add a member by user ID or email (owner or admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member, viewer]
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       400:
+ *         description: Validation error or user already a member
+ *       403:
+ *         description: Insufficient workspace permissions
+ *       404:
+ *         description: User not found
+ */
+router.post('/:workspaceId/members', authenticate, workspaceAccess(...ADMIN_ROLES), validate(workspaceSchemas.addMember), async (req, res) => {
+  const { user_id, email, role } = req.body;
+
+  if (!canManageMember(req.workspace.role, null, role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only owners can add admins'
+    });
+  }
+
+  const { data: profile } = user_id
+    ? await profileRepository.find(user_id, 'id')
+    : await profileRepository.findByEmail(email, 'id');
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const { data: member, error } = await workspaceRepository.addMember({
+    workspace_id: req.workspace.id,
+    user_id: profile.id,
+    role
+  });
+
+  if (error) {
+    logger.error('Workspace member creation error:', error);
+
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        error: 'User is already a member of this workspace'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add member'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: member
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role (owner or admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, member, viewer]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: The workspace must keep at least one owner
+ *       403:
+ *         description: Insufficient workspace permissions
+ *       404:
+ *         description: Member not found
+ */
+router.patch('/:workspaceId/members/:userId', authenticate, workspaceAccess(...ADMIN_ROLES), validate(workspaceSchemas.updateMember), async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  const member = await findMember(req.workspace.id, userId);
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      error: 'Member not found'
+    });
+  }
+
+  if (!canManageMember(req.workspace.role, member.role, role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient workspace permissions'
+    });
+  }
+
+  if (member.role === 'owner' && role !== 'owner' && await countOwners(req.workspace.id) <= 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'A workspace must keep at least one owner'
+    });
+  }
+
+  const { data: updated, error } = await workspaceRepository.updateMember(req.workspace.id, userId, { role });
+
+  if (error) {
+    logger.error('Workspace member update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update member'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: updated
+  });
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member, or leave the workspace when userId is your own
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: The workspace must keep at least one owner
+ *       403:
+ *         description: Insufficient workspace permissions
+ *       404:
+ *         description: Member not found
+ */
+router.delete('/:workspaceId/members/:userId', authenticate, workspaceAccess(), async (req, res) => {
+  const { userId } = req.params;
+  const isSelf = userId === req.user.id;
+
+  const member = await findMember(req.workspace.id, userId);
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      error: 'Member not found'
+    });
+  }
+
+  if (!isSelf && !canManageMember(req.workspace.role, member.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient workspace permissions'
+    });
+  }
+
+  if (member.role === 'owner' && await countOwners(req.workspace.id) <= 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'A workspace must keep at least one owner'
+    });
+  }
+
+  const { error } = await workspaceRepository.removeMember(req.workspace.id, userId);
+
+  if (error) {
+    logger.error('Workspace member deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: isSelf ? 'Left workspace successfully' : 'Member removed successfully'
+  });
+});
+
+module.exports = router;
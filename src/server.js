@@ -16,6 +16,20 @@ const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const categoryRoutes = require('./routes/categories');
 const analyticsRoutes = require('./routes/analytics');
+const workspaceRoutes = require('./routes/workspaces');
+const adminRoutes = require('./routes/admin');
+const activityRoutes = require('./routes/activity');
+const webhookRoutes = require('./routes/webhooks');
+const notificationRoutes = require('./routes/notifications');
+const streamRoutes = require('./routes/stream');
+const calendarRoutes = require('./routes/calendar');
+const viewRoutes = require('./routes/views');
+const tagRoutes = require('./routes/tags');
+const workflowRoutes = require('./routes/workflows');
+const trashRoutes = require('./routes/trash');
+const { startWebhookDispatcher } = require('./services/webhooks');
+const { startNotificationDispatcher } = require('./services/notifications');
+const { startEventStream, closeAllStreams } = require('./services/eventStream');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -48,6 +62,18 @@ const swaggerOptions = {
           bearerFormat: 'JWT',
         },
       },
+      parameters: {
+        WorkspaceHeader: {
+          in: 'header',
+          name: 'X-Workspace-Id',
+          required: false,
+          description: 'Scope the request to a workspace instead of personal tasks and categories',
+          schema: {
+            type: 'string',
+            format: 'uuid',
+          },
+        },
+      },
     },
   },
   apis: ['./src/routes/*.js'],
@@ -55,6 +81,10 @@ const swaggerOptions = {
 
 const specs = swaggerJsdoc(swaggerOptions);
 
+startWebhookDispatcher();
+startNotificationDispatcher();
+startEventStream();
+
 app.use(helmet());
 app.use(cors());
 app.use(limiter);
@@ -75,6 +105,26 @@ app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/workspaces/:workspaceId/tasks', taskRoutes);
+app.use('/api/workspaces/:workspaceId/categories', categoryRoutes);
+app.use('/api/workspaces/:workspaceId/analytics', analyticsRoutes);
+app.use('/api/workspaces/:workspaceId/activity', activityRoutes);
+app.use('/api/workspaces/:workspaceId/webhooks', webhookRoutes);
+app.use('/api/workspaces/:workspaceId/views', viewRoutes);
+app.use('/api/workspaces/:workspaceId/tags', tagRoutes);
+app.use('/api/workspaces/:workspaceId/workflows', workflowRoutes);
+app.use('/api/workspaces/:workspaceId/trash', trashRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/admin', adminRoutes);
 
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -96,6 +146,7 @@ if (process.env.NODE_ENV !== 'test') {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
+    closeAllStreams();
     server.close(() => {
       logger.info('Process terminated');
     });
@@ -0,0 +1,72 @@
+const { EventEmitter } = require('events');
+const { activity: activityRepository } = require('../repositories');
+const { diffFields } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+// In-process fan-out of recorded activity. Listeners receive
+// `(entry, record)` where `record` is the row after the change, or the
+// deleted row.
+const activityEvents = new EventEmitter();
+
+const toEntry = ({ actorId, entityType, action, before = null, after = null, taskId, workspaceId }) => {
+  const row = after || before;
+
+  return {
+    entity_type: entityType,
+    entity_id: row.id,
+    task_id: taskId !== undefined ? taskId : (entityType === 'task' ? row.id : null),
+    workspace_id: workspaceId !== undefined ? workspaceId : row.workspace_id || null,
+    actor_id: actorId || null,
+    action,
+    changes: diffFields(before, after)
+  };
+};
+
+/**
+ * Append one or more events to the activity log and publish them on
+ * `activityEvents`. Updates, assignments and status changes that change
+ * nothing are dropped. A failure is logged and swallowed: the audit trail
+ * must never fail the write it describes.
+ *
+ * Each event is `{ actorId, entityType, action, before, after, taskId?, workspaceId? }`
+ * where `actorId` is null for system writes (scheduled jobs).
+ */
+const recordActivity = async (...events) => {
+  try {
+    const recorded = events
+      .map(event => ({ entry: toEntry(event), record: event.after || event.before }))
+      .filter(({ entry }) => ['create', 'delete', 'restore'].includes(entry.action) || Object.keys(entry.changes).length > 0);
+
+    if (recorded.length === 0) {
+      return;
+    }
+
+    recorded.forEach(({ entry, record }) => activityEvents.emit('activity', entry, record));
+
+    const { error } = await activityRepository.createMany(recorded.map(({ entry }) => entry));
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    logger.error('Activity log error:', error);
+  }
+};
+
+/**
+ * Newest-first page of one activity feed: a task's (`{ taskId }`), a
+ * workspace's (`{ workspaceId }`) or one actor's (`{ actorId }`), narrowed by
+ * the `activitySchemas.query` filters.
+ */
+const fetchActivity = (feed, { page, limit, ...filters }) => {
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  return activityRepository.list(feed, filters, { from, to });
+};
+
+module.exports = {
+  activityEvents,
+  recordActivity,
+  fetchActivity
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { attachments } = require('../repositories');
+const { getFileStorage } = require('./fileStorage');
+const { scanFile } = require('./virusScan');
+const logger = require('../utils/logger');
+
+/**
+ * Scan, store and record an upload on `taskId`. Resolves to
+ * `{ attachment }`, or `{ rejected }` with the scanner's reason. The stored
+ * file is removed again when the record cannot be written.
+ */
+const saveAttachment = async ({ taskId, userId, file }) => {
+  const verdict = await scanFile(file);
+
+  if (!verdict.clean) {
+    return { rejected: verdict.reason };
+  }
+
+  const storage = getFileStorage();
+  const storageKey = `${taskId}/${crypto.randomUUID()}`;
+
+  await storage.put(storageKey, file.buffer, { contentType: file.mimeType });
+
+  const { data: attachment, error } = await attachments.create({
+    task_id: taskId,
+    user_id: userId,
+    file_name: file.fileName,
+    mime_type: file.mimeType,
+    size_bytes: file.size,
+    storage_driver: storage.driver,
+    storage_key: storageKey
+  });
+
+  if (error) {
+    await storage.remove(storageKey).catch(removeError => logger.error('Attachment cleanup error:', removeError));
+    throw error;
+  }
+
+  return { attachment };
+};
+
+// The file's contents, or null when it is gone from storage
+const readAttachment = (attachment) => getFileStorage(attachment.storage_driver).get(attachment.storage_key);
+
+// Files outliving their record are only wasted space, so removal failures
+// are logged rather than reported
+const removeStoredFiles = async (files) => {
+  for (const file of files) {
+    try {
+      await getFileStorage(file.storage_driver).remove(file.storage_key);
+    } catch (error) {
+      logger.error('Attachment file removal error:', error);
+    }
+  }
+};
+
+const deleteAttachment = async (attachment) => {
+  const { error } = await attachments.remove(attachment.id);
+
+  if (error) {
+    throw error;
+  }
+
+  await removeStoredFiles([attachment]);
+};
+
+/**
+ * The stored files of the given tasks. Deleting the tasks deletes the
+ * records, so collect these first and pass them to removeStoredFiles once
+ * the tasks are gone.
+ */
+const collectTaskFiles = async (taskIds) => {
+  const { data: files, error } = await attachments.listFilesByTasks(taskIds);
+
+  if (error) {
+    throw error;
+  }
+
+  return files;
+};
+
+module.exports = {
+  saveAttachment,
+  readAttachment,
+  deleteAttachment,
+  collectTaskFiles,
+  removeStoredFiles
+};
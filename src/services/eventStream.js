@@ -0,0 +1,121 @@
+const { workspaces: workspaceRepository } = require('../repositories');
+const { activityEvents } = require('./activity');
+const { createEventBuffer } = require('../utils/eventStream');
+const logger = require('../utils/logger');
+
+const STREAM_EVENTS = {
+  task: {
+    create: 'task.created',
+    update: 'task.updated',
+    assign: 'task.updated',
+    status: 'task.status_changed',
+    delete: 'task.deleted',
+    restore: 'task.restored'
+  },
+  category: { create: 'category.created', update: 'category.updated', delete: 'category.deleted', restore: 'category.restored' }
+};
+
+const buffer = createEventBuffer(parseInt(process.env.STREAM_BUFFER_SIZE) || 1000);
+const clients = new Set();
+
+// Workspace events go to members; personal tasks to their creator and
+// assignee (including the one just unassigned); personal categories to
+// their owner.
+const isVisibleTo = (client, { data }) => {
+  const record = data.task || data.category;
+
+  if (record.workspace_id) {
+    return client.workspaceIds.includes(record.workspace_id);
+  }
+
+  return [record.created_by, record.assigned_to, record.user_id, data.changes.assigned_to?.from]
+    .includes(client.userId);
+};
+
+const loadWorkspaceIds = async (userId) => {
+  const { data: memberships, error } = await workspaceRepository.listMemberships(userId);
+
+  if (error) {
+    throw error;
+  }
+
+  return memberships.map(membership => membership.workspace_id);
+};
+
+const handleActivity = (entry, record) => {
+  const event = STREAM_EVENTS[entry.entity_type]?.[entry.action];
+
+  if (!event) {
+    return;
+  }
+
+  const stored = buffer.push({
+    event,
+    data: {
+      [entry.entity_type]: record,
+      changes: entry.changes,
+      actor_id: entry.actor_id,
+      workspace_id: entry.workspace_id
+    }
+  });
+
+  for (const client of clients) {
+    if (isVisibleTo(client, stored)) {
+      client.send(stored);
+    }
+  }
+};
+
+/**
+ * Register a connected client and replay what it missed since
+ * `lastEventId`. When that can no longer be replayed the client gets a
+ * `reset` event and should refetch. Returns a function that unregisters it.
+ *
+ * `client` is `{ userId, workspaceIds, send(event) }`; `workspaceIds` may be
+ * replaced while connected as memberships change.
+ */
+const openStream = (client, lastEventId) => {
+  if (lastEventId) {
+    const missed = buffer.since(lastEventId);
+
+    if (missed) {
+      missed.filter(event => isVisibleTo(client, event)).forEach(client.send);
+    } else {
+      client.send({ event: 'reset', data: { reason: 'Missed events are no longer available' } });
+    }
+  }
+
+  clients.add(client);
+
+  return () => clients.delete(client);
+};
+
+// Ends every open stream so the HTTP server can shut down
+const closeAllStreams = () => {
+  for (const client of clients) {
+    try {
+      client.close();
+    } catch (error) {
+      logger.error('Stream close error:', error);
+    }
+  }
+
+  clients.clear();
+};
+
+let listening = false;
+
+// Subscribes the stream to the activity feed. Idempotent.
+const startEventStream = () => {
+  if (!listening) {
+    activityEvents.on('activity', handleActivity);
+    listening = true;
+  }
+};
+
+module.exports = {
+  loadWorkspaceIds,
+  openStream,
+  closeAllStreams,
+  startEventStream
+};
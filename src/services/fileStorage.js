@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// Each factory returns `{ put, get, remove }`. `put(key, buffer, { contentType })`
+// stores a file, `get(key)` resolves to its contents as a Buffer (null when
+// missing) and `remove(key)` deletes it, ignoring missing files.
+const drivers = {
+  // Files under ATTACHMENT_DIR, for local development and tests
+  local: () => {
+    const directory = path.resolve(process.env.ATTACHMENT_DIR || 'uploads');
+    const resolve = (key) => {
+      const filePath = path.resolve(directory, key);
+
+      if (!filePath.startsWith(directory + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+
+      return filePath;
+    };
+
+    return {
+      put: async (key, buffer) => {
+        await fs.promises.mkdir(path.dirname(resolve(key)), { recursive: true });
+        await fs.promises.writeFile(resolve(key), buffer);
+      },
+
+      get: async (key) => {
+        try {
+          return await fs.promises.readFile(resolve(key));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return null;
+          }
+          throw error;
+        }
+      },
+
+      remove: async (key) => {
+        await fs.promises.rm(resolve(key), { force: true });
+      }
+    };
+  },
+
+  // A private Supabase Storage bucket (ATTACHMENT_BUCKET), written with the
+  // service role key when there is one
+  supabase: () => {
+    const client = supabaseAdmin || supabase;
+
+    if (!client) {
+      throw new Error('The supabase file storage driver needs the Supabase environment variables');
+    }
+
+    const bucket = () => client.storage.from(process.env.ATTACHMENT_BUCKET || 'attachments');
+
+    return {
+      put: async (key, buffer, { contentType }) => {
+        const { error } = await bucket().upload(key, buffer, { contentType, upsert: false });
+
+        if (error) {
+          throw error;
+        }
+      },
+
+      get: async (key) => {
+        const { data, error } = await bucket().download(key);
+
+        if (error) {
+          // A missing object comes back as a 400 or 404 response
+          if ([400, 404].includes(error.status ?? error.originalError?.status)) {
+            return null;
+          }
+          throw error;
+        }
+
+        return Buffer.from(await data.arrayBuffer());
+      },
+
+      remove: async (key) => {
+        const { error } = await bucket().remove([key]);
+
+        if (error) {
+          throw error;
+        }
+      }
+    };
+  }
+};
+
+/**
+ * Register an additional driver (for example S3) that can then be selected
+ * with `ATTACHMENT_STORAGE`.
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const createFileStorage = (driver) => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown file storage driver: ${driver}`);
+  }
+
+  return { driver, ...drivers[driver]() };
+};
+
+const storages = new Map();
+
+// Attachments remember the driver that stored them, so files stored before a
+// switch of ATTACHMENT_STORAGE are still read from where they are
+const getFileStorage = (driver = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!storages.has(driver)) {
+    storages.set(driver, createFileStorage(driver));
+  }
+
+  return storages.get(driver);
+};
+
+module.exports = {
+  registerDriver,
+  createFileStorage,
+  getFileStorage
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+// Each factory returns `send(message)` resolving to `{ messageId }`.
+// `message` is `{ to, subject, html, text }`; `from` is filled in here.
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    };
+  },
+
+  // Writes each message as an .eml file, for local testing
+  file: () => {
+    const directory = process.env.MAIL_FILE_DIR || 'logs/mail';
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(path.join(directory, fileName), info.message);
+
+      return { messageId: info.messageId, path: path.join(directory, fileName) };
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      logger.info(`Email to ${message.to}: ${message.subject}`, { text: message.text });
+      return { messageId: info.messageId };
+    };
+  }
+};
+
+/**
+ * Register an additional transport (for example an HTTP email API) that can
+ * then be selected with `MAIL_TRANSPORT`.
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Transports that keep messages on this machine instead of delivering them
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Outside production mail is logged unless MAIL_TRANSPORT says otherwise;
+// a production server must name its transport rather than silently log
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  return 'console';
+};
+
+// `delivers` is false for the local transports, whose messages never reach
+// the recipient
+const createMailer = (transport = process.env.MAIL_TRANSPORT || defaultTransport()) => {
+  if (!transports[transport]) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+
+  const send = transports[transport]();
+  const from = process.env.MAIL_FROM || 'Task Management <no-reply@localhost>';
+
+  return {
+    transport,
+    delivers: !LOCAL_TRANSPORTS.includes(transport),
+    send: (message) => send({ from, ...message })
+  };
+};
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    mailer = createMailer();
+  }
+
+  return mailer;
+};
+
+module.exports = {
+  registerTransport,
+  createMailer,
+  getMailer
+};
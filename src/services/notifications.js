@@ -0,0 +1,152 @@
+const {
+  tasks: taskRepository,
+  profiles: profileRepository,
+  notifications: notificationRepository,
+  workspaces: workspaceRepository
+} = require('../repositories');
+const { activityEvents } = require('./activity');
+const { extractMentions } = require('../utils/mentions');
+const logger = require('../utils/logger');
+
+/**
+ * Insert notifications, skipping any that would notify the actor about their
+ * own action and any whose `dedupe_key` the recipient already has. A failure
+ * is logged and swallowed so it never fails the write that triggered it.
+ *
+ * Each notification is `{ userId, type, taskId, actorId, message, data?, dedupeKey? }`.
+ */
+const createNotifications = async (notifications) => {
+  const rows = notifications
+    .filter(notification => notification.userId && notification.userId !== notification.actorId)
+    .map(({ userId, type, taskId, actorId, message, data = {}, dedupeKey = null }) => ({
+      user_id: userId,
+      type,
+      task_id: taskId || null,
+      actor_id: actorId || null,
+      message,
+      data,
+      dedupe_key: dedupeKey
+    }));
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  try {
+    const { error } = await notificationRepository.createMany(rows);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    logger.error('Notification error:', error);
+  }
+};
+
+// Mentioned users who can see the task: workspace members for workspace
+// tasks, otherwise only the creator and assignee.
+const findMentionedUsers = async (emails, task) => {
+  const { data: profiles, error } = await profileRepository.listByEmails(emails, 'id, email');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!task.workspace_id) {
+    return profiles.filter(profile => [task.created_by, task.assigned_to].includes(profile.id));
+  }
+
+  const { data: members, error: membersError } = await workspaceRepository.listMembers(task.workspace_id);
+
+  if (membersError) {
+    throw membersError;
+  }
+
+  const memberIds = members.map(member => member.user_id);
+  return profiles.filter(profile => memberIds.includes(profile.id));
+};
+
+const notifyMentions = async (entry, comment) => {
+  const previous = extractMentions(entry.changes.content?.from);
+  const emails = extractMentions(entry.changes.content?.to)
+    .filter(email => !previous.includes(email));
+
+  if (emails.length === 0) {
+    return;
+  }
+
+  const { data: task, error } = await taskRepository.findById(comment.task_id, 'id, title, workspace_id, created_by, assigned_to');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!task) {
+    return;
+  }
+
+  const users = await findMentionedUsers(emails, task);
+
+  await createNotifications(users.map(user => ({
+    userId: user.id,
+    type: 'comment_mention',
+    taskId: task.id,
+    actorId: entry.actor_id,
+    message: `You were mentioned in a comment on "${task.title}"`,
+    data: { comment_id: comment.id, content: comment.content }
+  })));
+};
+
+const handleActivity = async (entry, record) => {
+  try {
+    if (entry.entity_type === 'comment' && ['create', 'update'].includes(entry.action)) {
+      await notifyMentions(entry, record);
+      return;
+    }
+
+    if (entry.entity_type !== 'task' || entry.action === 'delete') {
+      return;
+    }
+
+    const notifications = [];
+
+    if (entry.changes.assigned_to?.to) {
+      notifications.push({
+        userId: entry.changes.assigned_to.to,
+        type: 'task_assigned',
+        taskId: record.id,
+        actorId: entry.actor_id,
+        message: `You were assigned "${record.title}"`
+      });
+    }
+
+    if (entry.changes.status?.to === 'completed' && entry.action !== 'create') {
+      notifications.push({
+        userId: record.created_by,
+        type: 'task_completed',
+        taskId: record.id,
+        actorId: entry.actor_id,
+        message: `"${record.title}" was completed`
+      });
+    }
+
+    await createNotifications(notifications);
+  } catch (error) {
+    logger.error('Notification dispatch error:', error);
+  }
+};
+
+let listening = false;
+
+// Subscribes notification generation to the activity stream. Idempotent.
+const startNotificationDispatcher = () => {
+  if (!listening) {
+    activityEvents.on('activity', handleActivity);
+    listening = true;
+  }
+};
+
+module.exports = {
+  createNotifications,
+  startNotificationDispatcher
+};
@@ -0,0 +1,84 @@
+const { tasks } = require('../repositories');
+const { occurrenceAt } = require('../utils/recurrence');
+const { initialStatus, planStatusChange } = require('../utils/workflow');
+const { recordActivity } = require('./activity');
+const { resolveWorkflow } = require('./workflows');
+const logger = require('../utils/logger');
+
+// Fields copied from one occurrence to the next
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'category_id',
+  'assigned_to',
+  'created_by',
+  'workspace_id',
+  'require_subtasks_completed',
+  'estimate_minutes',
+  'recurrence_rule',
+  'recurrence_start',
+  'series_id'
+];
+
+/**
+ * Create the occurrence that follows `task` in its series.
+ * Safe to call from both the status handlers and the scheduled job: the
+ * `next_occurrence_created` flag is claimed with a conditional update, so
+ * only one caller ever inserts the next occurrence. `actorId` is recorded in
+ * the activity log; the scheduled job leaves it null.
+ */
+const materializeNextOccurrence = async (task, actorId = null) => {
+  if (!task.recurrence_rule || task.next_occurrence_created) {
+    return null;
+  }
+
+  // Resolved before claiming so a failed lookup cannot strand the claim
+  const workflow = await resolveWorkflow({ categoryId: task.category_id, workspaceId: task.workspace_id });
+
+  const { data: claimed, error: claimError } = await tasks.claimNextOccurrence(task.id);
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed) {
+    return null;
+  }
+
+  const nextIndex = task.occurrence_index + 1;
+  const dueDate = occurrenceAt(task.recurrence_rule, task.recurrence_start, nextIndex);
+
+  if (!dueDate) {
+    logger.info(`Recurring series ${task.series_id} has ended`);
+    return null;
+  }
+
+  const nextTask = SERIES_FIELDS.reduce((acc, field) => {
+    acc[field] = task[field];
+    return acc;
+  }, {});
+
+  const { data: occurrence, error } = await tasks.create({
+    ...nextTask,
+    ...planStatusChange(workflow, null, initialStatus(workflow)).fields,
+    due_date: dueDate.toISOString(),
+    occurrence_index: nextIndex
+  });
+
+  if (error) {
+    // Release the claim so the scheduled job can retry
+    await tasks.releaseNextOccurrence(task.id);
+
+    throw error;
+  }
+
+  await recordActivity({ actorId, entityType: 'task', action: 'create', after: occurrence });
+
+  logger.info(`Created occurrence ${nextIndex} of recurring series ${task.series_id}`);
+  return occurrence;
+};
+
+module.exports = {
+  materializeNextOccurrence
+};
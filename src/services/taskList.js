@@ -0,0 +1,201 @@
+const {
+  tasks: taskRepository,
+  tags: tagRepository
+} = require('../repositories');
+const { accessScope } = require('../middleware/workspace');
+const { buildTsQuery } = require('../utils/search');
+const { encodeCursor, decodeCursor, isAfterCursor } = require('../utils/cursor');
+const logger = require('../utils/logger');
+
+// Supabase returns aggregate joins as `[{ count }]`; flatten it onto the task,
+// flatten the tag join to a list of tags and drop the internal full-text
+// search column.
+const formatTask = ({ comments, search_vector, task_tags, ...task }) => ({
+  ...task,
+  ...(task_tags && { tags: task_tags.map(({ tag }) => tag).filter(Boolean) }),
+  comment_count: comments?.[0]?.count || 0
+});
+
+// Ids of tasks carrying any (or, with `match = 'all'`, every) of the tags
+const getTaggedTaskIds = async (tagIds, match) => {
+  const { data: links, error } = await tagRepository.listLinks(tagIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const counts = new Map();
+  for (const { task_id: taskId } of links) {
+    counts.set(taskId, (counts.get(taskId) || 0) + 1);
+  }
+
+  return [...counts]
+    .filter(([, count]) => match !== 'all' || count === tagIds.length)
+    .map(([taskId]) => taskId);
+};
+
+// What the task repository's `list` needs for the `tags` and `q` filters:
+// the tagged task ids and the to_tsquery() expression to match in the
+// database. `q` has been checked by loadSearchMatches.
+const loadFilterIds = async ({ tags, tags_match, q }) => ({
+  taggedIds: tags ? await getTaggedTaskIds(tags, tags_match) : null,
+  searchQuery: q ? buildTsQuery(q) : null
+});
+
+// Runs the full-text search for `q` and sets `req.searchResults` to the
+// matches keyed by task id (null without `q`)
+const loadSearchMatches = async (req, res, next) => {
+  req.searchResults = null;
+
+  if (!req.query.q) {
+    return next();
+  }
+
+  const tsQuery = buildTsQuery(req.query.q);
+
+  if (!tsQuery) {
+    return res.status(400).json({
+      success: false,
+      error: 'Search query must contain at least one word'
+    });
+  }
+
+  const { data: matches, error } = await taskRepository.search(accessScope(req), tsQuery);
+
+  if (error) {
+    logger.error('Task search error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to search tasks'
+    });
+  }
+
+  req.searchResults = new Map(matches.map(match => [match.task_id, match]));
+  next();
+};
+
+// Ties are broken by id in the same direction, matching the database sorts
+// so cursors work the same way
+const sortByRelevance = (tasks, searchResults, sortOrder) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const rank = task => searchResults.get(task.id).rank;
+
+  return [...tasks].sort((a, b) => (
+    direction * (rank(a) - rank(b) || (a.id > b.id ? 1 : -1))
+  ));
+};
+
+/**
+ * Responds with one page of tasks for the validated `taskSchemas.query` in
+ * `req.query`. Runs after `workspaceAccess` and `loadSearchMatches`; backs
+ * both GET /api/tasks and saved views.
+ */
+const listTasks = async (req, res) => {
+  const { page, limit, sort_by, sort_order, cursor } = req.query;
+  const ascending = sort_order === 'asc';
+
+  const { searchResults } = req;
+
+  // With a cursor the page continues after the last row the client saw;
+  // otherwise `page` selects an offset as before
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  if (cursor && (!after || after.sortBy !== sort_by || after.sortOrder !== sort_order)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid cursor for this sort order'
+    });
+  }
+
+  const filterIds = await loadFilterIds(req.query);
+
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  // Relevance lives in the search results, not in a column, so the (already
+  // capped) match set is ranked and paged here instead of in the database.
+  // Either way one extra row is fetched to tell whether another page exists.
+  // Cursor pages skip the exact count, which is what makes deep pages slow.
+  let { data: tasks, error, count } = await taskRepository.list(
+    accessScope(req),
+    req.query,
+    {
+      filterIds,
+      count: !after,
+      ...(sort_by !== 'relevance' && {
+        sortBy: sort_by,
+        ascending,
+        ...(after ? { after, limit: limit + 1 } : { from, to: to + 1 })
+      })
+    }
+  );
+
+  if (error) {
+    logger.error('Tasks fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tasks'
+    });
+  }
+
+  if (searchResults) {
+    tasks = tasks.map(task => {
+      const match = searchResults.get(task.id);
+      return {
+        ...task,
+        search: {
+          rank: match.rank,
+          snippets: {
+            title: match.title_snippet,
+            description: match.description_snippet,
+            comment: match.comment_snippet
+          }
+        }
+      };
+    });
+  }
+
+  const sortValue = task => (sort_by === 'relevance' ? task.search.rank : task[sort_by]);
+
+  if (sort_by === 'relevance') {
+    tasks = sortByRelevance(tasks, searchResults, sort_order);
+    tasks = after
+      ? tasks.filter(task => isAfterCursor(task, after, sortValue)).slice(0, limit + 1)
+      : tasks.slice(from, to + 2);
+  }
+
+  const hasMore = tasks.length > limit;
+  tasks = tasks.slice(0, limit);
+
+  const last = tasks[tasks.length - 1];
+  const nextCursor = hasMore
+    ? encodeCursor({ sortBy: sort_by, sortOrder: sort_order, value: sortValue(last), id: last.id })
+    : null;
+
+  res.json({
+    success: true,
+    data: tasks.map(formatTask),
+    pagination: after
+      ? {
+        limit,
+        has_more: hasMore,
+        next_cursor: nextCursor
+      }
+      : {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit),
+        has_more: hasMore,
+        next_cursor: nextCursor
+      }
+  });
+};
+
+module.exports = {
+  formatTask,
+  loadFilterIds,
+  loadSearchMatches,
+  sortByRelevance,
+  listTasks
+};
@@ -0,0 +1,28 @@
+const scanners = [];
+
+/**
+ * Register a virus scanner run on every upload before it is stored.
+ * `scanner(file)` gets `{ buffer, fileName, mimeType, size }` and resolves to
+ * `{ clean: true }` or `{ clean: false, reason }`; a thrown error fails the
+ * upload. Scanners run in registration order and the first rejection wins.
+ */
+const registerVirusScanner = (scanner) => {
+  scanners.push(scanner);
+};
+
+const scanFile = async (file) => {
+  for (const scanner of scanners) {
+    const verdict = await scanner(file);
+
+    if (!verdict?.clean) {
+      return { clean: false, reason: verdict?.reason || 'Rejected by virus scan' };
+    }
+  }
+
+  return { clean: true };
+};
+
+module.exports = {
+  registerVirusScanner,
+  scanFile
+};
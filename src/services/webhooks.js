@@ -0,0 +1,166 @@
+const { webhooks: webhookRepository } = require('../repositories');
+const { activityEvents } = require('./activity');
+const { MAX_ATTEMPTS, retryDelay, sendWebhook } = require('../utils/webhooks');
+const logger = require('../utils/logger');
+
+// Webhook event names for an activity entry; a single change can fan out to
+// several (an update that completes a task is also `task.completed`).
+const eventsForActivity = (entry) => {
+  const { entity_type: entityType, action, changes } = entry;
+
+  if (!['task', 'category'].includes(entityType)) {
+    return [];
+  }
+
+  if (entityType === 'category') {
+    return {
+      create: ['category.created'],
+      update: ['category.updated'],
+      delete: ['category.deleted'],
+      restore: ['category.restored']
+    }[action] || [];
+  }
+
+  const events = {
+    create: ['task.created'],
+    update: ['task.updated'],
+    assign: ['task.assigned'],
+    status: ['task.status_changed'],
+    delete: ['task.deleted'],
+    restore: ['task.restored']
+  }[action] || [];
+
+  if (action === 'update' && changes.assigned_to) {
+    events.push('task.assigned');
+  }
+
+  if (action === 'update' && changes.status) {
+    events.push('task.status_changed');
+  }
+
+  if (changes.status?.to === 'completed' && action !== 'create') {
+    events.push('task.completed');
+  }
+
+  return events;
+};
+
+// Personal webhooks only see the owner's personal tasks and categories;
+// workspace webhooks see everything in their workspace.
+const isVisibleTo = (webhook, record) => (
+  webhook.workspace_id
+    ? webhook.workspace_id === record.workspace_id
+    : !record.workspace_id && [record.created_by, record.assigned_to, record.user_id].includes(webhook.user_id)
+);
+
+const findSubscribers = async (event, record) => {
+  const { data: webhooks, error } = await webhookRepository.listSubscribers(event, record.workspace_id || null);
+
+  if (error) {
+    throw error;
+  }
+
+  return webhooks.filter(webhook => isVisibleTo(webhook, record));
+};
+
+/**
+ * Attempt one delivery and record the outcome. Failed attempts are
+ * rescheduled with exponential backoff until MAX_ATTEMPTS is reached.
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const result = await sendWebhook({
+    url: webhook.url,
+    secret: webhook.secret,
+    event: delivery.event,
+    deliveryId: delivery.id,
+    payload: { id: delivery.id, ...delivery.payload }
+  });
+
+  const attempts = delivery.attempts + 1;
+  const update = {
+    attempts,
+    response_status: result.status,
+    response_body: result.body,
+    error: result.error,
+    last_attempt_at: new Date().toISOString()
+  };
+
+  if (result.ok) {
+    update.status = 'succeeded';
+    update.delivered_at = update.last_attempt_at;
+  } else if (attempts >= MAX_ATTEMPTS) {
+    update.status = 'failed';
+  } else {
+    update.status = 'pending';
+    update.next_attempt_at = new Date(Date.now() + retryDelay(attempts)).toISOString();
+  }
+
+  const { error } = await webhookRepository.updateDelivery(delivery.id, update);
+
+  if (error) {
+    logger.error('Webhook delivery update error:', error);
+  }
+
+  return { ...delivery, ...update };
+};
+
+const dispatchEvent = async (event, entry, record) => {
+  const webhooks = await findSubscribers(event, record);
+
+  for (const webhook of webhooks) {
+    const payload = {
+      event,
+      created_at: new Date().toISOString(),
+      data: {
+        [entry.entity_type]: record,
+        changes: entry.changes,
+        actor_id: entry.actor_id,
+        workspace_id: entry.workspace_id
+      }
+    };
+
+    // Schedule the first retry up front so the retry job never races the
+    // immediate attempt below
+    const { data: delivery, error } = await webhookRepository.createDelivery({
+      webhook_id: webhook.id,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(Date.now() + retryDelay(1)).toISOString()
+    });
+
+    if (error) {
+      logger.error('Webhook delivery creation error:', error);
+      continue;
+    }
+
+    await attemptDelivery(delivery, webhook);
+  }
+};
+
+const handleActivity = async (entry, record) => {
+  for (const event of eventsForActivity(entry)) {
+    try {
+      await dispatchEvent(event, entry, record);
+    } catch (error) {
+      logger.error(`Webhook dispatch error for ${event}:`, error);
+    }
+  }
+};
+
+let listening = false;
+
+// Subscribes webhook delivery to the activity stream. Idempotent.
+const startWebhookDispatcher = () => {
+  if (!listening) {
+    activityEvents.on('activity', handleActivity);
+    listening = true;
+  }
+};
+
+module.exports = {
+  eventsForActivity,
+  attemptDelivery,
+  startWebhookDispatcher
+};
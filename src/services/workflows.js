@@ -0,0 +1,66 @@
+const { categories, workspaces, workflows } = require('../repositories');
+const { accessScope } = require('../middleware/workspace');
+const { DEFAULT_WORKFLOW } = require('../utils/workflow');
+
+const WORKFLOW_COLUMNS = 'id, name, statuses, transitions';
+
+// `lookup` resolves to `{ data: { workflow_id } | null, error }`
+const getWorkflowId = async (lookup) => {
+  const { data: row, error } = await lookup;
+
+  if (error) {
+    throw error;
+  }
+
+  return row?.workflow_id || null;
+};
+
+/**
+ * The workflow governing tasks in `categoryId` (which may be null) inside
+ * `workspaceId`: the category's own, else the workspace's, else the built-in
+ * todo/in_progress/completed workflow.
+ */
+const resolveWorkflow = async ({ categoryId, workspaceId }) => {
+  const workflowId = (categoryId && await getWorkflowId(categories.findWorkflowId(categoryId))) ||
+    (workspaceId && await getWorkflowId(workspaces.findWorkflowId(workspaceId)));
+
+  if (!workflowId) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  const { data: workflow, error } = await workflows.findById(workflowId, WORKFLOW_COLUMNS);
+
+  if (error) {
+    throw error;
+  }
+
+  return workflow || DEFAULT_WORKFLOW;
+};
+
+// Workflows can only be attached to categories and workspaces in their own scope
+const findAccessibleWorkflow = async (workflowId, req) => {
+  const { data: workflow } = await workflows.find(workflowId, accessScope(req), 'id');
+
+  return workflow;
+};
+
+// resolveWorkflow with lookups shared across the rows of one bulk request
+const createWorkflowResolver = () => {
+  const cache = new Map();
+
+  return ({ categoryId, workspaceId }) => {
+    const key = `${categoryId || ''}:${workspaceId || ''}`;
+
+    if (!cache.has(key)) {
+      cache.set(key, resolveWorkflow({ categoryId, workspaceId }));
+    }
+
+    return cache.get(key);
+  };
+};
+
+module.exports = {
+  resolveWorkflow,
+  createWorkflowResolver,
+  findAccessibleWorkflow
+};
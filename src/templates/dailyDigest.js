@@ -0,0 +1,80 @@
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDueDate = (dueDate, timeZone) => new Date(dueDate).toLocaleString('en-US', {
+  timeZone,
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const describeTask = (task, timeZone) => [
+  task.title,
+  task.priority && `${task.priority} priority`,
+  task.due_date && `due ${formatDueDate(task.due_date, timeZone)}`
+].filter(Boolean).join(' · ');
+
+const SECTIONS = [
+  { key: 'overdue_task_details', title: 'Overdue', empty: 'Nothing overdue. Nice work!' },
+  { key: 'due_today_details', title: 'Due today', empty: 'Nothing due today.' },
+  { key: 'completed_tasks', title: 'Completed yesterday', empty: 'No tasks completed yesterday.' }
+];
+
+const renderHtmlSection = ({ title, empty }, tasks, timeZone) => `
+    <h2 style="font-size:16px;margin:24px 0 8px;">${escapeHtml(title)} (${tasks.length})</h2>
+    ${tasks.length === 0
+    ? `<p style="color:#6b7280;margin:0;">${escapeHtml(empty)}</p>`
+    : `<ul style="margin:0;padding-left:20px;">${tasks
+      .map(task => `<li style="margin:4px 0;">${escapeHtml(describeTask(task, timeZone))}</li>`)
+      .join('')}</ul>`}`;
+
+const renderTextSection = ({ title, empty }, tasks, timeZone) => [
+  `${title} (${tasks.length})`,
+  ...(tasks.length === 0 ? [`  ${empty}`] : tasks.map(task => `  - ${describeTask(task, timeZone)}`))
+].join('\n');
+
+/**
+ * Render the daily digest email built by `generateDailyDigest`.
+ * Returns `{ subject, html, text }`.
+ */
+const renderDailyDigest = (digest, { timeZone = 'UTC' } = {}) => {
+  const subject = `Your tasks for ${digest.date}: ${digest.due_today} due today, ${digest.overdue_tasks} overdue`;
+  const greeting = `Hi ${digest.user_name || 'there'},`;
+  const footer = 'You receive this email because daily digests are enabled for your account. ' +
+    'Turn them off or change the send time with PATCH /api/auth/preferences.';
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#111827;max-width:600px;margin:0 auto;padding:24px;">
+    <p>${escapeHtml(greeting)}</p>
+    <p>Here is your task digest for ${escapeHtml(digest.date)}.</p>${SECTIONS
+    .map(section => renderHtmlSection(section, digest[section.key], timeZone))
+    .join('')}
+    <p style="color:#9ca3af;font-size:12px;margin-top:32px;">${escapeHtml(footer)}</p>
+  </body>
+</html>
+`;
+
+  const text = [
+    greeting,
+    '',
+    `Here is your task digest for ${digest.date}.`,
+    '',
+    SECTIONS.map(section => renderTextSection(section, digest[section.key], timeZone)).join('\n\n'),
+    '',
+    '--',
+    footer,
+    ''
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+module.exports = {
+  renderDailyDigest
+};
@@ -0,0 +1,71 @@
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Documents, images and archives. HTML and SVG are left out since a browser
+// would run scripts in them.
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const maxAttachmentBytes = () => parseInt(process.env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES;
+
+// ATTACHMENT_ALLOWED_TYPES is a comma-separated list; `image/*` allows a
+// whole family
+const allowedMimeTypes = () => (
+  process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+);
+
+const isAllowedMimeType = (mimeType, allowed = allowedMimeTypes()) => {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+  return allowed.some(pattern => (
+    pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern
+  ));
+};
+
+// The uploaded name without any path, control characters or quotes, so it is
+// safe in a Content-Disposition header
+const sanitizeFileName = (fileName) => {
+  const name = String(fileName || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .slice(0, 255);
+
+  return name || 'attachment';
+};
+
+// `attachment; filename="..."` with an ASCII fallback and the UTF-8 name
+const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_');
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  DEFAULT_ALLOWED_TYPES,
+  maxAttachmentBytes,
+  allowedMimeTypes,
+  isAllowedMimeType,
+  sanitizeFileName,
+  contentDisposition
+};
@@ -0,0 +1,69 @@
+// Keyset pagination for task listing. A cursor holds the sort value and id
+// of the last row returned; the next page starts strictly after that
+// position in `ORDER BY <sort_by>, id`, both in the same direction. Nulls
+// sort as Postgres does by default: last ascending, first descending.
+
+const encodeCursor = ({ sortBy, sortOrder, value, id }) => Buffer
+  .from(JSON.stringify({ s: sortBy, o: sortOrder, v: value ?? null, id }))
+  .toString('base64url');
+
+// The decoded cursor, or null when it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof s !== 'string' || !['asc', 'desc'].includes(o) || typeof id !== 'string') {
+      return null;
+    }
+
+    return { sortBy: s, sortOrder: o, value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// PostgREST logic-tree values are quoted so commas, parentheses and colons
+// in titles or timestamps stay part of the value
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * PostgREST `or` filter selecting the rows after the cursor position.
+ */
+const keysetFilter = ({ sortBy, sortOrder, value, id }) => {
+  const ascending = sortOrder === 'asc';
+  const after = ascending ? 'gt' : 'lt';
+
+  if (value === null) {
+    const sameValue = `and(${sortBy}.is.null,id.${after}.${quote(id)})`;
+    return ascending ? sameValue : `${sameValue},${sortBy}.not.is.null`;
+  }
+
+  const filters = [
+    `${sortBy}.${after}.${quote(value)}`,
+    `and(${sortBy}.eq.${quote(value)},id.${after}.${quote(id)})`
+  ];
+
+  return (ascending ? [...filters, `${sortBy}.is.null`] : filters).join(',');
+};
+
+/**
+ * In-memory equivalent of keysetFilter for lists ranked outside the
+ * database (search relevance). `valueOf` reads a row's sort value.
+ */
+const isAfterCursor = (row, { sortOrder, value, id }, valueOf) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const rowValue = valueOf(row);
+
+  if (rowValue !== value) {
+    return direction * (rowValue - value) > 0;
+  }
+
+  return direction === 1 ? row.id > id : row.id < id;
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  isAfterCursor
+};
@@ -0,0 +1,40 @@
+// Bookkeeping columns and embedded joins that never show up in a diff
+const IGNORED_FIELDS = [
+  'id',
+  'created_at',
+  'updated_at',
+  'search_vector',
+  'category',
+  'comments',
+  'workspace'
+];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level `{ field: { from, to } }` diff between two rows. Creates diff
+ * every set field against null and deletes diff every field to null; updates
+ * only compare the fields present on `before`, so a partial snapshot limits
+ * the diff to the columns it holds.
+ */
+const diffFields = (before, after) => {
+  const fields = before ? Object.keys(before) : Object.keys(after || {});
+
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !before || !after || field in after)
+    .reduce((changes, field) => {
+      const from = before ? before[field] ?? null : null;
+      const to = after ? after[field] ?? null : null;
+
+      if (!isEqual(from, to)) {
+        changes[field] = { from, to };
+      }
+
+      return changes;
+    }, {});
+};
+
+module.exports = {
+  diffFields
+};
@@ -0,0 +1,54 @@
+/**
+ * Ring buffer of recent stream events. Ids are `<epoch>.<sequence>`, where the
+ * epoch identifies this buffer, so an id handed out before a restart is
+ * recognised as unknown rather than mistaken for a recent one.
+ */
+const createEventBuffer = (size, epoch = Date.now().toString(36)) => {
+  const events = [];
+  let sequence = 0;
+
+  const push = (event) => {
+    sequence += 1;
+
+    const stored = { ...event, id: `${epoch}.${sequence}`, sequence };
+    events.push(stored);
+
+    if (events.length > size) {
+      events.shift();
+    }
+
+    return stored;
+  };
+
+  // Events after `lastEventId`, or null when they can no longer be replayed
+  // (unknown id, or older than the oldest buffered event)
+  const since = (lastEventId) => {
+    const [lastEpoch, lastSequence] = String(lastEventId).split('.');
+    const after = Number(lastSequence);
+
+    if (lastEpoch !== epoch || !Number.isInteger(after) || after < 0 || after > sequence) {
+      return null;
+    }
+
+    const oldest = events.length > 0 ? events[0].sequence : sequence + 1;
+
+    if (after + 1 < oldest) {
+      return null;
+    }
+
+    return events.filter(event => event.sequence > after);
+  };
+
+  return { push, since };
+};
+
+// One Server-Sent Events message; `id` is omitted for events that cannot be
+// resumed from
+const formatEvent = ({ id, event, data }) => (
+  `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+);
+
+module.exports = {
+  createEventBuffer,
+  formatEvent
+};
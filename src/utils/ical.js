@@ -0,0 +1,110 @@
+// RFC 5545 helpers for the task calendar feed
+
+const PRODUCT_ID = '-//Task Management API//Tasks//EN';
+
+// iCalendar PRIORITY: 1 is highest, 9 lowest
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const TODO_STATUSES = { todo: 'NEEDS-ACTION', in_progress: 'IN-PROCESS', completed: 'COMPLETED' };
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const describeTask = (task) => [
+  task.description,
+  task.category?.name && `Category: ${task.category.name}`,
+  `Status: ${task.status.replace('_', ' ')}`,
+  `Priority: ${task.priority}`
+].filter(Boolean).join('\n');
+
+const taskComponent = (task, component, host) => {
+  const lines = [
+    `UID:${task.id}@${host}`,
+    `DTSTAMP:${formatDateTime(task.updated_at || task.created_at)}`,
+    task.created_at && `CREATED:${formatDateTime(task.created_at)}`,
+    task.updated_at && `LAST-MODIFIED:${formatDateTime(task.updated_at)}`,
+    `SUMMARY:${escapeText(task.status === 'completed' && component === 'VEVENT' ? `✓ ${task.title}` : task.title)}`,
+    `DESCRIPTION:${escapeText(describeTask(task))}`,
+    task.category?.name && `CATEGORIES:${escapeText(task.category.name)}`,
+    `PRIORITY:${PRIORITIES[task.priority] || 0}`
+  ];
+
+  if (component === 'VTODO') {
+    lines.push(
+      `DUE:${formatDateTime(task.due_date)}`,
+      `STATUS:${TODO_STATUSES[task.status]}`
+    );
+
+    if (task.status === 'completed') {
+      lines.push(
+        `COMPLETED:${formatDateTime(task.completed_at || task.updated_at || task.due_date)}`,
+        'PERCENT-COMPLETE:100'
+      );
+    }
+  } else {
+    // A DTSTART without DTEND is an instant: the moment the task is due
+    lines.push(
+      `DTSTART:${formatDateTime(task.due_date)}`,
+      'TRANSP:TRANSPARENT'
+    );
+  }
+
+  return [`BEGIN:${component}`, ...lines.filter(Boolean), `END:${component}`];
+};
+
+/**
+ * Build an iCalendar document with one VEVENT (`component: 'event'`) or VTODO
+ * (`component: 'todo'`) per task. Tasks need `id`, `title`, `status`,
+ * `priority` and `due_date`; `category` is the `{ name }` join.
+ */
+const buildCalendar = (tasks, { name = 'Tasks', component = 'event', host = 'task-management-api' } = {}) => {
+  const type = component === 'todo' ? 'VTODO' : 'VEVENT';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...tasks.flatMap(task => taskComponent(task, type, host)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,19 @@
+// Users are mentioned by email: "@alice@example.com can you review?"
+const MENTION_PATTERN = /(?:^|[^\w@.])@([a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/gi;
+
+/**
+ * Unique, lower-cased email addresses mentioned in `content`.
+ */
+const extractMentions = (content) => {
+  const emails = new Set();
+
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    emails.add(match[1].toLowerCase());
+  }
+
+  return [...emails];
+};
+
+module.exports = {
+  extractMentions
+};
@@ -0,0 +1,224 @@
+// Supported subset of RFC 5545 RRULE:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT or UNTIL,
+//   BYDAY (WEEKLY only, plain weekdays) and BYMONTHDAY (MONTHLY only, single day).
+// Occurrences are enumerated from the series start (DTSTART), so editing a single
+// occurrence never shifts the rest of the series.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 10000;
+
+const parsePositiveInt = (key, value) => {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${key} must be a positive integer`);
+  }
+
+  return number;
+};
+
+const parseUntil = (value) => {
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = compact
+    ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3], compact[4] || 23, compact[5] || 59, compact[6] || 59))
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('UNTIL must be a valid date');
+  }
+
+  return date;
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const parseRule = (rule) => {
+  const parsed = { interval: 1 };
+  const parts = rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.toUpperCase();
+
+    if (!value) {
+      throw new Error(`Missing value for ${key}`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Unsupported FREQ: ${value}`);
+        }
+        parsed.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        parsed.interval = parsePositiveInt(key, value);
+        break;
+      case 'COUNT':
+        parsed.count = parsePositiveInt(key, value);
+        break;
+      case 'UNTIL':
+        parsed.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.toUpperCase().split(',');
+        if (!parsed.byDay.every(day => WEEKDAYS.includes(day))) {
+          throw new Error(`Unsupported BYDAY: ${value}`);
+        }
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = parsePositiveInt(key, value);
+        if (parsed.byMonthDay > 31) {
+          throw new Error('BYMONTHDAY must be between 1 and 31');
+        }
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  if (!parsed.freq) {
+    throw new Error('FREQ is required');
+  }
+
+  if (parsed.count && parsed.until) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+
+  if (parsed.byDay && parsed.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+
+  if (parsed.byMonthDay && parsed.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+
+  return parsed;
+};
+
+const formatRule = (parsed) => {
+  const parts = [`FREQ=${parsed.freq}`];
+
+  if (parsed.interval > 1) parts.push(`INTERVAL=${parsed.interval}`);
+  if (parsed.byDay) parts.push(`BYDAY=${parsed.byDay.join(',')}`);
+  if (parsed.byMonthDay) parts.push(`BYMONTHDAY=${parsed.byMonthDay}`);
+  if (parsed.count) parts.push(`COUNT=${parsed.count}`);
+  if (parsed.until) parts.push(`UNTIL=${formatUntil(parsed.until)}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Normalise the `recurrence` API input (an RRULE string or a
+ * `{ frequency, interval, by_day, by_month_day, count, until }` object)
+ * into a canonical RRULE string. Throws on anything outside the subset.
+ */
+const toRRule = (recurrence) => {
+  if (typeof recurrence === 'string') {
+    return formatRule(parseRule(recurrence));
+  }
+
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+
+  if (recurrence.interval) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.by_day) parts.push(`BYDAY=${recurrence.by_day.join(',')}`);
+  if (recurrence.by_month_day) parts.push(`BYMONTHDAY=${recurrence.by_month_day}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) parts.push(`UNTIL=${formatUntil(new Date(recurrence.until))}`);
+
+  return formatRule(parseRule(parts.join(';')));
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const addMonths = (start, months, day) => {
+  const target = new Date(start);
+  const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + months) / 12);
+  const month = (start.getUTCMonth() + months) % 12;
+
+  // Short months clamp to their last day instead of skipping the occurrence
+  target.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+  return target;
+};
+
+const startOfWeek = (date) => {
+  const offset = (date.getUTCDay() + 6) % 7;
+  const monday = new Date(date.getTime() - offset * DAY_MS);
+  monday.setUTCHours(0, 0, 0, 0);
+  return monday;
+};
+
+function* occurrences(parsed, start) {
+  yield new Date(start);
+
+  if (parsed.freq === 'WEEKLY' && parsed.byDay) {
+    const anchorWeek = startOfWeek(start).getTime();
+    let candidate = new Date(start);
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      candidate = new Date(candidate.getTime() + DAY_MS);
+      const weeksFromStart = Math.round((startOfWeek(candidate).getTime() - anchorWeek) / (7 * DAY_MS));
+
+      if (
+        weeksFromStart % parsed.interval === 0 &&
+        parsed.byDay.includes(WEEKDAYS[candidate.getUTCDay()])
+      ) {
+        yield candidate;
+      }
+    }
+    return;
+  }
+
+  for (let step = 1; step < MAX_ITERATIONS; step++) {
+    const offset = step * parsed.interval;
+
+    switch (parsed.freq) {
+      case 'DAILY':
+        yield new Date(start.getTime() + offset * DAY_MS);
+        break;
+      case 'WEEKLY':
+        yield new Date(start.getTime() + offset * 7 * DAY_MS);
+        break;
+      case 'MONTHLY':
+        yield addMonths(start, offset, parsed.byMonthDay || start.getUTCDate());
+        break;
+      case 'YEARLY':
+        yield addMonths(start, offset * 12, start.getUTCDate());
+        break;
+    }
+  }
+}
+
+/**
+ * Date of the occurrence at `index` (0 = series start), or null once the
+ * series has ended through COUNT or UNTIL.
+ */
+const occurrenceAt = (rule, start, index) => {
+  const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+
+  if (parsed.count && index >= parsed.count) {
+    return null;
+  }
+
+  let position = 0;
+  for (const date of occurrences(parsed, new Date(start))) {
+    if (parsed.until && date > parsed.until) {
+      return null;
+    }
+    if (position === index) {
+      return date;
+    }
+    position++;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseRule,
+  formatRule,
+  toRRule,
+  occurrenceAt
+};
@@ -0,0 +1,38 @@
+const { DAY_MS, startOfLocalDay } = require('./timezone');
+
+// `now`, `today`, `tomorrow` or `yesterday`, optionally shifted by a number
+// of hours, days or weeks: `now+7d`, `today-1w`. A bare offset (`+7d`) is
+// relative to now.
+const RELATIVE_DATE_PATTERN = /^(now|today|tomorrow|yesterday)?(?:([+-])(\d{1,4})([hdw]))?$/;
+
+const UNIT_MS = { h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS };
+
+const DAY_OFFSETS = { today: 0, tomorrow: 1, yesterday: -1 };
+
+const isRelativeDate = (value) => (
+  typeof value === 'string' && value !== '' && RELATIVE_DATE_PATTERN.test(value)
+);
+
+/**
+ * Resolve a relative date expression to a Date. Day anchors (`today`,
+ * `tomorrow`, `yesterday`) are local midnight in `timeZone`, and whole-day
+ * offsets from them land on local midnight too.
+ */
+const resolveRelativeDate = (expression, { now = new Date(), timeZone = 'UTC' } = {}) => {
+  const [, anchor = 'now', sign, amount, unit] = expression.match(RELATIVE_DATE_PATTERN);
+  const offset = sign ? Number(`${sign}${amount}`) * UNIT_MS[unit] : 0;
+
+  if (anchor === 'now' || unit === 'h') {
+    const base = anchor === 'now' ? now : startOfLocalDay(new Date(now.getTime() + DAY_OFFSETS[anchor] * DAY_MS), timeZone);
+    return new Date(base.getTime() + offset);
+  }
+
+  // Step the calendar first so DST changes in between don't shift the time
+  return startOfLocalDay(new Date(now.getTime() + DAY_OFFSETS[anchor] * DAY_MS + offset), timeZone);
+};
+
+module.exports = {
+  RELATIVE_DATE_PATTERN,
+  isRelativeDate,
+  resolveRelativeDate
+};
@@ -0,0 +1,39 @@
+// Turns a user search string into a to_tsquery() expression:
+//   report            -> report
+//   rep*              -> rep:*        (prefix match)
+//   "weekly report"   -> (weekly <-> report)  (phrase match)
+// Terms are ANDed together. Anything that is not a letter, digit or underscore
+// is dropped, so the result is always safe to hand to to_tsquery().
+
+const tokenize = (text) => text.toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+
+const toTerm = (words) => (words.length > 1 ? `(${words.join(' <-> ')})` : words[0]);
+
+const buildTsQuery = (input) => {
+  const terms = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    if (match[1] !== undefined) {
+      const words = tokenize(match[1]);
+      if (words.length > 0) terms.push(toTerm(words));
+      continue;
+    }
+
+    const words = tokenize(match[2]);
+    if (words.length === 0) continue;
+
+    if (match[2].endsWith('*')) {
+      words[words.length - 1] += ':*';
+    }
+    terms.push(toTerm(words));
+  }
+
+  return terms.join(' & ');
+};
+
+module.exports = {
+  tokenize,
+  buildTsQuery
+};
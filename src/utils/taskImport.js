@@ -0,0 +1,63 @@
+const { parseCsv } = require('./csv');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Task fields an import can fill; `category` is a category name
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'due_date', 'category', 'assigned_to'];
+
+// "In Progress" and "in-progress" both mean in_progress
+const normalizeName = (value) => value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const normalizeChoice = (value) => (typeof value === 'string' ? normalizeName(value) : value);
+
+/**
+ * Turn an import payload into an array of source records: CSV text becomes
+ * one object per row keyed by the header row, JSON rows pass through.
+ */
+const toRecords = ({ csv, rows }) => {
+  if (rows) {
+    return rows;
+  }
+
+  const [header = [], ...lines] = parseCsv(csv);
+  const columns = header.map(column => column.trim());
+
+  return lines.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index]])));
+};
+
+/**
+ * Pick the importable fields out of a source record. `mapping` names the
+ * source column for a field (`{ title: 'Task name' }`); unmapped fields are
+ * read from the column with the same name, ignoring case, so "Due Date"
+ * fills `due_date`. Blank values are left out so schema defaults apply.
+ * Returns `{ fields, categoryName }`.
+ */
+const mapRecord = (record, mapping = {}) => {
+  const columns = new Map(Object.keys(record).map(column => [normalizeName(column), column]));
+  const fields = {};
+
+  for (const field of IMPORT_FIELDS) {
+    let value = record[mapping[field] || columns.get(field)];
+
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    fields[field] = ['status', 'priority'].includes(field) ? normalizeChoice(value) : value;
+  }
+
+  const { category: categoryName, ...taskFields } = fields;
+
+  return { fields: taskFields, categoryName: categoryName === undefined ? null : String(categoryName) };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  toRecords,
+  mapRecord
+};
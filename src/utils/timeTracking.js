@@ -0,0 +1,134 @@
+const MINUTE_MS = 60 * 1000;
+
+// Timers log to the nearest minute, and never less than one
+const elapsedMinutes = (startedAt, endedAt) => Math.max(
+  1,
+  Math.round((new Date(endedAt) - new Date(startedAt)) / MINUTE_MS)
+);
+
+const isStopped = (entry) => Boolean(entry.ended_at);
+
+const sumMinutes = (entries) => entries.reduce((total, entry) => total + (entry.duration_minutes || 0), 0);
+
+// Minutes per key, largest first, as `[key, minutes]` pairs
+const groupMinutes = (entries, keyOf) => {
+  const totals = new Map();
+
+  entries.forEach((entry) => {
+    const key = keyOf(entry);
+    totals.set(key, (totals.get(key) || 0) + entry.duration_minutes);
+  });
+
+  return [...totals].sort(([, a], [, b]) => b - a);
+};
+
+// Positive when more time was logged than estimated
+const variance = (estimateMinutes, actualMinutes) => {
+  if (!estimateMinutes) {
+    return { variance_minutes: null, variance_percent: null };
+  }
+
+  const minutes = actualMinutes - estimateMinutes;
+
+  return {
+    variance_minutes: minutes,
+    variance_percent: Math.round((minutes / estimateMinutes) * 10000) / 100
+  };
+};
+
+/**
+ * Totals for one task's time entries: minutes logged overall and per user,
+ * how they compare with `estimateMinutes`, and the running timers with the
+ * minutes elapsed on them so far (not yet part of the totals).
+ */
+const summarizeTaskTime = (entries, estimateMinutes, now = new Date()) => {
+  const logged = entries.filter(isStopped);
+  const loggedMinutes = sumMinutes(logged);
+
+  return {
+    estimate_minutes: estimateMinutes || null,
+    logged_minutes: loggedMinutes,
+    remaining_minutes: estimateMinutes ? Math.max(estimateMinutes - loggedMinutes, 0) : null,
+    ...variance(estimateMinutes, loggedMinutes),
+    by_user: groupMinutes(logged, entry => entry.user_id).map(([user_id, minutes]) => ({ user_id, minutes })),
+    running: entries
+      .filter(entry => !isStopped(entry))
+      .map(entry => ({ ...entry, elapsed_minutes: elapsedMinutes(entry.started_at, now) }))
+  };
+};
+
+const UNCATEGORIZED = { id: null, name: 'Uncategorized', color: '#6b7280' };
+
+// UTC dates of the last `days` days, today included, oldest first
+const periodDates = (days, now) => Array.from({ length: days }, (_, i) => (
+  new Date(now.getTime() - (days - 1 - i) * 24 * 60 * MINUTE_MS).toISOString().split('T')[0]
+));
+
+// Midnight UTC on the first day of the report period, to fetch its entries by
+const periodStart = (days, now = new Date()) => new Date(`${periodDates(days, now)[0]}T00:00:00.000Z`);
+
+/**
+ * The logged time report. `tasks` carry their `category`, the
+ * `time_entries` started since `periodStart(days)`, each with its `user`, and
+ * `all_time_entries` with the duration of every entry on the task. Entries
+ * count towards the period when they are stopped and started within the last
+ * `days` days (UTC dates, today included); each counts in full on the day it
+ * started.
+ *
+ * The estimate comparison covers the tasks with an estimate and time logged
+ * in the period, against all the time logged on them so far.
+ */
+const buildTimeReport = (tasks, { days, now = new Date() }) => {
+  const dates = periodDates(days, now);
+  const inPeriod = (entry) => isStopped(entry) && entry.started_at.split('T')[0] >= dates[0];
+
+  const periodEntries = tasks.flatMap(task => task.time_entries
+    .filter(inPeriod)
+    .map(entry => ({ ...entry, task })));
+
+  const categories = new Map(tasks.map(task => [task.category_id || null, task.category ? { id: task.category_id, ...task.category } : UNCATEGORIZED]));
+  const users = new Map(periodEntries.map(entry => [entry.user_id, entry.user]));
+  const byDay = new Map(groupMinutes(periodEntries, entry => entry.started_at.split('T')[0]));
+
+  const estimated = tasks
+    .filter(task => task.estimate_minutes && task.time_entries.some(inPeriod))
+    .map((task) => {
+      const actualMinutes = sumMinutes(task.all_time_entries.filter(isStopped));
+
+      return {
+        id: task.id,
+        title: task.title,
+        estimate_minutes: task.estimate_minutes,
+        actual_minutes: actualMinutes,
+        ...variance(task.estimate_minutes, actualMinutes)
+      };
+    })
+    .sort((a, b) => b.variance_minutes - a.variance_minutes);
+
+  const estimatedMinutes = estimated.reduce((total, task) => total + task.estimate_minutes, 0);
+  const actualMinutes = estimated.reduce((total, task) => total + task.actual_minutes, 0);
+
+  return {
+    period_days: days,
+    total_minutes: sumMinutes(periodEntries),
+    by_category: groupMinutes(periodEntries, entry => entry.task.category_id || null)
+      .map(([id, minutes]) => ({ ...categories.get(id), minutes })),
+    by_user: groupMinutes(periodEntries, entry => entry.user_id)
+      .map(([userId, minutes]) => ({ user_id: userId, full_name: users.get(userId)?.full_name || null, minutes })),
+    by_day: dates.map(date => ({ date, minutes: byDay.get(date) || 0 })),
+    estimates: {
+      tasks: estimated.length,
+      estimated_minutes: estimatedMinutes,
+      actual_minutes: actualMinutes,
+      ...variance(estimatedMinutes, actualMinutes),
+      by_task: estimated
+    }
+  };
+};
+
+module.exports = {
+  elapsedMinutes,
+  summarizeTaskTime,
+  periodStart,
+  buildTimeReport
+};
@@ -0,0 +1,54 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of `date` in `timeZone`, plus the local calendar date as
+ * `YYYY-MM-DD`.
+ */
+const localParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  );
+
+  return {
+    ...parts,
+    date: `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`
+  };
+};
+
+// Start of the local calendar day containing `date`, as a UTC instant. Uses
+// the offset at `date`, so it can be an hour off on DST transition days.
+const startOfLocalDay = (date, timeZone) => {
+  const local = localParts(date, timeZone);
+  const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) -
+    Math.floor(date.getTime() / 1000) * 1000;
+
+  return new Date(Date.UTC(local.year, local.month - 1, local.day) - offset);
+};
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  localParts,
+  startOfLocalDay
+};
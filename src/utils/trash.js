@@ -0,0 +1,23 @@
+const { DAY_MS } = require('./timezone');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days an item stays in the trash before the purge job deletes it for good
+const trashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// Items deleted before this are due for purging
+const purgeCutoff = (now = new Date(), days = trashRetentionDays()) => new Date(now.getTime() - days * DAY_MS);
+
+// When an item deleted at `deletedAt` will be purged
+const purgeDate = (deletedAt, days = trashRetentionDays()) => new Date(new Date(deletedAt).getTime() + days * DAY_MS);
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  trashRetentionDays,
+  purgeCutoff,
+  purgeDate
+};
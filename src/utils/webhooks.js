@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const util = require('util');
+
+const WEBHOOK_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.assigned',
+  'task.status_changed',
+  'task.completed',
+  'task.deleted',
+  'task.restored',
+  'category.created',
+  'category.updated',
+  'category.deleted',
+  'category.restored'
+];
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+// Addresses webhooks may not reach: "this" network, private, shared (CGNAT),
+// loopback, link-local, benchmarking, multicast and reserved ranges.
+// BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`. Receivers should
+ * recompute the HMAC over the raw body and reject stale timestamps.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const verifySignature = (secret, body, header) => {
+  const { t, v1 } = Object.fromEntries(
+    String(header).split(',').map(part => part.split('='))
+  );
+
+  if (!t || !v1) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, body, t));
+  const received = Buffer.from(`t=${t},v1=${v1}`);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Why `url` may not receive webhooks, or null when it may. Production only
+ * accepts https, and every address the host resolves to must be public so
+ * webhooks cannot probe the server's own network. WEBHOOK_ALLOW_PRIVATE_URLS
+ * lifts the address check for development against local receivers.
+ */
+const checkWebhookUrl = async (url, { lookup = dns.promises.lookup } = {}) => {
+  const { protocol, hostname } = new URL(url);
+
+  if (process.env.NODE_ENV === 'production' && protocol !== 'https:') {
+    return 'Webhook URLs must use https';
+  }
+
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+    return null;
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+
+  try {
+    addresses = net.isIP(host)
+      ? [host]
+      : (await lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+  } catch (error) {
+    return `Webhook host ${host} could not be resolved`;
+  }
+
+  if (addresses.some(isPrivateAddress)) {
+    return `Webhook host ${host} resolves to a private address`;
+  }
+
+  return null;
+};
+
+// 30s, 1m, 2m, 4m, 8m between attempts
+const retryDelay = (attempts) => BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+
+// dns.lookup() for the delivery request that refuses private addresses, so
+// the connection goes to an address that was checked rather than to whatever
+// the host resolves to by then (DNS rebinding). IP literals never reach it;
+// checkWebhookUrl covers those.
+const publicLookup = (lookup) => (hostname, options, callback) => {
+  lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true' && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Resolves to `{ status, body }` with at most MAX_RESPONSE_BODY_LENGTH
+// characters of the body. Redirects are not followed.
+const post = (url, { headers, body, lookup }) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  }, (response) => {
+    let responseBody = '';
+
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      responseBody = (responseBody + chunk).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    });
+    response.on('end', () => resolve({ status: response.statusCode, body: responseBody }));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * POST a signed JSON payload. Never throws: refused URLs, network errors and
+ * non-2xx responses come back as `{ ok: false }` so the caller can schedule a
+ * retry. The URL is checked again here since its host may have been pointed
+ * at a private address after registration, and the request connects to the
+ * address its own lookup checked. `lookup` is a dns.lookup() replacement.
+ */
+const sendWebhook = async ({ url, secret, event, deliveryId, payload }, { lookup = dns.lookup } = {}) => {
+  const body = JSON.stringify(payload);
+  const refused = await checkWebhookUrl(url, { lookup: util.promisify(lookup) });
+
+  if (refused) {
+    return { ok: false, status: null, body: null, error: refused };
+  }
+
+  try {
+    const response = await post(url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'task-management-api-webhooks',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Signature': signPayload(secret, body)
+      },
+      body,
+      lookup: publicLookup(lookup)
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+
+    return {
+      ok,
+      status: response.status,
+      body: response.body,
+      error: ok ? null : `Receiver responded with ${response.status}`
+    };
+  } catch (error) {
+    // The timeout signal is the only thing that aborts the request
+    return {
+      ok: false,
+      status: null,
+      body: null,
+      error: error.name === 'AbortError' ? 'Request timed out' : error.message
+    };
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  isPrivateAddress,
+  checkWebhookUrl,
+  retryDelay,
+  sendWebhook
+};
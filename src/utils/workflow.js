@@ -0,0 +1,111 @@
+// Every workflow status belongs to one of these categories. tasks.status
+// stores the category, so `completed` statuses are the ones that count as done.
+const STATUS_CATEGORIES = ['todo', 'in_progress', 'completed'];
+
+// Used when neither the task's category nor its workspace has a workflow
+const DEFAULT_WORKFLOW = {
+  id: null,
+  name: 'Default',
+  statuses: [
+    { key: 'todo', name: 'To do', category: 'todo' },
+    { key: 'in_progress', name: 'In progress', category: 'in_progress' },
+    { key: 'completed', name: 'Completed', category: 'completed' }
+  ],
+  transitions: null
+};
+
+const findStatus = (workflow, key) => workflow.statuses.find(status => status.key === key);
+
+const initialStatus = (workflow) => workflow.statuses[0].key;
+
+/**
+ * The workflow status a task is in. `workflow_status` is only trusted while it
+ * matches `status`: writers that only know categories (recurring occurrences,
+ * older rows, tasks moved between workflows) leave it stale or null, and the
+ * task then counts as the first status of its category.
+ */
+const currentStatusKey = (workflow, task) => {
+  const saved = task.workflow_status && findStatus(workflow, task.workflow_status);
+
+  if (saved && saved.category === task.status) {
+    return saved.key;
+  }
+
+  return (workflow.statuses.find(status => status.category === task.status) || workflow.statuses[0]).key;
+};
+
+// Statuses a task may move to from `fromKey`. A status missing from
+// `transitions` is unrestricted; list it with `[]` to make it final.
+const allowedTransitions = (workflow, fromKey) => {
+  const targets = workflow.transitions?.[fromKey];
+  return workflow.statuses.map(status => status.key).filter(key => !targets || key === fromKey || targets.includes(key));
+};
+
+/**
+ * Check moving `task` (null when creating) to the status `key`. Returns
+ * `{ fields }` with the `status` and `workflow_status` column values, or
+ * `{ status, error, allowed_statuses }` with the HTTP status to refuse with.
+ */
+const planStatusChange = (workflow, task, key) => {
+  const target = findStatus(workflow, key);
+
+  if (!target) {
+    return {
+      status: 400,
+      error: `Invalid status "${key}" for the ${workflow.name} workflow`,
+      allowed_statuses: workflow.statuses.map(status => status.key)
+    };
+  }
+
+  if (task) {
+    const allowed = allowedTransitions(workflow, currentStatusKey(workflow, task));
+
+    if (!allowed.includes(key)) {
+      return {
+        status: 409,
+        error: `Cannot move a task from "${currentStatusKey(workflow, task)}" to "${key}"`,
+        allowed_statuses: allowed
+      };
+    }
+  }
+
+  return {
+    fields: {
+      status: target.category,
+      workflow_status: workflow.id ? target.key : null
+    }
+  };
+};
+
+/**
+ * Consistency checks Joi cannot express: at least one `completed` status, and
+ * transitions only naming known statuses. Returns an error message or null.
+ */
+const validateWorkflow = ({ statuses, transitions }) => {
+  const keys = statuses.map(status => status.key);
+
+  if (!statuses.some(status => status.category === 'completed')) {
+    return 'A workflow needs at least one status in the completed category';
+  }
+
+  for (const [from, targets] of Object.entries(transitions || {})) {
+    const unknown = [from, ...targets].find(key => !keys.includes(key));
+
+    if (unknown) {
+      return `Transitions refer to unknown status "${unknown}"`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  findStatus,
+  initialStatus,
+  currentStatusKey,
+  allowedTransitions,
+  planStatusChange,
+  validateWorkflow
+};
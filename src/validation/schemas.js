@@ -1,4 +1,30 @@
 const Joi = require('joi');
+const { toRRule } = require('../utils/recurrence');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { isValidTimeZone } = require('../utils/timezone');
+const { MAX_IMPORT_ROWS, IMPORT_FIELDS } = require('../utils/taskImport');
+const { isRelativeDate } = require('../utils/relativeDate');
+const { STATUS_CATEGORIES } = require('../utils/workflow');
+
+const recurrence = Joi.alternatives()
+  .try(
+    Joi.object({
+      frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly').required(),
+      interval: Joi.number().integer().min(1).max(365).optional(),
+      by_day: Joi.array().items(Joi.string().valid('MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU')).min(1).unique().optional(),
+      by_month_day: Joi.number().integer().min(1).max(31).optional(),
+      count: Joi.number().integer().min(1).max(1000).optional(),
+      until: Joi.date().iso().optional()
+    }).oxor('count', 'until'),
+    Joi.string().max(500)
+  )
+  .custom((value, helpers) => {
+    try {
+      return toRRule(value);
+    } catch (error) {
+      return helpers.message(`Invalid recurrence: ${error.message}`);
+    }
+  });
 
 const authSchemas = {
   register: Joi.object({
@@ -10,55 +36,390 @@ const authSchemas = {
   login: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().required()
-  })
+  }),
+
+  preferences: Joi.object({
+    digest_enabled: Joi.boolean().optional(),
+    digest_send_hour: Joi.number().integer().min(0).max(23).optional(),
+    timezone: Joi.string().max(100).custom((value, helpers) => (
+      isValidTimeZone(value) ? value : helpers.message('timezone must be a valid IANA time zone')
+    )).optional()
+  }).min(1)
 };
 
 const categorySchemas = {
   create: Joi.object({
     name: Joi.string().min(1).max(100).required(),
     description: Joi.string().max(500).optional(),
-    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional()
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional(),
+    workflow_id: Joi.string().uuid().allow(null).optional()
   }),
 
   update: Joi.object({
     name: Joi.string().min(1).max(100).optional(),
     description: Joi.string().max(500).optional(),
-    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional()
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional(),
+    workflow_id: Joi.string().uuid().allow(null).optional()
   })
 };
 
+// A key of the task's workflow; the built-in one has todo, in_progress and completed
+const workflowStatusKey = Joi.string().max(30);
+
+const workflowStatuses = Joi.array().items(Joi.object({
+  key: workflowStatusKey.pattern(/^[a-z][a-z0-9_]*$/).required(),
+  name: Joi.string().trim().min(1).max(50).optional(),
+  category: Joi.string().valid(...STATUS_CATEGORIES).required()
+})).min(1).max(20).unique('key');
+
+const workflowTransitions = Joi.object()
+  .pattern(workflowStatusKey, Joi.array().items(workflowStatusKey).unique())
+  .allow(null);
+
+const workflowSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    statuses: workflowStatuses.required(),
+    transitions: workflowTransitions.default(null)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    statuses: workflowStatuses.optional(),
+    transitions: workflowTransitions.optional()
+  }).min(1)
+};
+
+// Tag ids as a comma-separated list (`tags=a,b`), repeated parameters or,
+// in saved view filters, an array
+const tagIdList = Joi.alternatives().try(
+  Joi.array().items(Joi.string().uuid()).min(1).max(20).unique(),
+  Joi.string().custom((value, helpers) => {
+    const ids = [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))];
+    const valid = ids.length > 0 && ids.length <= 20 && ids.every(id => !Joi.string().uuid().validate(id).error);
+
+    return valid ? ids : helpers.message('tags must be a comma-separated list of up to 20 tag ids');
+  })
+);
+
+// Filters and sorting shared by task listing and export
+const taskFilters = {
+  status: Joi.string().valid(...STATUS_CATEGORIES).optional(),
+  workflow_status: workflowStatusKey.optional(),
+  priority: Joi.string().valid('low', 'medium', 'high').optional(),
+  category_id: Joi.string().uuid().optional(),
+  assigned_to: Joi.string().uuid().optional(),
+  parent_task_id: Joi.string().uuid().optional(),
+  blocked: Joi.boolean().optional(),
+  tags: tagIdList.optional(),
+  tags_match: Joi.string().valid('any', 'all').default('any'),
+  due_before: Joi.date().iso().optional(),
+  due_after: Joi.date().iso().optional(),
+  q: Joi.string().trim().min(1).max(200).optional(),
+  sort_by: Joi.string()
+    .valid('created_at', 'updated_at', 'due_date', 'priority', 'title', 'relevance')
+    .when('q', { not: Joi.exist(), then: Joi.invalid('relevance') })
+    .default((parent) => (parent.q ? 'relevance' : 'created_at')),
+  sort_order: Joi.string().valid('asc', 'desc').default('desc')
+};
+
+// Up to 1000 hours
+const estimateMinutes = Joi.number().integer().min(1).max(60000);
+
 const taskSchemas = {
   create: Joi.object({
     title: Joi.string().min(1).max(200).required(),
     description: Joi.string().max(1000).optional(),
-    status: Joi.string().valid('todo', 'in_progress', 'completed').default('todo'),
+    status: workflowStatusKey.optional(),
     priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
     due_date: Joi.date().iso().optional(),
     category_id: Joi.string().uuid().optional(),
-    assigned_to: Joi.string().uuid().optional()
-  }),
+    assigned_to: Joi.string().uuid().optional(),
+    require_subtasks_completed: Joi.boolean().optional(),
+    estimate_minutes: estimateMinutes.optional(),
+    recurrence: recurrence.optional()
+  }).with('recurrence', 'due_date'),
 
   update: Joi.object({
     title: Joi.string().min(1).max(200).optional(),
     description: Joi.string().max(1000).optional(),
-    status: Joi.string().valid('todo', 'in_progress', 'completed').optional(),
+    status: workflowStatusKey.optional(),
     priority: Joi.string().valid('low', 'medium', 'high').optional(),
     due_date: Joi.date().iso().optional(),
     category_id: Joi.string().uuid().optional(),
+    assigned_to: Joi.string().uuid().optional(),
+    require_subtasks_completed: Joi.boolean().optional(),
+    estimate_minutes: estimateMinutes.allow(null).optional(),
+    recurrence: recurrence.allow(null).optional()
+  }),
+
+  bulk: Joi.object({
+    ids: Joi.array().items(Joi.string().uuid()).min(1).max(100).unique().required(),
+    operation: Joi.string().valid('update', 'delete').required(),
+    changes: Joi.when('operation', {
+      is: 'update',
+      then: Joi.object({
+        status: Joi.any(),
+        priority: Joi.any(),
+        category_id: Joi.any(),
+        assigned_to: Joi.any(),
+        due_date: Joi.any()
+      }).min(1).required(),
+      otherwise: Joi.forbidden()
+    }),
+    override_blockers: Joi.boolean().default(false)
+  }),
+
+  updateScope: Joi.object({
+    scope: Joi.string().valid('this', 'future').default('this')
+  }),
+
+  query: Joi.object({
+    ...taskFilters,
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    cursor: Joi.string().max(2000).optional()
+  }),
+
+  export: Joi.object({
+    ...taskFilters,
+    format: Joi.string().valid('csv', 'json', 'ndjson').default('csv')
+  }),
+
+  // Rows themselves are validated one by one against `create`
+  import: Joi.object({
+    csv: Joi.string().max(5 * 1024 * 1024),
+    rows: Joi.array().items(Joi.object().unknown()).min(1).max(MAX_IMPORT_ROWS),
+    mapping: Joi.object(
+      Object.fromEntries(IMPORT_FIELDS.map(field => [field, Joi.string().min(1).max(200)]))
+    ).default({}),
+    create_categories: Joi.boolean().default(true),
+    dry_run: Joi.boolean().default(false)
+  }).xor('csv', 'rows'),
+
+  idempotencyKey: Joi.string().min(1).max(255)
+};
+
+const tagSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(50).optional(),
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional()
+  }).min(1),
+
+  merge: Joi.object({
+    target_id: Joi.string().uuid().required()
+  }),
+
+  attach: Joi.object({
+    tag_ids: Joi.array().items(Joi.string().uuid()).min(1).max(20).unique().required()
+  })
+};
+
+const workspaceSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(500).optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    description: Joi.string().max(500).optional(),
+    workflow_id: Joi.string().uuid().allow(null).optional()
+  }).min(1),
+
+  addMember: Joi.object({
+    user_id: Joi.string().uuid(),
+    email: Joi.string().email(),
+    role: Joi.string().valid('admin', 'member', 'viewer').default('member')
+  }).xor('user_id', 'email'),
+
+  updateMember: Joi.object({
+    role: Joi.string().valid('owner', 'admin', 'member', 'viewer').required()
+  })
+};
+
+const subtaskSchemas = {
+  create: Joi.object({
+    title: Joi.string().min(1).max(200).required(),
+    description: Joi.string().max(1000).optional(),
+    priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
+    due_date: Joi.date().iso().optional(),
     assigned_to: Joi.string().uuid().optional()
   }),
 
+  reorder: Joi.object({
+    subtask_ids: Joi.array().items(Joi.string().uuid()).min(1).unique().required()
+  })
+};
+
+const dependencySchemas = {
+  create: Joi.object({
+    depends_on_task_id: Joi.string().uuid().required()
+  })
+};
+
+const commentSchemas = {
+  create: Joi.object({
+    content: Joi.string().trim().min(1).max(2000).required()
+  }),
+
+  update: Joi.object({
+    content: Joi.string().trim().min(1).max(2000).required()
+  }),
+
   query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sort_order: Joi.string().valid('asc', 'desc').default('asc')
+  })
+};
+
+// A manual entry covers at most a day
+const entryMinutes = Joi.number().integer().min(1).max(24 * 60);
+const entryNote = Joi.string().trim().max(500);
+
+const timeEntrySchemas = {
+  start: Joi.object({
+    note: entryNote.optional()
+  }),
+
+  create: Joi.object({
+    duration_minutes: entryMinutes.required(),
+    started_at: Joi.date().iso().max('now').optional(),
+    note: entryNote.optional()
+  }),
+
+  update: Joi.object({
+    duration_minutes: entryMinutes.optional(),
+    started_at: Joi.date().iso().max('now').optional(),
+    note: entryNote.allow(null, '').optional()
+  }).min(1)
+};
+
+const activitySchemas = {
+  query: Joi.object({
+    entity_type: Joi.string().valid('task', 'category', 'comment', 'dependency', 'time_entry', 'attachment').optional(),
+    action: Joi.string().valid('create', 'update', 'assign', 'status', 'delete', 'restore').optional(),
+    actor_id: Joi.string().uuid().optional(),
+    since: Joi.date().iso().optional(),
+    until: Joi.date().iso().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+const webhookUrl = Joi.string().uri({ scheme: ['http', 'https'] }).max(2000);
+const webhookEvents = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+
+const webhookSchemas = {
+  create: Joi.object({
+    url: webhookUrl.required(),
+    events: webhookEvents.required(),
+    description: Joi.string().max(500).optional(),
+    secret: Joi.string().min(16).max(200).optional()
+  }),
+
+  update: Joi.object({
+    url: webhookUrl.optional(),
+    events: webhookEvents.optional(),
+    description: Joi.string().max(500).allow(null).optional(),
+    is_active: Joi.boolean().optional()
+  }).min(1),
+
+  deliveryQuery: Joi.object({
+    status: Joi.string().valid('pending', 'succeeded', 'failed').optional(),
+    event: Joi.string().valid(...WEBHOOK_EVENTS).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+const adminSchemas = {
+  userQuery: Joi.object({
+    search: Joi.string().trim().max(100).optional(),
+    role: Joi.string().valid('user', 'admin').optional(),
+    is_active: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sort_by: Joi.string().valid('created_at', 'email', 'full_name').default('created_at'),
+    sort_order: Joi.string().valid('asc', 'desc').default('desc')
+  }),
+
+  updateRole: Joi.object({
+    role: Joi.string().valid('user', 'admin').required()
+  }),
+
+  userTaskQuery: Joi.object({
     status: Joi.string().valid('todo', 'in_progress', 'completed').optional(),
     priority: Joi.string().valid('low', 'medium', 'high').optional(),
-    category_id: Joi.string().uuid().optional(),
-    assigned_to: Joi.string().uuid().optional(),
-    due_before: Joi.date().iso().optional(),
-    due_after: Joi.date().iso().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10)
+  })
+};
+
+const notificationSchemas = {
+  query: Joi.object({
+    unread: Joi.boolean().optional(),
+    type: Joi.string().valid('task_assigned', 'task_completed', 'comment_mention', 'task_overdue').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+// Saved views store task filters with due dates either fixed (ISO) or
+// relative (`now`, `today+7d`), resolved each time the view runs
+const viewDate = Joi.alternatives().try(
+  Joi.string().custom((value, helpers) => (
+    isRelativeDate(value) ? value : helpers.error('any.invalid')
+  )),
+  Joi.date().iso()
+);
+
+const viewFilters = Joi.object({
+  ...taskFilters,
+  due_before: viewDate.optional(),
+  due_after: viewDate.optional()
+});
+
+const viewSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().max(500).allow('').optional(),
+    filters: viewFilters.default({}),
+    is_shared: Joi.boolean().default(false)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().max(500).allow('').optional(),
+    filters: viewFilters.optional(),
+    is_shared: Joi.boolean().optional()
+  }).min(1),
+
+  tasks: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
-    sort_by: Joi.string().valid('created_at', 'updated_at', 'due_date', 'priority', 'title').default('created_at'),
-    sort_order: Joi.string().valid('asc', 'desc').default('desc')
+    cursor: Joi.string().max(2000).optional()
+  })
+};
+
+const calendarSchemas = {
+  feed: Joi.object({
+    component: Joi.string().valid('event', 'todo').default('event'),
+    status: Joi.string().valid('todo', 'in_progress', 'completed').optional(),
+    category_id: Joi.string().uuid().optional(),
+    workspace_id: Joi.string().uuid().optional()
+  })
+};
+
+const analyticsSchemas = {
+  time: Joi.object({
+    period: Joi.number().integer().min(1).max(365).default(30)
   })
 };
 
@@ -106,6 +467,20 @@ module.exports = {
   authSchemas,
   categorySchemas,
   taskSchemas,
+  tagSchemas,
+  workflowSchemas,
+  workspaceSchemas,
+  subtaskSchemas,
+  dependencySchemas,
+  commentSchemas,
+  timeEntrySchemas,
+  analyticsSchemas,
+  activitySchemas,
+  webhookSchemas,
+  adminSchemas,
+  notificationSchemas,
+  calendarSchemas,
+  viewSchemas,
   validate,
   validateQuery
 }; 
\ No newline at end of file
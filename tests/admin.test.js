@@ -0,0 +1,85 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Admin Endpoints', () => {
+  let userToken;
+  let userId;
+
+  beforeAll(async () => {
+    const testUser = {
+      email: `test-admin-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: 'Test User'
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    if (registerResponse.body.data.access_token) {
+      userToken = registerResponse.body.data.access_token;
+      userId = registerResponse.body.data.user.id;
+    } else {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      userToken = loginResponse.body.data.access_token;
+      userId = loginResponse.body.data.user.id;
+    }
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject users without the admin role', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Insufficient permissions');
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id/role', () => {
+    it('should not let a regular user promote themselves', async () => {
+      await request(app)
+        .patch(`/api/admin/users/${userId}/role`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ role: 'admin' })
+        .expect(403);
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(profileResponse.body.data.role).toBe('user');
+    });
+  });
+
+  describe('POST /api/admin/users/:id/deactivate', () => {
+    it('should reject users without the admin role', async () => {
+      await request(app)
+        .post(`/api/admin/users/${userId}/deactivate`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/admin/stats', () => {
+    it('should reject users without the admin role', async () => {
+      await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
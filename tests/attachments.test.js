@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isAllowedMimeType,
+  sanitizeFileName,
+  contentDisposition,
+  maxAttachmentBytes
+} = require('../src/utils/attachments');
+const { createFileStorage } = require('../src/services/fileStorage');
+const { registerVirusScanner, scanFile } = require('../src/services/virusScan');
+
+describe('Attachment utils', () => {
+  describe('isAllowedMimeType', () => {
+    it('should allow the default document and image types only', () => {
+      expect(isAllowedMimeType('application/pdf')).toBe(true);
+      expect(isAllowedMimeType('text/plain; charset=utf-8')).toBe(true);
+      expect(isAllowedMimeType('text/html')).toBe(false);
+      expect(isAllowedMimeType('image/svg+xml')).toBe(false);
+      expect(isAllowedMimeType(undefined)).toBe(false);
+    });
+
+    it('should match wildcard families', () => {
+      expect(isAllowedMimeType('video/mp4', ['video/*'])).toBe(true);
+      expect(isAllowedMimeType('audio/mpeg', ['video/*'])).toBe(false);
+    });
+  });
+
+  describe('maxAttachmentBytes', () => {
+    afterEach(() => {
+      delete process.env.ATTACHMENT_MAX_BYTES;
+    });
+
+    it('should default to 10 MB and read ATTACHMENT_MAX_BYTES', () => {
+      expect(maxAttachmentBytes()).toBe(10 * 1024 * 1024);
+
+      process.env.ATTACHMENT_MAX_BYTES = '2048';
+      expect(maxAttachmentBytes()).toBe(2048);
+    });
+  });
+
+  describe('sanitizeFileName', () => {
+    it('should strip paths, quotes and control characters', () => {
+      expect(sanitizeFileName('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFileName('C:\\Users\\ada\\"report"\n.pdf')).toBe('report.pdf');
+      expect(sanitizeFileName('')).toBe('attachment');
+    });
+  });
+
+  describe('contentDisposition', () => {
+    it('should give an ASCII fallback and the encoded UTF-8 name', () => {
+      expect(contentDisposition('résumé (1).pdf')).toBe(
+        'attachment; filename="r_sum_ (1).pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%281%29.pdf'
+      );
+    });
+  });
+});
+
+describe('Local file storage', () => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-'));
+    process.env.ATTACHMENT_DIR = directory;
+    storage = createFileStorage('local');
+  });
+
+  afterEach(() => {
+    delete process.env.ATTACHMENT_DIR;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store, read and remove files by key', async () => {
+    await storage.put('task-1/file-1', Buffer.from('hello'));
+
+    expect((await storage.get('task-1/file-1')).toString()).toBe('hello');
+
+    await storage.remove('task-1/file-1');
+    expect(await storage.get('task-1/file-1')).toBeNull();
+    await expect(storage.remove('task-1/file-1')).resolves.toBeUndefined();
+  });
+
+  it('should refuse keys outside its directory', async () => {
+    await expect(storage.put('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
+
+describe('Virus scanning', () => {
+  const file = { buffer: Buffer.from('X5O!P%@AP'), fileName: 'eicar.txt', mimeType: 'text/plain', size: 9 };
+
+  it('should pass files with no scanner, and reject what a scanner flags', async () => {
+    expect(await scanFile(file)).toEqual({ clean: true });
+
+    registerVirusScanner(async ({ buffer }) => (
+      buffer.toString().startsWith('X5O!') ? { clean: false, reason: 'EICAR test file' } : { clean: true }
+    ));
+
+    expect(await scanFile(file)).toEqual({ clean: false, reason: 'EICAR test file' });
+    expect(await scanFile({ ...file, buffer: Buffer.from('fine') })).toEqual({ clean: true });
+  });
+});
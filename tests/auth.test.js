@@ -157,6 +157,33 @@ describe('Authentication Endpoints', () => {
     });
   });
 
+  describe('PATCH /api/auth/preferences', () => {
+    it('should update digest preferences', async () => {
+      const response = await request(app)
+        .patch('/api/auth/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ digest_enabled: false, digest_send_hour: 7, timezone: 'Europe/Berlin' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({
+        digest_enabled: false,
+        digest_send_hour: 7,
+        timezone: 'Europe/Berlin'
+      });
+    });
+
+    it('should reject an unknown time zone', async () => {
+      const response = await request(app)
+        .patch('/api/auth/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ timezone: 'Mars/Olympus_Mons' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+  });
+
   describe('POST /api/auth/logout', () => {
     it('should logout successfully with valid token', async () => {
       if (!authToken) {
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Calendar Feed Endpoints', () => {
+  let authToken;
+  let feedToken;
+
+  beforeAll(async () => {
+    const testUser = {
+      email: `test-calendar-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: 'Test User'
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    if (registerResponse.body.data.access_token) {
+      authToken = registerResponse.body.data.access_token;
+    } else {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      authToken = loginResponse.body.data.access_token;
+    }
+
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Calendar Task', priority: 'high', due_date: '2030-01-01T09:00:00.000Z' });
+
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Undated Task' });
+  });
+
+  describe('GET /api/calendar', () => {
+    it('should return a feed URL with a secret token', async () => {
+      const response = await request(app)
+        .get('/api/calendar')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      feedToken = response.body.data.token;
+      expect(feedToken).toMatch(/^[0-9a-f]{48}$/);
+      expect(response.body.data.feed_url).toMatch(new RegExp(`/api/calendar/${feedToken}\\.ics$`));
+    });
+
+    it('should return the same token until it is rotated', async () => {
+      const response = await request(app)
+        .get('/api/calendar')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.token).toBe(feedToken);
+    });
+  });
+
+  describe('GET /api/calendar/:token.ics', () => {
+    it('should serve tasks with a due date without a bearer token', async () => {
+      const response = await request(app)
+        .get(`/api/calendar/${feedToken}.ics`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(response.text).toContain('BEGIN:VEVENT');
+      expect(response.text).toContain('SUMMARY:Calendar Task');
+      expect(response.text).toContain('DTSTART:20300101T090000Z');
+      expect(response.text).not.toContain('Undated Task');
+    });
+
+    it('should serve to-dos and honour the status filter', async () => {
+      const response = await request(app)
+        .get(`/api/calendar/${feedToken}.ics?component=todo&status=completed`)
+        .expect(200);
+
+      expect(response.text).not.toContain('Calendar Task');
+    });
+
+    it('should return 404 for an unknown token', async () => {
+      await request(app)
+        .get('/api/calendar/not-a-real-token.ics')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/calendar/rotate-token', () => {
+    it('should replace the token and disable the old feed URL', async () => {
+      const response = await request(app)
+        .post('/api/calendar/rotate-token')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.token).not.toBe(feedToken);
+
+      await request(app)
+        .get(`/api/calendar/${feedToken}.ics`)
+        .expect(404);
+
+      await request(app)
+        .get(`/api/calendar/${response.body.data.token}.ics`)
+        .expect(200);
+    });
+  });
+});
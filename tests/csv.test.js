@@ -0,0 +1,41 @@
+const { toCsvRow, parseCsv } = require('../src/utils/csv');
+
+describe('CSV rows', () => {
+  it('should join values and end with CRLF', () => {
+    expect(toCsvRow(['a', 1, null, undefined, true])).toBe('a,1,,,true\r\n');
+  });
+
+  it('should quote values with commas, quotes and newlines', () => {
+    expect(toCsvRow(['a,b', 'say "hi"', 'line\nbreak'])).toBe('"a,b","say ""hi""","line\nbreak"\r\n');
+  });
+
+  it('should neutralise text that would run as a spreadsheet formula', () => {
+    expect(toCsvRow(['=SUM(A1)', '@cmd', '+1', -1])).toBe("'=SUM(A1),'@cmd,'+1,-1\r\n");
+  });
+});
+
+describe('CSV parsing', () => {
+  it('should parse quoted fields, escaped quotes and embedded newlines', () => {
+    const text = 'title,notes\r\n"Report, Q1","say ""hi"""\n"multi\nline",\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['title', 'notes'],
+      ['Report, Q1', 'say "hi"'],
+      ['multi\nline', '']
+    ]);
+  });
+
+  it('should strip a byte order mark and skip blank lines', () => {
+    expect(parseCsv('﻿a,b\n\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('should round-trip rows written by toCsvRow', () => {
+    const rows = [['a,b', 'q"', 'line\nbreak', '']];
+
+    expect(parseCsv(rows.map(toCsvRow).join(''))).toEqual(rows);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    expect(() => parseCsv('"open,1')).toThrow('Unterminated quoted field');
+  });
+});
@@ -0,0 +1,48 @@
+const { encodeCursor, decodeCursor, keysetFilter, isAfterCursor } = require('../src/utils/cursor');
+
+describe('Task list cursors', () => {
+  it('should round-trip through an opaque string', () => {
+    const position = { sortBy: 'due_date', sortOrder: 'asc', value: '2024-03-01T00:00:00+00:00', id: 'a1' };
+    const cursor = encodeCursor(position);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual(position);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"s":"title"}').toString('base64url'))).toBeNull();
+  });
+});
+
+describe('Keyset filters', () => {
+  it('should continue after the last row ascending, with nulls last', () => {
+    expect(keysetFilter({ sortBy: 'due_date', sortOrder: 'asc', value: '2024-03-01', id: 'a1' })).toBe(
+      'due_date.gt."2024-03-01",and(due_date.eq."2024-03-01",id.gt."a1"),due_date.is.null'
+    );
+  });
+
+  it('should continue after the last row descending, with nulls first', () => {
+    expect(keysetFilter({ sortBy: 'due_date', sortOrder: 'desc', value: '2024-03-01', id: 'a1' })).toBe(
+      'due_date.lt."2024-03-01",and(due_date.eq."2024-03-01",id.lt."a1")'
+    );
+    expect(keysetFilter({ sortBy: 'due_date', sortOrder: 'desc', value: null, id: 'a1' })).toBe(
+      'and(due_date.is.null,id.lt."a1"),due_date.not.is.null'
+    );
+  });
+
+  it('should quote values containing filter syntax', () => {
+    expect(keysetFilter({ sortBy: 'title', sortOrder: 'asc', value: 'a, "b" (c)', id: 'a1' }))
+      .toContain('title.gt."a, \\"b\\" (c)"');
+  });
+
+  it('should compare in-memory rows the same way', () => {
+    const position = { sortOrder: 'desc', value: 0.5, id: 'b' };
+    const rank = row => row.rank;
+
+    expect(isAfterCursor({ id: 'z', rank: 0.4 }, position, rank)).toBe(true);
+    expect(isAfterCursor({ id: 'a', rank: 0.5 }, position, rank)).toBe(true);
+    expect(isAfterCursor({ id: 'c', rank: 0.5 }, position, rank)).toBe(false);
+    expect(isAfterCursor({ id: 'a', rank: 0.6 }, position, rank)).toBe(false);
+  });
+});
@@ -0,0 +1,28 @@
+const { diffFields } = require('../src/utils/diff');
+
+describe('Activity diff', () => {
+  it('should list only changed fields on update', () => {
+    const before = { id: '1', title: 'Report', due_date: '2024-01-01T00:00:00+00:00', status: 'todo' };
+    const after = { ...before, due_date: '2024-01-05T00:00:00+00:00', updated_at: '2024-01-02T00:00:00+00:00' };
+
+    expect(diffFields(before, after)).toEqual({
+      due_date: { from: '2024-01-01T00:00:00+00:00', to: '2024-01-05T00:00:00+00:00' }
+    });
+  });
+
+  it('should only compare the fields present on a partial snapshot', () => {
+    const before = { id: '1', assigned_to: null };
+    const after = { id: '1', title: 'Report', assigned_to: 'user-2' };
+
+    expect(diffFields(before, after)).toEqual({
+      assigned_to: { from: null, to: 'user-2' }
+    });
+  });
+
+  it('should diff every set field against null on create and delete', () => {
+    const row = { id: '1', title: 'Report', description: null, category: { name: 'Work' } };
+
+    expect(diffFields(null, row)).toEqual({ title: { from: null, to: 'Report' } });
+    expect(diffFields(row, null)).toEqual({ title: { from: 'Report', to: null } });
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderDailyDigest } = require('../src/templates/dailyDigest');
+const { createMailer } = require('../src/services/mailer');
+const { localParts, startOfLocalDay } = require('../src/utils/timezone');
+
+const digest = {
+  user_name: 'Ada <script>',
+  date: '2024-03-10',
+  completed_yesterday: 1,
+  overdue_tasks: 1,
+  due_today: 0,
+  completed_tasks: [{ id: '1', title: 'Ship release' }],
+  overdue_task_details: [{ id: '2', title: 'File taxes & receipts', priority: 'high', due_date: '2024-03-08T17:00:00Z' }],
+  due_today_details: []
+};
+
+describe('Daily digest email', () => {
+  it('should render every section in both HTML and plain text', () => {
+    const { subject, html, text } = renderDailyDigest(digest);
+
+    expect(subject).toBe('Your tasks for 2024-03-10: 0 due today, 1 overdue');
+    expect(text).toContain('Overdue (1)');
+    expect(text).toContain('  - File taxes & receipts · high priority · due Mar 8, 5:00 PM');
+    expect(text).toContain('Due today (0)');
+    expect(text).toContain('Nothing due today.');
+    expect(text).toContain('Completed yesterday (1)');
+    expect(html).toContain('<li style="margin:4px 0;">Ship release</li>');
+  });
+
+  it('should escape user content in the HTML version', () => {
+    const { html } = renderDailyDigest(digest);
+
+    expect(html).toContain('Hi Ada &lt;script&gt;,');
+    expect(html).toContain('File taxes &amp; receipts');
+    expect(html).not.toContain('<script>');
+  });
+
+  it('should show due times in the recipient time zone', () => {
+    const { text } = renderDailyDigest(digest, { timeZone: 'Asia/Tokyo' });
+
+    expect(text).toContain('due Mar 9, 2:00 AM');
+  });
+});
+
+describe('Mailer', () => {
+  it('should write messages to disk with the file transport', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    process.env.MAIL_FILE_DIR = directory;
+
+    try {
+      const mailer = createMailer('file');
+      const result = await mailer.send({ to: 'ada@example.com', ...renderDailyDigest(digest) });
+
+      const message = fs.readFileSync(result.path, 'utf8');
+      expect(message).toContain('To: ada@example.com');
+      expect(message).toContain('Subject: Your tasks for 2024-03-10');
+      expect(message).toContain('multipart/alternative');
+    } finally {
+      delete process.env.MAIL_FILE_DIR;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject unknown transports', () => {
+    expect(() => createMailer('carrier-pigeon')).toThrow('Unknown mail transport: carrier-pigeon');
+  });
+
+  it('should only count real transports as delivering', () => {
+    expect(createMailer('smtp').delivers).toBe(true);
+    expect(createMailer('console').delivers).toBe(false);
+    expect(createMailer('file').delivers).toBe(false);
+  });
+
+  it('should require MAIL_TRANSPORT in production', () => {
+    const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+
+    try {
+      expect(() => createMailer()).toThrow('MAIL_TRANSPORT must be set in production');
+
+      process.env.MAIL_TRANSPORT = 'smtp';
+      expect(createMailer().transport).toBe('smtp');
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+
+      if (MAIL_TRANSPORT === undefined) {
+        delete process.env.MAIL_TRANSPORT;
+      } else {
+        process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+      }
+    }
+  });
+});
+
+describe('Time zone helpers', () => {
+  it('should resolve the local date and hour', () => {
+    const parts = localParts(new Date('2024-03-10T05:30:00Z'), 'America/New_York');
+
+    expect(parts.date).toBe('2024-03-10');
+    expect(parts.hour).toBe(0);
+  });
+
+  it('should find the start of the local day as a UTC instant', () => {
+    const now = new Date('2024-03-10T05:30:00Z');
+
+    expect(startOfLocalDay(now, 'UTC').toISOString()).toBe('2024-03-10T00:00:00.000Z');
+    expect(startOfLocalDay(now, 'America/New_York').toISOString()).toBe('2024-03-10T05:00:00.000Z');
+    expect(startOfLocalDay(now, 'Asia/Kolkata').toISOString()).toBe('2024-03-09T18:30:00.000Z');
+  });
+});
@@ -0,0 +1,42 @@
+const { createEventBuffer, formatEvent } = require('../src/utils/eventStream');
+
+describe('Event stream buffer', () => {
+  it('should replay events after the last seen id', () => {
+    const buffer = createEventBuffer(10, 'boot');
+    const first = buffer.push({ event: 'task.created', data: {} });
+    buffer.push({ event: 'task.updated', data: {} });
+    buffer.push({ event: 'task.deleted', data: {} });
+
+    expect(first.id).toBe('boot.1');
+    expect(buffer.since(first.id).map(event => event.event)).toEqual(['task.updated', 'task.deleted']);
+    expect(buffer.since('boot.3')).toEqual([]);
+  });
+
+  it('should not replay once missed events have been evicted', () => {
+    const buffer = createEventBuffer(2, 'boot');
+    ['a', 'b', 'c', 'd'].forEach(event => buffer.push({ event, data: {} }));
+
+    expect(buffer.since('boot.1')).toBeNull();
+    expect(buffer.since('boot.2').map(event => event.event)).toEqual(['c', 'd']);
+  });
+
+  it('should not replay ids from another buffer or the future', () => {
+    const buffer = createEventBuffer(10, 'boot');
+    buffer.push({ event: 'a', data: {} });
+
+    expect(buffer.since('previous-boot.1')).toBeNull();
+    expect(buffer.since('boot.5')).toBeNull();
+    expect(buffer.since('garbage')).toBeNull();
+  });
+});
+
+describe('Event stream formatting', () => {
+  it('should format an event with its id', () => {
+    expect(formatEvent({ id: 'boot.1', event: 'task.created', data: { a: 1 } }))
+      .toBe('id: boot.1\nevent: task.created\ndata: {"a":1}\n\n');
+  });
+
+  it('should omit the id line for events without one', () => {
+    expect(formatEvent({ event: 'reset', data: {} })).toBe('event: reset\ndata: {}\n\n');
+  });
+});
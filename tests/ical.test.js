@@ -0,0 +1,64 @@
+const { escapeText, formatDateTime, foldLine, buildCalendar } = require('../src/utils/ical');
+
+describe('iCalendar formatting', () => {
+  it('should escape text values', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('should format UTC date-times', () => {
+    expect(formatDateTime('2024-03-01T09:30:00+02:00')).toBe('20240301T073000Z');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+
+    folded.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+});
+
+describe('iCalendar feed', () => {
+  const task = {
+    id: 'task-1',
+    title: 'Quarterly report',
+    description: null,
+    status: 'completed',
+    priority: 'high',
+    due_date: '2024-03-01T09:00:00+00:00',
+    completed_at: '2024-02-28T16:00:00+00:00',
+    created_at: '2024-02-01T00:00:00+00:00',
+    updated_at: '2024-02-28T16:00:00+00:00',
+    category: { name: 'Work' }
+  };
+
+  it('should publish tasks as events at their due time', () => {
+    const lines = buildCalendar([task]).split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toEqual(expect.arrayContaining([
+      'BEGIN:VEVENT',
+      'DTSTART:20240301T090000Z',
+      'SUMMARY:✓ Quarterly report',
+      'CATEGORIES:Work',
+      'PRIORITY:1'
+    ]));
+    expect(lines).not.toContain('BEGIN:VTODO');
+  });
+
+  it('should publish tasks as to-dos with their completion', () => {
+    const lines = buildCalendar([task, { ...task, id: 'task-2', status: 'in_progress', priority: 'low' }], { component: 'todo' })
+      .split('\r\n');
+
+    expect(lines.filter(line => line === 'BEGIN:VTODO')).toHaveLength(2);
+    expect(lines).toEqual(expect.arrayContaining([
+      'DUE:20240301T090000Z',
+      'STATUS:COMPLETED',
+      'COMPLETED:20240228T160000Z',
+      'PERCENT-COMPLETE:100',
+      'STATUS:IN-PROCESS',
+      'PRIORITY:9'
+    ]));
+  });
+});
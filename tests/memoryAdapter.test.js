@@ -0,0 +1,295 @@
+const request = require('supertest');
+
+// The adapter is picked when the repositories are first loaded, and every
+// test file gets its own module registry
+const previousAdapter = process.env.STORAGE_ADAPTER;
+process.env.STORAGE_ADAPTER = 'memory';
+
+const app = require('../src/server');
+const repositories = require('../src/repositories');
+
+describe('Memory storage adapter', () => {
+  let owner;
+  let assignee;
+  let taskId;
+
+  const register = async (name) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: `${name}-${Date.now()}@example.com`, password: 'testpassword123', full_name: name })
+      .expect(201);
+
+    return { token: response.body.data.access_token, id: response.body.data.user.id };
+  };
+
+  const as = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+  beforeAll(async () => {
+    owner = await register('owner');
+    assignee = await register('assignee');
+
+    const category = await request(app)
+      .post('/api/categories')
+      .set(as(owner))
+      .send({ name: 'Reports', color: '#112233' })
+      .expect(201);
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set(as(owner))
+      .send({
+        title: 'Quarterly revenue report',
+        description: 'Collect the figures',
+        category_id: category.body.data.id,
+        due_date: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+      })
+      .expect(201);
+
+    taskId = task.body.data.id;
+
+    await request(app)
+      .post('/api/tasks')
+      .set(as(owner))
+      .send({ title: 'Water the plants' })
+      .expect(201);
+  });
+
+  afterAll(() => {
+    if (previousAdapter === undefined) {
+      delete process.env.STORAGE_ADAPTER;
+    } else {
+      process.env.STORAGE_ADAPTER = previousAdapter;
+    }
+  });
+
+  it('should be in use', () => {
+    expect(repositories.adapter).toBe('memory');
+  });
+
+  it('should search tasks with snippets', async () => {
+    const response = await request(app)
+      .get('/api/tasks?q=revenue rep*')
+      .set(as(owner))
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].id).toBe(taskId);
+    expect(response.body.data[0].search.snippets.title).toBe('Quarterly <mark>revenue</mark> <mark>report</mark>');
+  });
+
+  it('should create tags, tag tasks and filter by tag', async () => {
+    const tag = await request(app)
+      .post('/api/tags')
+      .set(as(owner))
+      .send({ name: 'finance' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/tags')
+      .set(as(owner))
+      .send({ name: 'Finance' })
+      .expect(400);
+
+    const tagged = await request(app)
+      .post(`/api/tasks/${taskId}/tags`)
+      .set(as(owner))
+      .send({ tag_ids: [tag.body.data.id] })
+      .expect(200);
+
+    expect(tagged.body.data.map(({ name }) => name)).toEqual(['finance']);
+
+    const tags = await request(app)
+      .get('/api/tags')
+      .set(as(owner))
+      .expect(200);
+
+    expect(tags.body.data[0].task_count).toBe(1);
+
+    const tasks = await request(app)
+      .get(`/api/tasks?tags=${tag.body.data.id}`)
+      .set(as(owner))
+      .expect(200);
+
+    expect(tasks.body.data.map(({ id }) => id)).toEqual([taskId]);
+    expect(tasks.body.data[0].tags).toEqual([expect.objectContaining({ name: 'finance' })]);
+  });
+
+  it('should save views and list their tasks', async () => {
+    const view = await request(app)
+      .post('/api/views')
+      .set(as(owner))
+      .send({ name: 'Overdue', filters: { due_before: 'now' } })
+      .expect(201);
+
+    const listed = await request(app)
+      .get('/api/views')
+      .set(as(owner))
+      .expect(200);
+
+    expect(listed.body.data.map(({ id }) => id)).toEqual([view.body.data.id]);
+
+    const tasks = await request(app)
+      .get(`/api/views/${view.body.data.id}/tasks`)
+      .set(as(owner))
+      .expect(200);
+
+    expect(tasks.body.data.map(({ id }) => id)).toEqual([taskId]);
+  });
+
+  it('should notify an assignee and record the activity', async () => {
+    await request(app)
+      .patch(`/api/tasks/${taskId}/assign`)
+      .set(as(owner))
+      .send({ assigned_to: assignee.id })
+      .expect(200);
+
+    const notifications = await request(app)
+      .get('/api/notifications')
+      .set(as(assignee))
+      .expect(200);
+
+    expect(notifications.body.unread_count).toBe(1);
+    expect(notifications.body.data[0]).toMatchObject({
+      type: 'task_assigned',
+      task: { title: 'Quarterly revenue report' },
+      actor: { full_name: 'owner' }
+    });
+
+    await request(app)
+      .post('/api/notifications/read-all')
+      .set(as(assignee))
+      .expect(200);
+
+    const activity = await request(app)
+      .get(`/api/tasks/${taskId}/activity?action=assign`)
+      .set(as(owner))
+      .expect(200);
+
+    expect(activity.body.data).toHaveLength(1);
+    expect(activity.body.data[0].changes.assigned_to).toEqual({ from: null, to: assignee.id });
+
+    const feed = await request(app)
+      .get('/api/activity')
+      .set(as(owner))
+      .expect(200);
+
+    expect(feed.body.pagination.total).toBeGreaterThanOrEqual(4);
+  });
+
+  it('should replay an import with the same idempotency key', async () => {
+    const send = () => request(app)
+      .post('/api/tasks/import')
+      .set(as(owner))
+      .set('Idempotency-Key', 'memory-import-1')
+      .send({ rows: [{ title: 'Imported' }] });
+
+    const first = await send().expect(201);
+    const second = await send().expect(201);
+
+    expect(second.body).toEqual(first.body);
+  });
+
+  it('should serve analytics', async () => {
+    const overview = await request(app)
+      .get('/api/analytics/overview')
+      .set(as(owner))
+      .expect(200);
+
+    expect(overview.body.data).toMatchObject({ total_tasks: 3, overdue_tasks: 1 });
+
+    const categories = await request(app)
+      .get('/api/analytics/categories')
+      .set(as(owner))
+      .expect(200);
+
+    expect(categories.body.data.find(({ name }) => name === 'Reports').total_tasks).toBe(1);
+
+    await request(app)
+      .get('/api/analytics/tags')
+      .set(as(owner))
+      .expect(200);
+  });
+
+  it('should serve the calendar feed', async () => {
+    const feed = await request(app)
+      .get('/api/calendar')
+      .set(as(owner))
+      .expect(200);
+
+    const ics = await request(app)
+      .get(`/api/calendar/${feed.body.data.token}.ics`)
+      .expect(200);
+
+    expect(ics.text).toContain('SUMMARY:Quarterly revenue report');
+  });
+
+  it('should serve the admin endpoints', async () => {
+    await repositories.profiles.update(owner.id, { role: 'admin' });
+
+    const stats = await request(app)
+      .get('/api/admin/stats')
+      .set(as(owner))
+      .expect(200);
+
+    expect(stats.body.data.users.total).toBe(2);
+    expect(stats.body.data.workspaces.total).toBe(0);
+
+    const users = await request(app)
+      .get('/api/admin/users?search=assignee')
+      .set(as(owner))
+      .expect(200);
+
+    expect(users.body.data.map(({ id }) => id)).toEqual([assignee.id]);
+
+    const tasks = await request(app)
+      .get(`/api/admin/users/${assignee.id}/tasks`)
+      .set(as(owner))
+      .expect(200);
+
+    expect(tasks.body.data.map(({ id }) => id)).toEqual([taskId]);
+  });
+
+  it('should keep calendar tokens out of admin responses', async () => {
+    await request(app)
+      .get('/api/calendar')
+      .set(as(assignee))
+      .expect(200);
+
+    const responses = [
+      await request(app).get('/api/admin/users').set(as(owner)),
+      await request(app).get(`/api/admin/users/${assignee.id}`).set(as(owner)),
+      await request(app).patch(`/api/admin/users/${assignee.id}/role`).set(as(owner)).send({ role: 'user' }),
+      await request(app).post(`/api/admin/users/${assignee.id}/deactivate`).set(as(owner)),
+      await request(app).post(`/api/admin/users/${assignee.id}/reactivate`).set(as(owner))
+    ];
+
+    responses.forEach(response => {
+      expect(response.status).toBe(200);
+      expect(JSON.stringify(response.body)).not.toContain('calendar_token');
+    });
+  });
+
+  it('should fail with 500 rather than 401 when the profile cannot be loaded', async () => {
+    const find = jest.spyOn(repositories.profiles, 'find')
+      .mockResolvedValueOnce({ data: null, error: { message: 'connection refused' } });
+
+    try {
+      const response = await request(app)
+        .get('/api/tasks')
+        .set(as(owner))
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to load profile');
+    } finally {
+      find.mockRestore();
+    }
+  });
+
+  it('should answer workspace requests as for a non-member', async () => {
+    await request(app)
+      .get('/api/tasks')
+      .set(as(owner))
+      .set('X-Workspace-Id', '00000000-0000-4000-8000-000000000000')
+      .expect(404);
+  });
+});
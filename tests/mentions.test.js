@@ -0,0 +1,21 @@
+const { extractMentions } = require('../src/utils/mentions');
+
+describe('Comment mentions', () => {
+  it('should extract mentioned emails, lower-cased and unique', () => {
+    const content = '@Alice@Example.com can you and @bob.smith@corp.co.uk look? Thanks @alice@example.com';
+
+    expect(extractMentions(content)).toEqual(['alice@example.com', 'bob.smith@corp.co.uk']);
+  });
+
+  it('should ignore plain email addresses', () => {
+    expect(extractMentions('Send it to carol@example.com')).toEqual([]);
+  });
+
+  it('should find mentions inside punctuation', () => {
+    expect(extractMentions('(cc @dave@example.io).')).toEqual(['dave@example.io']);
+  });
+
+  it('should handle empty content', () => {
+    expect(extractMentions(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { Client } = require('pg');
+const { checksum, versionOf, getStatus, planUp, planDown, runMigrations } = require('../src/migrations/runner');
+const { migrations: schemaMigrations, parseArgs } = require('../src/migrations/migrate');
+
+describe('Migration runner', () => {
+  const migrations = [
+    { name: '001_create_things', sql: 'CREATE TABLE things ();', down: 'DROP TABLE things;' },
+    { name: '002_add_thing_name', sql: 'ALTER TABLE things ADD COLUMN name TEXT;', down: 'ALTER TABLE things DROP COLUMN name;' },
+    { name: '003_add_thing_color', sql: 'ALTER TABLE things ADD COLUMN color TEXT;' }
+  ];
+
+  const appliedRow = (migration, sql = migration.sql) => ({
+    version: migration.name.slice(0, 3),
+    name: migration.name,
+    checksum: checksum(sql),
+    applied_at: new Date('2024-01-01T00:00:00Z')
+  });
+
+  // Answers the runner's bookkeeping queries and records everything it runs
+  const fakeClient = (applied, { failOn } = {}) => {
+    const queries = [];
+
+    return {
+      queries,
+      query: async (text, params) => {
+        queries.push(params ? [text, params] : text);
+
+        if (text === failOn) {
+          throw new Error('syntax error');
+        }
+
+        if (text.startsWith('SELECT to_regclass')) {
+          return { rows: [{ oid: applied || params[0] === 'auth.users' ? 'exists' : null }] };
+        }
+
+        if (text.startsWith('SELECT version')) {
+          return { rows: applied || [] };
+        }
+
+        return { rows: [] };
+      }
+    };
+  };
+
+  const silent = { info: () => {} };
+
+  describe('getStatus', () => {
+    it('should report applied, pending, changed and unknown migrations', () => {
+      const status = getStatus(migrations, [
+        appliedRow(migrations[0]),
+        appliedRow(migrations[1], 'ALTER TABLE things ADD COLUMN title TEXT;'),
+        { version: '004', name: '004_removed', checksum: 'x', applied_at: null }
+      ]);
+
+      expect(status.map(entry => [entry.version, entry.state])).toEqual([
+        ['001', 'applied'],
+        ['002', 'changed'],
+        ['003', 'pending'],
+        ['004', 'unknown']
+      ]);
+    });
+  });
+
+  describe('planUp', () => {
+    it('should plan pending migrations up to the target', () => {
+      const status = getStatus(migrations, [appliedRow(migrations[0])]);
+
+      expect(planUp(migrations, status).map(m => m.name)).toEqual(['002_add_thing_name', '003_add_thing_color']);
+      expect(planUp(migrations, status, { to: '002' }).map(m => m.name)).toEqual(['002_add_thing_name']);
+    });
+
+    it('should reject unknown target versions', () => {
+      expect(() => planUp(migrations, [], { to: '042' })).toThrow('Unknown migration version "042"');
+    });
+  });
+
+  describe('planDown', () => {
+    const status = getStatus(migrations.slice(0, 2), migrations.slice(0, 2).map(m => appliedRow(m)));
+
+    it('should roll back the latest migration by default', () => {
+      expect(planDown(migrations, status).map(m => m.name)).toEqual(['002_add_thing_name']);
+    });
+
+    it('should roll back by steps or down to a version', () => {
+      expect(planDown(migrations, status, { steps: 5 }).map(m => m.name))
+        .toEqual(['002_add_thing_name', '001_create_things']);
+      expect(planDown(migrations, status, { to: '001' }).map(m => m.name)).toEqual(['002_add_thing_name']);
+    });
+
+    it('should refuse migrations without a down', () => {
+      const all = getStatus(migrations, migrations.map(m => appliedRow(m)));
+
+      expect(() => planDown(migrations, all)).toThrow('Cannot roll back 003_add_thing_color: it has no down migration');
+    });
+  });
+
+  describe('runMigrations', () => {
+    it('should apply each pending migration in a transaction with its version row', async () => {
+      const client = fakeClient([appliedRow(migrations[0])]);
+
+      const ran = await runMigrations(client, migrations, { log: silent });
+
+      expect(ran.map(m => m.name)).toEqual(['002_add_thing_name', '003_add_thing_color']);
+
+      const statements = client.queries.map(query => (Array.isArray(query) ? query[0] : query));
+      const start = statements.indexOf('BEGIN');
+
+      expect(statements.slice(start, start + 4)).toEqual([
+        'BEGIN',
+        migrations[1].sql,
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        'COMMIT'
+      ]);
+      expect(client.queries[start + 2][1]).toEqual(['002', '002_add_thing_name', checksum(migrations[1].sql)]);
+      expect(statements[0]).toBe('SELECT pg_advisory_lock($1)');
+      expect(statements[statements.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+    });
+
+    it('should roll back and stop when a migration fails', async () => {
+      const client = fakeClient([appliedRow(migrations[0])], { failOn: migrations[1].sql });
+
+      await expect(runMigrations(client, migrations, { log: silent }))
+        .rejects.toThrow('002_add_thing_name failed: syntax error');
+
+      expect(client.queries).toContain('ROLLBACK');
+      expect(client.queries).not.toContain(migrations[2].sql);
+      expect(client.queries[client.queries.length - 1][0]).toBe('SELECT pg_advisory_unlock($1)');
+    });
+
+    it('should refuse to run when an applied migration changed', async () => {
+      const client = fakeClient([appliedRow(migrations[0], 'CREATE TABLE stuff ();')]);
+
+      await expect(runMigrations(client, migrations, { log: silent }))
+        .rejects.toThrow('Applied migrations were modified: 001_create_things');
+
+      expect(client.queries).not.toContain('BEGIN');
+    });
+
+    it('should only log the SQL on a dry run', async () => {
+      const logged = [];
+      const client = fakeClient(null);
+
+      const ran = await runMigrations(client, migrations, { dryRun: true, log: { info: message => logged.push(message) } });
+
+      expect(ran).toHaveLength(3);
+      expect(logged).toContain(migrations[0].sql);
+      expect(client.queries.filter(query => typeof query === 'string')).toEqual([]);
+    });
+
+    it('should run down migrations and delete their version rows', async () => {
+      const client = fakeClient(migrations.slice(0, 2).map(m => appliedRow(m)));
+
+      await runMigrations(client, migrations, { command: 'down', log: silent });
+
+      expect(client.queries).toContain(migrations[1].down);
+      expect(client.queries).toContainEqual(['DELETE FROM schema_migrations WHERE version = $1', ['002']]);
+      expect(client.queries).not.toContain(migrations[0].down);
+    });
+
+    it('should record a baseline without running any SQL', async () => {
+      const client = fakeClient([]);
+
+      await runMigrations(client, migrations, { command: 'baseline', to: '002', log: silent });
+
+      expect(client.queries).not.toContain(migrations[0].sql);
+      expect(client.queries.filter(query => Array.isArray(query) && query[0].startsWith('INSERT'))).toHaveLength(2);
+    });
+  });
+
+  describe('schema migrations', () => {
+    it('should have unique, ordered versions and a down for each', () => {
+      const versions = schemaMigrations.map(versionOf);
+
+      expect(versions).toEqual([...new Set(versions)].sort());
+      expect(schemaMigrations.filter(migration => !migration.down)).toEqual([]);
+    });
+  });
+
+  describe('parseArgs', () => {
+    it('should parse commands and options', () => {
+      expect(parseArgs(['down', '--steps', '2', '--dry-run'])).toEqual({ command: 'down', dryRun: true, steps: 2 });
+      expect(parseArgs(['--to', '017'])).toEqual({ command: 'up', dryRun: false, to: '017' });
+    });
+
+    it('should reject unknown commands and malformed options', () => {
+      expect(() => parseArgs(['sideways'])).toThrow('Unknown command sideways');
+      expect(() => parseArgs(['--to', '17'])).toThrow('--to takes a three-digit migration version');
+      expect(() => parseArgs(['down', '--steps', '0'])).toThrow('--steps takes a positive integer');
+    });
+  });
+
+  // Runs every migration up and back down against a real, disposable
+  // database, e.g. TEST_DATABASE_URL=postgres://postgres@localhost/tasks_test
+  const describeDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+  describeDatabase('against Postgres', () => {
+    let client;
+
+    beforeAll(async () => {
+      client = new Client({ connectionString: process.env.TEST_DATABASE_URL });
+      await client.connect();
+    });
+
+    afterAll(async () => {
+      await client.end();
+    });
+
+    it('should apply, roll back and reapply every migration', async () => {
+      const steps = schemaMigrations.length;
+
+      await runMigrations(client, schemaMigrations, { command: 'down', steps, log: silent });
+      expect(await runMigrations(client, schemaMigrations, { log: silent })).toHaveLength(steps);
+
+      const status = await runMigrations(client, schemaMigrations, { command: 'status' });
+      expect(status.every(entry => entry.state === 'applied')).toBe(true);
+
+      expect(await runMigrations(client, schemaMigrations, { command: 'down', steps, log: silent })).toHaveLength(steps);
+      expect(await runMigrations(client, schemaMigrations, { log: silent })).toHaveLength(steps);
+    });
+
+    it('should only let admins change the account fields of a profile', async () => {
+      const userId = crypto.randomUUID();
+
+      await client.query('BEGIN');
+
+      try {
+        await client.query('INSERT INTO auth.users (id, email) VALUES ($1, $2)', [userId, `${userId}@example.com`]);
+        await client.query('INSERT INTO profiles (id, email, full_name) VALUES ($1, $2, $3)', [userId, `${userId}@example.com`, 'Self']);
+
+        // Act as the user, as PostgREST does for their token
+        await client.query(
+          "SELECT set_config('request.jwt.claims', $1, true), set_config('request.jwt.claim.sub', $2, true)",
+          [JSON.stringify({ sub: userId, role: 'authenticated' }), userId]
+        );
+
+        await client.query("UPDATE profiles SET full_name = 'Renamed' WHERE id = $1", [userId]);
+        await expect(client.query("UPDATE profiles SET role = 'admin' WHERE id = $1", [userId]))
+          .rejects.toThrow('Only admins can change role, is_active or deactivated_at');
+      } finally {
+        await client.query('ROLLBACK');
+      }
+    });
+  });
+});
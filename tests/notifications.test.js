@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Notification Endpoints', () => {
+  let owner;
+  let assignee;
+  let taskId;
+
+  const registerUser = async (label) => {
+    const user = {
+      email: `test-notify-${label}-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: `Test ${label}`
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(user);
+
+    const data = registerResponse.body.data.access_token
+      ? registerResponse.body.data
+      : (await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password })).body.data;
+
+    // Make sure the user has a profile row to be notified through
+    await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${data.access_token}`);
+
+    return { token: data.access_token, id: data.user.id, email: user.email };
+  };
+
+  // Notifications are written after the response is sent
+  const waitForNotification = async (user, type) => {
+    for (let i = 0; i < 50; i++) {
+      const response = await request(app)
+        .get(`/api/notifications?type=${type}`)
+        .set('Authorization', `Bearer ${user.token}`);
+
+      const notification = response.body.data.find(item => item.task_id === taskId);
+      if (notification) {
+        return notification;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+  };
+
+  beforeAll(async () => {
+    owner = await registerUser('owner');
+    assignee = await registerUser('assignee');
+
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Notification Test Task' });
+
+    taskId = response.body.data.id;
+  });
+
+  describe('Notification triggers', () => {
+    it('should notify a user when they are assigned a task', async () => {
+      await request(app)
+        .patch(`/api/tasks/${taskId}/assign`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ assigned_to: assignee.id })
+        .expect(200);
+
+      const notification = await waitForNotification(assignee, 'task_assigned');
+
+      expect(notification).not.toBeNull();
+      expect(notification.actor_id).toBe(owner.id);
+      expect(notification.read_at).toBeNull();
+    });
+
+    it('should notify the owner when their task is completed', async () => {
+      await request(app)
+        .patch(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${assignee.token}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const notification = await waitForNotification(owner, 'task_completed');
+
+      expect(notification).not.toBeNull();
+      expect(notification.actor_id).toBe(assignee.id);
+    });
+
+    it('should notify users mentioned in a comment', async () => {
+      await request(app)
+        .post(`/api/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${assignee.token}`)
+        .send({ content: `Done, @${owner.email} please review` })
+        .expect(201);
+
+      const notification = await waitForNotification(owner, 'comment_mention');
+
+      expect(notification).not.toBeNull();
+      expect(notification.data.content).toContain(owner.email);
+    });
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should return notifications with an unread count', async () => {
+      const response = await request(app)
+        .get('/api/notifications?unread=true')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.unread_count).toBeGreaterThanOrEqual(2);
+      expect(response.body.data.every(notification => notification.read_at === null)).toBe(true);
+      expect(response.body.pagination).toBeDefined();
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/notifications')
+        .expect(401);
+    });
+  });
+
+  describe('PATCH /api/notifications/:id/read', () => {
+    it('should mark a notification as read', async () => {
+      const notification = await waitForNotification(assignee, 'task_assigned');
+
+      const response = await request(app)
+        .patch(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${assignee.token}`)
+        .expect(200);
+
+      expect(response.body.data.read_at).not.toBeNull();
+    });
+
+    it("should not expose another user's notification", async () => {
+      const notification = await waitForNotification(owner, 'task_completed');
+
+      await request(app)
+        .patch(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${assignee.token}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/notifications/read-all', () => {
+    it('should mark every unread notification as read', async () => {
+      const response = await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(200);
+
+      expect(response.body.data.updated).toBeGreaterThanOrEqual(2);
+
+      const listResponse = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(200);
+
+      expect(listResponse.body.unread_count).toBe(0);
+    });
+  });
+});
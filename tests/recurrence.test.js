@@ -0,0 +1,60 @@
+const { parseRule, toRRule, occurrenceAt } = require('../src/utils/recurrence');
+
+describe('Recurrence rules', () => {
+  const start = '2026-01-05T09:00:00.000Z'; // a Monday
+
+  describe('toRRule', () => {
+    it('should normalise the object form', () => {
+      expect(toRRule({ frequency: 'weekly', by_day: ['MO', 'WE'], count: 5 }))
+        .toBe('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5');
+    });
+
+    it('should normalise RRULE strings', () => {
+      expect(toRRule('RRULE:freq=daily;interval=2;until=20260131'))
+        .toBe('FREQ=DAILY;INTERVAL=2;UNTIL=20260131T235959Z');
+    });
+
+    it('should reject parts outside the supported subset', () => {
+      expect(() => parseRule('FREQ=HOURLY')).toThrow('Unsupported FREQ');
+      expect(() => parseRule('FREQ=DAILY;BYSETPOS=1')).toThrow('Unsupported RRULE part');
+      expect(() => parseRule('FREQ=DAILY;COUNT=2;UNTIL=20260101')).toThrow('cannot be combined');
+      expect(() => parseRule('FREQ=DAILY;BYDAY=MO')).toThrow('only supported with FREQ=WEEKLY');
+    });
+  });
+
+  describe('occurrenceAt', () => {
+    it('should step daily occurrences by interval', () => {
+      expect(occurrenceAt('FREQ=DAILY;INTERVAL=3', start, 2).toISOString())
+        .toBe('2026-01-11T09:00:00.000Z');
+    });
+
+    it('should expand weekly BYDAY rules honouring the interval', () => {
+      const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE';
+      const dates = [0, 1, 2, 3].map(index => occurrenceAt(rule, start, index).toISOString());
+
+      expect(dates).toEqual([
+        '2026-01-05T09:00:00.000Z',
+        '2026-01-07T09:00:00.000Z',
+        '2026-01-19T09:00:00.000Z',
+        '2026-01-21T09:00:00.000Z'
+      ]);
+    });
+
+    it('should clamp monthly occurrences to short months without drifting', () => {
+      const rule = 'FREQ=MONTHLY;BYMONTHDAY=31';
+
+      expect(occurrenceAt(rule, start, 1).toISOString()).toBe('2026-02-28T09:00:00.000Z');
+      expect(occurrenceAt(rule, start, 2).toISOString()).toBe('2026-03-31T09:00:00.000Z');
+    });
+
+    it('should end the series after COUNT occurrences', () => {
+      expect(occurrenceAt('FREQ=DAILY;COUNT=3', start, 2)).not.toBeNull();
+      expect(occurrenceAt('FREQ=DAILY;COUNT=3', start, 3)).toBeNull();
+    });
+
+    it('should end the series after UNTIL', () => {
+      expect(occurrenceAt('FREQ=DAILY;UNTIL=20260107', start, 2)).not.toBeNull();
+      expect(occurrenceAt('FREQ=DAILY;UNTIL=20260107', start, 3)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { isRelativeDate, resolveRelativeDate } = require('../src/utils/relativeDate');
+
+describe('Relative dates', () => {
+  const now = new Date('2024-03-08T15:30:00Z');
+
+  it('should recognise relative expressions', () => {
+    expect(isRelativeDate('now')).toBe(true);
+    expect(isRelativeDate('+7d')).toBe(true);
+    expect(isRelativeDate('today-1w')).toBe(true);
+    expect(isRelativeDate('tomorrow+2h')).toBe(true);
+    expect(isRelativeDate('')).toBe(false);
+    expect(isRelativeDate('2024-03-08')).toBe(false);
+    expect(isRelativeDate('next week')).toBe(false);
+  });
+
+  it('should offset from now', () => {
+    expect(resolveRelativeDate('now', { now })).toEqual(now);
+    expect(resolveRelativeDate('+7d', { now }).toISOString()).toBe('2024-03-15T15:30:00.000Z');
+    expect(resolveRelativeDate('now-3h', { now }).toISOString()).toBe('2024-03-08T12:30:00.000Z');
+  });
+
+  it('should anchor day keywords to local midnight', () => {
+    expect(resolveRelativeDate('today', { now }).toISOString()).toBe('2024-03-08T00:00:00.000Z');
+    expect(resolveRelativeDate('tomorrow', { now, timeZone: 'America/New_York' }).toISOString())
+      .toBe('2024-03-09T05:00:00.000Z');
+    expect(resolveRelativeDate('yesterday+2h', { now }).toISOString()).toBe('2024-03-07T02:00:00.000Z');
+  });
+
+  it('should keep whole-day offsets on local midnight across DST changes', () => {
+    // US clocks go forward on 2024-03-10
+    expect(resolveRelativeDate('today+7d', { now, timeZone: 'America/New_York' }).toISOString())
+      .toBe('2024-03-15T04:00:00.000Z');
+  });
+});
@@ -0,0 +1,334 @@
+const { createMemoryRepositories } = require('../src/repositories/memory');
+
+describe('Memory storage adapter', () => {
+  let repos;
+  const alice = { userId: 'user-a', workspaceId: null };
+  const bob = { userId: 'user-b', workspaceId: null };
+
+  beforeEach(() => {
+    repos = createMemoryRepositories(undefined, { secret: 'test-secret' });
+  });
+
+  describe('auth', () => {
+    const credentials = { email: 'Ada@example.com', password: 'secret123' };
+
+    it('should sign up, sign in and resolve the token to the user', async () => {
+      const { data: signedUp } = await repos.auth.signUp({ ...credentials, fullName: 'Ada' });
+
+      expect(signedUp.user).toEqual(expect.objectContaining({
+        email: 'ada@example.com',
+        user_metadata: { full_name: 'Ada' }
+      }));
+      expect(signedUp.user.password_hash).toBeUndefined();
+
+      const { data: signedIn, error } = await repos.auth.signIn(credentials);
+      expect(error).toBeNull();
+
+      const { data } = await repos.auth.getUser(signedIn.session.access_token);
+      expect(data.user.id).toBe(signedUp.user.id);
+    });
+
+    it('should reject duplicate emails and wrong passwords', async () => {
+      await repos.auth.signUp({ ...credentials, fullName: 'Ada' });
+
+      expect((await repos.auth.signUp({ ...credentials, fullName: 'Ada' })).error.message).toBe('User already registered');
+      expect((await repos.auth.signIn({ ...credentials, password: 'wrong' })).error.message).toBe('Invalid login credentials');
+    });
+
+    it('should end the session on sign out and use refresh tokens once', async () => {
+      const { data: { session } } = await repos.auth.signUp({ ...credentials, fullName: 'Ada' });
+
+      const { data: refreshed } = await repos.auth.refresh(session.refresh_token);
+      expect(refreshed.session.refresh_token).not.toBe(session.refresh_token);
+      expect((await repos.auth.refresh(session.refresh_token)).error).not.toBeNull();
+
+      await repos.auth.signOut(refreshed.session.access_token);
+      expect((await repos.auth.getUser(refreshed.session.access_token)).error.status).toBe(401);
+    });
+  });
+
+  describe('tasks', () => {
+    const createTask = async (task) => (await repos.tasks.create({ created_by: alice.userId, ...task })).data;
+
+    it('should only find tasks in scope, with the PostgREST not-found error', async () => {
+      const task = await createTask({ title: 'Mine' });
+
+      expect((await repos.tasks.find(task.id, alice)).data.title).toBe('Mine');
+      expect((await repos.tasks.find(task.id, bob)).error.code).toBe('PGRST116');
+      expect((await repos.tasks.find(task.id, { userId: alice.userId, workspaceId: 'ws-1' })).error.code).toBe('PGRST116');
+    });
+
+    it('should filter, sort and page the list with an exact count', async () => {
+      await createTask({ title: 'B', priority: 'high', due_date: '2024-03-02T00:00:00.000Z' });
+      await createTask({ title: 'A', priority: 'high', due_date: '2024-03-01T00:00:00.000Z' });
+      await createTask({ title: 'C', priority: 'low' });
+
+      const { data, count } = await repos.tasks.list(alice, { priority: 'high' }, {
+        filterIds: {},
+        sortBy: 'due_date',
+        ascending: true,
+        from: 0,
+        to: 0,
+        count: true
+      });
+
+      expect(count).toBe(2);
+      expect(data.map(task => task.title)).toEqual(['A']);
+      expect(data[0]).toEqual(expect.objectContaining({ category: null, comments: [{ count: 0 }] }));
+    });
+
+    it('should narrow the list to the search matches', async () => {
+      await createTask({ title: 'Quarterly report', priority: 'high' });
+      await createTask({ title: 'Annual report', priority: 'low' });
+      await createTask({ title: 'Water the plants', priority: 'high' });
+
+      const { data, count } = await repos.tasks.list(alice, { priority: 'high' }, {
+        filterIds: { searchQuery: 'report' },
+        count: true
+      });
+
+      expect(count).toBe(1);
+      expect(data.map(task => task.title)).toEqual(['Quarterly report']);
+    });
+
+    it('should continue after a keyset position', async () => {
+      const tasks = [];
+      for (const title of ['A', 'B', 'C']) {
+        tasks.push(await createTask({ title }));
+      }
+
+      const { data } = await repos.tasks.list(alice, {}, {
+        filterIds: {},
+        sortBy: 'title',
+        ascending: true,
+        after: { sortBy: 'title', sortOrder: 'asc', value: 'A', id: tasks[0].id },
+        limit: 1
+      });
+
+      expect(data.map(task => task.title)).toEqual(['B']);
+    });
+
+    it('should set completed_at as the database trigger does', async () => {
+      const task = await createTask({ title: 'Ship it' });
+
+      const { data: completed } = await repos.tasks.update(task.id, { status: 'completed' }, { scope: alice });
+      expect(completed.completed_at).not.toBeNull();
+
+      const { data: reopened } = await repos.tasks.update(task.id, { status: 'todo' });
+      expect(reopened.completed_at).toBeNull();
+    });
+
+    it('should cascade deletes to subtasks, comments, dependencies and attachments', async () => {
+      const parent = await createTask({ title: 'Parent' });
+      const subtask = await createTask({ title: 'Child', parent_task_id: parent.id, position: 0 });
+      const other = await createTask({ title: 'Other' });
+
+      await repos.comments.create({ task_id: parent.id, user_id: alice.userId, content: 'Hi' });
+      await repos.dependencies.create({ task_id: other.id, depends_on_task_id: parent.id, created_by: alice.userId });
+      await repos.attachments.create({
+        task_id: subtask.id,
+        user_id: alice.userId,
+        file_name: 'notes.txt',
+        mime_type: 'text/plain',
+        size_bytes: 5,
+        storage_driver: 'local',
+        storage_key: `${subtask.id}/file`
+      });
+
+      const { data: removed } = await repos.tasks.remove(parent.id);
+
+      expect(removed.id).toBe(parent.id);
+      expect((await repos.tasks.find(subtask.id, alice)).data).toBeNull();
+      expect((await repos.comments.list(parent.id, { from: 0, to: 9, ascending: true })).count).toBe(0);
+      expect((await repos.dependencies.listBlockers(other.id)).data).toEqual([]);
+      expect((await repos.attachments.listByTasks([subtask.id])).data).toEqual([]);
+      expect((await repos.tasks.remove(parent.id)).data).toBeNull();
+    });
+
+    it('should trash a task with its subtasks and restore those trashed together', async () => {
+      const parent = await createTask({ title: 'Parent' });
+      const first = await createTask({ title: 'First', parent_task_id: parent.id, position: 0 });
+      const second = await createTask({ title: 'Second', parent_task_id: parent.id, position: 1 });
+
+      await repos.tasks.trash(second.id, alice.userId);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const { data: trashed } = await repos.tasks.trash(parent.id, alice.userId);
+      expect(trashed.map(task => task.id).sort()).toEqual([parent.id, first.id].sort());
+
+      expect((await repos.tasks.find(parent.id, alice)).data).toBeNull();
+      expect((await repos.tasks.listTrashed(alice)).data.map(task => task.title).sort()).toEqual(['First', 'Parent', 'Second']);
+
+      const { data: task } = await repos.tasks.findTrashed(parent.id, alice);
+      const { data: restored } = await repos.tasks.restore(task);
+
+      expect(restored.map(row => row.id).sort()).toEqual([parent.id, first.id].sort());
+      expect((await repos.tasks.listSubtasks(parent.id)).data.map(subtask => subtask.id)).toEqual([first.id]);
+      expect((await repos.tasks.findLastSubtask(parent.id)).data.position).toBe(1);
+    });
+
+    it('should list tasks trashed before a cutoff', async () => {
+      const task = await createTask({ title: 'Old' });
+      await repos.tasks.trash(task.id, alice.userId);
+
+      expect((await repos.tasks.listTrashedBefore(new Date(Date.now() - 60000))).data).toEqual([]);
+      expect((await repos.tasks.listTrashedBefore(new Date(Date.now() + 60000))).data).toEqual([
+        { id: task.id, parent_task_id: null }
+      ]);
+    });
+
+    it('should claim the next occurrence of a recurring task once', async () => {
+      const task = await createTask({ title: 'Weekly' });
+
+      expect((await repos.tasks.claimNextOccurrence(task.id)).data).toEqual({ id: task.id });
+      expect((await repos.tasks.claimNextOccurrence(task.id)).data).toBeNull();
+
+      await repos.tasks.releaseNextOccurrence(task.id);
+      expect((await repos.tasks.claimNextOccurrence(task.id)).data).toEqual({ id: task.id });
+    });
+  });
+
+  describe('categories', () => {
+    it('should keep names unique per owner with the database error code', async () => {
+      await repos.categories.create({ name: 'Work', user_id: alice.userId });
+
+      const { error } = await repos.categories.create({ name: 'Work', user_id: alice.userId });
+      expect(error.code).toBe('23505');
+
+      expect((await repos.categories.create({ name: 'Work', user_id: bob.userId })).error).toBeNull();
+    });
+
+    it('should unset the category of its tasks when removed', async () => {
+      const { data: category } = await repos.categories.create({ name: 'Work', user_id: alice.userId });
+      const { data: task } = await repos.tasks.create({ title: 'Filed', category_id: category.id, created_by: alice.userId });
+
+      expect(task.category).toEqual({ name: 'Work', color: '#6366f1' });
+
+      await repos.categories.remove(category.id);
+      expect((await repos.tasks.find(task.id, alice)).data.category_id).toBeNull();
+    });
+  });
+
+  describe('category trash', () => {
+    it('should free the name of a trashed category and refuse to restore over it', async () => {
+      const { data: category } = await repos.categories.create({ name: 'Work', user_id: alice.userId });
+      await repos.categories.trash(category.id, alice, alice.userId);
+
+      expect((await repos.categories.list(alice)).data).toEqual([]);
+
+      const { data: replacement, error } = await repos.categories.create({ name: 'Work', user_id: alice.userId });
+      expect(error).toBeNull();
+      expect((await repos.categories.restore(category.id, alice)).error.code).toBe('23505');
+
+      await repos.categories.trash(replacement.id, alice, alice.userId);
+      expect((await repos.categories.restore(category.id, alice)).data.deleted_at).toBeNull();
+      expect((await repos.categories.restore(category.id, alice)).error.code).toBe('PGRST116');
+    });
+
+    it('should leave tasks in a trashed category until it is removed', async () => {
+      const { data: category } = await repos.categories.create({ name: 'Work', user_id: alice.userId });
+      const { data: task } = await repos.tasks.create({ title: 'Filed', category_id: category.id, created_by: alice.userId });
+
+      await repos.categories.trash(category.id, alice, alice.userId);
+      expect((await repos.tasks.find(task.id, alice)).data.category_id).toBe(category.id);
+
+      await repos.categories.remove(category.id);
+      expect((await repos.tasks.find(task.id, alice)).data.category_id).toBeNull();
+    });
+  });
+
+  describe('time entries', () => {
+    it('should allow one running timer per user', async () => {
+      const { data: task } = await repos.tasks.create({ title: 'Billable', created_by: alice.userId });
+      const timer = { task_id: task.id, started_at: '2024-03-01T09:00:00.000Z' };
+
+      const { data: running } = await repos.timeEntries.create({ ...timer, user_id: alice.userId });
+      expect((await repos.timeEntries.create({ ...timer, user_id: alice.userId })).error.code).toBe('23505');
+      expect((await repos.timeEntries.create({ ...timer, user_id: bob.userId })).error).toBeNull();
+
+      expect((await repos.timeEntries.findRunning(alice.userId)).data.id).toBe(running.id);
+
+      await repos.timeEntries.update(running.id, { ended_at: '2024-03-01T10:00:00.000Z', duration_minutes: 60 });
+      expect((await repos.timeEntries.findRunning(alice.userId)).data).toBeNull();
+    });
+  });
+
+  describe('dependencies', () => {
+    it('should list blockers and filter tasks on open ones', async () => {
+      const { data: blocker } = await repos.tasks.create({ title: 'First', created_by: alice.userId });
+      const { data: blocked } = await repos.tasks.create({ title: 'Second', created_by: alice.userId });
+      const dependency = { task_id: blocked.id, depends_on_task_id: blocker.id, created_by: alice.userId };
+
+      await repos.dependencies.create(dependency);
+      expect((await repos.dependencies.create(dependency)).error.code).toBe('23505');
+
+      expect((await repos.dependencies.listBlockers(blocked.id)).data[0].task.title).toBe('First');
+      const blockedTitles = async (isBlocked) => (
+        await repos.tasks.list(alice, { blocked: isBlocked }, { filterIds: {} })
+      ).data.map(task => task.title);
+
+      expect(await blockedTitles(true)).toEqual(['Second']);
+      expect(await blockedTitles(false)).toEqual(['First']);
+
+      await repos.tasks.update(blocker.id, { status: 'completed' });
+      expect(await blockedTitles(true)).toEqual([]);
+    });
+  });
+
+  describe('workspaces', () => {
+    it('should keep one membership per user and take everything with the workspace', async () => {
+      const { data: workspace } = await repos.workspaces.create({ name: 'Team', owner_id: alice.userId });
+      const team = { userId: alice.userId, workspaceId: workspace.id };
+      const member = { workspace_id: workspace.id, user_id: alice.userId, role: 'owner' };
+
+      await repos.workspaces.addMember(member);
+      expect((await repos.workspaces.addMember(member)).error.code).toBe('23505');
+      expect((await repos.workspaces.countOwners(workspace.id)).count).toBe(1);
+
+      const { data: task } = await repos.tasks.create({ title: 'Shared', workspace_id: workspace.id, created_by: alice.userId });
+      const { data: workflow } = await repos.workflows.create({
+        name: 'Team flow',
+        statuses: [{ key: 'done', name: 'Done', category: 'completed' }],
+        user_id: alice.userId,
+        workspace_id: workspace.id
+      });
+      await repos.webhooks.create({ url: 'https://example.com/hooks', secret: 'whsec_x', events: ['task.created'], user_id: alice.userId, workspace_id: workspace.id });
+
+      await repos.workspaces.remove(workspace.id);
+
+      expect((await repos.workspaces.findMembership(workspace.id, alice.userId)).data).toBeNull();
+      expect((await repos.tasks.findById(task.id)).data).toBeNull();
+      expect((await repos.workflows.findById(workflow.id)).data).toBeNull();
+      expect((await repos.webhooks.list(team)).data).toEqual([]);
+    });
+  });
+
+  describe('workflows', () => {
+    it('should only remove workflows in scope and unset them where used', async () => {
+      const { data: workflow } = await repos.workflows.create({
+        name: 'Review',
+        statuses: [{ key: 'done', name: 'Done', category: 'completed' }],
+        user_id: alice.userId
+      });
+      const { data: category } = await repos.categories.create({ name: 'Work', user_id: alice.userId, workflow_id: workflow.id });
+
+      expect((await repos.workflows.remove(workflow.id, bob)).data).toEqual([]);
+      expect((await repos.workflows.remove(workflow.id, alice)).data).toEqual([{ id: workflow.id }]);
+      expect((await repos.categories.findWorkflowId(category.id)).data.workflow_id).toBeNull();
+    });
+  });
+
+  describe('digests', () => {
+    it('should claim a day once and reclaim it after a failure', async () => {
+      const { data: digest } = await repos.digests.claim(alice.userId, '2024-03-01');
+      expect((await repos.digests.claim(alice.userId, '2024-03-01')).error.code).toBe('23505');
+      expect((await repos.digests.findRetryable(alice.userId, '2024-03-01', 3)).data).toBeNull();
+
+      await repos.digests.update(digest.id, { status: 'failed', error: 'SMTP down' });
+      const { data: retryable } = await repos.digests.findRetryable(alice.userId, '2024-03-01', 3);
+
+      expect((await repos.digests.reclaim(retryable.id, 2)).data).toMatchObject({ status: 'pending', attempts: 2 });
+      expect((await repos.digests.reclaim(retryable.id, 2)).data).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,20 @@
+const { buildTsQuery } = require('../src/utils/search');
+
+describe('Search query builder', () => {
+  it('should AND plain words together', () => {
+    expect(buildTsQuery('weekly report')).toBe('weekly & report');
+  });
+
+  it('should turn trailing asterisks into prefix matches', () => {
+    expect(buildTsQuery('inv*')).toBe('inv:*');
+  });
+
+  it('should turn quoted text into phrase matches', () => {
+    expect(buildTsQuery('"monthly invoice" draft')).toBe('(monthly <-> invoice) & draft');
+  });
+
+  it('should strip tsquery operators from user input', () => {
+    expect(buildTsQuery('a&b | !c')).toBe('(a <-> b) & c');
+    expect(buildTsQuery('!!! ()')).toBe('');
+  });
+});
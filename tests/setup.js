@@ -1,5 +1,9 @@
 require('dotenv').config({ path: '.env.test' });
 
+// A test file sends all its requests from one address, well past the
+// production rate limit
+process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '10000';
+
 beforeAll(async () => {
   console.log('Setting up test environment...');
 });
@@ -0,0 +1,148 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Event Stream Endpoint', () => {
+  let server;
+  let baseUrl;
+  let authToken;
+  let otherToken;
+
+  const registerUser = async (label) => {
+    const user = {
+      email: `test-stream-${label}-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: `Test ${label}`
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(user);
+
+    if (registerResponse.body.data.access_token) {
+      return registerResponse.body.data.access_token;
+    }
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return loginResponse.body.data.access_token;
+  };
+
+  // Opens a stream and parses its events into `events`
+  const connect = (token, headers = {}) => new Promise((resolve, reject) => {
+    const stream = { events: [], response: null };
+
+    const req = http.get(`${baseUrl}/api/stream`, {
+      headers: { Authorization: `Bearer ${token}`, ...headers }
+    }, (response) => {
+      let buffered = '';
+      stream.response = response;
+
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        buffered += chunk;
+        const messages = buffered.split('\n\n');
+        buffered = messages.pop();
+
+        messages.forEach(message => {
+          const fields = Object.fromEntries(message.split('\n')
+            .filter(line => line && !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+
+          if (fields.event) {
+            stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+      });
+
+      resolve(stream);
+    });
+
+    req.on('error', reject);
+    stream.close = () => req.destroy();
+  });
+
+  const waitForEvent = async (stream, predicate) => {
+    for (let i = 0; i < 50; i++) {
+      const event = stream.events.find(predicate);
+      if (event) {
+        return event;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+  };
+
+  const createTask = async (title) => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    authToken = await registerUser('owner');
+    otherToken = await registerUser('other');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/stream')
+      .expect(401);
+  });
+
+  it('should push task changes to their owner only', async () => {
+    const ownerStream = await connect(authToken);
+    const otherStream = await connect(otherToken);
+
+    expect(ownerStream.response.headers['content-type']).toContain('text/event-stream');
+
+    const task = await createTask('Streamed Task');
+    const event = await waitForEvent(ownerStream, item => item.event === 'task.created' && item.data.task.id === task.id);
+
+    expect(event).not.toBeNull();
+    expect(event.id).toBeDefined();
+    expect(otherStream.events.some(item => item.data.task?.id === task.id)).toBe(false);
+
+    ownerStream.close();
+    otherStream.close();
+  });
+
+  it('should replay missed events after reconnecting with Last-Event-ID', async () => {
+    const firstStream = await connect(authToken);
+    const seen = await createTask('Seen Task');
+    const lastEvent = await waitForEvent(firstStream, item => item.data.task?.id === seen.id);
+    firstStream.close();
+
+    const missed = await createTask('Missed Task');
+
+    const secondStream = await connect(authToken, { 'Last-Event-ID': lastEvent.id });
+    const replayed = await waitForEvent(secondStream, item => item.data.task?.id === missed.id);
+
+    expect(replayed).not.toBeNull();
+    expect(replayed.event).toBe('task.created');
+
+    secondStream.close();
+  });
+
+  it('should send a reset event for an unknown Last-Event-ID', async () => {
+    const stream = await connect(authToken, { 'Last-Event-ID': 'stale.1' });
+    const reset = await waitForEvent(stream, item => item.event === 'reset');
+
+    expect(reset).not.toBeNull();
+
+    stream.close();
+  });
+});
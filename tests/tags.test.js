@@ -0,0 +1,225 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Tag Endpoints', () => {
+  let authToken;
+  let urgentId;
+  let clientId;
+  let bothTaskId;
+  let urgentTaskId;
+
+  const createTag = name => request(app)
+    .post('/api/tags')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ name });
+
+  const createTask = title => request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ title });
+
+  const tagChanges = async (taskId) => {
+    const response = await request(app)
+      .get(`/api/tasks/${taskId}/activity?action=update`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    return response.body.data.map(entry => entry.changes.tags);
+  };
+
+  beforeAll(async () => {
+    const testUser = {
+      email: `test-tags-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: 'Test User'
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    if (registerResponse.body.data.access_token) {
+      authToken = registerResponse.body.data.access_token;
+    } else {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      authToken = loginResponse.body.data.access_token;
+    }
+
+    bothTaskId = (await createTask('Tagged twice')).body.data.id;
+    urgentTaskId = (await createTask('Tagged once')).body.data.id;
+  });
+
+  describe('POST /api/tags', () => {
+    it('should create tags', async () => {
+      const urgent = await createTag('urgent').expect(201);
+      const client = await createTag('client').expect(201);
+
+      expect(urgent.body.data.task_count).toBe(0);
+
+      urgentId = urgent.body.data.id;
+      clientId = client.body.data.id;
+    });
+
+    it('should reject duplicate names regardless of case', async () => {
+      await createTag('Urgent').expect(400);
+    });
+  });
+
+  describe('POST /api/tasks/:id/tags', () => {
+    it('should attach tags to a task', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${bothTaskId}/tags`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tag_ids: [urgentId, clientId] })
+        .expect(200);
+
+      expect(response.body.data.map(tag => tag.name).sort()).toEqual(['client', 'urgent']);
+
+      await request(app)
+        .post(`/api/tasks/${urgentTaskId}/tags`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tag_ids: [urgentId] })
+        .expect(200);
+    });
+
+    it('should ignore tags that are already attached', async () => {
+      await request(app)
+        .post(`/api/tasks/${urgentTaskId}/tags`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tag_ids: [urgentId] })
+        .expect(200);
+    });
+
+    it('should reject unknown tags', async () => {
+      await request(app)
+        .post(`/api/tasks/${urgentTaskId}/tags`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tag_ids: ['00000000-0000-0000-0000-000000000000'] })
+        .expect(404);
+    });
+
+    it('should record the tags before and after in the task activity', async () => {
+      expect(await tagChanges(bothTaskId)).toEqual([{ from: [], to: ['client', 'urgent'] }]);
+      // Attaching a tag the task already carries changes nothing
+      expect(await tagChanges(urgentTaskId)).toEqual([{ from: [], to: ['urgent'] }]);
+    });
+  });
+
+  describe('GET /api/tasks?tags=', () => {
+    it('should match any tag by default', async () => {
+      const response = await request(app)
+        .get(`/api/tasks?tags=${urgentId},${clientId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const ids = response.body.data.map(task => task.id);
+      expect(ids).toEqual(expect.arrayContaining([bothTaskId, urgentTaskId]));
+    });
+
+    it('should match all tags with tags_match=all', async () => {
+      const response = await request(app)
+        .get(`/api/tasks?tags=${urgentId},${clientId}&tags_match=all`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).toEqual([bothTaskId]);
+      expect(response.body.data[0].tags).toHaveLength(2);
+    });
+  });
+
+  describe('GET /api/analytics/tags', () => {
+    it('should count tasks per tag', async () => {
+      const response = await request(app)
+        .get('/api/analytics/tags')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const urgent = response.body.data.find(tag => tag.id === urgentId);
+      expect(urgent.total_tasks).toBe(2);
+    });
+  });
+
+  describe('POST /api/tags/:id/merge', () => {
+    it('should move tasks to the target tag and delete the source', async () => {
+      const response = await request(app)
+        .post(`/api/tags/${clientId}/merge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ target_id: urgentId })
+        .expect(200);
+
+      expect(response.body.data.id).toBe(urgentId);
+      expect(response.body.data.task_count).toBe(2);
+
+      await request(app)
+        .get(`/api/tags/${clientId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should not merge a tag into itself', async () => {
+      await request(app)
+        .post(`/api/tags/${urgentId}/merge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ target_id: urgentId })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/tags/:id', () => {
+    it('should rename a tag', async () => {
+      const response = await request(app)
+        .put(`/api/tags/${urgentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'asap' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('asap');
+    });
+  });
+
+  describe('DELETE /api/tasks/:id/tags/:tagId', () => {
+    it('should detach a tag from a task', async () => {
+      const response = await request(app)
+        .delete(`/api/tasks/${urgentTaskId}/tags/${urgentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+
+      await request(app)
+        .delete(`/api/tasks/${urgentTaskId}/tags/${urgentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect((await tagChanges(urgentTaskId))[0]).toEqual({ from: ['asap'], to: [] });
+    });
+  });
+
+  describe('GET /api/tags/:id', () => {
+    it('should not count tasks in the trash', async () => {
+      await request(app)
+        .delete(`/api/tasks/${bothTaskId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/tags/${urgentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.task_count).toBe(0);
+    });
+  });
+
+  describe('DELETE /api/tags/:id', () => {
+    it('should delete a tag', async () => {
+      await request(app)
+        .delete(`/api/tags/${urgentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+  });
+});
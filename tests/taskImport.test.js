@@ -0,0 +1,42 @@
+const { toRecords, mapRecord } = require('../src/utils/taskImport');
+
+describe('Task import records', () => {
+  it('should key CSV rows by their header', () => {
+    expect(toRecords({ csv: 'Title, Due Date\nReport,2024-03-01\n' })).toEqual([
+      { Title: 'Report', 'Due Date': '2024-03-01' }
+    ]);
+  });
+
+  it('should pass JSON rows through', () => {
+    const rows = [{ title: 'Report' }];
+
+    expect(toRecords({ rows })).toBe(rows);
+  });
+});
+
+describe('Task import mapping', () => {
+  it('should read unmapped fields from columns with the same name, ignoring case', () => {
+    const record = { Title: ' Report ', 'Due Date': '2024-03-01', Status: 'In Progress', PRIORITY: 'High' };
+
+    expect(mapRecord(record)).toEqual({
+      fields: { title: 'Report', due_date: '2024-03-01', status: 'in_progress', priority: 'high' },
+      categoryName: null
+    });
+  });
+
+  it('should read mapped fields from the named column', () => {
+    const record = { 'Task name': 'Report', Project: 'Work', title: 'ignored' };
+
+    expect(mapRecord(record, { title: 'Task name', category: 'Project' })).toEqual({
+      fields: { title: 'Report' },
+      categoryName: 'Work'
+    });
+  });
+
+  it('should leave out blank values and unknown columns', () => {
+    expect(mapRecord({ title: 'Report', description: '  ', owner: 'someone' })).toEqual({
+      fields: { title: 'Report' },
+      categoryName: null
+    });
+  });
+});
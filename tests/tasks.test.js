@@ -1,5 +1,9 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const app = require('../src/server');
+const { purgeTrash } = require('../src/jobs/scheduledJobs');
 
 describe('Task Management Endpoints', () => {
   let authToken;
@@ -185,6 +189,47 @@ describe('Task Management Endpoints', () => {
       expect(response.body.pagination.limit).toBe(1);
     });
 
+    it('should page through tasks with cursors', async () => {
+      const seen = [];
+      let response = await request(app)
+        .get('/api/tasks?limit=1&sort_by=title&sort_order=asc')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      seen.push(...response.body.data.map(task => task.id));
+
+      while (response.body.pagination.next_cursor) {
+        response = await request(app)
+          .get(`/api/tasks?limit=1&sort_by=title&sort_order=asc&cursor=${response.body.pagination.next_cursor}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+
+        expect(response.body.pagination.total).toBeUndefined();
+        seen.push(...response.body.data.map(task => task.id));
+      }
+
+      const all = await request(app)
+        .get('/api/tasks?limit=100&sort_by=title&sort_order=asc')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(seen).toEqual(all.body.data.map(task => task.id));
+    });
+
+    it('should reject a cursor from a different sort', async () => {
+      const response = await request(app)
+        .get('/api/tasks?limit=1&sort_by=title')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      if (response.body.pagination.next_cursor) {
+        await request(app)
+          .get(`/api/tasks?sort_by=due_date&cursor=${response.body.pagination.next_cursor}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(400);
+      }
+    });
+
     it('should sort tasks', async () => {
       const response = await request(app)
         .get('/api/tasks?sort_by=title&sort_order=asc')
@@ -201,6 +246,141 @@ describe('Task Management Endpoints', () => {
     });
   });
 
+  describe('GET /api/tasks/export', () => {
+    it('should export filtered tasks as CSV with download headers', async () => {
+      const response = await request(app)
+        .get('/api/tasks/export?format=csv&status=todo')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="tasks-.*\.csv"$/);
+
+      const [header, ...rows] = response.text.trim().split('\r\n');
+      expect(header.split(',')).toEqual(expect.arrayContaining(['id', 'title', 'status', 'category', 'category_color']));
+      rows.forEach(row => {
+        expect(row).toContain(',todo,');
+      });
+    });
+
+    it('should export JSON including the category', async () => {
+      const response = await request(app)
+        .get('/api/tasks/export?format=json')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const tasks = JSON.parse(response.text);
+      expect(Array.isArray(tasks)).toBe(true);
+      expect(tasks.find(task => task.id === taskId)).toHaveProperty('category');
+    });
+
+    it('should export NDJSON with one task per line', async () => {
+      const response = await request(app)
+        .get('/api/tasks/export?format=ndjson&sort_by=title&sort_order=asc')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const titles = response.text.trim().split('\n').map(line => JSON.parse(line).title);
+      for (let i = 1; i < titles.length; i++) {
+        expect(titles[i] >= titles[i-1]).toBe(true);
+      }
+    });
+
+    it('should reject an unknown format', async () => {
+      await request(app)
+        .get('/api/tasks/export?format=xml')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/tasks/import', () => {
+    const importKey = `import-${Date.now()}`;
+    const csv = [
+      'Task name,Status,Priority,Due,Project',
+      'Imported report,In Progress,high,2030-01-01T00:00:00Z,Imported Project',
+      ',todo,low,,'
+    ].join('\n');
+    const body = { csv, mapping: { title: 'Task name', due_date: 'Due', category: 'Project' } };
+
+    it('should report what a dry run would create without writing', async () => {
+      const response = await request(app)
+        .post('/api/tasks/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...body, dry_run: true })
+        .expect(200);
+
+      expect(response.body.data.dry_run).toBe(true);
+      expect(response.body.data.succeeded).toBe(1);
+      expect(response.body.data.categories_to_create).toEqual(['Imported Project']);
+      expect(response.body.data.results[0].data.status).toBe('in_progress');
+      expect(response.body.data.results[1].success).toBe(false);
+
+      const categories = await request(app)
+        .get('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(categories.body.data.some(category => category.name === 'Imported Project')).toBe(false);
+    });
+
+    it('should import valid rows and create missing categories', async () => {
+      const response = await request(app)
+        .post('/api/tasks/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', importKey)
+        .send(body)
+        .expect(201);
+
+      expect(response.body.data.succeeded).toBe(1);
+      expect(response.body.data.failed).toBe(1);
+      expect(response.body.data.categories_created).toEqual(['Imported Project']);
+
+      const task = await request(app)
+        .get(`/api/tasks/${response.body.data.results[0].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(task.body.data.category.name).toBe('Imported Project');
+    });
+
+    it('should replay the first result for a repeated idempotency key', async () => {
+      const before = await request(app)
+        .get('/api/tasks?q=Imported')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .post('/api/tasks/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', importKey)
+        .send(body)
+        .expect(201);
+
+      expect(response.headers['idempotent-replayed']).toBe('true');
+
+      const after = await request(app)
+        .get('/api/tasks?q=Imported')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(after.body.pagination.total).toBe(before.body.pagination.total);
+    });
+
+    it('should reject a reused idempotency key with a different request', async () => {
+      await request(app)
+        .post('/api/tasks/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', importKey)
+        .send({ rows: [{ title: 'Something else' }] })
+        .expect(422);
+    });
+
+    it('should fail rows with unknown categories when creation is off', async () => {
+      const response = await request(app)
+        .post('/api/tasks/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rows: [{ title: 'Orphan', category: 'No Such Category' }], create_categories: false, dry_run: true })
+        .expect(200);
+
+      expect(response.body.data.results[0].error).toBe('Category "No Such Category" not found');
+    });
+  });
+
   describe('GET /api/tasks/:id', () => {
     it('should get a specific task by ID', async () => {
       const response = await request(app)
@@ -289,7 +469,8 @@ describe('Task Management Endpoints', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('Invalid status value');
+      expect(response.body.error).toBe('Invalid status "invalid_status" for the Default workflow');
+      expect(response.body.allowed_statuses).toEqual(expect.arrayContaining(['todo', 'completed']));
     });
   });
 
@@ -307,15 +488,728 @@ describe('Task Management Endpoints', () => {
     });
   });
 
+  describe('Subtasks', () => {
+    let parentId;
+    let subtaskIds = [];
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Parent Task', require_subtasks_completed: true });
+
+      parentId = response.body.data.id;
+    });
+
+    it('should create subtasks in order', async () => {
+      for (const title of ['Step 1', 'Step 2']) {
+        const response = await request(app)
+          .post(`/api/tasks/${parentId}/subtasks`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ title })
+          .expect(201);
+
+        expect(response.body.data.parent_task_id).toBe(parentId);
+        subtaskIds.push(response.body.data.id);
+      }
+    });
+
+    it('should refuse to complete the parent while subtasks are open', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${parentId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'completed' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.open_subtasks).toBe(2);
+    });
+
+    it('should reorder subtasks', async () => {
+      const reversed = [...subtaskIds].reverse();
+
+      const response = await request(app)
+        .put(`/api/tasks/${parentId}/subtasks/reorder`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ subtask_ids: reversed })
+        .expect(200);
+
+      expect(response.body.data.map(subtask => subtask.id)).toEqual(reversed);
+    });
+
+    it('should toggle subtasks and roll up progress', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${parentId}/subtasks/${subtaskIds[0]}/toggle`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.progress).toEqual({ completed: 1, total: 2, percentage: 50 });
+
+      const taskResponse = await request(app)
+        .get(`/api/tasks/${parentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(taskResponse.body.data.subtask_progress.completed).toBe(1);
+      expect(taskResponse.body.data.subtasks.length).toBe(2);
+    });
+
+    it('should not toggle a blocked subtask to completed without override_blockers', async () => {
+      const blocker = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Subtask Blocker' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/tasks/${subtaskIds[1]}/dependencies`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ depends_on_task_id: blocker.body.data.id })
+        .expect(201);
+
+      const response = await request(app)
+        .patch(`/api/tasks/${parentId}/subtasks/${subtaskIds[1]}/toggle`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.blockers.map(task => task.id)).toEqual([blocker.body.data.id]);
+
+      const overridden = await request(app)
+        .patch(`/api/tasks/${parentId}/subtasks/${subtaskIds[1]}/toggle`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ override_blockers: true })
+        .expect(200);
+
+      expect(overridden.body.data.status).toBe('completed');
+    });
+  });
+
+  describe('Task dependencies', () => {
+    let blockerId;
+    let blockedId;
+
+    beforeAll(async () => {
+      const blockerResponse = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Blocker Task' });
+      const blockedResponse = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Blocked Task' });
+
+      blockerId = blockerResponse.body.data.id;
+      blockedId = blockedResponse.body.data.id;
+    });
+
+    it('should add a dependency', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${blockedId}/dependencies`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ depends_on_task_id: blockerId })
+        .expect(201);
+
+      expect(response.body.data.task_id).toBe(blockedId);
+      expect(response.body.data.depends_on_task_id).toBe(blockerId);
+    });
+
+    it('should reject dependency cycles', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${blockerId}/dependencies`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ depends_on_task_id: blockedId })
+        .expect(409);
+
+      expect(response.body.error).toBe('Dependency would create a cycle');
+    });
+
+    it('should refuse to start a blocked task', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${blockedId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'in_progress' })
+        .expect(409);
+
+      expect(response.body.blockers[0].id).toBe(blockerId);
+    });
+
+    it('should filter blocked tasks', async () => {
+      const response = await request(app)
+        .get('/api/tasks?blocked=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).toContain(blockedId);
+      expect(response.body.data.map(task => task.id)).not.toContain(blockerId);
+    });
+
+    it('should allow overriding blockers explicitly', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${blockedId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'in_progress', override_blockers: true })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('in_progress');
+    });
+
+    it('should remove a dependency', async () => {
+      await request(app)
+        .delete(`/api/tasks/${blockedId}/dependencies/${blockerId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/tasks/bulk', () => {
+    it('should update tasks and report per-id results', async () => {
+      const missingId = '00000000-0000-0000-0000-000000000000';
+
+      const response = await request(app)
+        .post('/api/tasks/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: [taskId, missingId], operation: 'update', changes: { priority: 'low' } })
+        .expect(200);
+
+      expect(response.body.data.succeeded).toBe(1);
+      expect(response.body.data.failed).toBe(1);
+      expect(response.body.data.results[0].data.priority).toBe('low');
+      expect(response.body.data.results[1]).toMatchObject({ id: missingId, success: false, status: 404 });
+    });
+
+    it('should validate changes per item', async () => {
+      const response = await request(app)
+        .post('/api/tasks/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: [taskId], operation: 'update', changes: { status: 'invalid' } })
+        .expect(200);
+
+      expect(response.body.data.results[0].error).toBe('Invalid status "invalid" for the Default workflow');
+    });
+
+    it('should reject fields that cannot be bulk edited', async () => {
+      const response = await request(app)
+        .post('/api/tasks/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: [taskId], operation: 'update', changes: { title: 'Nope' } })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+  });
+
+  describe('Task comments', () => {
+    let commentId;
+
+    it('should add a comment to a task', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'First comment' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.content).toBe('First comment');
+      expect(response.body.data.user_id).toBe(userId);
+
+      commentId = response.body.data.id;
+    });
+
+    it('should fail with empty content', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: '' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Validation error');
+    });
+
+    it('should list comments with pagination', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/comments?page=1&limit=5`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.pagination.limit).toBe(5);
+    });
+
+    it('should include comment counts in the task list', async () => {
+      const response = await request(app)
+        .get('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const task = response.body.data.find(item => item.id === taskId);
+      expect(task.comment_count).toBe(1);
+    });
+
+    it('should update own comment', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Edited comment' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.content).toBe('Edited comment');
+    });
+
+    it('should delete own comment', async () => {
+      const response = await request(app)
+        .delete(`/api/tasks/${taskId}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Comment deleted successfully');
+    });
+
+    it('should fail to comment on a non-existent task', async () => {
+      const response = await request(app)
+        .post('/api/tasks/00000000-0000-0000-0000-000000000000/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Hello' })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Task not found');
+    });
+  });
+
+  describe('Time tracking', () => {
+    let entryId;
+
+    it('should set an estimate on the task', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ estimate_minutes: 120 })
+        .expect(200);
+
+      expect(response.body.data.estimate_minutes).toBe(120);
+    });
+
+    it('should start and stop a timer', async () => {
+      const started = await request(app)
+        .post(`/api/tasks/${taskId}/time/start`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ note: 'Timer' })
+        .expect(201);
+
+      expect(started.body.data.ended_at).toBeNull();
+
+      await request(app)
+        .post(`/api/tasks/${taskId}/time/start`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(409);
+
+      const stopped = await request(app)
+        .post(`/api/tasks/${taskId}/time/stop`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(stopped.body.data.id).toBe(started.body.data.id);
+      expect(stopped.body.data.duration_minutes).toBe(1);
+
+      await request(app)
+        .post(`/api/tasks/${taskId}/time/stop`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should log time manually', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/time`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ duration_minutes: 90, note: 'Design review' })
+        .expect(201);
+
+      expect(response.body.data.duration_minutes).toBe(90);
+      expect(new Date(response.body.data.ended_at) - new Date(response.body.data.started_at)).toBe(90 * 60 * 1000);
+
+      entryId = response.body.data.id;
+    });
+
+    it('should reject entries without a duration', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/time`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ note: 'Forgot the time' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+
+    it('should edit an entry', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}/time/${entryId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ duration_minutes: 150 })
+        .expect(200);
+
+      expect(response.body.data.duration_minutes).toBe(150);
+      expect(response.body.data.note).toBe('Design review');
+    });
+
+    it('should total the logged time against the estimate', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/time`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual(expect.objectContaining({
+        estimate_minutes: 120,
+        logged_minutes: 151,
+        remaining_minutes: 0,
+        variance_minutes: 31,
+        by_user: [{ user_id: userId, minutes: 151 }],
+        running: []
+      }));
+      expect(response.body.data.entries).toHaveLength(2);
+    });
+
+    it('should delete an entry', async () => {
+      await request(app)
+        .delete(`/api/tasks/${taskId}/time/${entryId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/time/${entryId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should record time entry activity', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/activity?entity_type=time_entry`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(({ action }) => action)).toEqual(['delete', 'update', 'create', 'update', 'create']);
+      expect(response.body.data[1].changes.duration_minutes).toEqual({ from: 90, to: 150 });
+    });
+
+    it('should report the time logged in the period', async () => {
+      const response = await request(app)
+        .get('/api/analytics/time?period=7')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.period_days).toBe(7);
+      expect(response.body.data.by_day).toHaveLength(7);
+
+      await request(app)
+        .get('/api/analytics/time?period=366')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Task attachments', () => {
+    let attachmentDir;
+    let attachmentId;
+
+    beforeAll(() => {
+      attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+      process.env.ATTACHMENT_DIR = attachmentDir;
+    });
+
+    afterAll(() => {
+      fs.rmSync(attachmentDir, { recursive: true, force: true });
+    });
+
+    it('should upload a file and list it on the task', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('file', Buffer.from('meeting notes'), { filename: 'notes.txt', contentType: 'text/plain' })
+        .expect(201);
+
+      expect(response.body.data).toEqual(expect.objectContaining({
+        file_name: 'notes.txt',
+        mime_type: 'text/plain',
+        size_bytes: 13,
+        user_id: userId
+      }));
+      expect(response.body.data.storage_key).toBeUndefined();
+      attachmentId = response.body.data.id;
+
+      const task = await request(app)
+        .get(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(task.body.data.attachments.map(attachment => attachment.id)).toEqual([attachmentId]);
+    });
+
+    it('should download the file with its name and type', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/attachments/${attachmentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/plain/);
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="notes.txt"/);
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(response.text).toBe('meeting notes');
+    });
+
+    it('should refuse uploads to unknown tasks before reading the file', async () => {
+      process.env.ATTACHMENT_MAX_BYTES = '8';
+      try {
+        await request(app)
+          .post('/api/tasks/00000000-0000-0000-0000-000000000000/attachments')
+          .set('Authorization', `Bearer ${authToken}`)
+          .attach('file', Buffer.from('more than eight bytes'), { filename: 'big.txt', contentType: 'text/plain' })
+          .expect(404);
+      } finally {
+        delete process.env.ATTACHMENT_MAX_BYTES;
+      }
+    });
+
+    it('should refuse disallowed types, oversized files and empty requests', async () => {
+      await request(app)
+        .post(`/api/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('file', Buffer.from('<script></script>'), { filename: 'page.html', contentType: 'text/html' })
+        .expect(415);
+
+      process.env.ATTACHMENT_MAX_BYTES = '8';
+      try {
+        const response = await request(app)
+          .post(`/api/tasks/${taskId}/attachments`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .attach('file', Buffer.from('more than eight bytes'), { filename: 'big.txt', contentType: 'text/plain' })
+          .expect(413);
+
+        expect(response.body.max_bytes).toBe(8);
+      } finally {
+        delete process.env.ATTACHMENT_MAX_BYTES;
+      }
+
+      await request(app)
+        .post(`/api/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should delete the attachment and its file', async () => {
+      await request(app)
+        .delete(`/api/tasks/${taskId}/attachments/${attachmentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(fs.readdirSync(path.join(attachmentDir, taskId))).toEqual([]);
+
+      await request(app)
+        .get(`/api/tasks/${taskId}/attachments/${attachmentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should record uploads and removals in the task activity', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/activity?entity_type=attachment`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(({ action }) => action)).toEqual(['delete', 'create']);
+      expect(response.body.data[0].entity_id).toBe(attachmentId);
+      expect(response.body.data[0].changes.file_name).toEqual({ from: 'notes.txt', to: null });
+      expect(response.body.data[0].changes.storage_key).toBeUndefined();
+    });
+  });
+
+  describe('Task activity', () => {
+    it('should record who moved the due date, with a before/after diff', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ due_date: '2030-06-01T12:00:00.000Z' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/activity`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const [latest] = response.body.data;
+      expect(latest.action).toBe('update');
+      expect(latest.actor_id).toBe(userId);
+      expect(latest.changes.due_date.to).toContain('2030-06-01');
+      expect(response.body.data.some(entry => entry.action === 'create')).toBe(true);
+    });
+
+    it('should include the task history in the personal feed', async () => {
+      const response = await request(app)
+        .get('/api/activity')
+        .query({ entity_type: 'task' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.some(entry => entry.task_id === taskId)).toBe(true);
+      expect(response.body.data.every(entry => entry.actor_id === userId)).toBe(true);
+    });
+
+    it('should fail for a non-existent task', async () => {
+      const response = await request(app)
+        .get('/api/tasks/00000000-0000-0000-0000-000000000000/activity')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Task not found');
+    });
+  });
+
+  describe('Trash', () => {
+    let parentId;
+    let subtaskId;
+
+    beforeAll(async () => {
+      const parent = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Trashed Parent' });
+
+      parentId = parent.body.data.id;
+
+      const subtask = await request(app)
+        .post(`/api/tasks/${parentId}/subtasks`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Trashed Step' });
+
+      subtaskId = subtask.body.data.id;
+    });
+
+    it('should move a task and its subtasks to the trash', async () => {
+      await request(app)
+        .delete(`/api/tasks/${parentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/tasks/${subtaskId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      const response = await request(app)
+        .get('/api/trash')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const trashed = response.body.data.tasks.find(task => task.id === parentId);
+      expect(trashed.deleted_by).toBe(userId);
+      expect(new Date(trashed.purge_at) > new Date(trashed.deleted_at)).toBe(true);
+      expect(response.body.data.tasks.map(task => task.id)).toContain(subtaskId);
+    });
+
+    it('should only restore a subtask once its parent is back', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${subtaskId}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.parent_task_id).toBe(parentId);
+    });
+
+    it('should restore a task with the subtasks deleted along with it', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${parentId}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.deleted_at).toBeNull();
+      expect(response.body.data.restored_subtasks).toBe(1);
+
+      const parent = await request(app)
+        .get(`/api/tasks/${parentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(parent.body.data.subtasks.map(subtask => subtask.id)).toEqual([subtaskId]);
+
+      await request(app)
+        .post(`/api/tasks/${parentId}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should purge tasks once the retention window has passed', async () => {
+      await request(app)
+        .delete(`/api/tasks/${parentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await purgeTrash(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+
+      const response = await request(app)
+        .get('/api/trash')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.tasks.map(task => task.id)).not.toContain(parentId);
+
+      await request(app)
+        .post(`/api/tasks/${parentId}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should restore a category unless its name was taken meanwhile', async () => {
+      const name = `Trashed ${Date.now()}`;
+      const create = () => request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name });
+
+      const trashed = (await create().expect(201)).body.data;
+
+      await request(app)
+        .delete(`/api/categories/${trashed.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const replacement = (await create().expect(201)).body.data;
+
+      await request(app)
+        .post(`/api/categories/${trashed.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      await request(app)
+        .delete(`/api/categories/${replacement.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/categories/${trashed.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.deleted_at).toBeNull();
+    });
+  });
+
   describe('DELETE /api/tasks/:id', () => {
-    it('should delete a task successfully', async () => {
+    it('should move a task to the trash', async () => {
       const response = await request(app)
         .delete(`/api/tasks/${taskId}`)
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Task deleted successfully');
+      expect(response.body.message).toBe('Task moved to trash');
     });
 
     it('should fail to delete non-existent task', async () => {
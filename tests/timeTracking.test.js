@@ -0,0 +1,125 @@
+const { elapsedMinutes, summarizeTaskTime, periodStart, buildTimeReport } = require('../src/utils/timeTracking');
+
+describe('Time tracking', () => {
+  const entry = (userId, startedAt, minutes, extra = {}) => ({
+    user_id: userId,
+    started_at: startedAt,
+    ended_at: minutes === null ? null : new Date(new Date(startedAt).getTime() + minutes * 60000).toISOString(),
+    duration_minutes: minutes,
+    ...extra
+  });
+
+  it('should round timers to the nearest minute, at least one', () => {
+    expect(elapsedMinutes('2024-03-01T09:00:00Z', '2024-03-01T09:00:20Z')).toBe(1);
+    expect(elapsedMinutes('2024-03-01T09:00:00Z', '2024-03-01T09:44:31Z')).toBe(45);
+  });
+
+  describe('task totals', () => {
+    const now = new Date('2024-03-01T12:00:00Z');
+
+    it('should total stopped entries per user against the estimate', () => {
+      const summary = summarizeTaskTime([
+        entry('a', '2024-03-01T08:00:00Z', 60),
+        entry('b', '2024-03-01T09:00:00Z', 90),
+        entry('a', '2024-03-01T10:00:00Z', 30)
+      ], 120, now);
+
+      expect(summary).toEqual(expect.objectContaining({
+        estimate_minutes: 120,
+        logged_minutes: 180,
+        remaining_minutes: 0,
+        variance_minutes: 60,
+        variance_percent: 50,
+        by_user: [{ user_id: 'a', minutes: 90 }, { user_id: 'b', minutes: 90 }]
+      }));
+    });
+
+    it('should report running timers apart from the totals', () => {
+      const summary = summarizeTaskTime([entry('a', '2024-03-01T11:30:00Z', null)], null, now);
+
+      expect(summary.logged_minutes).toBe(0);
+      expect(summary.running).toEqual([expect.objectContaining({ user_id: 'a', elapsed_minutes: 30 })]);
+      expect(summary.remaining_minutes).toBeNull();
+      expect(summary.variance_minutes).toBeNull();
+    });
+  });
+
+  describe('report', () => {
+    const now = new Date('2024-03-10T15:00:00Z');
+    const ada = { full_name: 'Ada' };
+    const bob = { full_name: 'Bob' };
+
+    const tasks = [
+      {
+        id: 't1',
+        title: 'Design',
+        category_id: 'c1',
+        category: { name: 'Client', color: '#ff0000' },
+        estimate_minutes: 100,
+        time_entries: [
+          entry('a', '2024-03-10T09:00:00Z', 60, { user: ada }),
+          entry('b', '2024-03-09T09:00:00Z', 30, { user: bob }),
+          entry('b', '2024-03-10T14:00:00Z', null, { user: bob })
+        ],
+        all_time_entries: [
+          entry('a', '2024-03-10T09:00:00Z', 60),
+          entry('b', '2024-03-09T09:00:00Z', 30),
+          // Before the period: only counts towards the estimate comparison
+          entry('a', '2024-02-01T09:00:00Z', 40),
+          entry('b', '2024-03-10T14:00:00Z', null)
+        ]
+      },
+      {
+        id: 't2',
+        title: 'Admin',
+        category_id: null,
+        category: null,
+        estimate_minutes: null,
+        time_entries: [entry('a', '2024-03-08T09:00:00Z', 15, { user: ada })],
+        all_time_entries: [entry('a', '2024-03-08T09:00:00Z', 15)]
+      }
+    ];
+
+    it('should start the period at midnight UTC on its first day', () => {
+      expect(periodStart(3, now)).toEqual(new Date('2024-03-08T00:00:00Z'));
+      expect(periodStart(1, now)).toEqual(new Date('2024-03-10T00:00:00Z'));
+    });
+
+    const report = buildTimeReport(tasks, { days: 3, now });
+
+    it('should group the period by category, user and day', () => {
+      expect(report.total_minutes).toBe(105);
+      expect(report.by_category).toEqual([
+        { id: 'c1', name: 'Client', color: '#ff0000', minutes: 90 },
+        { id: null, name: 'Uncategorized', color: '#6b7280', minutes: 15 }
+      ]);
+      expect(report.by_user).toEqual([
+        { user_id: 'a', full_name: 'Ada', minutes: 75 },
+        { user_id: 'b', full_name: 'Bob', minutes: 30 }
+      ]);
+      expect(report.by_day).toEqual([
+        { date: '2024-03-08', minutes: 15 },
+        { date: '2024-03-09', minutes: 30 },
+        { date: '2024-03-10', minutes: 60 }
+      ]);
+    });
+
+    it('should compare estimates with all the time logged on the task', () => {
+      expect(report.estimates).toEqual({
+        tasks: 1,
+        estimated_minutes: 100,
+        actual_minutes: 130,
+        variance_minutes: 30,
+        variance_percent: 30,
+        by_task: [{
+          id: 't1',
+          title: 'Design',
+          estimate_minutes: 100,
+          actual_minutes: 130,
+          variance_minutes: 30,
+          variance_percent: 30
+        }]
+      });
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const { DEFAULT_RETENTION_DAYS, trashRetentionDays, purgeCutoff, purgeDate } = require('../src/utils/trash');
+
+describe('Trash retention', () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  it('should default to 30 days and read TRASH_RETENTION_DAYS', () => {
+    expect(trashRetentionDays()).toBe(DEFAULT_RETENTION_DAYS);
+
+    process.env.TRASH_RETENTION_DAYS = '7';
+    expect(trashRetentionDays()).toBe(7);
+
+    process.env.TRASH_RETENTION_DAYS = '0';
+    expect(trashRetentionDays()).toBe(DEFAULT_RETENTION_DAYS);
+  });
+
+  it('should purge items deleted more than the retention window ago', () => {
+    const now = new Date('2024-03-31T12:00:00.000Z');
+
+    expect(purgeCutoff(now, 30).toISOString()).toBe('2024-03-01T12:00:00.000Z');
+    expect(purgeDate('2024-03-01T12:00:00.000Z', 30).toISOString()).toBe(now.toISOString());
+  });
+});
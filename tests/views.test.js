@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Saved View Endpoints', () => {
+  let authToken;
+  let viewId;
+  let dueSoonId;
+  let dueLaterId;
+
+  const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  beforeAll(async () => {
+    const testUser = {
+      email: `test-views-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: 'Test User'
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    if (registerResponse.body.data.access_token) {
+      authToken = registerResponse.body.data.access_token;
+    } else {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      authToken = loginResponse.body.data.access_token;
+    }
+
+    const dueSoon = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Due soon', due_date: inDays(2) });
+
+    const dueLater = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Due later', due_date: inDays(30) });
+
+    dueSoonId = dueSoon.body.data.id;
+    dueLaterId = dueLater.body.data.id;
+  });
+
+  describe('POST /api/views', () => {
+    it('should save a view with relative dates', async () => {
+      const response = await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Due this week',
+          filters: { due_after: 'now', due_before: '+7d', sort_by: 'due_date', sort_order: 'asc' }
+        })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.filters.due_before).toBe('+7d');
+      expect(response.body.data.is_shared).toBe(false);
+
+      viewId = response.body.data.id;
+    });
+
+    it('should reject unknown filters and pagination fields', async () => {
+      await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Paged', filters: { page: 2 } })
+        .expect(400);
+
+      await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Vague', filters: { due_before: 'soon' } })
+        .expect(400);
+    });
+
+    it('should not share personal views', async () => {
+      await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Shared', is_shared: true })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/views', () => {
+    it('should list the user\'s views', async () => {
+      const response = await request(app)
+        .get('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(view => view.id)).toContain(viewId);
+    });
+  });
+
+  describe('GET /api/views/:id/tasks', () => {
+    it('should run the view with its filters resolved now', async () => {
+      const response = await request(app)
+        .get(`/api/views/${viewId}/tasks`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const ids = response.body.data.map(task => task.id);
+      expect(ids).toContain(dueSoonId);
+      expect(ids).not.toContain(dueLaterId);
+      expect(response.body.pagination.page).toBe(1);
+    });
+
+    it('should paginate view results', async () => {
+      const response = await request(app)
+        .get(`/api/views/${viewId}/tasks?limit=1`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.length).toBeLessThanOrEqual(1);
+      expect(response.body.pagination.limit).toBe(1);
+    });
+
+    it('should return 404 for unknown views', async () => {
+      await request(app)
+        .get('/api/views/00000000-0000-0000-0000-000000000000/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/views/:id', () => {
+    it('should replace the filters', async () => {
+      const response = await request(app)
+        .put(`/api/views/${viewId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Due this month', filters: { due_after: 'today', due_before: 'today+5w' } })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Due this month');
+
+      const tasks = await request(app)
+        .get(`/api/views/${viewId}/tasks?limit=100`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(tasks.body.data.map(task => task.id)).toEqual(expect.arrayContaining([dueSoonId, dueLaterId]));
+    });
+  });
+
+  describe('DELETE /api/views/:id', () => {
+    it('should delete the view', async () => {
+      await request(app)
+        .delete(`/api/views/${viewId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/views/${viewId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const http = require('http');
+const {
+  signPayload,
+  verifySignature,
+  isPrivateAddress,
+  checkWebhookUrl,
+  retryDelay,
+  sendWebhook
+} = require('../src/utils/webhooks');
+
+describe('Webhook delivery', () => {
+  let server;
+  let url;
+  let received = [];
+  let responseStatus = 200;
+
+  beforeAll((done) => {
+    // The test receiver listens on loopback
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus);
+        res.end('ok');
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+  });
+
+  it('should sign the raw body with the webhook secret', () => {
+    const header = signPayload('secret', '{"a":1}', 1700000000);
+
+    expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    expect(verifySignature('secret', '{"a":1}', header)).toBe(true);
+    expect(verifySignature('other-secret', '{"a":1}', header)).toBe(false);
+    expect(verifySignature('secret', '{"a":2}', header)).toBe(false);
+    expect(verifySignature('secret', '{"a":1}', 'garbage')).toBe(false);
+  });
+
+  it('should back off exponentially between attempts', () => {
+    expect(retryDelay(1)).toBe(30 * 1000);
+    expect(retryDelay(2)).toBe(60 * 1000);
+    expect(retryDelay(5)).toBe(8 * 60 * 1000);
+  });
+
+  it('should POST a signed JSON payload to the receiver', async () => {
+    const result = await sendWebhook({
+      url,
+      secret: 'whsec_test',
+      event: 'task.created',
+      deliveryId: 'delivery-1',
+      payload: { id: 'delivery-1', event: 'task.created', data: { task: { title: 'Test' } } }
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.status).toBe(200);
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    expect(headers['content-type']).toBe('application/json');
+    expect(headers['x-webhook-event']).toBe('task.created');
+    expect(headers['x-webhook-delivery']).toBe('delivery-1');
+    expect(verifySignature('whsec_test', body, headers['x-webhook-signature'])).toBe(true);
+    expect(JSON.parse(body).data.task.title).toBe('Test');
+  });
+
+  it('should report non-2xx responses as failures', async () => {
+    responseStatus = 503;
+
+    const result = await sendWebhook({ url, secret: 's', event: 'task.deleted', deliveryId: 'd', payload: {} });
+
+    expect(result.ok).toBe(false);
+    expect(result.status).toBe(503);
+    expect(result.error).toBe('Receiver responded with 503');
+  });
+
+  it('should report unreachable receivers without throwing', async () => {
+    const result = await sendWebhook({ url: 'http://127.0.0.1:1/hook', secret: 's', event: 'task.deleted', deliveryId: 'd', payload: {} });
+
+    expect(result.ok).toBe(false);
+    expect(result.status).toBeNull();
+    expect(result.error).toBeTruthy();
+  });
+
+  describe('receiver addresses', () => {
+    const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address }));
+
+    beforeEach(() => {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    });
+
+    afterEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    });
+
+    it('should tell private from public addresses', () => {
+      ['127.0.0.1', '10.0.0.5', '172.16.4.2', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd12::1', '::ffff:7f00:1']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+      ['8.8.8.8', '93.184.216.34', '2606:4700::1111', '::ffff:808:808']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+
+    it('should refuse hosts that resolve to a private address', async () => {
+      expect(await checkWebhookUrl('https://hooks.example.com/in', { lookup: resolvesTo('93.184.216.34') })).toBeNull();
+      expect(await checkWebhookUrl('https://internal.example.com/in', { lookup: resolvesTo('93.184.216.34', '10.0.0.7') }))
+        .toBe('Webhook host internal.example.com resolves to a private address');
+      expect(await checkWebhookUrl('http://169.254.169.254/latest/meta-data')).toMatch(/private address/);
+      expect(await checkWebhookUrl('http://[::1]:8080/hook')).toMatch(/private address/);
+      expect(await checkWebhookUrl('http://2130706433/hook')).toMatch(/private address/);
+    });
+
+    it('should refuse hosts that do not resolve', async () => {
+      const lookup = async () => { throw new Error('ENOTFOUND'); };
+
+      expect(await checkWebhookUrl('https://missing.example.com/in', { lookup }))
+        .toBe('Webhook host missing.example.com could not be resolved');
+    });
+
+    it('should require https in production', async () => {
+      const environment = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        expect(await checkWebhookUrl('http://hooks.example.com/in', { lookup: resolvesTo('93.184.216.34') }))
+          .toBe('Webhook URLs must use https');
+      } finally {
+        process.env.NODE_ENV = environment;
+      }
+    });
+
+    it('should not deliver to a private address', async () => {
+      const result = await sendWebhook({ url, secret: 's', event: 'task.created', deliveryId: 'd', payload: {} });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toBe('Webhook host 127.0.0.1 resolves to a private address');
+      expect(received).toHaveLength(0);
+    });
+
+    it('should not connect to a host re-pointed at a private address after the check', async () => {
+      const answers = ['93.184.216.34', '127.0.0.1'];
+      const lookup = (hostname, options, callback) => {
+        const address = answers.length > 1 ? answers.shift() : answers[0];
+        callback(null, [{ address, family: 4 }]);
+      };
+
+      const result = await sendWebhook({
+        url: url.replace('127.0.0.1', 'rebind.example.com'),
+        secret: 's',
+        event: 'task.created',
+        deliveryId: 'd',
+        payload: {}
+      }, { lookup });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toBe('Webhook host rebind.example.com resolves to a private address');
+      expect(received).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { verifySignature } = require('../src/utils/webhooks');
+
+describe('Webhook Endpoints', () => {
+  let authToken;
+  let receiver;
+  let receiverUrl;
+  let received = [];
+  let webhookId;
+  let webhookSecret;
+
+  const waitForDelivery = async (event) => {
+    for (let i = 0; i < 50; i++) {
+      const delivery = received.find(item => item.headers['x-webhook-event'] === event);
+      if (delivery) {
+        return delivery;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+  };
+
+  beforeAll(async () => {
+    // The test receiver listens on loopback
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(200);
+        res.end();
+      });
+    });
+
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    const testUser = {
+      email: `test-webhooks-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: 'Test User'
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    if (registerResponse.body.data.access_token) {
+      authToken = registerResponse.body.data.access_token;
+    } else {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      authToken = loginResponse.body.data.access_token;
+    }
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  describe('POST /api/webhooks', () => {
+    it('should create a webhook and return its secret once', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: receiverUrl, events: ['task.created', 'task.completed'] })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+
+      webhookId = response.body.data.id;
+      webhookSecret = response.body.data.secret;
+    });
+
+    it('should reject unknown event types', async () => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: receiverUrl, events: ['task.exploded'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+
+    it('should reject receivers on private addresses', async () => {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+      try {
+        const response = await request(app)
+          .post('/api/webhooks')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ url: 'http://169.254.169.254/latest/meta-data', events: ['task.created'] })
+          .expect(400);
+
+        expect(response.body.error).toBe('Webhook host 169.254.169.254 resolves to a private address');
+      } finally {
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+      }
+    });
+
+    it('should not expose the secret when listing', async () => {
+      const response = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.find(webhook => webhook.id === webhookId).secret).toBeUndefined();
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should POST a signed payload when a task is created', async () => {
+      const taskResponse = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Webhook Task' })
+        .expect(201);
+
+      const delivery = await waitForDelivery('task.created');
+
+      expect(delivery).not.toBeNull();
+      expect(verifySignature(webhookSecret, delivery.body, delivery.headers['x-webhook-signature'])).toBe(true);
+
+      const payload = JSON.parse(delivery.body);
+      expect(payload.event).toBe('task.created');
+      expect(payload.data.task.id).toBe(taskResponse.body.data.id);
+    });
+
+    it('should record the delivery in the log', async () => {
+      const response = await request(app)
+        .get(`/api/webhooks/${webhookId}/deliveries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data[0].event).toBe('task.created');
+      expect(response.body.data[0].status).toBe('succeeded');
+      expect(response.body.data[0].response_status).toBe(200);
+    });
+  });
+
+  describe('DELETE /api/webhooks/:id', () => {
+    it('should delete the webhook', async () => {
+      await request(app)
+        .delete(`/api/webhooks/${webhookId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/webhooks/${webhookId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  DEFAULT_WORKFLOW,
+  initialStatus,
+  currentStatusKey,
+  allowedTransitions,
+  planStatusChange,
+  validateWorkflow
+} = require('../src/utils/workflow');
+
+describe('Workflows', () => {
+  const review = {
+    id: 'wf-1',
+    name: 'Review',
+    statuses: [
+      { key: 'backlog', category: 'todo' },
+      { key: 'ready', category: 'todo' },
+      { key: 'in_review', category: 'in_progress' },
+      { key: 'done', category: 'completed' }
+    ],
+    transitions: {
+      backlog: ['ready'],
+      in_review: ['ready', 'done'],
+      done: []
+    }
+  };
+
+  it('should start tasks in the first status', () => {
+    expect(initialStatus(review)).toBe('backlog');
+    expect(initialStatus(DEFAULT_WORKFLOW)).toBe('todo');
+  });
+
+  it('should trust workflow_status only while it matches the status category', () => {
+    expect(currentStatusKey(review, { status: 'todo', workflow_status: 'ready' })).toBe('ready');
+    expect(currentStatusKey(review, { status: 'completed', workflow_status: 'ready' })).toBe('done');
+    expect(currentStatusKey(review, { status: 'in_progress', workflow_status: null })).toBe('in_review');
+    expect(currentStatusKey(review, { status: 'todo', workflow_status: 'gone' })).toBe('backlog');
+  });
+
+  it('should treat statuses missing from transitions as unrestricted', () => {
+    expect(allowedTransitions(review, 'backlog')).toEqual(['backlog', 'ready']);
+    expect(allowedTransitions(review, 'ready')).toEqual(['backlog', 'ready', 'in_review', 'done']);
+    expect(allowedTransitions(review, 'done')).toEqual(['done']);
+    expect(allowedTransitions(DEFAULT_WORKFLOW, 'todo')).toEqual(['todo', 'in_progress', 'completed']);
+  });
+
+  it('should map a status key to its category and key', () => {
+    expect(planStatusChange(review, null, 'ready')).toEqual({
+      fields: { status: 'todo', workflow_status: 'ready' }
+    });
+    expect(planStatusChange(DEFAULT_WORKFLOW, null, 'completed')).toEqual({
+      fields: { status: 'completed', workflow_status: null }
+    });
+  });
+
+  it('should reject unknown statuses with the allowed ones', () => {
+    const change = planStatusChange(review, null, 'in_progress');
+
+    expect(change.status).toBe(400);
+    expect(change.allowed_statuses).toEqual(['backlog', 'ready', 'in_review', 'done']);
+  });
+
+  it('should reject transitions the workflow does not allow', () => {
+    const task = { status: 'todo', workflow_status: 'backlog' };
+
+    expect(planStatusChange(review, task, 'ready').fields).toEqual({ status: 'todo', workflow_status: 'ready' });
+
+    const change = planStatusChange(review, task, 'done');
+
+    expect(change.status).toBe(409);
+    expect(change.error).toBe('Cannot move a task from "backlog" to "done"');
+    expect(change.allowed_statuses).toEqual(['backlog', 'ready']);
+  });
+
+  it('should require a completed status', () => {
+    expect(validateWorkflow({ statuses: [{ key: 'open', category: 'todo' }] }))
+      .toBe('A workflow needs at least one status in the completed category');
+    expect(validateWorkflow(review)).toBeNull();
+  });
+
+  it('should reject transitions to unknown statuses', () => {
+    expect(validateWorkflow({ ...review, transitions: { backlog: ['shipped'] } }))
+      .toBe('Transitions refer to unknown status "shipped"');
+    expect(validateWorkflow({ ...review, transitions: { shipped: [] } }))
+      .toBe('Transitions refer to unknown status "shipped"');
+  });
+});
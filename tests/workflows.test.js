@@ -0,0 +1,202 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Workflow Endpoints', () => {
+  let authToken;
+  let workflowId;
+  let categoryId;
+  let taskId;
+
+  const reviewWorkflow = {
+    name: 'Review',
+    statuses: [
+      { key: 'backlog', name: 'Backlog', category: 'todo' },
+      { key: 'in_review', name: 'In review', category: 'in_progress' },
+      { key: 'done', name: 'Done', category: 'completed' }
+    ],
+    transitions: {
+      backlog: ['in_review'],
+      in_review: ['backlog', 'done']
+    }
+  };
+
+  const setStatus = status => request(app)
+    .patch(`/api/tasks/${taskId}/status`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ status });
+
+  beforeAll(async () => {
+    const testUser = {
+      email: `test-workflows-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: 'Test User'
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    if (registerResponse.body.data.access_token) {
+      authToken = registerResponse.body.data.access_token;
+    } else {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      authToken = loginResponse.body.data.access_token;
+    }
+  });
+
+  describe('POST /api/workflows', () => {
+    it('should create a workflow', async () => {
+      const response = await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(reviewWorkflow)
+        .expect(201);
+
+      expect(response.body.data.statuses.map(status => status.key)).toEqual(['backlog', 'in_review', 'done']);
+      workflowId = response.body.data.id;
+    });
+
+    it('should require a completed status', async () => {
+      await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Endless', statuses: [{ key: 'open', category: 'todo' }] })
+        .expect(400);
+    });
+
+    it('should reject transitions to unknown statuses', async () => {
+      await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...reviewWorkflow, transitions: { backlog: ['shipped'] } })
+        .expect(400);
+    });
+  });
+
+  describe('Tasks in a category with a workflow', () => {
+    beforeAll(async () => {
+      const category = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: `Reviewed ${Date.now()}`, workflow_id: workflowId });
+
+      categoryId = category.body.data.id;
+    });
+
+    it('should start new tasks in the first status', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Needs review', category_id: categoryId })
+        .expect(201);
+
+      expect(response.body.data.status).toBe('todo');
+      expect(response.body.data.workflow_status).toBe('backlog');
+      taskId = response.body.data.id;
+    });
+
+    it('should reject statuses outside the workflow', async () => {
+      const response = await setStatus('in_progress').expect(400);
+
+      expect(response.body.allowed_statuses).toEqual(['backlog', 'in_review', 'done']);
+    });
+
+    it('should reject transitions the workflow does not allow', async () => {
+      const response = await setStatus('done').expect(409);
+
+      expect(response.body.allowed_statuses).toEqual(['backlog', 'in_review']);
+    });
+
+    it('should follow allowed transitions', async () => {
+      await setStatus('in_review').expect(200);
+
+      const response = await setStatus('done').expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.workflow_status).toBe('done');
+    });
+
+    it('should filter tasks by workflow status', async () => {
+      const response = await request(app)
+        .get('/api/tasks?workflow_status=done')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).toContain(taskId);
+    });
+  });
+
+  describe('Subtasks in a category with a workflow', () => {
+    it('should toggle between the first todo and completed statuses', async () => {
+      const workflow = await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Shipping',
+          statuses: [
+            { key: 'backlog', name: 'Backlog', category: 'todo' },
+            { key: 'shipped', name: 'Shipped', category: 'completed' }
+          ]
+        })
+        .expect(201);
+
+      const category = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: `Shipping ${Date.now()}`, workflow_id: workflow.body.data.id })
+        .expect(201);
+
+      const parent = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Release', category_id: category.body.data.id })
+        .expect(201);
+
+      const subtask = await request(app)
+        .post(`/api/tasks/${parent.body.data.id}/subtasks`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Changelog' })
+        .expect(201);
+
+      const toggle = () => request(app)
+        .patch(`/api/tasks/${parent.body.data.id}/subtasks/${subtask.body.data.id}/toggle`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect((await toggle()).body.data).toMatchObject({ status: 'completed', workflow_status: 'shipped' });
+      expect((await toggle()).body.data).toMatchObject({ status: 'todo', workflow_status: 'backlog' });
+    });
+  });
+
+  describe('Tasks without a workflow', () => {
+    it('should keep the built-in statuses', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Plain task', status: 'in_progress' })
+        .expect(201);
+
+      expect(response.body.data.status).toBe('in_progress');
+      expect(response.body.data.workflow_status).toBeNull();
+    });
+  });
+
+  describe('DELETE /api/workflows/:id', () => {
+    it('should fall back to the built-in workflow', async () => {
+      await request(app)
+        .delete(`/api/workflows/${workflowId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const category = await request(app)
+        .get(`/api/categories/${categoryId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(category.body.data.workflow_id).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+describe('Workspace Endpoints', () => {
+  let ownerToken;
+  let viewerToken;
+  let viewerId;
+  let workspaceId;
+
+  const registerUser = async (label) => {
+    const user = {
+      email: `test-${label}-${Date.now()}@example.com`,
+      password: 'testpassword123',
+      full_name: `Test ${label}`
+    };
+
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send(user);
+
+    if (registerResponse.body.data.access_token) {
+      return registerResponse.body.data;
+    }
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return loginResponse.body.data;
+  };
+
+  beforeAll(async () => {
+    const owner = await registerUser('owner');
+    const viewer = await registerUser('viewer');
+
+    ownerToken = owner.access_token;
+    viewerToken = viewer.access_token;
+    viewerId = viewer.user.id;
+
+    // Make sure the viewer has a profile row to be looked up by
+    await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${viewerToken}`);
+  });
+
+  describe('POST /api/workspaces', () => {
+    it('should create a workspace owned by the caller', async () => {
+      const response = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Test Workspace' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.role).toBe('owner');
+
+      workspaceId = response.body.data.id;
+    });
+  });
+
+  describe('Members', () => {
+    it('should add a viewer', async () => {
+      const response = await request(app)
+        .post(`/api/workspaces/${workspaceId}/members`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ user_id: viewerId, role: 'viewer' })
+        .expect(201);
+
+      expect(response.body.data.role).toBe('viewer');
+    });
+
+    it('should not let the last owner leave', async () => {
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const response = await request(app)
+        .delete(`/api/workspaces/${workspaceId}/members/${profileResponse.body.data.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('A workspace must keep at least one owner');
+    });
+  });
+
+  describe('Workspace scoped tasks', () => {
+    let taskId;
+
+    it('should create a task in the workspace via header', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Workspace-Id', workspaceId)
+        .send({ title: 'Shared Task' })
+        .expect(201);
+
+      expect(response.body.data.workspace_id).toBe(workspaceId);
+      taskId = response.body.data.id;
+    });
+
+    it('should show workspace tasks to other members via path', async () => {
+      const response = await request(app)
+        .get(`/api/workspaces/${workspaceId}/tasks`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).toContain(taskId);
+    });
+
+    it('should keep workspace tasks out of the personal scope', async () => {
+      const response = await request(app)
+        .get('/api/tasks')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).not.toContain(taskId);
+    });
+
+    it('should not let viewers modify tasks', async () => {
+      const response = await request(app)
+        .put(`/api/workspaces/${workspaceId}/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ title: 'Edited' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Insufficient workspace permissions');
+    });
+
+    it('should hide workspaces from non-members', async () => {
+      const outsider = await registerUser('outsider');
+
+      const response = await request(app)
+        .get(`/api/workspaces/${workspaceId}/tasks`)
+        .set('Authorization', `Bearer ${outsider.access_token}`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Workspace not found');
+    });
+  });
+
+  describe('DELETE /api/workspaces/:workspaceId', () => {
+    it('should not let viewers delete the workspace', async () => {
+      await request(app)
+        .delete(`/api/workspaces/${workspaceId}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+
+    it('should let the owner delete the workspace', async () => {
+      const response = await request(app)
+        .delete(`/api/workspaces/${workspaceId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Workspace deleted successfully');
+    });
+  });
+});